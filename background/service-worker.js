@@ -4,31 +4,96 @@
  * - Holds settings/registry in chrome.storage.local
  * - Provides allowlisted APIs to content scripts via message passing
  * - Context menus + keyboard commands
+ * - Vault (encryption at rest): awt:vault_* messages, auto-lock alarm
+ * - Storage schema migrations (shared/migrations.js) on install/startup
+ * - Backup archive: awt:backup_* messages (shared/backup.js), scheduled
+ *   backups into a Downloads subfolder (awt_backup alarm)
+ * - Folders: awt:*_folder(s) messages (shared/folders.js), folder sends
+ * - Connector body templates (shared/template.js) rendered when a send is
+ *   queued; awt:template_preview for Options
+ * - Connector presets (shared/connector-presets.js): Slack / Notion / Linear /
+ *   GitHub sends queued as one job per built request
+ * - Routing rules (shared/rules.js) evaluated on save / meta changes / filing,
+ *   de-duplicated through the rule ledger; awt:get_rules / awt:set_rules
+ * - Send queue console for Options (extension pages only, the stored bodies
+ *   are conversation content): awt:list_jobs / awt:get_job (credentials
+ *   masked), awt:replay_job, awt:clear_jobs
+ * - Delivery policies (shared/delivery.js): the pump sends each connector's
+ *   jobs under its rate limit and concurrency, retries with backoff and
+ *   Retry-After, and keys every attempt with an Idempotency-Key
  */
 
-import { getDefaultRegistry } from "../shared/registry.js";
+import { getDefaultRegistry, SUPPORTED_MATCHES } from "../shared/registry.js";
+import { createBackup, parseBackup, previewBackup, restoreBackup } from "../shared/backup.js";
+import { runMigrations, getSchemaRecord } from "../shared/migrations.js";
+import { folderPath } from "../shared/folders.js";
+import { validateTemplate, renderTemplate } from "../shared/template.js";
+import { buildPayload, templateContext } from "../shared/payloads.js";
+import { emptyRules, ruleErrors, firedRules } from "../shared/rules.js";
+import { formatConversation } from "../content/conversation.js";
+import { connectorPreset, usesRequests, connectorErrors, buildRequests, authHeaders, readResponse } from "../shared/connector-presets.js";
+import { deliveryPolicy, retryDelay, parseRetryAfter, isRetryable, idempotencyKey, rateBudget, recentSends } from "../shared/delivery.js";
 import {
   getSettings,
   setSettings,
   setScriptEnabled,
   getEnabledScriptsForUrl,
   saveConversation,
+  importConversations,
   listConversations,
+  listTags,
+  getFolders,
+  listFolders,
+  createFolder,
+  updateFolder,
+  deleteFolder,
+  moveConversations,
   deleteConversation,
+  listTrash,
+  restoreFromTrash,
+  purgeTrash,
+  vaultStatus,
+  enableVault,
+  disableVault,
+  unlockVault,
+  lockVault,
+  autoLockVault,
+  touchVault,
+  setVaultAutoLock,
+  sealConnectorSecrets,
+  connectorSecret,
   updateConversationMeta,
   getConversationById,
   getConversationIdForUrl,
+  listRevisions,
+  getRevision,
+  restoreRevision,
   getGlobalNotes,
   setGlobalNotes,
   enqueueJob,
   updateJob,
   listJobs,
+  clearJobs,
   getJobs,
+  getDeliveryState,
+  setDeliveryState,
+  getRuleLedger,
+  addRuleLedger,
+  pruneRuleLedger,
+  getBackupStatus,
+  setBackupStatus,
   bumpStat,
   getStats
 } from "../shared/storage.js";
 
 const VERSION = "2.1.0";
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const BACKUP_INTERVALS = { daily: DAY_MS, weekly: 7 * DAY_MS };
+const DEFAULT_BACKUP_FOLDER = "Superpower backups";
+const DEFAULT_BACKUP_KEEP = 7;
+const FOLDER_SEND_MAX = 200;
+const CONNECTORS_SCRIPT = "founder-connectors";
 
 async function ensureInitialized() {
   const existing = await getSettings();
@@ -64,19 +129,31 @@ function buildDefaultSettings(existing) {
   approvals,
   scriptOptions,
   connectors: existing?.connectors || { byId: {}, order: [] },
+  rules: existing?.rules || emptyRules(),
   ui: {
     theme: existing?.ui?.theme || "auto",
     defaultExportFormat: existing?.ui?.defaultExportFormat || "md",
+    exportBranches: existing?.ui?.exportBranches || "current",
+  },
+  library: {
+    // 0 = keep trashed conversations until emptied by hand
+    trashRetentionDays: existing?.library?.trashRetentionDays ?? DEFAULT_TRASH_RETENTION_DAYS,
+  },
+  backup: {
+    // off | daily | weekly
+    schedule: existing?.backup?.schedule || "off",
+    folder: existing?.backup?.folder || DEFAULT_BACKUP_FOLDER,
+    keep: existing?.backup?.keep ?? DEFAULT_BACKUP_KEEP,
   }
 };
 }
 
 function mergeSettings(existing, defaults) {
   const out = { ...defaults, ...existing };
-  // merge registry by id
+  // merge registry by id; packaged entries are refreshed so new matches/entries ship with updates
   const byId = new Map((existing.registry || []).map((s) => [s.id, s]));
   for (const s of defaults.registry || []) {
-    if (!byId.has(s.id)) byId.set(s.id, s);
+    byId.set(s.id, { ...(byId.get(s.id) || {}), ...s });
   }
   out.registry = Array.from(byId.values());
 
@@ -84,7 +161,10 @@ function mergeSettings(existing, defaults) {
   out.approvals = { ...(defaults.approvals || {}), ...(existing.approvals || {}) };
   out.scriptOptions = { ...(defaults.scriptOptions || {}), ...(existing.scriptOptions || {}) };
   out.ui = { ...(defaults.ui || {}), ...(existing.ui || {}) };
+  out.library = { ...(defaults.library || {}), ...(existing.library || {}) };
+  out.backup = { ...(defaults.backup || {}), ...(existing.backup || {}) };
   out.connectors = existing.connectors || defaults.connectors || { byId: {}, order: [] };
+  out.rules = existing.rules || defaults.rules || emptyRules();
   if (typeof existing.globalEnabled === "boolean") out.globalEnabled = existing.globalEnabled;
   return out;
 }
@@ -93,6 +173,7 @@ function setupContextMenus() {
   chrome.contextMenus.removeAll(() => {
     chrome.contextMenus.create({ id: "awt_export_md", title: "Export ChatGPT (Markdown)", contexts: ["action"] });
     chrome.contextMenus.create({ id: "awt_export_txt", title: "Export ChatGPT (Text)", contexts: ["action"] });
+    chrome.contextMenus.create({ id: "awt_export_html", title: "Export ChatGPT (HTML)", contexts: ["action"] });
     chrome.contextMenus.create({ id: "awt_save", title: "Save conversation", contexts: ["action"] });
     chrome.contextMenus.create({ id: "awt_options", title: "Options", contexts: ["action"] });
   });
@@ -106,11 +187,13 @@ function setupContextMenus() {
     const type =
       info.menuItemId === "awt_export_md" ? "awt:export_current" :
       info.menuItemId === "awt_export_txt" ? "awt:export_current" :
+      info.menuItemId === "awt_export_html" ? "awt:export_current" :
       info.menuItemId === "awt_save" ? "awt:save_current" : null;
 
     const options =
       info.menuItemId === "awt_export_md" ? { format: "md" } :
       info.menuItemId === "awt_export_txt" ? { format: "txt" } :
+      info.menuItemId === "awt_export_html" ? { format: "html" } :
       info.menuItemId === "awt_save" ? { autosave: false } : {};
 
     if (type) {
@@ -129,15 +212,24 @@ async function openOptions() {
 }
 
 chrome.runtime.onInstalled.addListener(async () => {
+  // bring stored data up to the current schema before anything reads it
+  try { await runMigrations(); } catch {}
   await ensureInitialized();
   setupContextMenus();
   try { chrome.alarms.create("awt_job_pump", { periodInMinutes: 1 }); } catch {}
+  try { chrome.alarms.create("awt_trash_purge", { delayInMinutes: 1, periodInMinutes: 6 * 60 }); } catch {}
+  try { chrome.alarms.create("awt_vault_autolock", { periodInMinutes: 1 }); } catch {}
+  try { chrome.alarms.create("awt_backup", { delayInMinutes: 5, periodInMinutes: 60 }); } catch {}
 });
 
 chrome.runtime.onStartup.addListener(async () => {
+  try { await runMigrations(); } catch {}
   await ensureInitialized();
   setupContextMenus();
   try { chrome.alarms.create("awt_job_pump", { periodInMinutes: 1 }); } catch {}
+  try { chrome.alarms.create("awt_trash_purge", { delayInMinutes: 1, periodInMinutes: 6 * 60 }); } catch {}
+  try { chrome.alarms.create("awt_vault_autolock", { periodInMinutes: 1 }); } catch {}
+  try { chrome.alarms.create("awt_backup", { delayInMinutes: 5, periodInMinutes: 60 }); } catch {}
 });
 
 chrome.commands.onCommand.addListener(async (command) => {
@@ -187,6 +279,8 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   (async () => {
     try {
       const settings = await ensureInitialized();
+      // the idle lock counts the popup and Options, not page autosaves
+      if (isExtensionPage(sender)) await touchVault();
 
       switch (msg?.type) {
         case "awt:get_settings": {
@@ -224,6 +318,14 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
           return;
         }
 
+        case "awt:set_export_branches": {
+          settings.ui = settings.ui || {};
+          settings.ui.exportBranches = msg.branches === "tree" ? "tree" : "current";
+          await setSettings(settings);
+          sendResponse({ ok: true });
+          return;
+        }
+
         case "awt:toggle_global": {
           const res = await handleToggleGlobal();
           sendResponse(res);
@@ -244,27 +346,116 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
         }
 
         case "awt:download_text": {
-          const ok = await downloadText(msg.filename, msg.text, msg.mime);
+          const ok = !!(await downloadText(msg.filename, msg.text, msg.mime));
           if (ok) await bumpStat("exports");
           sendResponse({ ok });
           return;
         }
 
         case "awt:save_conversation": {
-          const conv = msg.conversation;
-          const maxItems = settings.scriptOptions?.["chatgpt-conversation-manager"]?.maxSavedConversations || 80;
-          await saveConversation(conv, { maxItems });
+          const prev = hasRules(settings) ? await previousRecord(msg.conversation) : null;
+          const saved = await saveConversation(msg.conversation);
           await bumpStat("saves");
+          await applyRules(settings, [{ prev, next: saved }]);
           sendResponse({ ok: true });
           return;
         }
 
+        case "awt:import_conversations": {
+          const records = Array.isArray(msg.records) ? msg.records : [];
+          const result = await importConversations(records);
+          sendResponse({ ok: true, ...result });
+          return;
+        }
+
         case "awt:list_conversations": {
-          const items = await listConversations({ query: msg.query || "", limit: msg.limit || 200, filters: msg.filters || {}, sort: msg.sort || "relevance" });
+          const items = await listConversations({ query: msg.query || "", limit: msg.limit || 200, offset: Math.max(0, Math.floor(Number(msg.offset) || 0)), filters: msg.filters || {}, sort: msg.sort || "relevance" });
           sendResponse({ ok: true, items });
           return;
         }
 
+        case "awt:list_tags": {
+          const tags = await listTags();
+          sendResponse({ ok: true, tags });
+          return;
+        }
+
+        case "awt:list_folders": {
+          sendResponse({ ok: true, folders: await listFolders() });
+          return;
+        }
+
+        case "awt:create_folder": {
+          const folder = await createFolder({ name: msg.name, parentId: msg.parentId || "" });
+          sendResponse({ ok: true, folder });
+          return;
+        }
+
+        case "awt:update_folder": {
+          const patch = {};
+          if (typeof msg.name === "string") patch.name = msg.name;
+          if (typeof msg.parentId === "string") patch.parentId = msg.parentId;
+          const folder = await updateFolder(msg.id, patch);
+          sendResponse({ ok: true, folder });
+          return;
+        }
+
+        case "awt:delete_folder": {
+          const result = await deleteFolder(msg.id);
+          sendResponse({ ok: true, ...result });
+          return;
+        }
+
+        case "awt:move_to_folder": {
+          const ids = Array.isArray(msg.ids) ? msg.ids : [msg.id].filter(Boolean);
+          // folder rules compare where the conversations were
+          const prevs = hasRules(settings, "folder") ? (await Promise.all(ids.map((id) => getConversationById(id)))).filter(Boolean) : [];
+          const result = await moveConversations(ids, msg.folderId || "");
+          await applyRules(settings, prevs.map((prev) => ({ prev, next: { ...prev, folderId: msg.folderId || "" } })));
+          sendResponse({ ok: true, ...result });
+          return;
+        }
+
+        case "awt:send_folder": {
+          // one job with every conversation in the folder (and its subfolders)
+          const blocked = await connectorBlocked(settings, msg.connectorId);
+          if (blocked) {
+            sendResponse({ ok: false, ...blocked });
+            return;
+          }
+          const payload = await folderPayload(msg.folderId);
+          if (!payload) {
+            sendResponse({ ok: false, error: "unknown_folder" });
+            return;
+          }
+          const queued = await queueSend(settings.connectors.byId[msg.connectorId], payload);
+          if (!queued.jobs.length) {
+            sendResponse({ ok: false, error: "nothing_to_send" });
+            return;
+          }
+          try { await pumpJobs(); } catch {}
+          sendResponse({ ok: true, job: queued.jobs[0], ...queued, count: payload.conversations.length, truncated: payload.truncated });
+          return;
+        }
+
+        case "awt:list_revisions": {
+          const revisions = await listRevisions(msg.id);
+          sendResponse({ ok: true, revisions });
+          return;
+        }
+
+        case "awt:get_revision": {
+          const revision = await getRevision(msg.id, msg.rev);
+          sendResponse({ ok: !!revision, revision });
+          return;
+        }
+
+        case "awt:restore_revision": {
+          const conversation = await restoreRevision(msg.id, msg.rev);
+          sendResponse({ ok: !!conversation, conversation });
+          return;
+        }
+
         case "awt:get_conversation_by_id": {
           const conversation = await getConversationById(msg.id);
           sendResponse({ ok: true, conversation });
@@ -290,14 +481,180 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
         }
 
         case "awt:delete_conversation": {
+          if (!isExtensionPage(sender)) {
+            sendResponse({ ok: false, error: "forbidden" });
+            return;
+          }
           await deleteConversation(msg.id);
           sendResponse({ ok: true });
           return;
         }
 
+        case "awt:list_trash": {
+          const items = await listTrash();
+          sendResponse({ ok: true, items, retentionDays: trashRetentionDays(settings) });
+          return;
+        }
+
+        case "awt:restore_from_trash": {
+          if (!isExtensionPage(sender)) {
+            sendResponse({ ok: false, error: "forbidden" });
+            return;
+          }
+          const conversation = await restoreFromTrash(msg.id);
+          sendResponse({ ok: !!conversation, conversation });
+          return;
+        }
+
+        case "awt:purge_trash": {
+          if (!isExtensionPage(sender)) {
+            sendResponse({ ok: false, error: "forbidden" });
+            return;
+          }
+          // ids: delete those forever; none: empty the trash
+          const result = await purgeTrash(Array.isArray(msg.ids) ? { ids: msg.ids } : {});
+          sendResponse({ ok: true, ...result });
+          return;
+        }
+
+        case "awt:vault_status": {
+          sendResponse({ ok: true, vault: await vaultStatus() });
+          return;
+        }
+
+        case "awt:vault_enable":
+        case "awt:vault_unlock":
+        case "awt:vault_disable": {
+          // passphrases only come from the popup / Options, never from page scripts
+          if (!isExtensionPage(sender)) {
+            sendResponse({ ok: false, error: "forbidden" });
+            return;
+          }
+          const vault =
+            msg.type === "awt:vault_enable" ? await enableVault(msg.passphrase, { autoLockMinutes: msg.autoLockMinutes }) :
+            msg.type === "awt:vault_unlock" ? await unlockVault(msg.passphrase) :
+            await disableVault(msg.passphrase);
+          // steps that need the library readable were left pending while locked
+          if (msg.type === "awt:vault_unlock") {
+            try { await runMigrations(); } catch {}
+          }
+          sendResponse({ ok: true, vault });
+          return;
+        }
+
+        case "awt:vault_lock":
+        case "awt:vault_set_auto_lock": {
+          // a page script could otherwise switch the idle lock off
+          if (!isExtensionPage(sender)) {
+            sendResponse({ ok: false, error: "forbidden" });
+            return;
+          }
+          if (msg.type === "awt:vault_lock") {
+            sendResponse({ ok: true, vault: await lockVault() });
+            return;
+          }
+          sendResponse({ ok: true, vault: await setVaultAutoLock(msg.minutes) });
+          return;
+        }
+
+        case "awt:backup_create":
+        case "awt:backup_preview":
+        case "awt:backup_restore": {
+          // the whole library (and connector secrets) in one file: extension pages only
+          if (!isExtensionPage(sender)) {
+            sendResponse({ ok: false, error: "forbidden" });
+            return;
+          }
+          if (msg.type === "awt:backup_create") {
+            const backup = await createBackup({
+              includeSecrets: !!msg.includeSecrets,
+              memoryGraph: await collectMemoryGraphs(),
+              extensionVersion: VERSION,
+            });
+            // Options saves it from a Blob: a service worker has no object URLs,
+            // and a data: URL of a whole library is past Chrome's URL limit
+            sendResponse({ ok: true, backup, counts: backupCounts(backup) });
+            return;
+          }
+          const backup = parseBackup(msg.backup);
+          const mode = msg.mode === "replace" ? "replace" : "merge";
+          if (msg.type === "awt:backup_preview") {
+            sendResponse({ ok: true, preview: await previewBackup(backup, mode), memoryTabs: await memoryGraphOrigins() });
+            return;
+          }
+          const result = await restoreBackup(backup, mode);
+          if (result.memoryGraph) result.sections.memoryGraph = await restoreMemoryGraphs(result.memoryGraph, mode);
+          delete result.memoryGraph;
+          // settings from the file meet this install's registry and defaults
+          await ensureInitialized();
+          sendResponse({ ok: true, result });
+          return;
+        }
+
+        case "awt:migrations": {
+          // dryRun: report what pending steps would change, without writing;
+          // a real run only from extension pages
+          const dryRun = msg.dryRun !== false;
+          if (!dryRun && !isExtensionPage(sender)) {
+            sendResponse({ ok: false, error: "forbidden" });
+            return;
+          }
+          const report = await runMigrations({ dryRun });
+          sendResponse({ ok: true, report, schema: await getSchemaRecord() });
+          return;
+        }
+
+        case "awt:backup_status": {
+          sendResponse({ ok: true, ...(await scheduledBackupStatus(settings)) });
+          return;
+        }
+
+        case "awt:backup_schedule": {
+          if (!isExtensionPage(sender)) {
+            sendResponse({ ok: false, error: "forbidden" });
+            return;
+          }
+          const current = backupConfig(settings);
+          settings.backup = {
+            schedule: msg.schedule in BACKUP_INTERVALS ? msg.schedule : msg.schedule === "off" ? "off" : current.schedule,
+            folder: msg.folder !== undefined ? backupFolder(msg.folder) : current.folder,
+            keep: msg.keep !== undefined ? Math.max(1, Math.floor(Number(msg.keep) || DEFAULT_BACKUP_KEEP)) : current.keep,
+          };
+          await setSettings(settings);
+          sendResponse({ ok: true, ...(await scheduledBackupStatus(settings)) });
+          return;
+        }
+
+        case "awt:backup_run_now": {
+          if (!isExtensionPage(sender)) {
+            sendResponse({ ok: false, error: "forbidden" });
+            return;
+          }
+          await runScheduledBackup(settings);
+          const status = await scheduledBackupStatus(settings);
+          sendResponse({ ok: !!status.last?.ok, error: status.last?.error, ...status });
+          return;
+        }
+
+        case "awt:set_trash_retention": {
+          // a short retention purges the trash on the next sweep, like purge_trash
+          if (!isExtensionPage(sender)) {
+            sendResponse({ ok: false, error: "forbidden" });
+            return;
+          }
+          const days = Math.max(0, Math.floor(Number(msg.days) || 0));
+          settings.library = { ...(settings.library || {}), trashRetentionDays: days };
+          await setSettings(settings);
+          const result = await purgeExpiredTrash(settings);
+          sendResponse({ ok: true, retentionDays: days, ...result });
+          return;
+        }
+
 
 case "awt:update_conversation_meta": {
+  const prev = hasRules(settings) ? await getConversationById(msg.id) : null;
   const updated = await updateConversationMeta(msg.id, msg.patch || {});
+  if (updated) await applyRules(settings, [{ prev, next: updated }]);
   sendResponse({ ok: true, conversation: updated });
   return;
 }
@@ -308,54 +665,164 @@ case "awt:get_connectors": {
 }
 
 case "awt:set_connectors": {
-  // store connectors inside settings
-  settings.connectors = msg.connectors || { byId: {}, order: [] };
+  // a template or preset setup that would fail every send is refused here
+  for (const c of Object.values(msg.connectors?.byId || {})) {
+    const check = validateTemplate(c?.template);
+    if (!check.ok) {
+      sendResponse({ ok: false, error: "template_invalid", connectorId: c.id, errors: check.errors });
+      return;
+    }
+    const errors = connectorErrors(c);
+    if (errors.length) {
+      sendResponse({ ok: false, error: "connector_invalid", connectorId: c.id, errors });
+      return;
+    }
+  }
+  // store connectors inside settings (secrets sealed when the vault is on)
+  settings.connectors = await sealConnectorSecrets(msg.connectors || { byId: {}, order: [] });
+  // rules routing to a deleted connector stop
+  for (const rule of Object.values(settings.rules?.byId || {})) {
+    if (rule.enabled && !settings.connectors.byId?.[rule.connectorId]) rule.enabled = false;
+  }
   await setSettings(settings);
   sendResponse({ ok: true, connectors: settings.connectors });
   return;
 }
 
+case "awt:get_rules": {
+  const rules = settings.rules || emptyRules();
+  // per rule: how many sends its ledger keys record, and the latest
+  const stats = {};
+  for (const [key, at] of Object.entries(await getRuleLedger())) {
+    const id = key.split("|")[0];
+    stats[id] = { sent: (stats[id]?.sent || 0) + 1, lastAt: Math.max(stats[id]?.lastAt || 0, at) };
+  }
+  sendResponse({ ok: true, rules, stats });
+  return;
+}
+
+case "awt:set_rules": {
+  if (!isExtensionPage(sender)) {
+    sendResponse({ ok: false, error: "forbidden" });
+    return;
+  }
+  const rules = msg.rules || emptyRules();
+  for (const rule of Object.values(rules.byId || {})) {
+    const errors = ruleErrors(rule, settings.connectors);
+    if (errors.length) {
+      sendResponse({ ok: false, error: "rule_invalid", ruleId: rule.id, errors });
+      return;
+    }
+  }
+  settings.rules = rules;
+  await setSettings(settings);
+  await pruneRuleLedger(Object.keys(rules.byId || {}));
+  sendResponse({ ok: true, rules });
+  return;
+}
+
 case "awt:connector_send": {
-  const connectors = settings.connectors || { byId: {}, order: [] };
-  const connector = connectors.byId?.[msg.connectorId];
+  const blocked = await connectorBlocked(settings, msg.connectorId);
+  if (blocked) {
+    sendResponse({ ok: false, ...blocked });
+    return;
+  }
+
+  const queued = await queueSend(settings.connectors.byId[msg.connectorId], msg.payload, { headers: msg.headers, kind: msg.kind });
+  if (!queued.jobs.length) {
+    sendResponse({ ok: false, error: "nothing_to_send" });
+    return;
+  }
+
+  // best-effort immediate pump (alarm will retry)
+  try { await pumpJobs(); } catch {}
+  sendResponse({ ok: true, job: queued.jobs[0], ...queued });
+  return;
+}
 
-  if (!connector) {
-    sendResponse({ ok: false, error: "unknown_connector" });
+case "awt:template_preview": {
+  if (!isExtensionPage(sender)) {
+    sendResponse({ ok: false, error: "forbidden" });
     return;
   }
-  if (!connector.enabled || !connector.url) {
-    sendResponse({ ok: false, error: "connector_disabled" });
+  const check = validateTemplate(msg.template);
+  if (!check.ok) {
+    sendResponse({ ok: false, error: "template_invalid", errors: check.errors });
     return;
   }
+  const sample = await templateSample();
+  const body = String(msg.template || "").trim() ? renderTemplate(msg.template, sample.context) : sample.context.payload;
+  sendResponse({ ok: true, source: sample.source, title: sample.title, body, fields: check.fields });
+  return;
+}
 
-  // host permission preflight
-  const host = sanitizeUrlToHostPattern(connector.url);
-  if (host) {
-    try {
-      const has = await chrome.permissions.contains({ origins: [host] });
-      if (!has) {
-        sendResponse({ ok: false, error: "missing_host_permission", origin: host });
-        return;
-      }
-    } catch {}
+case "awt:list_jobs": {
+  if (!isExtensionPage(sender)) {
+    sendResponse({ ok: false, error: "forbidden" });
+    return;
+  }
+  const items = await listJobs({ status: msg.status || "", connectorId: msg.connectorId || "", limit: msg.limit || 200 });
+  sendResponse({ ok: true, items: items.map(jobView) });
+  return;
+}
+
+case "awt:get_job": {
+  if (!isExtensionPage(sender)) {
+    sendResponse({ ok: false, error: "forbidden" });
+    return;
+  }
+  const job = (await getJobs()).byId?.[msg.id];
+  if (!job) {
+    sendResponse({ ok: false, error: "unknown_job" });
+    return;
   }
+  sendResponse({ ok: true, job: jobView(job), request: jobRequest(job, settings.connectors?.byId?.[job.connectorId]) });
+  return;
+}
 
-  // enqueue + best-effort immediate pump (alarm will retry)
-  const job = await enqueueJob({
-    type: "webhook",
-    connectorId: msg.connectorId,
-    payload: msg.payload,
-    headers: msg.headers || {},
-    kind: msg.kind || "json"
+case "awt:replay_job": {
+  if (!isExtensionPage(sender)) {
+    sendResponse({ ok: false, error: "forbidden" });
+    return;
+  }
+  const job = (await getJobs()).byId?.[msg.id];
+  if (!job) {
+    sendResponse({ ok: false, error: "unknown_job" });
+    return;
+  }
+  // queued and running jobs are still on their way
+  if (job.status !== "failed" && job.status !== "done") {
+    sendResponse({ ok: false, error: "not_replayable" });
+    return;
+  }
+  const blocked = await connectorBlocked(settings, job.connectorId);
+  if (blocked) {
+    sendResponse({ ok: false, ...blocked });
+    return;
+  }
+  const edited = msg.body !== undefined;
+  const { id, status, attempts, result, error, lastResponse, nextRunAt, createdAt, updatedAt, replayedBy, ...rest } = job;
+  const replay = await enqueueJob({
+    ...rest,
+    ...(job.request
+      ? { request: { ...job.request, body: edited ? msg.body : job.request.body } }
+      : { payload: edited ? msg.body : job.payload }),
+    replayOf: job.id,
+    edited,
   });
+  await updateJob(job.id, { replayedBy: replay.id });
   try { await pumpJobs(); } catch {}
-  sendResponse({ ok: true, job });
+  sendResponse({ ok: true, job: jobView((await getJobs()).byId?.[replay.id] || replay) });
   return;
 }
 
-case "awt:list_jobs": {
-  const items = await listJobs({});
-  sendResponse({ ok: true, items });
+case "awt:clear_jobs": {
+  if (!isExtensionPage(sender)) {
+    sendResponse({ ok: false, error: "forbidden" });
+    return;
+  }
+  const statuses = (Array.isArray(msg.statuses) ? msg.statuses : ["done"]).filter((st) => st === "done" || st === "failed");
+  sendResponse({ ok: true, ...(await clearJobs({ statuses })) });
   return;
 }
 
@@ -372,10 +839,253 @@ case "awt:list_jobs": {
 
 
 chrome.alarms.onAlarm.addListener(async (alarm) => {
-  if (alarm?.name !== "awt_job_pump") return;
-  try { await pumpJobs(); } catch {}
+  if (alarm?.name === "awt_job_pump" || alarm?.name === PUMP_NEXT_ALARM) {
+    try { await pumpJobs(); } catch {}
+  } else if (alarm?.name === "awt_trash_purge") {
+    try { await purgeExpiredTrash(await ensureInitialized()); } catch {}
+  } else if (alarm?.name === "awt_vault_autolock") {
+    try { await autoLockVault(); } catch {}
+  } else if (alarm?.name === "awt_backup") {
+    try { await runDueBackup(await ensureInitialized()); } catch {}
+  }
 });
 
+function isExtensionPage(sender) {
+  return sender?.id === chrome.runtime.id && String(sender?.url || "").startsWith(chrome.runtime.getURL(""));
+}
+
+// ---- Scheduled backups ---------------------------------------------------
+//
+// Opt-in daily/weekly backups (shared/backup.js, without connector secrets
+// or the memory graph) saved as <Downloads>/<folder>/awt-backup-<UTC time>.json.
+// The hourly awt_backup alarm runs one once the interval has passed since the
+// last success; a locked vault or a failed download is retried on the next
+// tick. A backup counts once its file is written (download complete); only
+// then are older files pruned to the newest `keep` of that name in the folder.
+
+function backupConfig(settings) {
+  const b = settings?.backup || {};
+  return {
+    schedule: b.schedule in BACKUP_INTERVALS ? b.schedule : "off",
+    folder: backupFolder(b.folder),
+    keep: Math.max(1, Math.floor(Number(b.keep) || DEFAULT_BACKUP_KEEP)),
+  };
+}
+
+// a relative path below Downloads: no "..", drive letters or reserved characters
+function backupFolder(folder) {
+  const parts = String(folder ?? DEFAULT_BACKUP_FOLDER)
+    .split(/[\\/]+/)
+    .map((p) => p.replace(/[<>:"|?*\u0000-\u001f]/g, "").trim().replace(/^\.+|\.+$/g, ""))
+    .filter(Boolean);
+  return parts.join("/") || DEFAULT_BACKUP_FOLDER;
+}
+
+const BACKUP_FILE_RE = /^awt-backup-\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}Z\.json$/;
+
+async function scheduledBackupStatus(settings) {
+  const config = backupConfig(settings);
+  const status = await getBackupStatus();
+  const interval = BACKUP_INTERVALS[config.schedule];
+  return {
+    config,
+    last: status.last || null,
+    lastSuccessAt: status.lastSuccessAt || 0,
+    nextAt: interval ? Math.max(Date.now(), (status.lastSuccessAt || 0) + interval) : 0,
+  };
+}
+
+async function runDueBackup(settings) {
+  const { schedule } = backupConfig(settings);
+  const interval = BACKUP_INTERVALS[schedule];
+  if (!interval) return;
+  const { lastSuccessAt = 0 } = await getBackupStatus();
+  if (Date.now() - lastSuccessAt < interval) return;
+  await runScheduledBackup(settings);
+}
+
+// the alarm and "Back up now" can overlap: one backup at a time, so two runs
+// never race on the status record or the file name
+let backupQueue = Promise.resolve();
+
+function runScheduledBackup(settings) {
+  const run = backupQueue.then(() => backupOnce(settings));
+  backupQueue = run.catch(() => {});
+  return run;
+}
+
+async function backupOnce(settings) {
+  const { folder, keep } = backupConfig(settings);
+  const status = await getBackupStatus();
+  const at = Date.now();
+  const filename = `${folder}/awt-backup-${new Date(at).toISOString().slice(0, 19).replace(/:/g, "-")}Z.json`;
+  let last;
+  try {
+    const backup = await createBackup({ extensionVersion: VERSION });
+    const saved = await saveFile(filename, JSON.stringify(backup), "application/json");
+    if (!saved.ok) throw new Error(saved.error);
+    last = { at, ok: true, filename, downloadId: saved.id, counts: backupCounts(backup) };
+    await setBackupStatus({ ...status, last, lastSuccessAt: at });
+  } catch (e) {
+    last = { at, ok: false, filename, error: String(e?.message || e) };
+    await setBackupStatus({ ...status, last });
+    return last;
+  }
+  try { await pruneBackups(folder, keep); } catch {}
+  return last;
+}
+
+const OFFSCREEN_URL = "offscreen/offscreen.html";
+const SAVE_TIMEOUT_MS = 5 * 60_000;
+
+// Save text as a file from an object URL made in the offscreen document: a
+// service worker has none, and a data: URL of a whole library is past
+// Chrome's URL limit. -> { ok, id } once the file is written, or { ok: false, error }
+// Saves run one at a time: closing the single offscreen document revokes
+// every URL it made, including one another save is still downloading.
+let saveQueue = Promise.resolve();
+
+function saveFile(filename, text, mime) {
+  const run = saveQueue.then(() => saveOnce(filename, text, mime));
+  saveQueue = run.catch(() => {});
+  return run;
+}
+
+async function saveOnce(filename, text, mime) {
+  try {
+    await chrome.offscreen.createDocument({ url: OFFSCREEN_URL, reasons: ["BLOBS"], justification: "Save scheduled backups as files" });
+  } catch (e) {
+    // already open
+    if (!/single offscreen/i.test(String(e?.message || e))) return { ok: false, error: String(e?.message || e) };
+  }
+  try {
+    const made = await chrome.runtime.sendMessage({ target: "offscreen", type: "awt:blob_url", text, mime });
+    if (!made?.ok) return { ok: false, error: "download_failed" };
+    const id = await chrome.downloads.download({ url: made.url, filename, saveAs: false });
+    if (!id) return { ok: false, error: "download_failed" };
+    return { id, ...(await downloadSettled(id)) };
+  } catch (e) {
+    return { ok: false, error: String(e?.message || e) };
+  } finally {
+    // revokes the URL too
+    try { await chrome.offscreen.closeDocument(); } catch {}
+  }
+}
+
+// a download's outcome -> { ok } once complete, { ok: false, error } if it stops
+function downloadSettled(id) {
+  return new Promise((resolve) => {
+    let timer = 0;
+    const settle = (result) => {
+      chrome.downloads.onChanged.removeListener(onChanged);
+      clearTimeout(timer);
+      resolve(result);
+    };
+    const check = (state, error) => {
+      if (state === "complete") settle({ ok: true });
+      else if (state === "interrupted" || error) settle({ ok: false, error: error || "download_interrupted" });
+    };
+    const onChanged = (delta) => {
+      if (delta?.id === id) check(delta.state?.current, delta.error?.current);
+    };
+    chrome.downloads.onChanged.addListener(onChanged);
+    timer = setTimeout(() => settle({ ok: false, error: "download_timeout" }), SAVE_TIMEOUT_MS);
+    // it may have finished before the listener was added
+    chrome.downloads.search({ id }).then(([d]) => check(d?.state, d?.error)).catch(() => {});
+  });
+}
+
+async function pruneBackups(folder, keep) {
+  const inFolder = (path) => {
+    const parts = String(path || "").split(/[\\/]/);
+    return BACKUP_FILE_RE.test(parts[parts.length - 1]) && parts.slice(-1 - folder.split("/").length, -1).join("/") === folder;
+  };
+  const items = (await chrome.downloads.search({ filenameRegex: "awt-backup-", exists: true }))
+    .filter((d) => d.state === "complete" && inFolder(d.filename));
+  const byName = items.sort((a, b) => (a.filename < b.filename ? 1 : a.filename > b.filename ? -1 : 0));
+  for (const d of byName.slice(keep)) {
+    try { await chrome.downloads.removeFile(d.id); } catch {}
+    try { await chrome.downloads.erase({ id: d.id }); } catch {}
+  }
+}
+
+// ---- Backup: memory graph ----------------------------------------------
+//
+// The memory graph lives in each chat site's IndexedDB, reachable only from a
+// page of that site: the prompt manager script exports/imports it from one
+// open tab per origin. Sites without an open tab are skipped.
+
+const MEMORY_SCRIPT = "founder-prompt-manager";
+
+async function memoryTabsByOrigin() {
+  const byOrigin = new Map();
+  try {
+    for (const tab of await chrome.tabs.query({ url: SUPPORTED_MATCHES })) {
+      const origin = (() => { try { return new URL(tab.url).origin; } catch { return ""; } })();
+      if (origin && tab.id && !byOrigin.has(origin)) byOrigin.set(origin, tab.id);
+    }
+  } catch {}
+  return byOrigin;
+}
+
+async function memoryGraphOrigins() {
+  return [...(await memoryTabsByOrigin()).keys()];
+}
+
+// a script action's result in a tab, or null (script not running there, or it failed)
+async function tabAction(tabId, scriptId, action, payload) {
+  try {
+    const res = await chrome.tabs.sendMessage(tabId, { type: "awt:invoke_script_action", scriptId, action, payload });
+    return res?.ok && res.result?.ok ? res.result : null;
+  } catch {
+    return null;
+  }
+}
+
+function memoryAction(tabId, action, payload) {
+  return tabAction(tabId, MEMORY_SCRIPT, action, payload);
+}
+
+async function collectMemoryGraphs() {
+  const out = {};
+  for (const [origin, tabId] of await memoryTabsByOrigin()) {
+    const res = await memoryAction(tabId, "memory_export");
+    if (res?.graph) out[origin] = res.graph;
+  }
+  return out;
+}
+
+async function restoreMemoryGraphs(graphs, mode) {
+  const tabs = await memoryTabsByOrigin();
+  const result = { restored: [], skipped: [] };
+  for (const [origin, graph] of Object.entries(graphs || {})) {
+    const res = tabs.has(origin) ? await memoryAction(tabs.get(origin), "memory_import", { graph, merge: mode === "merge" }) : null;
+    (res ? result.restored : result.skipped).push(origin);
+  }
+  return result;
+}
+
+function backupCounts({ sections }) {
+  return {
+    conversations: sections.conversations.length,
+    connectors: Object.keys(sections.connectors.byId).length,
+    jobs: Object.keys(sections.jobs.byId || {}).length,
+    prompts: sections.prompts.awt_prompts_v1?.prompts?.length || 0,
+    memoryGraph: Object.keys(sections.memoryGraph).length,
+  };
+}
+
+function trashRetentionDays(settings) {
+  const days = settings?.library?.trashRetentionDays;
+  return typeof days === "number" && days >= 0 ? days : DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+async function purgeExpiredTrash(settings) {
+  const days = trashRetentionDays(settings);
+  if (!days) return { purged: 0 };
+  return await purgeTrash({ olderThan: Date.now() - days * DAY_MS });
+}
+
 async function hmacSha256Hex(secret, message) {
   const enc = new TextEncoder();
   const key = await crypto.subtle.importKey(
@@ -389,7 +1099,7 @@ async function hmacSha256Hex(secret, message) {
   return Array.from(new Uint8Array(sig)).map((b) => b.toString(16).padStart(2, "0")).join("");
 }
 
-async function sendWebhook({ url, headers = {}, body, secret = "" }) {
+async function sendWebhook({ url, method = "POST", headers = {}, body, secret = "" }) {
   const payload = typeof body === "string" ? body : JSON.stringify(body);
   const baseHeaders = {
     "Content-Type": "application/json",
@@ -403,9 +1113,9 @@ async function sendWebhook({ url, headers = {}, body, secret = "" }) {
     baseHeaders["X-AWT-Signature"] = `sha256=${sig}`;
   }
 
-  const resp = await fetch(url, { method: "POST", headers: baseHeaders, body: payload, redirect: "follow" });
+  const resp = await fetch(url, { method, headers: baseHeaders, body: payload, redirect: "follow" });
   const text = await resp.text().catch(() => "");
-  return { ok: resp.ok, status: resp.status, text: text.slice(0, 2000) };
+  return { ok: resp.ok, status: resp.status, text: text.slice(0, 2000), retryAfter: resp.headers?.get?.("Retry-After") || "" };
 }
 
 function sanitizeUrlToHostPattern(u) {
@@ -417,78 +1127,402 @@ function sanitizeUrlToHostPattern(u) {
   }
 }
 
-async function pumpJobs() {
+// why a send to this connector cannot be queued -> { error, origin? } or null
+async function connectorBlocked(settings, connectorId) {
+  const connector = settings.connectors?.byId?.[connectorId];
+  if (!connector) return { error: "unknown_connector" };
+  if (!connector.enabled || !connector.url) return { error: "connector_disabled" };
+
+  // host permission preflight
+  const host = sanitizeUrlToHostPattern(connector.url);
+  if (host) {
+    try {
+      const has = await chrome.permissions.contains({ origins: [host] });
+      if (!has) return { error: "missing_host_permission", origin: host };
+    } catch {}
+  }
+  return null;
+}
+
+// What a send's body template sees: the payload plus the saved record's tags,
+// notes and folder (when the vault is locked, only what the payload carries).
+async function sendContext(payload, { markdown = "" } = {}) {
+  const id = payload?.meta?.id || payload?.conversation?.id || "";
+  let record = null;
+  try {
+    record = id ? await getConversationById(id) : null;
+  } catch {}
+  const folder = record?.folderId ? folderPath(await getFolders(), record.folderId, "/") : "";
+  return templateContext(payload, { record, folder, markdown });
+}
+
+// the body to queue for a connector: its template rendered over the send, or the payload as built
+async function connectorPayload(connector, payload) {
+  if (!String(connector?.template || "").trim()) return payload;
+  return renderTemplate(connector.template, await sendContext(payload));
+}
+
+/**
+ * Queue a send: a webhook job with the body as the webhook gets it (the
+ * connector's template applied now), or for a preset one job per request it
+ * builds. -> { jobs, skipped }
+ */
+async function queueSend(connector, payload, { headers = {}, kind = "json" } = {}) {
+  if (!usesRequests(connector)) {
+    const body = await connectorPayload(connector, payload);
+    return { jobs: [await enqueueJob({ type: "webhook", connectorId: connector.id, payload: body, headers: headers || {}, kind: kind || "json" })], skipped: 0 };
+  }
+  const { requests, skipped } = buildRequests(connector, await sendContext(payload));
+  const batch = `send_${Date.now().toString(36)}`;
+  const jobs = [];
+  // oldest first, so the pump sends them in the order they were built
+  for (const request of requests) {
+    jobs.push(await enqueueJob({ type: "request", connectorId: connector.id, preset: connectorPreset(connector), batch, label: request.label, request }));
+  }
+  return { jobs, skipped };
+}
+
+// ---- Routing rules --------------------------------------------------------
+//
+// shared/rules.js decides which rules a change fires; here the sends are
+// queued and their ledger keys recorded. Evaluations run one at a time so two
+// saves racing cannot both send the same key.
+
+let rulesRunning = Promise.resolve();
+
+function hasRules(settings, trigger = "") {
+  const rules = settings?.rules;
+  return (rules?.order || []).some((id) => rules.byId?.[id]?.enabled && (!trigger || rules.byId[id].trigger === trigger));
+}
+
+// the saved record a save is about to replace (found by URL first, as saveConversation does)
+async function previousRecord(conversation) {
+  try {
+    const id = (conversation?.url && (await getConversationIdForUrl(conversation.url))) || conversation?.id;
+    return await getConversationById(id);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Queue the sends `changes` ([{ prev, next }]) fire. Failures are swallowed:
+ * a rule never breaks the save that triggered it.
+ */
+function applyRules(settings, changes) {
+  if (!hasRules(settings) || !changes.length) return Promise.resolve();
+  const run = rulesRunning.then(() => routeChanges(settings, changes));
+  rulesRunning = run.catch(() => {});
+  return run.catch(() => {});
+}
+
+async function routeChanges(settings, changes) {
+  const folders = hasRules(settings, "folder") ? await getFolders() : null;
+  const ledger = await getRuleLedger();
+  const sent = [];
+  for (const { prev, next } of changes) {
+    for (const fired of firedRules(settings.rules, prev, next, { folders })) {
+      const fresh = fired.keys.filter((k) => !ledger[k]);
+      if (!fresh.length) continue;
+      const { rule } = fired;
+      // a disabled connector or a missing permission skips the send (it is not recorded)
+      if (await connectorBlocked(settings, rule.connectorId)) continue;
+      const payload = rulePayload(settings, fired, next, fresh);
+      const { jobs } = await queueSend(settings.connectors.byId[rule.connectorId], payload);
+      if (!jobs.length) continue;
+      for (const k of fresh) ledger[k] = Date.now();
+      sent.push(...fresh);
+    }
+  }
+  if (!sent.length) return;
+  await addRuleLedger(sent);
+  try { await pumpJobs(); } catch {}
+}
+
+// the rule's payload for the record; task / decision rules carry only the new items
+function rulePayload(settings, { rule, keys, items }, record, fresh) {
+  const includeUrl = settings.scriptOptions?.[CONNECTORS_SCRIPT]?.includeCurrentUrl !== false;
+  const payload = buildPayload(rule.payload, record, {
+    markdown: rule.payload === "md" ? formatConversation({ ts: record.updatedAt, ...record }, "md") : "",
+    includeUrl,
+  });
+  if (items) {
+    const field = rule.trigger === "task" ? "tasks" : "decisions";
+    payload[field] = items.filter((_, i) => fresh.includes(keys[i]));
+  }
+  return { ...payload, rule: { id: rule.id, name: rule.name || "", trigger: rule.trigger, value: rule.value || "" } };
+}
+
+// A preview sample: the chat in the most recently used chat tab, else the
+// newest saved conversation -> { source: "tab" | "saved" | "none", title, context }
+async function templateSample() {
+  let tabs = [];
+  try {
+    tabs = (await chrome.tabs.query({ url: SUPPORTED_MATCHES })).sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0));
+  } catch {}
+  for (const tab of tabs.slice(0, 3)) {
+    const res = await tabAction(tab.id, CONNECTORS_SCRIPT, "preview");
+    if (res?.payload) return { source: "tab", title: res.payload.meta?.title || "", context: await sendContext(res.payload, { markdown: res.markdown }) };
+  }
+  try {
+    const [record] = await listConversations({ limit: 1, sort: "recent" });
+    if (record) return { source: "saved", title: record.title || "", context: await sendContext(buildPayload("json", record)) };
+  } catch {}
+  return { source: "none", title: "", context: templateContext({}) };
+}
+
+// { type: "folder", folder, conversations } for a folder send, or null for an unknown folder
+async function folderPayload(folderId) {
+  const folders = await getFolders();
+  const folder = folders.byId[folderId];
+  if (!folder) return null;
+  const items = await listConversations({ filters: { folderId }, limit: FOLDER_SEND_MAX + 1 });
+  return {
+    type: "folder",
+    ts: Date.now(),
+    folder: { id: folder.id, name: folder.name, path: folderPath(folders, folder.id, "/") },
+    truncated: items.length > FOLDER_SEND_MAX,
+    conversations: items.slice(0, FOLDER_SEND_MAX).map((c) => ({
+      id: c.id,
+      title: c.title || "",
+      url: c.url || "",
+      platform: c.platform || "",
+      folder: folderPath(folders, c.folderId, "/"),
+      tags: c.tags || [],
+      pinned: !!c.pinned,
+      createdAt: c.createdAt || null,
+      updatedAt: c.updatedAt || null,
+      messages: (c.messages || []).map((m) => ({ role: m.role, text: m.text })),
+    })),
+  };
+}
+
+// ---- Send queue console ---------------------------------------------------
+
+const SECRET_HEADER_RE = /authorization|token|secret|api-?key|signature|cookie|password/i;
+
+// credentials keep their scheme ("Bearer") and nothing else
+function maskHeaders(headers = {}) {
+  return Object.fromEntries(Object.entries(headers || {}).map(([k, v]) => {
+    if (!SECRET_HEADER_RE.test(k)) return [k, v];
+    const scheme = String(v ?? "").match(/^(?:Bearer|Basic|token)\s+/i)?.[0] || "";
+    return [k, `${scheme}••••••`];
+  }));
+}
+
+// a job as Options sees it: headers masked
+function jobView(job) {
+  return {
+    ...job,
+    ...(job.headers ? { headers: maskHeaders(job.headers) } : {}),
+    ...(job.request ? { request: { ...job.request, headers: maskHeaders(job.request.headers) } } : {}),
+  };
+}
+
+// The request a job makes when it runs (pumpJobs / sendWebhook), credentials
+// masked; a signature is computed at send time, so only its header shows.
+function jobRequest(job, connector) {
+  const json = { "Content-Type": "application/json", ...(deliveryPolicy(connector).idempotencyKey ? { "Idempotency-Key": idempotencyKey(job) } : {}) };
+  if (job.request) {
+    const secret = connector?.secret || connector?.secretEnc ? "secret" : "";
+    return {
+      method: job.request.method || "POST",
+      url: job.request.url,
+      headers: maskHeaders({ ...json, ...(job.request.headers || {}), ...authHeaders(connector, secret) }),
+      body: job.request.body,
+    };
+  }
+  const signed = connector?.secret || connector?.secretEnc ? { "X-AWT-Timestamp": "(send time)", "X-AWT-Signature": "(send time)" } : {};
+  return {
+    method: "POST",
+    url: connector?.url || "",
+    headers: maskHeaders({ ...json, ...(connector?.headers || {}), ...(job.headers || {}), ...signed }),
+    body: job.payload,
+  };
+}
+
+// a job left "running" this long was cut off (the worker stopped mid-send)
+const RUNNING_STALE_MS = 5 * 60_000;
+// one-shot alarm for the next due retry / rate window; awt_job_pump is the
+// once-a-minute fallback
+const PUMP_NEXT_ALARM = "awt_job_pump_next";
+
+let pumping = null;
+let pumpAgain = false;
+
+// One pump at a time; a call while one runs makes it go round once more, so
+// a job queued meanwhile is not left for the alarm.
+function pumpJobs() {
+  if (pumping) {
+    pumpAgain = true;
+    return pumping;
+  }
+  pumping = (async () => {
+    try {
+      do {
+        pumpAgain = false;
+        await pumpOnce();
+      } while (pumpAgain);
+    } finally {
+      pumping = null;
+    }
+  })();
+  return pumping;
+}
+
+// Deliver every due job, oldest first, each connector under its own policy
+// (shared/delivery.js) and the connectors side by side.
+async function pumpOnce() {
   const settings = await ensureInitialized();
   const jobs = await getJobs();
-
   const connectorById = settings.connectors?.byId || {};
-  const order = Array.isArray(jobs.order) ? jobs.order.slice().reverse() : [];
+  const now = Date.now();
 
-  let processed = 0;
-  for (const id of order) {
-    if (processed >= 3) break;
+  const due = new Map();
+  for (const id of (jobs.order || []).slice().reverse()) {
     const j = jobs.byId?.[id];
-    if (!j) continue;
-    if (j.status === "done") continue;
-    if (j.status === "running") continue;
-
-    const now = Date.now();
+    // failed is final (the dead letters Options can replay)
+    if (!j || j.status === "done" || j.status === "failed") continue;
+    if (j.status === "running" && now - (j.updatedAt || 0) < RUNNING_STALE_MS) continue;
     if (j.nextRunAt && now < j.nextRunAt) continue;
+    if (!due.has(j.connectorId)) due.set(j.connectorId, []);
+    due.get(j.connectorId).push(j);
+  }
 
-    const connector = connectorById[j.connectorId];
-    if (!connector || !connector.enabled || !connector.url) {
-      await updateJob(id, { status: "failed", error: "missing_connector", updatedAt: now });
-      processed++;
-      continue;
-    }
+  const state = await getDeliveryState();
+  const wake = await Promise.all(
+    [...due].map(([connectorId, list]) => {
+      state[connectorId] = state[connectorId] || {};
+      return deliverFor(connectorById[connectorId], list, state[connectorId]).catch(() => Infinity);
+    })
+  );
+
+  // keep what still matters: sends inside the rate window, pauses not over
+  const later = Date.now();
+  const kept = {};
+  for (const [connectorId, s] of Object.entries(state)) {
+    if (!connectorById[connectorId]) continue;
+    const sentAt = recentSends(s.sentAt, later);
+    const pausedUntil = s.pausedUntil > later ? s.pausedUntil : 0;
+    if (sentAt.length || pausedUntil) kept[connectorId] = { sentAt, pausedUntil };
+  }
+  await setDeliveryState(kept);
+  await schedulePump(Math.min(...wake));
+}
+
+// Send one connector's due jobs; `state` is its delivery state, updated in
+// place -> when its held-back jobs may go (ms), or Infinity
+async function deliverFor(connector, list, state) {
+  const now = Date.now();
+  if (!connector || !connector.enabled || !connector.url) {
+    for (const j of list) await updateJob(j.id, { status: "failed", error: "missing_connector" });
+    return Infinity;
+  }
 
-    // Host permission check (best-effort)
-    const host = sanitizeUrlToHostPattern(connector.url);
-    if (host) {
-      try {
-        const has = await chrome.permissions.contains({ origins: [host] });
-        if (!has) {
-          await updateJob(id, { status: "failed", error: "missing_host_permission", updatedAt: now });
-          processed++;
-          continue;
-        }
-      } catch {}
+  // a sealed secret needs the vault unlocked; wait without using up an attempt
+  let secret = "";
+  try {
+    secret = await connectorSecret(connector);
+  } catch (e) {
+    const error = String(e?.message || e);
+    for (const j of list) await updateJob(j.id, { error, nextRunAt: now + 60_000 });
+    return now + 60_000;
+  }
+
+  // a 429 holds the whole connector until its Retry-After
+  if (state.pausedUntil > now) return state.pausedUntil;
+
+  const policy = deliveryPolicy(connector);
+  state.sentAt = recentSends(state.sentAt, now);
+  const batch = list.slice(0, rateBudget(policy, state.sentAt, now).budget);
+
+  let next = 0;
+  const worker = async () => {
+    while (next < batch.length) {
+      if (state.pausedUntil > Date.now()) return;
+      await attemptJob(batch[next++], connector, secret, policy, state);
     }
+  };
+  await Promise.all(Array.from({ length: Math.min(policy.concurrency, batch.length) }, worker));
 
-    await updateJob(id, { status: "running", attempts: (j.attempts || 0) + 1 });
+  if (state.pausedUntil > Date.now()) return state.pausedUntil;
+  if (list.length > batch.length) return rateBudget(policy, state.sentAt).nextAt;
+  return Infinity;
+}
 
+// One attempt of one job: done, queued again after a backoff, or failed.
+async function attemptJob(j, connector, secret, policy, state) {
+  // Host permission check (best-effort)
+  const host = sanitizeUrlToHostPattern(j.request?.url || connector.url);
+  if (host) {
     try {
-      const res = await sendWebhook({
-        url: connector.url,
-        headers: { ...(connector.headers || {}), ...(j.headers || {}) },
-        body: j.payload,
-        secret: connector.secret || ""
-      });
-
-      if (res.ok) {
-        await updateJob(id, { status: "done", result: { status: res.status }, error: "" });
-      } else {
-        const attempts = (j.attempts || 0) + 1;
-        const backoff = Math.min(60_000 * attempts, 10 * 60_000); // up to 10 min
-        await updateJob(id, {
-          status: attempts >= 5 ? "failed" : "queued",
-          error: `http_${res.status}`,
-          lastResponse: res.text,
-          nextRunAt: Date.now() + backoff
-        });
+      const has = await chrome.permissions.contains({ origins: [host] });
+      if (!has) {
+        await updateJob(j.id, { status: "failed", error: "missing_host_permission" });
+        return;
       }
-    } catch (e) {
-      const attempts = (j.attempts || 0) + 1;
-      const backoff = Math.min(60_000 * attempts, 10 * 60_000);
-      await updateJob(id, {
-        status: attempts >= 5 ? "failed" : "queued",
-        error: String(e?.message || e),
-        nextRunAt: Date.now() + backoff
-      });
-    }
+    } catch {}
+  }
+
+  const attempts = (j.attempts || 0) + 1;
+  state.sentAt.push(Date.now());
+  await updateJob(j.id, { status: "running", attempts });
+
+  // first, so a header the connector sets itself wins
+  const idem = policy.idempotencyKey ? { "Idempotency-Key": idempotencyKey(j) } : {};
+  let res = null;
+  let error = "";
+  try {
+    // a preset's request carries its own URL and body; the token goes in here
+    res = j.request
+      ? await sendWebhook({
+          url: j.request.url,
+          method: j.request.method,
+          headers: { ...idem, ...(j.request.headers || {}), ...authHeaders(connector, secret) },
+          body: j.request.body
+        })
+      : await sendWebhook({
+          url: connector.url,
+          headers: { ...idem, ...(connector.headers || {}), ...(j.headers || {}) },
+          body: j.payload,
+          secret
+        });
+  } catch (e) {
+    error = String(e?.message || e);
+  }
+  const read = res && j.request ? readResponse(j.preset, res) : {};
+
+  if (res?.ok && !read.error) {
+    await updateJob(j.id, { status: "done", result: { status: res.status, ...(read.url ? { url: read.url } : {}) }, error: "", lastResponse: res.text, nextRunAt: 0 });
+    return;
+  }
+
+  const status = res?.status || 0;
+  // an error the service reports in a 200 would come back the same
+  const retry = !read.error && isRetryable(status) && attempts < policy.maxAttempts;
+  const wait = parseRetryAfter(res?.retryAfter) ?? retryDelay(policy, attempts);
+  if (status === 429) state.pausedUntil = Math.max(state.pausedUntil || 0, Date.now() + wait);
+  await updateJob(j.id, {
+    status: retry ? "queued" : "failed",
+    error: error || read.error || `http_${status}`,
+    ...(res ? { lastResponse: res.text } : {}),
+    nextRunAt: retry ? Date.now() + wait : 0
+  });
+}
 
-    processed++;
+// wake the pump when the next held-back job is due (a retry, a rate window,
+// a pause), not just on the next minute
+async function schedulePump(wakeAt = Infinity) {
+  const jobs = await getJobs();
+  let when = wakeAt;
+  for (const id of jobs.order || []) {
+    const j = jobs.byId?.[id];
+    if (j?.status === "queued" && j.nextRunAt) when = Math.min(when, j.nextRunAt);
   }
+  try {
+    if (Number.isFinite(when)) chrome.alarms.create(PUMP_NEXT_ALARM, { when: Math.max(when, Date.now() + 1000) });
+    else await chrome.alarms.clear(PUMP_NEXT_ALARM);
+  } catch {}
 }
 
 async function handleToggleGlobal() {
@@ -518,8 +1552,8 @@ async function downloadText(filename, text, mime = "text/plain") {
 
     // revoke object URL later if used
     if (url.startsWith("blob:")) setTimeout(() => { try { URL.revokeObjectURL(url); } catch {} }, 60_000);
-    return !!id;
+    return id || null;
   } catch {
-    return false;
+    return null;
   }
 }
@@ -1,16 +1,25 @@
 /**
- * Conversation extraction + formatting (ChatGPT)
- * =============================================
- * Resilient DOM capture scoped to <main>.
+ * Conversation extraction + formatting
+ * ====================================
+ * Resilient DOM capture scoped to <main>. The per-site markup lives in
+ * shared/platforms.js; this module only walks whatever the adapter selects.
  */
 
+import { getPlatform, conversationIdFromUrl } from "../shared/platforms.js";
+import { domToMarkdown } from "./markdown.js";
+import { buildMessageTree, alternateBranches } from "../shared/message-tree.js";
+import { estimateTokens, hashConversation, transcript } from "../shared/message-meta.js";
+import { conversationToHtml } from "./html-export.js";
+import { extractArtifacts } from "../shared/payloads.js";
+
+export { extractArtifacts };
+
 export function getConversationKeyFromUrl(url = location.href) {
   try {
-    const u = new URL(url);
-    // ChatGPT conversations: /c/<id>
-    const m = u.pathname.match(/\/c\/([a-zA-Z0-9_-]+)/);
-    if (m?.[1]) return `c_${m[1]}`;
+    const stable = conversationIdFromUrl(url);
+    if (stable) return stable;
     // fallback: temporary key
+    const u = new URL(url);
     const tmp = `${u.pathname}${u.search}`.replace(/[^a-zA-Z0-9_-]/g, "_").slice(0, 120);
     return `tmp_${tmp || "new"}`;
   } catch {
@@ -18,11 +27,27 @@ export function getConversationKeyFromUrl(url = location.href) {
   }
 }
 
-export function getConversationTitle() {
+function escapeRe(s) {
+  return String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+export function getConversationTitle(platform = getPlatform(location.href), messages = []) {
+  const label = platform.label;
+  const fallback = `${label} Conversation`;
   const t = (document.title || "").trim();
-  if (!t) return "ChatGPT Conversation";
-  // Strip common suffixes
-  return t.replace(/\s*[-–—]\s*ChatGPT\s*$/i, "").replace(/^ChatGPT\s*[-–—]\s*/i, "").trim() || "ChatGPT Conversation";
+  // Strip common suffixes/prefixes ("Foo - ChatGPT", "Claude | Foo")
+  const re = escapeRe(label);
+  const stripped = t
+    .replace(new RegExp(`\\s*[-–—|]\\s*${re}\\s*$`, "i"), "")
+    .replace(new RegExp(`^${re}\\s*[-–—|]\\s*`, "i"), "")
+    .trim();
+  if (stripped && stripped.toLowerCase() !== label.toLowerCase()) return stripped;
+
+  // Sites like Gemini keep a fixed document title: use the first prompt instead.
+  const first = messages.find((m) => m.role === "user")?.text || "";
+  const line = first.split("\n")[0].trim();
+  if (line) return line.length > 80 ? `${line.slice(0, 77)}…` : line;
+  return fallback;
 }
 
 export function normalizeText(s) {
@@ -32,55 +57,243 @@ export function normalizeText(s) {
     .trim();
 }
 
+function collectTurns(platform, main) {
+  const selector = platform.turns.map((t) => t.selector).join(", ");
+  const nodes = Array.from(main.querySelectorAll(selector));
+  // Drop nested matches so each turn is captured once (document order is kept).
+  const top = nodes.filter((n) => !nodes.some((o) => o !== n && o.contains(n)));
+
+  return top.map((node) => {
+    const spec = platform.turns.find((t) => node.matches(t.selector)) || {};
+    const role = spec.roleAttr ? node.getAttribute(spec.roleAttr) || "unknown" : spec.role || "unknown";
+    let contentNode = node;
+    for (const sel of platform.content || []) {
+      const found = node.querySelector(sel);
+      if (found) { contentNode = found; break; }
+    }
+    return { role, node, contentNode };
+  });
+}
+
+function readMessageId(platform, node) {
+  const attr = platform.messageIdAttr;
+  if (!attr) return "";
+  return node.getAttribute(attr) || node.closest(`[${attr}]`)?.getAttribute(attr) || node.querySelector(`[${attr}]`)?.getAttribute(attr) || "";
+}
+
+function readModel(platform, node) {
+  const attr = platform.modelAttr;
+  if (!attr) return "";
+  return node.getAttribute(attr) || node.closest(`[${attr}]`)?.getAttribute(attr) || node.querySelector(`[${attr}]`)?.getAttribute(attr) || "";
+}
+
+// Model name shown in the page header (model picker), if the site has one.
+function readPageModel(platform) {
+  if (!platform.modelSelector) return "";
+  try {
+    return (document.querySelector(platform.modelSelector)?.innerText || "").replace(/\s+/g, " ").trim().slice(0, 80);
+  } catch {
+    return "";
+  }
+}
+
+// Reads the "2 / 3" label of a branch switcher belonging to this turn.
+function readVersion(platform, node) {
+  const spec = platform.versions;
+  if (!spec) return null;
+  const turn = node.closest(spec.container) || node.parentElement;
+  if (!turn) return null;
+  for (const el of turn.querySelectorAll("div, span")) {
+    if (el.children.length) continue;
+    const m = (el.textContent || "").trim().match(/^(\d+)\s*\/\s*(\d+)$/);
+    if (m && Number(m[2]) > 1) return { version: Number(m[1]), versionCount: Number(m[2]) };
+  }
+  return null;
+}
+
 export function extractConversation({ root = null } = {}) {
+  const url = location.href;
+  const platform = getPlatform(url);
   const main = root || document.querySelector("main") || document.body;
-  const nodes = Array.from(main.querySelectorAll("[data-message-author-role]"));
 
-  const messages = [];
-  for (const node of nodes) {
-    const role = node.getAttribute("data-message-author-role") || "unknown";
-    const contentNode =
-      node.querySelector("[data-message-content]") ||
-      node.querySelector(".markdown") ||
-      node;
+  let turns = collectTurns(platform, main);
+  // Some sites render the thread outside <main>; retry against the whole page.
+  if (!turns.length && !root && main !== document.body) turns = collectTurns(platform, document.body);
 
+  const pageModel = readPageModel(platform);
+  const messages = [];
+  for (const { role, node, contentNode } of turns) {
     const text = normalizeText(contentNode?.innerText || contentNode?.textContent || "");
     if (!text) continue;
 
-    messages.push({ role, text });
+    // text: plain (TXT export, hashing); markdown: structure-preserving
+    let markdown = "";
+    try { markdown = domToMarkdown(contentNode); } catch {}
+
+    const msg = { role, text, markdown: markdown || text };
+    const messageId = readMessageId(platform, node);
+    if (messageId) msg.messageId = messageId;
+    const v = readVersion(platform, node);
+    if (v) Object.assign(msg, v);
+    const model = readModel(platform, node) || (role === "assistant" ? pageModel : "");
+    if (model) msg.model = model;
+    msg.tokens = estimateTokens(text);
+    messages.push(msg);
   }
 
-  const url = location.href;
   const id = getConversationKeyFromUrl(url);
-  const title = getConversationTitle();
+  const title = getConversationTitle(platform, messages);
 
-  return {
+  const conv = {
     id,
     title,
     url,
+    platform: platform.id,
     ts: new Date().toISOString(),
+    model: [...messages].reverse().find((m) => m.model)?.model || pageModel,
+    tokens: messages.reduce((n, m) => n + (m.tokens || 0), 0),
     messages,
-    text: messages.map((m) => `[${m.role.toUpperCase()}]\n${m.text}\n`).join("\n"),
+    text: transcript(messages),
   };
+  // Only branch-aware sites get a tree; storage merges it so older branches survive.
+  if (platform.versions) conv.messageTree = buildMessageTree(messages);
+  return conv;
+}
+
+function roleLabel(role) {
+  return role === "user" ? { icon: "🧑", name: "User" } : { icon: "🤖", name: "Assistant" };
+}
+
+function versionTag(m) {
+  return (m.versionCount || 1) > 1 ? ` (version ${m.version || 1}/${m.versionCount})` : "";
+}
+
+const FILE_INFO = {
+  txt: { ext: "txt", mime: "text/plain" },
+  md: { ext: "md", mime: "text/markdown" },
+  json: { ext: "json", mime: "application/json" },
+  html: { ext: "html", mime: "text/html" },
+  obsidian: { ext: "md", mime: "text/markdown" },
+};
+
+/**
+ * File extension + MIME type for an export format ("markdown" is an alias of "md").
+ */
+export function exportFileInfo(format = "txt") {
+  return FILE_INFO[format === "markdown" ? "md" : format] || FILE_INFO.txt;
+}
+
+/**
+ * Download name for an export. Obsidian files are named after the title with
+ * the characters wiki-links and file systems reject removed, so [[Title]] resolves.
+ */
+export function exportFileName(conversation, format = "txt") {
+  const { ext } = exportFileInfo(format);
+  const id = conversation?.id || "conversation";
+  if (format !== "obsidian") return `${id}-${Date.now()}.${ext}`;
+  const base = String(conversation?.title || "")
+    .replace(/[\[\]#^|\\/:*?"<>\u0000-\u001f]/g, " ")
+    .replace(/\s+/g, " ")
+    .replace(/^[\s.]+|[\s.]+$/g, "")
+    .slice(0, 120)
+    .trim();
+  return `${base || id}.${ext}`;
+}
+
+function yamlString(s) {
+  // JSON strings are valid YAML double-quoted scalars
+  return JSON.stringify(String(s ?? ""));
+}
+
+function obsidianTag(tag) {
+  return String(tag || "").trim().replace(/^#+/, "").replace(/\s+/g, "-").replace(/[^\p{L}\p{N}_/-]/gu, "");
+}
+
+function isoDate(ts) {
+  const d = new Date(ts || 0);
+  return Number.isNaN(d.getTime()) || !ts ? "" : d.toISOString();
+}
+
+function messagesMarkdown(c, alternates) {
+  let md = "";
+  for (const m of c.messages || []) {
+    const { icon, name } = roleLabel(m.role);
+    md += `## ${icon} ${name}${alternates.length ? versionTag(m) : ""}\n\n${m.markdown || m.text}\n\n---\n\n`;
+  }
+  if (alternates.length) {
+    md += `# Other branches\n\n`;
+    for (const b of alternates) {
+      md += `## Branch at message ${b.forkIndex + 1}${versionTag(b.node)}\n\n`;
+      for (const m of b.messages) {
+        const { icon, name } = roleLabel(m.role);
+        md += `### ${icon} ${name}${versionTag(m)}\n\n${m.markdown || m.text}\n\n`;
+      }
+      md += `---\n\n`;
+    }
+  }
+  return md;
+}
+
+/**
+ * Obsidian / Logseq flavour: YAML front matter from the saved record
+ * (tags, pinned, created/updated), then the transcript, then notes and
+ * extracted tasks/decisions as lists.
+ */
+function formatObsidian(c, alternates) {
+  const tags = Array.from(new Set((c.tags || []).map(obsidianTag).filter(Boolean)));
+  const fm = [
+    "---",
+    `title: ${yamlString(c.title)}`,
+    `url: ${yamlString(c.url)}`,
+    `platform: ${yamlString(c.platform || "")}`,
+    `created: ${isoDate(c.createdAt || c.ts)}`,
+    `updated: ${isoDate(c.updatedAt || c.ts)}`,
+    tags.length ? `tags:\n${tags.map((t) => `  - ${yamlString(t)}`).join("\n")}` : "tags: []",
+    `pinned: ${!!c.pinned}`,
+  ];
+  if (c.model) fm.push(`model: ${yamlString(c.model)}`);
+  fm.push(`conversation_id: ${yamlString(c.id)}`, "---");
+
+  let md = `${fm.join("\n")}\n\n# ${c.title}\n\n`;
+  md += messagesMarkdown(c, alternates);
+
+  const notes = String(c.notes || "").trim();
+  if (notes) md += `## Notes\n\n${notes}\n\n`;
+
+  const { tasks, decisions } = extractArtifacts(c);
+  if (tasks.length) md += `## Tasks\n\n${tasks.map((t) => `- [ ] ${t}`).join("\n")}\n\n`;
+  if (decisions.length) md += `## Decisions\n\n${decisions.map((d) => `- ${d}`).join("\n")}\n\n`;
+
+  return md.trim() + "\n";
 }
 
-export function formatConversation(conversation, format = "txt") {
+/**
+ * formatConversation(conversation, format, { branches })
+ * - format: "txt" | "md" | "json" | "html" (self-contained page, see html-export.js)
+ *   | "obsidian" (md + YAML front matter, notes, tasks; pass a record with saved meta)
+ * - branches: "current" (default) exports the visible branch only;
+ *   "tree" also exports earlier edits/regenerations kept in messageTree.
+ */
+export function formatConversation(conversation, format = "txt", { branches = "current" } = {}) {
   const c = conversation;
   if (!c) return "";
+  const alternates = branches === "tree" ? alternateBranches(c.messageTree) : [];
 
   if (format === "json") {
-    return JSON.stringify(c, null, 2);
+    if (branches === "tree") return JSON.stringify(c, null, 2);
+    const { messageTree, ...rest } = c;
+    return JSON.stringify(rest, null, 2);
   }
 
+  if (format === "html") return conversationToHtml(c, { branches });
+
+  if (format === "obsidian") return formatObsidian(c, alternates);
+
   if (format === "md" || format === "markdown") {
     let md = `# ${c.title}\n\n`;
     md += `**Date:** ${new Date(c.ts).toLocaleString()}\n\n`;
     md += `**URL:** ${c.url}\n\n---\n\n`;
-    for (const m of c.messages || []) {
-      const icon = m.role === "user" ? "🧑" : "🤖";
-      const name = m.role === "user" ? "User" : "Assistant";
-      md += `## ${icon} ${name}\n\n${m.text}\n\n---\n\n`;
-    }
+    md += messagesMarkdown(c, alternates);
     return md.trim() + "\n";
   }
 
@@ -90,18 +303,19 @@ export function formatConversation(conversation, format = "txt") {
   out += `URL: ${c.url}\n`;
   out += `${"=".repeat(60)}\n\n`;
   for (const m of c.messages || []) {
-    out += `[${(m.role || "unknown").toUpperCase()}]\n${m.text}\n\n`;
+    out += `[${(m.role || "unknown").toUpperCase()}]${alternates.length ? versionTag(m) : ""}\n${m.text}\n\n`;
+  }
+  if (alternates.length) {
+    out += `${"=".repeat(60)}\nOTHER BRANCHES\n${"=".repeat(60)}\n\n`;
+    for (const b of alternates) {
+      out += `--- Branch at message ${b.forkIndex + 1}${versionTag(b.node)} ---\n\n`;
+      for (const m of b.messages) {
+        out += `[${(m.role || "unknown").toUpperCase()}]${versionTag(m)}\n${m.text}\n\n`;
+      }
+    }
   }
   return out.trim() + "\n";
 }
 
-export function hashConversation(conversation) {
-  const s = (conversation?.messages || []).map((m) => `${m.role}:${m.text}`).join("\n");
-  // lightweight hash (FNV-1a)
-  let h = 2166136261;
-  for (let i = 0; i < s.length; i++) {
-    h ^= s.charCodeAt(i);
-    h = Math.imul(h, 16777619);
-  }
-  return (h >>> 0).toString(16);
-}
+// moved to shared/message-meta.js (the service worker keys revisions with it)
+export { hashConversation };
@@ -0,0 +1,365 @@
+/**
+ * HTML export
+ * ===========
+ * Renders a conversation as one offline HTML file: inline CSS + a tiny inline
+ * script, no external requests. Collapsible turns, table of contents, copy
+ * buttons on code blocks, light/dark/auto themes, keyword-level highlighting.
+ *
+ * Input is the Markdown produced by content/markdown.js, so the renderer only
+ * needs to understand that dialect (fences, GFM tables, lists, quotes, math).
+ */
+
+import { alternateBranches } from "../shared/message-tree.js";
+
+function esc(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// the text esc() made, back; link targets are captured after the whole line
+// was escaped and are escaped again when written out
+function unesc(s) {
+  return String(s ?? "")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&");
+}
+
+function safeHref(url) {
+  const u = String(url || "").trim();
+  if (/^(https?:|mailto:|#|\/)/i.test(u) || !/^[a-z][a-z0-9+.-]*:/i.test(u)) return u;
+  return "#";
+}
+
+// ---- Syntax highlighting ------------------------------------------------
+
+const KEYWORDS = new Set((
+  "abstract and as async await break case catch class const continue def default defer del delete do elif else " +
+  "enum except export extends false final finally fn for from func function go if impl import in interface is " +
+  "lambda let match mod module mut new nil none None not null or package pass private protected pub public raise " +
+  "return self select static struct super switch this throw throws trait true True False try type typeof undefined " +
+  "union unsafe use val var void where while with yield SELECT FROM WHERE JOIN INSERT UPDATE DELETE INTO VALUES " +
+  "GROUP BY ORDER LIMIT AND OR NOT NULL AS ON CREATE TABLE"
+).split(" "));
+
+const HASH_COMMENT = new Set(["python", "py", "ruby", "rb", "bash", "sh", "shell", "zsh", "yaml", "yml", "toml", "r", "perl", "powershell", "ps1", "dockerfile", "makefile"]);
+
+export function highlightCode(code, lang = "") {
+  const l = String(lang || "").toLowerCase();
+  const comment = HASH_COMMENT.has(l) ? "#[^\\n]*" : l === "sql" ? "--[^\\n]*" : "\\/\\/[^\\n]*|\\/\\*[\\s\\S]*?\\*\\/";
+  const re = new RegExp(
+    `(${comment})|("(?:\\\\.|[^"\\\\\\n])*"|'(?:\\\\.|[^'\\\\\\n])*'|\`(?:\\\\.|[^\`\\\\])*\`)|(\\b\\d+(?:\\.\\d+)?\\b)|(\\b[A-Za-z_][\\w]*\\b)`,
+    "g"
+  );
+  let out = "";
+  let last = 0;
+  let m;
+  while ((m = re.exec(code)) !== null) {
+    out += esc(code.slice(last, m.index));
+    if (m[1]) out += `<span class="tk-c">${esc(m[1])}</span>`;
+    else if (m[2]) out += `<span class="tk-s">${esc(m[2])}</span>`;
+    else if (m[3]) out += `<span class="tk-n">${esc(m[3])}</span>`;
+    else if (KEYWORDS.has(m[4])) out += `<span class="tk-k">${esc(m[4])}</span>`;
+    else out += esc(m[4]);
+    last = m.index + m[0].length;
+  }
+  return out + esc(code.slice(last));
+}
+
+// ---- Markdown → HTML -----------------------------------------------------
+
+function inline(text) {
+  const slots = [];
+  const keep = (html) => `\u0000${slots.push(html) - 1}\u0000`;
+
+  let s = String(text || "")
+    .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (_, __, code) => keep(`<code>${esc(code.trim())}</code>`))
+    // $x$ is TeX only when the dollars hug it and no digit follows ("costs $5 and $10" is money)
+    .replace(/\$(?=\S)([^$\n]*?\S)\$(?!\d)/g, (_, tex) => keep(`<span class="math">${esc(tex)}</span>`));
+
+  s = esc(s)
+    .replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, (_, alt, src) => keep(`<img alt="${alt}" src="${esc(safeHref(unesc(src)))}">`))
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (_, label, href) => keep(`<a href="${esc(safeHref(unesc(href)))}">${label}</a>`))
+    .replace(/(^|[\s(])(https?:\/\/[^\s<)]+)/g, (_, pre, url) => `${pre}${keep(`<a href="${url}">${url}</a>`)}`)
+    .replace(/\*\*([^*]+?)\*\*/g, "<strong>$1</strong>")
+    .replace(/(^|[^*\w])\*([^*\s][^*]*?)\*(?!\*)/g, "$1<em>$2</em>")
+    .replace(/~~([^~]+?)~~/g, "<del>$1</del>")
+    .replace(/ {2}\n/g, "<br>\n");
+
+  return s.replace(/\u0000(\d+)\u0000/g, (_, i) => slots[Number(i)]);
+}
+
+const FENCE_RE = /^\s*(`{3,}|~{3,})\s*([\w+#.-]*)\s*$/;
+const LIST_RE = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const TABLE_SEP_RE = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+
+function splitRow(line) {
+  return line.trim().replace(/^\|/, "").replace(/\|$/, "").split(/(?<!\\)\|/).map((c) => c.trim().replace(/\\\|/g, "|"));
+}
+
+function codeBlock(code, lang) {
+  return `<div class="code"><div class="code-head"><span>${esc(lang || "code")}</span><button type="button" class="copy">Copy</button></div>` +
+    `<pre><code>${highlightCode(code, lang)}</code></pre></div>`;
+}
+
+function isBlockStart(line, next) {
+  return FENCE_RE.test(line) || /^#{1,6}\s/.test(line) || /^\s*>/.test(line) || LIST_RE.test(line) ||
+    /^\s*\$\$\s*$/.test(line) || /^\s*([-*_])(\s*\1){2,}\s*$/.test(line) || (line.includes("|") && TABLE_SEP_RE.test(next || ""));
+}
+
+export function markdownToHtml(md) {
+  const lines = String(md || "").replace(/\r\n/g, "\n").split("\n");
+  const out = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    const f = line.match(FENCE_RE);
+    if (f) {
+      const body = [];
+      i++;
+      while (i < lines.length && !(lines[i].trim().startsWith(f[1][0].repeat(f[1].length)) && lines[i].trim().replace(/[`~]/g, "") === "")) body.push(lines[i++]);
+      i++;
+      out.push(codeBlock(body.join("\n"), f[2]));
+      continue;
+    }
+
+    if (/^\s*\$\$\s*$/.test(line)) {
+      const body = [];
+      i++;
+      while (i < lines.length && !/^\s*\$\$\s*$/.test(lines[i])) body.push(lines[i++]);
+      i++;
+      out.push(`<div class="math block">${esc(body.join("\n"))}</div>`);
+      continue;
+    }
+
+    if (!line.trim()) { i++; continue; }
+
+    const h = line.match(/^(#{1,6})\s+(.*)$/);
+    if (h) {
+      out.push(`<h${h[1].length}>${inline(h[2])}</h${h[1].length}>`);
+      i++;
+      continue;
+    }
+
+    if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      out.push("<hr>");
+      i++;
+      continue;
+    }
+
+    if (line.includes("|") && TABLE_SEP_RE.test(lines[i + 1] || "")) {
+      const head = splitRow(line);
+      const aligns = splitRow(lines[i + 1]).map((c) => (c.startsWith(":") && c.endsWith(":") ? "center" : c.endsWith(":") ? "right" : c.startsWith(":") ? "left" : ""));
+      i += 2;
+      const rows = [];
+      while (i < lines.length && lines[i].includes("|") && lines[i].trim()) rows.push(splitRow(lines[i++]));
+      const cell = (tag, c, k) => `<${tag}${aligns[k] ? ` style="text-align:${aligns[k]}"` : ""}>${inline(c).replace(/&lt;br&gt;/g, "<br>")}</${tag}>`;
+      out.push(`<table><thead><tr>${head.map((c, k) => cell("th", c, k)).join("")}</tr></thead><tbody>${
+        rows.map((r) => `<tr>${head.map((_, k) => cell("td", r[k] ?? "", k)).join("")}</tr>`).join("")
+      }</tbody></table>`);
+      continue;
+    }
+
+    if (/^\s*>/.test(line)) {
+      const body = [];
+      while (i < lines.length && /^\s*>/.test(lines[i])) body.push(lines[i++].replace(/^\s*> ?/, ""));
+      out.push(`<blockquote>${markdownToHtml(body.join("\n"))}</blockquote>`);
+      continue;
+    }
+
+    const li = line.match(LIST_RE);
+    if (li) {
+      const base = li[1].length;
+      const ordered = /\d/.test(li[2]);
+      const items = [];
+      let loose = false;
+      while (i < lines.length) {
+        const cur = lines[i];
+        const m = cur.match(LIST_RE);
+        if (m && m[1].length === base && /\d/.test(m[2]) !== ordered) break;
+        if (m && m[1].length === base) {
+          items.push({ start: ordered ? parseInt(m[2], 10) : 0, lines: [m[3]], indent: base + m[2].length + 1 });
+          i++;
+          continue;
+        }
+        if (!cur.trim()) {
+          // blank line: list continues only if the next line is indented or another item
+          const next = lines[i + 1] || "";
+          const nm = next.match(LIST_RE);
+          if ((nm && nm[1].length >= base) || (next.trim() && next.match(/^\s*/)[0].length > base)) {
+            loose = loose || !!(nm && nm[1].length === base) || !nm;
+            items[items.length - 1].lines.push("");
+            i++;
+            continue;
+          }
+          break;
+        }
+        if (cur.match(/^\s*/)[0].length > base && items.length) {
+          const it = items[items.length - 1];
+          it.lines.push(cur.slice(Math.min(it.indent, cur.match(/^\s*/)[0].length)));
+          i++;
+          continue;
+        }
+        break;
+      }
+      const tag = ordered ? "ol" : "ul";
+      const start = ordered && items[0]?.start > 1 ? ` start="${items[0].start}"` : "";
+      out.push(`<${tag}${start}>${items.map((it) => {
+        let html = markdownToHtml(it.lines.join("\n"));
+        if (!loose) html = html.replace(/^<p>([\s\S]*?)<\/p>/, "$1");
+        return `<li>${html}</li>`;
+      }).join("")}</${tag}>`);
+      continue;
+    }
+
+    const para = [];
+    while (i < lines.length && lines[i].trim() && !(para.length && isBlockStart(lines[i], lines[i + 1]))) para.push(lines[i++]);
+    out.push(`<p>${inline(para.join("\n"))}</p>`);
+  }
+
+  return out.join("\n");
+}
+
+// ---- Document ------------------------------------------------------------
+
+const STYLE = `
+:root{--bg:#ffffff;--fg:#111827;--muted:#6b7280;--card:#f9fafb;--border:#e5e7eb;--accent:#10a37f;--code:#0f172a;--code-fg:#e5e7eb;
+  --k:#c084fc;--s:#86efac;--n:#fbbf24;--c:#94a3b8}
+:root[data-theme="dark"]{--bg:#0b1220;--fg:#e5e7eb;--muted:#9ca3af;--card:#111827;--border:#1f2937;--code:#020617}
+@media (prefers-color-scheme: dark){:root[data-theme="auto"]{--bg:#0b1220;--fg:#e5e7eb;--muted:#9ca3af;--card:#111827;--border:#1f2937;--code:#020617}}
+*{box-sizing:border-box}
+body{margin:0;background:var(--bg);color:var(--fg);font:15px/1.6 ui-sans-serif,system-ui,-apple-system,Segoe UI,Roboto,Arial,sans-serif}
+.wrap{max-width:920px;margin:0 auto;padding:28px 20px 60px}
+header h1{margin:0 0 6px;font-size:24px}
+.meta{color:var(--muted);font-size:13px;word-break:break-all}
+.meta a{color:inherit}
+.tools{display:flex;gap:8px;margin:14px 0}
+button{font:600 12px ui-sans-serif,system-ui;padding:6px 10px;border-radius:8px;border:1px solid var(--border);background:var(--card);color:var(--fg);cursor:pointer}
+nav.toc{background:var(--card);border:1px solid var(--border);border-radius:12px;padding:10px 16px;margin-bottom:18px}
+nav.toc h2{font-size:14px;margin:4px 0}
+nav.toc ol{margin:0;padding-left:22px;font-size:13px}
+nav.toc a{color:inherit;text-decoration:none}
+nav.toc a:hover{text-decoration:underline}
+details.turn{border:1px solid var(--border);border-radius:12px;margin:12px 0;background:var(--bg)}
+details.turn>summary{cursor:pointer;padding:10px 14px;font-weight:700;list-style:none;display:flex;gap:10px;align-items:baseline}
+details.turn>summary::-webkit-details-marker{display:none}
+details.turn>summary .preview{font-weight:400;color:var(--muted);font-size:13px;white-space:nowrap;overflow:hidden;text-overflow:ellipsis}
+details.turn[open]>summary .preview{display:none}
+details.turn.user{background:var(--card)}
+details.turn .body{padding:0 16px 12px}
+h2.branches{margin-top:36px;font-size:18px}
+.code{margin:12px 0;border-radius:10px;overflow:hidden;background:var(--code);color:var(--code-fg)}
+.code-head{display:flex;justify-content:space-between;align-items:center;padding:6px 10px;font-size:12px;color:#94a3b8;border-bottom:1px solid rgba(255,255,255,.08)}
+.code-head button{background:transparent;color:#cbd5e1;border-color:rgba(255,255,255,.18)}
+pre{margin:0;padding:12px;overflow:auto}
+pre code{font:13px/1.5 ui-monospace,SFMono-Regular,Menlo,Consolas,monospace;background:none;padding:0}
+code{font-family:ui-monospace,SFMono-Regular,Menlo,Consolas,monospace;font-size:.9em;background:var(--card);border:1px solid var(--border);border-radius:5px;padding:0 4px}
+.tk-k{color:var(--k)}.tk-s{color:var(--s)}.tk-n{color:var(--n)}.tk-c{color:var(--c);font-style:italic}
+table{border-collapse:collapse;margin:12px 0;display:block;overflow:auto}
+th,td{border:1px solid var(--border);padding:6px 10px}
+th{background:var(--card)}
+blockquote{margin:10px 0;padding:2px 14px;border-left:3px solid var(--accent);color:var(--muted)}
+.math{font-family:"Cambria Math","STIX Two Math",serif}
+.math.block{display:block;text-align:center;margin:10px 0;white-space:pre-wrap}
+img{max-width:100%}
+@media print{.tools,nav.toc{display:none}details.turn{break-inside:avoid}}
+`;
+
+const SCRIPT = `
+(function(){
+  var root=document.documentElement;
+  var order=["auto","light","dark"];
+  document.getElementById("theme").addEventListener("click",function(){
+    var cur=root.getAttribute("data-theme")||"auto";
+    var next=order[(order.indexOf(cur)+1)%order.length];
+    root.setAttribute("data-theme",next);
+    this.textContent="Theme: "+next;
+  });
+  function all(open){document.querySelectorAll("details.turn").forEach(function(d){d.open=open;});}
+  document.getElementById("expand").addEventListener("click",function(){all(true);});
+  document.getElementById("collapse").addEventListener("click",function(){all(false);});
+  document.querySelectorAll("nav.toc a").forEach(function(a){
+    a.addEventListener("click",function(){var t=document.getElementById(a.getAttribute("href").slice(1));if(t)t.open=true;});
+  });
+  document.querySelectorAll(".code .copy").forEach(function(btn){
+    btn.addEventListener("click",function(){
+      var code=btn.closest(".code").querySelector("code").innerText;
+      var done=function(){btn.textContent="Copied";setTimeout(function(){btn.textContent="Copy";},1200);};
+      if(navigator.clipboard&&navigator.clipboard.writeText){navigator.clipboard.writeText(code).then(done,function(){fallback(code);done();});}
+      else{fallback(code);done();}
+    });
+  });
+  function fallback(text){var ta=document.createElement("textarea");ta.value=text;document.body.appendChild(ta);ta.select();try{document.execCommand("copy");}catch(e){}ta.remove();}
+})();
+`;
+
+function preview(m) {
+  const line = String(m.text || "").split("\n").find((l) => l.trim()) || "";
+  return line.length > 90 ? `${line.slice(0, 87)}…` : line;
+}
+
+function turn(m, anchor, label) {
+  const who = m.role === "user" ? "🧑 User" : "🤖 Assistant";
+  return `<details class="turn ${m.role === "user" ? "user" : "assistant"}" id="${anchor}" open>` +
+    `<summary><span class="role">${esc(who)}${label ? ` <small>${esc(label)}</small>` : ""}</span><span class="preview">${esc(preview(m))}</span></summary>` +
+    `<div class="body">${markdownToHtml(m.markdown || m.text || "")}</div></details>`;
+}
+
+function versionLabel(m) {
+  return (m.versionCount || 1) > 1 ? `version ${m.version || 1}/${m.versionCount}` : "";
+}
+
+/**
+ * Full HTML document for a conversation.
+ */
+export function conversationToHtml(c, { branches = "current" } = {}) {
+  const messages = c.messages || [];
+  const alternates = branches === "tree" ? alternateBranches(c.messageTree) : [];
+  const date = new Date(c.ts || c.updatedAt || Date.now()).toLocaleString();
+
+  const toc = messages.map((m, i) => `<li><a href="#m${i + 1}">${esc(m.role === "user" ? "User" : "Assistant")}: ${esc(preview(m))}</a></li>`).join("");
+  const turns = messages.map((m, i) => turn(m, `m${i + 1}`, alternates.length ? versionLabel(m) : "")).join("\n");
+
+  let other = "";
+  if (alternates.length) {
+    other = `<h2 class="branches">Other branches</h2>` + alternates.map((b, k) =>
+      `<h3>Branch at message ${b.forkIndex + 1}${versionLabel(b.node) ? ` (${esc(versionLabel(b.node))})` : ""}</h3>` +
+      b.messages.map((m, j) => turn(m, `b${k + 1}-${j + 1}`, versionLabel(m))).join("\n")
+    ).join("\n");
+  }
+
+  return `<!doctype html>
+<html lang="en" data-theme="auto">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width,initial-scale=1">
+<meta name="generator" content="Superpower ChatGPT 2.0">
+<title>${esc(c.title || "Conversation")}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<div class="wrap">
+<header>
+<h1>${esc(c.title || "Conversation")}</h1>
+<div class="meta">${esc(date)}${c.platform ? ` • ${esc(c.platform)}` : ""}${c.model ? ` • ${esc(c.model)}` : ""}${c.url ? ` • <a href="${esc(safeHref(c.url))}">${esc(c.url)}</a>` : ""}</div>
+<div class="tools"><button type="button" id="theme">Theme: auto</button><button type="button" id="expand">Expand all</button><button type="button" id="collapse">Collapse all</button></div>
+</header>
+<nav class="toc"><h2>Contents</h2><ol>${toc}</ol></nav>
+<main>
+${turns}
+${other}
+</main>
+</div>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
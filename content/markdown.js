@@ -0,0 +1,265 @@
+/**
+ * DOM → Markdown
+ * ==============
+ * Walks rendered message nodes (`.markdown`, `.prose`, …) and emits real
+ * Markdown: fenced code with language tags, GFM tables, nested lists,
+ * headings, links, inline code and KaTeX math as `$…$` / `$$…$$`.
+ *
+ * The walker never touches layout APIs except for a single whitespace check
+ * on the root, so it also works on detached trees (DOMParser output).
+ */
+
+const BLOCK_TAGS = new Set([
+  "ADDRESS", "ARTICLE", "ASIDE", "BLOCKQUOTE", "DETAILS", "DIV", "DL", "DD", "DT", "FIELDSET",
+  "FIGCAPTION", "FIGURE", "FOOTER", "FORM", "H1", "H2", "H3", "H4", "H5", "H6", "HEADER",
+  "HR", "LI", "MAIN", "NAV", "OL", "P", "PRE", "SECTION", "SUMMARY", "TABLE", "TBODY", "THEAD",
+  "TFOOT", "TR", "UL",
+]);
+
+const SKIP_TAGS = new Set(["BUTTON", "SCRIPT", "STYLE", "NOSCRIPT", "SVG", "TEMPLATE", "TEXTAREA", "INPUT", "SELECT"]);
+
+function isPreWrap(el) {
+  if (!el || el.nodeType !== 1) return false;
+  if (/\bwhitespace-pre/.test(String(el.className || ""))) return true;
+  return /^pre/.test(el.style?.whiteSpace || "");
+}
+
+function longestRun(text, ch) {
+  let best = 0;
+  let cur = 0;
+  for (const c of text) {
+    cur = c === ch ? cur + 1 : 0;
+    if (cur > best) best = cur;
+  }
+  return best;
+}
+
+function texOf(el) {
+  const ann = el.querySelector("annotation[encoding='application/x-tex']");
+  return (ann?.textContent || "").trim();
+}
+
+function codeLanguage(pre, code) {
+  const cls = `${code?.className || ""} ${pre.className || ""}`;
+  const m = cls.match(/(?:language|lang)-([\w+#.-]+)/i);
+  if (m?.[1]) return m[1].toLowerCase();
+  // ChatGPT renders the language as a header label inside <pre>, outside <code>.
+  for (const el of pre.querySelectorAll("div, span")) {
+    if (code && (el.contains(code) || code.contains(el))) continue;
+    const t = (el.textContent || "").trim();
+    if (t && t.length <= 24 && /^[\w+#.-]+$/.test(t)) return t.toLowerCase();
+  }
+  return "";
+}
+
+function fence(pre) {
+  const code = pre.querySelector("code");
+  const lang = codeLanguage(pre, code);
+  const body = String((code || pre).textContent || "").replace(/\n$/, "");
+  const ticks = "`".repeat(Math.max(3, longestRun(body, "`") + 1));
+  return `\n\n${ticks}${lang}\n${body}\n${ticks}\n\n`;
+}
+
+function inlineCode(el) {
+  const text = String(el.textContent || "");
+  const ticks = "`".repeat(longestRun(text, "`") + 1);
+  const pad = text.startsWith("`") || text.endsWith("`") ? " " : "";
+  return `${ticks}${pad}${text}${pad}${ticks}`;
+}
+
+function cellText(cell, ctx) {
+  return collapse(renderChildren(cell, { ...ctx, inTable: true }))
+    .trim()
+    .replace(/\n+/g, "<br>")
+    .replace(/\|/g, "\\|");
+}
+
+function table(el, ctx) {
+  const rows = Array.from(el.querySelectorAll("tr")).filter((tr) => tr.closest("table") === el);
+  if (!rows.length) return "";
+  const grid = rows.map((tr) => Array.from(tr.children).filter((c) => /^T[HD]$/.test(c.tagName)));
+  const width = Math.max(...grid.map((r) => r.length));
+  if (!width) return "";
+
+  const line = (cells) => `| ${Array.from({ length: width }, (_, i) => cells[i] ?? "").join(" | ")} |`;
+  const head = grid[0];
+  const align = Array.from({ length: width }, (_, i) => {
+    const c = head[i];
+    const a = (c?.getAttribute("align") || c?.style?.textAlign || "").toLowerCase();
+    if (a === "center") return ":---:";
+    if (a === "right") return "---:";
+    if (a === "left") return ":---";
+    return "---";
+  });
+
+  const out = [line(head.map((c) => cellText(c, ctx))), line(align)];
+  for (const r of grid.slice(1)) out.push(line(r.map((c) => cellText(c, ctx))));
+  return `\n\n${out.join("\n")}\n\n`;
+}
+
+function list(el, ctx) {
+  const ordered = el.tagName === "OL";
+  let n = Number(el.getAttribute("start")) || 1;
+  const items = [];
+  for (const li of Array.from(el.children)) {
+    if (li.tagName !== "LI") continue;
+    const marker = ordered ? `${n++}. ` : "- ";
+    const indent = " ".repeat(marker.length);
+    const body = collapse(renderChildren(li, { ...ctx, listDepth: ctx.listDepth + 1 })).trim();
+    items.push(marker + body.split("\n").map((l, i) => (i === 0 || !l ? l : indent + l)).join("\n"));
+  }
+  if (!items.length) return "";
+  // Nested lists hug their parent item; top-level lists are blocks.
+  return ctx.listDepth ? `\n${items.join("\n")}\n` : `\n\n${items.join("\n")}\n\n`;
+}
+
+function wrapInline(mark, inner) {
+  const t = inner.trim();
+  if (!t) return inner;
+  const lead = inner.match(/^\s*/)[0];
+  const trail = inner.match(/\s*$/)[0];
+  return `${lead}${mark}${t}${mark}${trail}`;
+}
+
+function renderChildren(node, ctx) {
+  let out = "";
+  for (const child of Array.from(node.childNodes)) out += renderNode(child, ctx);
+  return out;
+}
+
+function renderNode(node, ctx) {
+  if (node.nodeType === 3) {
+    const text = node.nodeValue || "";
+    if (ctx.pre) return text;
+    if (!text.trim()) {
+      // whitespace between blocks is layout, not content
+      const parent = node.parentNode;
+      return parent && BLOCK_TAGS.has(parent.tagName) && /\n/.test(text) ? "" : " ";
+    }
+    return text.replace(/\s+/g, " ");
+  }
+  if (node.nodeType !== 1) return "";
+
+  const el = node;
+  const tag = el.tagName.toUpperCase();
+  if (SKIP_TAGS.has(tag) || el.getAttribute("aria-hidden") === "true") return "";
+
+  // KaTeX: read the TeX source from the MathML annotation
+  const cls = String(el.className || "");
+  if (/\bkatex-display\b/.test(cls)) {
+    const tex = texOf(el);
+    return tex ? `\n\n$$\n${tex}\n$$\n\n` : "";
+  }
+  if (/\bkatex\b/.test(cls)) {
+    const tex = texOf(el);
+    return tex ? `$${tex}$` : "";
+  }
+  if (tag === "MATH") {
+    const tex = texOf(el);
+    if (tex) return el.getAttribute("display") === "block" ? `\n\n$$\n${tex}\n$$\n\n` : `$${tex}$`;
+  }
+
+  const childCtx = ctx.pre || !isPreWrap(el) ? ctx : { ...ctx, pre: true };
+
+  switch (tag) {
+    case "PRE":
+      return fence(el);
+    case "CODE":
+      return inlineCode(el);
+    case "BR":
+      return ctx.inTable ? "\n" : "  \n";
+    case "HR":
+      return "\n\n---\n\n";
+    case "H1": case "H2": case "H3": case "H4": case "H5": case "H6": {
+      const text = collapse(renderChildren(el, ctx)).replace(/\s+/g, " ").trim();
+      return text ? `\n\n${"#".repeat(Number(tag[1]))} ${text}\n\n` : "";
+    }
+    case "STRONG": case "B":
+      return wrapInline("**", renderChildren(el, childCtx));
+    case "EM": case "I":
+      return wrapInline("*", renderChildren(el, childCtx));
+    case "DEL": case "S": case "STRIKE":
+      return wrapInline("~~", renderChildren(el, childCtx));
+    case "A": {
+      const text = renderChildren(el, childCtx).trim();
+      const href = el.getAttribute("href") || "";
+      if (!href || href.startsWith("javascript:")) return text;
+      return `[${text || href}](${href.replace(/\)/g, "%29").replace(/ /g, "%20")})`;
+    }
+    case "IMG": {
+      const src = el.getAttribute("src") || "";
+      return src ? `![${el.getAttribute("alt") || ""}](${src})` : "";
+    }
+    case "UL": case "OL":
+      return list(el, ctx);
+    case "TABLE":
+      return table(el, ctx);
+    case "BLOCKQUOTE": {
+      const inner = collapse(renderChildren(el, childCtx)).trim();
+      return inner ? `\n\n${inner.split("\n").map((l) => (l ? `> ${l}` : ">")).join("\n")}\n\n` : "";
+    }
+    default: {
+      const inner = renderChildren(el, childCtx);
+      if (!BLOCK_TAGS.has(tag)) return inner;
+      return `\n\n${childCtx.pre ? inner : inner.trim()}\n\n`;
+    }
+  }
+}
+
+/**
+ * Collapse runs of blank lines and trailing spaces outside fenced code.
+ */
+function collapse(md) {
+  const out = [];
+  let fenceMark = "";
+  let blank = 0;
+  for (const raw of String(md).split("\n")) {
+    const m = raw.match(/^\s*(`{3,})/);
+    if (fenceMark) {
+      out.push(raw);
+      if (m && m[1].length >= fenceMark.length && raw.trim() === m[1]) fenceMark = "";
+      continue;
+    }
+    if (m) {
+      fenceMark = m[1];
+      blank = 0;
+      out.push(raw.trimStart());
+      continue;
+    }
+    // keep Markdown hard breaks ("  " at end of line)
+    const line = /\S {2}$/.test(raw) ? raw : raw.replace(/\s+$/, "");
+    if (!line.trim()) {
+      if (++blank > 1) continue;
+      // a hard break right before a paragraph break is noise
+      if (out.length) out[out.length - 1] = out[out.length - 1].replace(/ {2}$/, "");
+      out.push("");
+      continue;
+    }
+    blank = 0;
+    out.push(line);
+  }
+  return out.join("\n");
+}
+
+/**
+ * Convert a rendered message node to Markdown.
+ */
+export function domToMarkdown(root) {
+  if (!root) return "";
+  let pre = isPreWrap(root);
+  if (!pre) {
+    try {
+      pre = /^pre/.test(getComputedStyle(root).whiteSpace || "");
+    } catch {}
+  }
+  const md = renderNode(root, { pre, listDepth: 0, inTable: false });
+  return collapse(md).replace(/ {2}$/, "").trim();
+}
+
+/**
+ * Convert an HTML string (e.g. a Takeout export) to Markdown via DOMParser.
+ */
+export function htmlToMarkdown(html) {
+  const doc = new DOMParser().parseFromString(String(html || ""), "text/html");
+  return domToMarkdown(doc.body);
+}
@@ -4,8 +4,8 @@
  * Loads enabled scripts for the current URL and executes them with a scoped safe API.
  */
 
-import { createSafeApi } from "./safe-api.js";
-import { extractConversation, formatConversation, hashConversation, getConversationKeyFromUrl } from "./conversation.js";
+import { createSafeApi, loadSavedBranches, loadSavedMeta } from "./safe-api.js";
+import { extractConversation, formatConversation, hashConversation, getConversationKeyFromUrl, exportFileInfo, exportFileName } from "./conversation.js";
 
 const MODULE_CACHE = new Map(); // entry -> module
 const RUNTIME_BY_SCRIPT = new Map(); // scriptId -> { cleanups: [], lastHash: string }
@@ -98,20 +98,37 @@ function runDebounced(trigger) {
   runTimer = setTimeout(() => runScripts({ trigger }), 250);
 }
 
-async function exportCurrent({ format = "txt", filename = null } = {}) {
-  const conv = extractConversation({});
+// "current" | "tree": explicit option wins, else the Options default
+async function resolveBranches(branches) {
+  if (branches) return branches;
+  const settings = await getSettingsSnapshot().catch(() => null);
+  return settings?.ui?.exportBranches || "current";
+}
+
+async function extractForExport(branches, fmt) {
+  let conv = extractConversation({});
+  if (branches === "tree") conv = await loadSavedBranches(conv);
+  // Obsidian front matter needs tags/notes that only the saved record has
+  if (fmt === "obsidian") conv = await loadSavedMeta(conv);
+  return conv;
+}
+
+async function exportCurrent({ format = "txt", filename = null, branches = null } = {}) {
+  const mode = await resolveBranches(branches);
   const fmt = format === "markdown" ? "md" : format;
-  const text = formatConversation(conv, fmt);
-  const ext = fmt === "md" ? "md" : fmt === "json" ? "json" : "txt";
-  const safeName = filename || `${conv.id}-${Date.now()}.${ext}`;
-  const resp = await chrome.runtime.sendMessage({ type: "awt:download_text", filename: safeName, text, mime: fmt === "json" ? "application/json" : fmt === "md" ? "text/markdown" : "text/plain" });
+  const conv = await extractForExport(mode, fmt);
+  const text = formatConversation(conv, fmt, { branches: mode });
+  const { mime } = exportFileInfo(fmt);
+  const safeName = filename || exportFileName(conv, fmt);
+  const resp = await chrome.runtime.sendMessage({ type: "awt:download_text", filename: safeName, text, mime });
   return resp?.ok;
 }
 
-async function copyCurrent({ format = "txt" } = {}) {
-  const conv = extractConversation({});
+async function copyCurrent({ format = "txt", branches = null } = {}) {
+  const mode = await resolveBranches(branches);
   const fmt = format === "markdown" ? "md" : format;
-  const text = formatConversation(conv, fmt);
+  const conv = await extractForExport(mode, fmt);
+  const text = formatConversation(conv, fmt, { branches: mode });
   try {
     await navigator.clipboard.writeText(text);
     return true;
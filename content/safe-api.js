@@ -4,10 +4,56 @@
  * Intentionally small and allowlisted. Scripts do not touch chrome APIs directly.
  */
 
-import { extractConversation, formatConversation, hashConversation } from "./conversation.js";
+import {
+  extractConversation,
+  formatConversation,
+  hashConversation,
+  exportFileInfo,
+  exportFileName,
+  extractArtifacts as extractConversationArtifacts,
+} from "./conversation.js";
+import { mergeMessageTree } from "../shared/message-tree.js";
 
 const ROUTE_EVT = "awt:route-change";
 
+async function getSavedRecord(id) {
+  const resp = await chrome.runtime.sendMessage({ type: "awt:get_conversation_by_id", id });
+  return resp?.ok ? resp.conversation : null;
+}
+
+/**
+ * Merge branches kept in the saved record into a freshly extracted conversation,
+ * so "full tree" exports include edits/regenerations no longer on screen.
+ */
+export async function loadSavedBranches(conv) {
+  if (!conv?.id) return conv;
+  try {
+    const saved = await getSavedRecord(conv.id);
+    const tree = mergeMessageTree(saved?.messageTree, conv.messageTree);
+    if (tree) conv.messageTree = tree;
+  } catch {}
+  return conv;
+}
+
+/**
+ * Overlay what only the library knows (tags, pinned, notes, created/updated)
+ * onto a freshly extracted conversation, for exports that carry metadata.
+ */
+export async function loadSavedMeta(conv) {
+  if (!conv?.id) return conv;
+  try {
+    const saved = await getSavedRecord(conv.id);
+    if (saved) {
+      conv.tags = Array.isArray(saved.tags) ? saved.tags : [];
+      conv.pinned = !!saved.pinned;
+      conv.notes = String(saved.notes || "");
+      conv.createdAt = saved.createdAt || conv.ts;
+      conv.updatedAt = saved.updatedAt || conv.ts;
+    }
+  } catch {}
+  return conv;
+}
+
 function installRouteHookOnce() {
   if (window.__awt_route_hook_installed__) return;
   window.__awt_route_hook_installed__ = true;
@@ -120,10 +166,20 @@ export function createSafeApi({ scriptId = "unknown", permissions = [], runtime
     return c;
   };
 
-  const format = (conv, fmt) => formatConversation(conv, fmt);
+  const format = (conv, fmt, opts) => formatConversation(conv, fmt, opts);
+
+  // { ext, mime } for an export format; fileName(conv, fmt) for the download name
+  const fileInfo = (fmt) => exportFileInfo(fmt);
+  const fileName = (conv, fmt) => exportFileName(conv, fmt);
+
+  // conversation (default: getConversation()) + tags/pinned/notes from the saved record
+  const getConversationWithMeta = async (conv = null) => await loadSavedMeta(conv || getConversation());
 
   // compat alias used by Founder scripts
-  const formatConversationCompat = (conv, fmt) => formatConversation(conv, fmt);
+  const formatConversationCompat = (conv, fmt, opts) => formatConversation(conv, fmt, opts);
+
+  // getConversation() + branches from the saved record (for "full tree" exports)
+  const getConversationWithBranches = async () => await loadSavedBranches(getConversation());
 
   const saveConversation = async (conversation, _opts = {}) => {
     if (!hasPerm("storage")) return { ok: false, error: "missing_permission" };
@@ -183,11 +239,50 @@ const updateConversationMeta = async (id, patch = {}) => {
   return await chrome.runtime.sendMessage({ type: "awt:update_conversation_meta", id, patch });
 };
 
+// tags in use, for search autocomplete -> { ok, tags: [{ tag, count }] }
+const listTags = async () => {
+  if (!hasPerm("storage")) return { ok: false };
+  return await chrome.runtime.sendMessage({ type: "awt:list_tags" });
+};
+
+// folder tree with counts (shared/folders.js) -> { ok, folders: [{ id, name, parentId, depth, path, count, total }] }
+const listFolders = async () => {
+  if (!hasPerm("storage")) return { ok: false };
+  return await chrome.runtime.sendMessage({ type: "awt:list_folders" });
+};
+
+const createFolder = async (name, parentId = "") => {
+  if (!hasPerm("storage")) return { ok: false };
+  return await chrome.runtime.sendMessage({ type: "awt:create_folder", name: String(name || ""), parentId });
+};
+
+// folderId "" takes the conversations out of any folder
+const moveToFolder = async (ids, folderId = "") => {
+  if (!hasPerm("storage")) return { ok: false };
+  return await chrome.runtime.sendMessage({ type: "awt:move_to_folder", ids: [].concat(ids || []), folderId });
+};
+
 const getConversationById = async (id) => {
   if (!hasPerm("storage")) return { ok: false };
   return await chrome.runtime.sendMessage({ type: "awt:get_conversation_by_id", id });
 };
 
+// saved revision history (shared/revisions.js)
+const listRevisions = async (id) => {
+  if (!hasPerm("storage")) return { ok: false };
+  return await chrome.runtime.sendMessage({ type: "awt:list_revisions", id });
+};
+
+const getRevision = async (id, rev) => {
+  if (!hasPerm("storage")) return { ok: false };
+  return await chrome.runtime.sendMessage({ type: "awt:get_revision", id, rev });
+};
+
+const restoreRevision = async (id, rev) => {
+  if (!hasPerm("storage")) return { ok: false };
+  return await chrome.runtime.sendMessage({ type: "awt:restore_revision", id, rev });
+};
+
 const getConversationIdForUrl = async (url) => {
   if (!hasPerm("storage")) return { ok: false };
   return await chrome.runtime.sendMessage({ type: "awt:get_conversation_id_for_url", url });
@@ -218,68 +313,7 @@ const openOptions = async () => {
   return await chrome.runtime.sendMessage({ type: "awt:open_options" });
 };
 
-const extractArtifacts = (conversation = null) => {
-  const c = conversation || getConversation();
-  const text = String(c?.text || "");
-  const lines = text.split(/\r?\n/);
-
-  // links
-  const links = [];
-  const linkRe = /(https?:\/\/[^\s)\]]+)/g;
-  for (const line of lines) {
-    let m;
-    while ((m = linkRe.exec(line)) !== null) {
-      links.push(m[1]);
-    }
-  }
-
-  // code blocks
-  const codeBlocks = [];
-  const fenceRe = /```([a-zA-Z0-9_-]*)\n([\s\S]*?)```/g;
-  let fm;
-  while ((fm = fenceRe.exec(text)) !== null) {
-    codeBlocks.push({ lang: (fm[1] || "").trim(), code: (fm[2] || "").trim() });
-  }
-
-  // tasks / decisions via lightweight heuristics
-  const tasks = [];
-  const decisions = [];
-  const pushBullets = (arr, startIdx) => {
-    for (let i = startIdx; i < lines.length; i++) {
-      const ln = lines[i];
-      if (/^\s*#+\s+/.test(ln)) break; // next header ends section
-      const m = ln.match(/^\s*[-*]\s+(.*)$/);
-      if (m && m[1] && m[1].trim()) arr.push(m[1].trim());
-    }
-  };
-
-  for (let i = 0; i < lines.length; i++) {
-    const ln = lines[i].trim();
-    if (/^(todo|todos|action items|actions):?$/i.test(ln) || /^#+\s*(todo|action items|actions)\b/i.test(ln)) {
-      pushBullets(tasks, i + 1);
-    }
-    if (/^(decisions?):?$/i.test(ln) || /^#+\s*decisions?\b/i.test(ln)) {
-      pushBullets(decisions, i + 1);
-    }
-    // inline TODO/Decision
-    const t1 = ln.match(/^(?:todo|action):\s*(.+)$/i);
-    if (t1?.[1]) tasks.push(t1[1].trim());
-    const d1 = ln.match(/^decision:\s*(.+)$/i);
-    if (d1?.[1]) decisions.push(d1[1].trim());
-    // checkbox
-    const cb = ln.match(/^[-*]\s*\[\s*\]\s*(.+)$/);
-    if (cb?.[1]) tasks.push(cb[1].trim());
-  }
-
-  // de-dupe
-  const uniq = (a) => Array.from(new Set(a)).slice(0, 200);
-  return {
-    links: uniq(links),
-    codeBlocks,
-    tasks: uniq(tasks),
-    decisions: uniq(decisions),
-  };
-};
+const extractArtifacts = (conversation = null) => extractConversationArtifacts(conversation || getConversation());
 
 return {
     scriptId,
@@ -292,13 +326,24 @@ return {
     downloadText,
     copyText,
     getConversation,
+    getConversationWithBranches,
+    getConversationWithMeta,
     format,
+    fileInfo,
+    fileName,
     formatConversation: formatConversationCompat,
     saveConversation,
     listConversations,
+    listTags,
+    listFolders,
+    createFolder,
+    moveToFolder,
     updateConversationMeta,
     getConversationById,
     getConversationIdForUrl,
+    listRevisions,
+    getRevision,
+    restoreRevision,
     getGlobalNotes,
     setGlobalNotes,
     getConnectors,
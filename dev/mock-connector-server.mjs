@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+/**
+ * Mock connector server
+ * =====================
+ * A local stand-in for the services behind the connector presets
+ * (shared/connector-presets.js), for trying sends without real accounts:
+ *
+ *   node dev/mock-connector-server.mjs [--port 8787] [--fail 429]
+ *
+ * Point a connector at it: Slack's webhook URL http://localhost:8787/slack,
+ * the API base of a Notion / Linear / GitHub connector http://localhost:8787
+ * (any token works), a plain webhook at any other path. Grant the domain when
+ * Options asks.
+ *
+ * Each request is printed with its body. The answers follow the real APIs
+ * closely enough for the extension to read them (the created page / issue
+ * URL shows in the job); malformed requests get the service's error status.
+ * `--fail <status>` answers every request with that status instead, to watch
+ * retries (429 and 503 come with `Retry-After: 5`).
+ */
+
+import http from "node:http";
+
+const args = process.argv.slice(2);
+const arg = (name, fallback) => {
+  const i = args.indexOf(`--${name}`);
+  return i >= 0 && args[i + 1] ? args[i + 1] : fallback;
+};
+const PORT = Number(arg("port", 8787));
+const FAIL = Number(arg("fail", 0));
+
+let seq = 0;
+
+function reply(res, status, body, headers = {}) {
+  const text = typeof body === "string" ? body : JSON.stringify(body);
+  res.writeHead(status, {
+    "Content-Type": typeof body === "string" ? "text/plain" : "application/json",
+    "Access-Control-Allow-Origin": "*",
+    ...headers,
+  });
+  res.end(text);
+}
+
+function slack(body) {
+  if (!body?.text && !body?.blocks?.length) return [400, "no_text"];
+  if ((body.blocks || []).length > 50) return [400, "invalid_blocks"];
+  return [200, "ok"];
+}
+
+function notion(req, body) {
+  if (!String(req.headers.authorization || "").startsWith("Bearer ")) return [401, { object: "error", code: "unauthorized" }];
+  if (!req.headers["notion-version"]) return [400, { object: "error", code: "missing_version" }];
+  if (!body?.parent?.database_id && !body?.parent?.page_id) return [400, { object: "error", code: "validation_error", message: "parent is required" }];
+  if ((body.children || []).length > 100) return [400, { object: "error", code: "validation_error", message: "children length should be ≤ 100" }];
+  const id = `mock-page-${++seq}`;
+  return [200, { object: "page", id, url: `http://localhost:${PORT}/notion/${id}` }];
+}
+
+function linear(req, body) {
+  if (!req.headers.authorization) return [401, { errors: [{ message: "Authentication required" }] }];
+  const input = body?.variables?.input;
+  if (!/issueCreate/.test(body?.query || "")) return [400, { errors: [{ message: "unknown operation" }] }];
+  // GraphQL reports input errors with a 200
+  if (!input?.teamId || !input?.title) return [200, { errors: [{ message: "Argument Validation Error" }] }];
+  const n = ++seq;
+  return [200, { data: { issueCreate: { success: true, issue: { id: `mock-${n}`, identifier: `MOCK-${n}`, url: `http://localhost:${PORT}/linear/MOCK-${n}` } } } }];
+}
+
+function github(req, body, repo) {
+  if (!String(req.headers.authorization || "").startsWith("Bearer ")) return [401, { message: "Requires authentication" }];
+  if (!body?.title) return [422, { message: "Validation Failed" }];
+  const number = ++seq;
+  return [201, { number, title: body.title, html_url: `http://localhost:${PORT}/${repo}/issues/${number}` }];
+}
+
+const server = http.createServer((req, res) => {
+  let raw = "";
+  req.on("data", (chunk) => { raw += chunk; });
+  req.on("end", () => {
+    if (req.method === "OPTIONS") return reply(res, 204, "");
+    let body = null;
+    try {
+      body = raw ? JSON.parse(raw) : null;
+    } catch {
+      return reply(res, 400, { message: "body is not JSON" });
+    }
+    const path = new URL(req.url, `http://localhost:${PORT}`).pathname;
+    console.log(`\n${new Date().toISOString()} ${req.method} ${path}`);
+    console.log(JSON.stringify(body, null, 2));
+
+    if (FAIL) return reply(res, FAIL, { message: `mock failure ${FAIL}` }, FAIL === 429 || FAIL === 503 ? { "Retry-After": "5" } : {});
+    let out;
+    const repo = path.match(/^\/repos\/([^/]+\/[^/]+)\/issues$/)?.[1];
+    if (path.startsWith("/slack")) out = slack(body);
+    else if (path === "/v1/pages") out = notion(req, body);
+    else if (path === "/graphql") out = linear(req, body);
+    else if (repo) out = github(req, body, repo);
+    else out = [200, { ok: true }];
+    console.log(`-> ${out[0]}`);
+    reply(res, ...out);
+  });
+});
+
+server.listen(PORT, () => console.log(`mock connector server on http://localhost:${PORT}`));
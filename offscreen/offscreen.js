@@ -0,0 +1,17 @@
+/**
+ * Offscreen document
+ * ==================
+ * Makes object URLs for the service worker, which has no
+ * URL.createObjectURL: a scheduled backup is saved from a Blob here, since a
+ * data: URL of a whole library is past Chrome's URL limit. The URLs live
+ * until the service worker closes this document.
+ */
+
+chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
+  if (msg?.target !== "offscreen") return false;
+  if (msg.type === "awt:blob_url") {
+    const blob = new Blob([msg.text || ""], { type: msg.mime || "text/plain" });
+    sendResponse({ ok: true, url: URL.createObjectURL(blob) });
+  }
+  return false;
+});
@@ -1,3 +1,13 @@
+import { formatConversation, exportFileInfo, exportFileName } from "../content/conversation.js";
+import { zipWriter, readZip, isZip } from "../shared/zip.js";
+import { convertExport } from "../shared/importers.js";
+import { htmlToMarkdown } from "../content/markdown.js";
+import { listPlatforms } from "../shared/platforms.js";
+import { TEMPLATE_ROOTS, TEMPLATE_FILTERS, validateTemplate } from "../shared/template.js";
+import { RULE_TRIGGERS, RULE_PAYLOADS, emptyRules, ruleErrors } from "../shared/rules.js";
+import { CONNECTOR_PRESETS, PRESET_WEBHOOK, connectorPreset, connectorErrors } from "../shared/connector-presets.js";
+import { DELIVERY_DEFAULTS, deliveryPolicy } from "../shared/delivery.js";
+
 async function send(type, payload) {
   return await chrome.runtime.sendMessage({ type, ...(payload || {}) });
 }
@@ -14,7 +24,7 @@ function formatMd(c) {
     for (const m of c.messages) {
       const icon = m.role === "user" ? "🧑" : "🤖";
       const name = m.role === "user" ? "User" : "Assistant";
-      md += `## ${icon} ${name}\n\n${m.text || ""}\n\n---\n\n`;
+      md += `## ${icon} ${name}\n\n${m.markdown || m.text || ""}\n\n---\n\n`;
     }
   } else if (c.text) {
     md += `${c.text}\n`;
@@ -22,6 +32,334 @@ function formatMd(c) {
   return md.trim() + "\n";
 }
 
+// Search box + filter controls -> awt:list_conversations arguments
+function currentListQuery() {
+  const filters = {};
+  if (el("f_pinned")?.checked) filters.pinnedOnly = true;
+  if (el("f_code")?.checked) filters.hasCode = true;
+  const tag = (el("f_tag")?.value || "").trim();
+  if (tag) filters.tag = tag;
+  if (folderFilter) filters.folderId = folderFilter;
+  return { query: el("q").value || "", filters };
+}
+
+function isFiltered({ query, filters }) {
+  return !!query.trim() || Object.keys(filters).length > 0;
+}
+
+const LOCKED_TEXT = "Encrypted — unlock from the popup or the Encryption section above.";
+
+async function refreshConvs() {
+  const q = currentListQuery();
+  const res = await send("awt:list_conversations", q);
+  if (res?.error === "vault_locked") {
+    el("convs").textContent = LOCKED_TEXT;
+    return;
+  }
+  await refreshFolders();
+  renderConvs(res.items || []);
+  el("zip_export").textContent = isFiltered(q) ? "Export filtered (ZIP)" : "Export all (ZIP)";
+}
+
+// ---- Folders ------------------------------------------------------------
+
+// drag-and-drop payloads (a conversation ID / a folder ID)
+const DRAG_CONV = "application/x-awt-conversation";
+const DRAG_FOLDER = "application/x-awt-folder";
+const FOLDER_ERRORS = {
+  folder_cycle: "A folder cannot go inside itself.",
+  invalid_name: "Enter a folder name.",
+  unknown_folder: "That folder no longer exists.",
+  unknown_connector: "Pick a connector first.",
+  connector_disabled: "That connector is disabled.",
+  missing_host_permission: "Grant the connector's domain first (Automation connectors).",
+  nothing_to_send: "No tasks were found in the folder's conversations.",
+};
+
+let folders = [];
+let folderFilter = ""; // folder ID, "none" (unfiled) or "" (all)
+
+function folderError(res) {
+  return FOLDER_ERRORS[res?.error] || res?.error || "failed";
+}
+
+function folderPath(id) {
+  return folders.find((f) => f.id === id)?.path || "";
+}
+
+function renderFolderConnectors(connectors) {
+  const select = el("folder_connector");
+  const current = select.value;
+  select.innerHTML = "";
+  for (const id of connectors?.order || []) {
+    const c = connectors.byId?.[id];
+    if (!c?.enabled) continue;
+    const opt = document.createElement("option");
+    opt.value = id;
+    opt.textContent = c.name || id;
+    select.appendChild(opt);
+  }
+  if (!select.options.length) select.innerHTML = `<option value="">No enabled connector</option>`;
+  if ([...select.options].some((o) => o.value === current)) select.value = current;
+}
+
+// a row accepts dropped conversations (filed under folderId) and folders (nested under it)
+function folderDropTarget(row, folderId) {
+  row.addEventListener("dragover", (e) => {
+    const types = e.dataTransfer.types;
+    if (!types.includes(DRAG_CONV) && !types.includes(DRAG_FOLDER)) return;
+    e.preventDefault();
+    row.classList.add("drop");
+  });
+  row.addEventListener("dragleave", () => row.classList.remove("drop"));
+  row.addEventListener("drop", async (e) => {
+    e.preventDefault();
+    row.classList.remove("drop");
+    const convId = e.dataTransfer.getData(DRAG_CONV);
+    const dragged = e.dataTransfer.getData(DRAG_FOLDER);
+    let res = null;
+    if (convId) res = await send("awt:move_to_folder", { ids: [convId], folderId });
+    else if (dragged && dragged !== folderId) res = await send("awt:update_folder", { id: dragged, parentId: folderId });
+    if (!res) return;
+    el("folder_status").textContent = res.ok ? "" : folderError(res);
+    await refreshConvs();
+  });
+}
+
+async function refreshFolders() {
+  const res = await send("awt:list_folders", {});
+  if (!res?.ok) return;
+  folders = res.folders || [];
+  if (folderFilter && folderFilter !== "none" && !folders.some((f) => f.id === folderFilter)) folderFilter = "";
+
+  const root = el("folders");
+  root.innerHTML = "";
+  const row = (id, depth) => {
+    const div = document.createElement("div");
+    div.className = `folder${folderFilter === id ? " on" : ""}`;
+    div.style.paddingLeft = `${8 + depth * 18}px`;
+    div.addEventListener("click", async (e) => {
+      if (e.target.closest("button")) return;
+      folderFilter = id;
+      await refreshConvs();
+    });
+    root.appendChild(div);
+    return div;
+  };
+
+  row("", 0).innerHTML = `<span class="grow">All conversations</span>`;
+  for (const f of folders) {
+    const div = row(f.id, f.depth);
+    div.draggable = true;
+    div.innerHTML = `
+      <span class="grow"><span class="fname"></span> <span class="sub">${f.total}</span></span>
+      <button class="btn-rename">Rename</button>
+      <button class="btn-zip">ZIP</button>
+      <button class="btn-send">Send</button>
+      <button class="btn-del">Delete</button>
+    `;
+    div.querySelector(".fname").textContent = f.name;
+    div.title = f.path;
+    div.addEventListener("dragstart", (e) => {
+      e.dataTransfer.setData(DRAG_FOLDER, f.id);
+      e.dataTransfer.effectAllowed = "move";
+    });
+    folderDropTarget(div, f.id);
+
+    div.querySelector(".btn-rename").addEventListener("click", async () => {
+      const name = prompt("Folder name:", f.name);
+      if (name === null) return;
+      const res = await send("awt:update_folder", { id: f.id, name });
+      el("folder_status").textContent = res?.ok ? "" : folderError(res);
+      await refreshConvs();
+    });
+    div.querySelector(".btn-zip").addEventListener("click", () => exportLibraryZip({ folder: f }));
+    div.querySelector(".btn-send").addEventListener("click", () => sendFolder(f));
+    div.querySelector(".btn-del").addEventListener("click", async () => {
+      const where = f.parentId ? `"${folderPath(f.parentId)}"` : "the top level";
+      if (!confirm(`Delete the folder "${f.path}"? Its conversations and subfolders move to ${where}.`)) return;
+      const res = await send("awt:delete_folder", { id: f.id });
+      el("folder_status").textContent = res?.ok ? `Moved ${res.moved} conversation(s) to ${where}.` : folderError(res);
+      await refreshConvs();
+    });
+  }
+  const unfiled = row("none", 0);
+  unfiled.innerHTML = `<span class="grow">Unfiled</span>`;
+  // dropping here takes conversations out of their folder and folders to the top level
+  folderDropTarget(unfiled, "");
+  renderRuleFolders();
+}
+
+async function addFolder() {
+  const name = el("folder_name").value.trim();
+  if (!name) return;
+  // a new folder goes under the one being viewed
+  const parentId = folders.some((f) => f.id === folderFilter) ? folderFilter : "";
+  const res = await send("awt:create_folder", { name, parentId });
+  el("folder_status").textContent = res?.ok ? "" : folderError(res);
+  if (res?.ok) el("folder_name").value = "";
+  await refreshConvs();
+}
+
+// one connector job with every conversation in the folder (see the service worker's folderPayload)
+async function sendFolder(f) {
+  const connectorId = el("folder_connector").value;
+  const status = el("folder_status");
+  const res = await send("awt:send_folder", { folderId: f.id, connectorId });
+  if (!res?.ok) {
+    status.textContent = `Send failed: ${folderError(res)}`;
+    return;
+  }
+  const requests = res.jobs?.length > 1 ? ` as ${res.jobs.length} requests` : "";
+  status.textContent = `Queued ${res.count} conversation(s) from "${f.path}"${requests}${res.truncated || res.skipped ? " (first ones only)" : ""}.`;
+  await renderJobs();
+}
+
+function uniqueName(name, used) {
+  if (!used.has(name)) {
+    used.add(name);
+    return name;
+  }
+  const dot = name.lastIndexOf(".");
+  const [base, ext] = dot > 0 ? [name.slice(0, dot), name.slice(dot)] : [name, ""];
+  let n = 2;
+  while (used.has(`${base} (${n})${ext}`)) n++;
+  const out = `${base} (${n})${ext}`;
+  used.add(out);
+  return out;
+}
+
+// conversations per runtime message: a whole library with its messages is
+// past the extension message size limit
+const ZIP_PAGE = 50;
+
+/**
+ * Render every conversation matching the current search/filters (or in one
+ * folder and its subfolders) and download them as one ZIP with a
+ * manifest.json index. Built locally (shared/zip.js), a page at a time.
+ */
+async function exportLibraryZip({ folder = null } = {}) {
+  const status = el("zip_status");
+  const fmt = el("zip_format").value || "md";
+  const branches = el("exportBranches").value || "current";
+  // a folder's own export ignores the search box
+  const q = folder ? { query: "", filters: { folderId: folder.id } } : currentListQuery();
+
+  status.textContent = "Preparing…";
+  const { ext, mime } = exportFileInfo(fmt);
+  const zip = zipWriter();
+  const used = new Set(["manifest.json"]);
+  const seen = new Set();
+  const index = [];
+  for (let offset = 0; ; offset += ZIP_PAGE) {
+    const res = await send("awt:list_conversations", { ...q, limit: ZIP_PAGE, offset, sort: "recent" });
+    if (!res?.ok) {
+      status.textContent = res?.error === "vault_locked" ? LOCKED_TEXT : `Export failed: ${res?.error || "unknown"}`;
+      return;
+    }
+    const items = res.items || [];
+    for (const c of items) {
+      // a save between pages can move a conversation into the next one
+      if (seen.has(c.id)) continue;
+      seen.add(c.id);
+      const base = fmt === "obsidian" ? exportFileName(c, fmt) : `${String(c.id).replace(/[^a-zA-Z0-9_-]/g, "_")}.${ext}`;
+      const name = uniqueName(base, used);
+      zip.add({ name, data: formatConversation(c, fmt, { branches }), date: c.updatedAt || c.ts });
+      index.push({
+        file: name,
+        id: c.id,
+        title: c.title || "",
+        url: c.url || "",
+        platform: c.platform || "",
+        tags: c.tags || [],
+        pinned: !!c.pinned,
+        folder: folderPath(c.folderId),
+        messages: (c.messages || []).length,
+        createdAt: c.createdAt || null,
+        updatedAt: c.updatedAt || c.ts || null,
+      });
+    }
+    if (items.length < ZIP_PAGE) break;
+    status.textContent = `Preparing… ${index.length} conversation(s)`;
+  }
+  if (!index.length) {
+    status.textContent = "Nothing to export.";
+    return;
+  }
+
+  const manifest = {
+    generator: chrome.runtime.getManifest().name,
+    version: chrome.runtime.getManifest().version,
+    exportedAt: new Date().toISOString(),
+    format: fmt,
+    mime,
+    branches,
+    query: q.query,
+    filters: q.filters,
+    ...(folder ? { folder: folder.path } : {}),
+    count: index.length,
+    conversations: index,
+  };
+  zip.add({ name: "manifest.json", data: JSON.stringify(manifest, null, 2) });
+
+  const blob = new Blob(zip.finish(), { type: "application/zip" });
+  const url = URL.createObjectURL(blob);
+  try {
+    const stamp = new Date().toISOString().slice(0, 10);
+    const slug = folder ? `folder-${folder.path.replace(/[^a-zA-Z0-9]+/g, "-").replace(/^-+|-+$/g, "").toLowerCase() || folder.id}` : "conversations";
+    await chrome.downloads.download({ url, filename: `awt-${slug}-${stamp}.zip`, saveAs: false });
+    status.textContent = `Exported ${index.length} conversation(s).`;
+  } catch (e) {
+    status.textContent = `Export failed: ${String(e?.message || e)}`;
+  } finally {
+    setTimeout(() => URL.revokeObjectURL(url), 60_000);
+  }
+}
+
+const IMPORT_BATCH = 100;
+
+// ChatGPT/Claude conversations.json, Takeout's Gemini Apps/MyActivity.json
+const EXPORT_ENTRY_RE = /(^|\/)conversations\.json$|Gemini[^/]*\/MyActivity\.json$/i;
+
+// A JSON file, or the export ZIP that contains one -> converted records
+async function readExportFile(file) {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const dec = new TextDecoder();
+  if (!isZip(bytes)) {
+    const converted = convertExport(JSON.parse(dec.decode(bytes)), { htmlToMarkdown });
+    if (!converted) throw new Error("Unrecognized export format");
+    return converted;
+  }
+  const entries = await readZip(bytes, (name) => EXPORT_ENTRY_RE.test(name));
+  for (const data of entries.values()) {
+    const converted = convertExport(JSON.parse(dec.decode(data)), { htmlToMarkdown });
+    if (converted) return converted;
+  }
+  throw new Error("No conversations.json or Gemini MyActivity.json in this ZIP (Takeout must be exported as JSON)");
+}
+
+async function importExportFile(file) {
+  const status = el("import_status");
+  status.textContent = "Reading…";
+  try {
+    const { platform, records, empty } = await readExportFile(file);
+
+    const total = { added: 0, updated: 0, skipped: empty };
+    for (let i = 0; i < records.length; i += IMPORT_BATCH) {
+      status.textContent = `Importing ${Math.min(i + IMPORT_BATCH, records.length)}/${records.length}…`;
+      const res = await send("awt:import_conversations", { records: records.slice(i, i + IMPORT_BATCH) });
+      if (!res?.ok) throw new Error(res?.error || "import failed");
+      for (const k of Object.keys(total)) total[k] += res[k] || 0;
+    }
+
+    const label = listPlatforms().find((p) => p.id === platform)?.label || platform;
+    status.textContent = `${label}: added ${total.added}, updated ${total.updated}, skipped ${total.skipped}.`;
+    await refreshConvs();
+  } catch (e) {
+    status.textContent = `Import failed: ${String(e?.message || e)}`;
+  }
+}
+
 async function rerunActiveTab() {
   const tab = (await chrome.tabs.query({ active: true, currentWindow: true }))[0];
   if (tab?.id) {
@@ -77,17 +415,23 @@ function renderConvs(items) {
   for (const c of items) {
     const div = document.createElement("div");
     div.className = "script";
+    div.draggable = true;
     div.innerHTML = `
       <div class="name"></div>
       <div class="desc"></div>
       <div style="margin-top:8px;display:flex;gap:8px;flex-wrap:wrap">
         <button class="btn-open">Open</button>
         <button class="btn-export">Export MD</button>
-        <button class="btn-del">Delete</button>
+        <button class="btn-del">Move to trash</button>
       </div>
     `;
     div.querySelector(".name").textContent = c.title || c.id;
-    div.querySelector(".desc").textContent = (c.text || "").replace(/\s+/g, " ").slice(0, 160);
+    const folder = folderPath(c.folderId);
+    div.querySelector(".desc").textContent = `${folder ? `${folder} • ` : ""}${(c.text || "").replace(/\s+/g, " ").slice(0, 160)}`;
+    div.addEventListener("dragstart", (e) => {
+      e.dataTransfer.setData(DRAG_CONV, c.id);
+      e.dataTransfer.effectAllowed = "move";
+    });
 
     div.querySelector(".btn-open").addEventListener("click", () => { if (c.url) chrome.tabs.create({ url: c.url }); });
     div.querySelector(".btn-export").addEventListener("click", async () => {
@@ -96,8 +440,63 @@ function renderConvs(items) {
     });
     div.querySelector(".btn-del").addEventListener("click", async () => {
       await send("awt:delete_conversation", { id: c.id });
-      const refreshed = await send("awt:list_conversations", { query: el("q").value || "" });
-      renderConvs(refreshed.items || []);
+      await refreshConvs();
+      await refreshTrash();
+    });
+
+    root.appendChild(div);
+  }
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function refreshTrash() {
+  const res = await send("awt:list_trash", {});
+  if (res?.error === "vault_locked") {
+    el("trash").textContent = LOCKED_TEXT;
+    return;
+  }
+  const items = res?.items || [];
+  const days = res?.retentionDays ?? 30;
+  el("trash_retention").value = String(days);
+  el("trash_empty").disabled = !items.length;
+
+  const root = el("trash");
+  root.innerHTML = "";
+  if (!items.length) {
+    root.textContent = "Trash is empty.";
+    return;
+  }
+  for (const c of items) {
+    const left = days ? Math.max(0, Math.ceil((c.deletedAt + days * DAY_MS - Date.now()) / DAY_MS)) : null;
+    const div = document.createElement("div");
+    div.className = "script";
+    div.innerHTML = `
+      <div class="name"></div>
+      <div class="desc"></div>
+      <div style="margin-top:8px;display:flex;gap:8px;flex-wrap:wrap">
+        <button class="btn-restore">Restore</button>
+        <button class="btn-purge">Delete forever</button>
+      </div>
+    `;
+    div.querySelector(".name").textContent = c.title || c.id;
+    div.querySelector(".desc").textContent = [
+      `Deleted ${new Date(c.deletedAt).toLocaleString()}`,
+      left === null ? "kept until emptied" : `purged in ${left} day${left === 1 ? "" : "s"}`,
+      `${c.messageCount} messages`,
+      c.pinned ? "pinned" : "",
+      c.tags.length ? c.tags.join(", ") : "",
+    ].filter(Boolean).join(" • ");
+
+    div.querySelector(".btn-restore").addEventListener("click", async () => {
+      await send("awt:restore_from_trash", { id: c.id });
+      await refreshTrash();
+      await refreshConvs();
+    });
+    div.querySelector(".btn-purge").addEventListener("click", async () => {
+      if (!confirm(`Delete "${c.title || c.id}" and its history permanently?`)) return;
+      await send("awt:purge_trash", { ids: [c.id] });
+      await refreshTrash();
     });
 
     root.appendChild(div);
@@ -154,6 +553,9 @@ async function renderConnectors(connectors) {
   const root = el("connectors");
   if (!root) return;
   root.innerHTML = "";
+  renderFolderConnectors(connectors);
+  renderRuleConnectors(connectors);
+  renderJobConnectors(connectors);
 
   const order = connectors?.order || [];
   const byId = connectors?.byId || {};
@@ -187,7 +589,9 @@ async function renderConnectors(connectors) {
     title.textContent = `${c.name || id}`;
     const meta = document.createElement("div");
     meta.className = "sub";
-    meta.textContent = `${shortUrl(c.url)} • ${c.enabled ? "enabled" : "disabled"} • ${id}`;
+    const preset = connectorPreset(c);
+    const delivery = Object.keys(c.delivery || {}).length ? `${deliveryText(c)} • ` : "";
+    meta.textContent = `${preset === PRESET_WEBHOOK ? "" : `${CONNECTOR_PRESETS[preset].label} • `}${shortUrl(c.url)} • ${delivery}${c.enabled ? "enabled" : "disabled"} • ${id}`;
 
     left.appendChild(title);
     left.appendChild(meta);
@@ -219,9 +623,16 @@ async function renderConnectors(connectors) {
     btnFill.textContent = "Edit";
     btnFill.addEventListener("click", () => {
       el("conn_name").value = c.name || "";
+      el("conn_preset").value = connectorPreset(c);
       el("conn_url").value = c.url || "";
+      renderPresetFields(c.target);
       el("conn_secret").value = c.secret || "";
+      // sealed secrets never come back to the page; an empty field keeps them
+      if (c.secretEnc) el("conn_secret").placeholder = "Secret is encrypted (leave empty to keep it)";
       el("conn_headers").value = Object.entries(c.headers || {}).map(([k,v]) => `${k}: ${v}`).join("\n");
+      el("conn_template").value = c.template || "";
+      fillDelivery(c.delivery);
+      schedulePreview();
       root.dataset.editing = id;
       el("conn_add").textContent = "Update";
     });
@@ -247,21 +658,637 @@ async function renderConnectors(connectors) {
   }
 }
 
+// ---- Connector delivery policy ----------------------------------------------
+
+const DELIVERY_FIELDS = {
+  maxPerMinute: "conn_rate",
+  concurrency: "conn_concurrency",
+  maxAttempts: "conn_attempts",
+  backoffSeconds: "conn_backoff",
+  maxBackoffSeconds: "conn_backoff_max",
+};
+
+// the form's delivery fields -> connector.delivery (shared/delivery.js) with
+// only what differs from the defaults, clamped
+function deliveryInput() {
+  const raw = { idempotencyKey: el("conn_idem").checked };
+  for (const [key, id] of Object.entries(DELIVERY_FIELDS)) {
+    if (el(id).value.trim()) raw[key] = el(id).value.trim();
+  }
+  const policy = deliveryPolicy({ delivery: raw });
+  return Object.fromEntries(Object.entries(policy).filter(([key]) => (key === "idempotencyKey" ? !policy.idempotencyKey : key in raw)));
+}
+
+function fillDelivery(delivery = {}) {
+  for (const [key, id] of Object.entries(DELIVERY_FIELDS)) {
+    el(id).value = delivery?.[key] ?? "";
+    el(id).placeholder = String(DELIVERY_DEFAULTS[key]);
+  }
+  el("conn_idem").checked = delivery?.idempotencyKey !== false;
+  el("conn_delivery").open = !!Object.keys(delivery || {}).length;
+}
+
+function deliveryText(c) {
+  const p = deliveryPolicy(c);
+  return `${p.maxPerMinute}/min, ${p.concurrency} at a time, ${p.maxAttempts} ${p.maxAttempts === 1 ? "attempt" : "attempts"}${p.idempotencyKey ? "" : ", no Idempotency-Key"}`;
+}
+
+// ---- Connector presets ------------------------------------------------------
+
+// the preset picker's fields (shared/connector-presets.js), the URL/secret
+// labels and which of headers / body template apply
+function renderPresetFields(target = {}) {
+  const spec = CONNECTOR_PRESETS[el("conn_preset").value] || CONNECTOR_PRESETS[PRESET_WEBHOOK];
+  const url = el("conn_url");
+  url.placeholder = spec.urlLabel;
+  // an API preset starts at its service; another preset's API base is swapped
+  const bases = Object.values(CONNECTOR_PRESETS).map((p) => p.apiBase).filter(Boolean);
+  if (!url.value.trim() || bases.includes(url.value.trim())) url.value = spec.apiBase || "";
+  el("conn_secret").placeholder = spec.secretLabel;
+  el("conn_secret").style.display = spec.secretLabel ? "" : "none";
+  el("conn_headers_box").style.display = spec.headers ? "" : "none";
+  el("conn_template_box").style.display = spec.template ? "" : "none";
+
+  const root = el("conn_fields");
+  root.innerHTML = "";
+  for (const f of spec.fields) {
+    const input = document.createElement(f.options ? "select" : "input");
+    input.id = `conn_field_${f.key}`;
+    input.style.cssText = "flex:1;min-width:180px;padding:10px;border:1px solid #e5e7eb;border-radius:10px";
+    if (f.options) {
+      for (const [value, label] of Object.entries(f.options)) input.appendChild(new Option(`${f.label}: ${label}`, value));
+    } else {
+      input.placeholder = f.label;
+    }
+    input.value = target?.[f.key] || (f.options ? Object.keys(f.options)[0] : "");
+    root.appendChild(input);
+  }
+}
+
+function presetTarget() {
+  const spec = CONNECTOR_PRESETS[el("conn_preset").value] || CONNECTOR_PRESETS[PRESET_WEBHOOK];
+  return Object.fromEntries(spec.fields.map((f) => [f.key, el(`conn_field_${f.key}`)?.value.trim() || ""]).filter(([, v]) => v));
+}
+
+function initPresetPicker() {
+  const select = el("conn_preset");
+  for (const [id, spec] of Object.entries(CONNECTOR_PRESETS)) select.appendChild(new Option(spec.label, id));
+  select.addEventListener("change", () => renderPresetFields());
+  renderPresetFields();
+}
+
+// ---- Routing rules ----------------------------------------------------------
+
+let rules = emptyRules();
+let ruleStats = {};
+let ruleConnectors = { byId: {}, order: [] };
+
+function renderRuleConnectors(connectors) {
+  ruleConnectors = connectors || { byId: {}, order: [] };
+  const select = el("rule_connector");
+  const current = select.value;
+  select.innerHTML = "";
+  for (const id of ruleConnectors.order || []) {
+    const c = ruleConnectors.byId?.[id];
+    if (c) select.appendChild(new Option(`${c.name || id}${c.enabled ? "" : " (disabled)"}`, id));
+  }
+  if (!select.options.length) select.innerHTML = `<option value="">No connector yet</option>`;
+  if ([...select.options].some((o) => o.value === current)) select.value = current;
+  // deleting a connector disables the rules routing to it
+  refreshRules();
+}
+
+function renderRuleFolders() {
+  const select = el("rule_folder");
+  const current = select.value;
+  select.innerHTML = "";
+  for (const f of folders) select.appendChild(new Option(`${"\u00a0\u00a0".repeat(f.depth)}${f.name}`, f.id));
+  if (!select.options.length) select.innerHTML = `<option value="">No folders yet</option>`;
+  if ([...select.options].some((o) => o.value === current)) select.value = current;
+  renderRules();
+}
+
+// the tag box or the folder picker, whichever the trigger takes
+function showRuleValue() {
+  const value = RULE_TRIGGERS[el("rule_trigger").value]?.value;
+  el("rule_tag").style.display = value === "tag" ? "" : "none";
+  el("rule_folder").style.display = value === "folder" ? "" : "none";
+}
+
+function ruleText(rule) {
+  const trigger = RULE_TRIGGERS[rule.trigger]?.label || rule.trigger;
+  const value = rule.trigger === "tag" ? ` "${rule.value}"` : rule.trigger === "folder" ? ` "${folderPath(rule.value) || "deleted folder"}"` : "";
+  const connector = ruleConnectors.byId?.[rule.connectorId];
+  return `When a conversation ${trigger}${value} → ${RULE_PAYLOADS[rule.payload] || rule.payload} to ${connector?.name || "a deleted connector"}`;
+}
+
+function renderRules() {
+  const root = el("rules");
+  if (!root) return;
+  root.innerHTML = "";
+  if (!rules.order?.length) {
+    root.innerHTML = `<div class="sub">No rules yet.</div>`;
+    return;
+  }
+  for (const id of rules.order) {
+    const rule = rules.byId[id];
+    if (!rule) continue;
+    const stats = ruleStats[id];
+    const div = document.createElement("div");
+    div.className = `rule${rule.enabled ? "" : " off"}`;
+    div.innerHTML = `
+      <span class="grow"><div class="rname" style="font-weight:700"></div><div class="rtext sub"></div></span>
+      <button class="btn-toggle">${rule.enabled ? "Disable" : "Enable"}</button>
+      <button class="btn-del">Delete</button>
+    `;
+    div.querySelector(".rname").textContent = rule.name || ruleText(rule);
+    div.querySelector(".rtext").textContent = [
+      rule.name ? ruleText(rule) : "",
+      stats ? `sent ${stats.sent}, last ${new Date(stats.lastAt).toLocaleString()}` : "nothing sent yet",
+    ].filter(Boolean).join(" • ");
+    div.querySelector(".btn-toggle").addEventListener("click", () => saveRules({ ...rules, byId: { ...rules.byId, [id]: { ...rule, enabled: !rule.enabled, updatedAt: Date.now() } } }));
+    div.querySelector(".btn-del").addEventListener("click", () => {
+      if (!confirm(`Delete the rule "${rule.name || ruleText(rule)}"?`)) return;
+      const byId = { ...rules.byId };
+      delete byId[id];
+      saveRules({ byId, order: rules.order.filter((x) => x !== id) });
+    });
+    root.appendChild(div);
+  }
+}
+
+async function refreshRules() {
+  const res = await send("awt:get_rules", {});
+  if (!res?.ok) return;
+  rules = res.rules || emptyRules();
+  ruleStats = res.stats || {};
+  renderRules();
+}
+
+async function saveRules(next) {
+  const res = await send("awt:set_rules", { rules: next });
+  el("rule_status").textContent = res?.ok ? "" : `Could not save: ${res?.errors?.join(", ") || res?.error || "unknown"}`;
+  await refreshRules();
+  return !!res?.ok;
+}
+
+async function addRule() {
+  const trigger = el("rule_trigger").value;
+  const kind = RULE_TRIGGERS[trigger]?.value;
+  const rule = {
+    id: `rule_${Date.now().toString(36)}`,
+    name: el("rule_name").value.trim(),
+    enabled: true,
+    trigger,
+    value: kind === "tag" ? el("rule_tag").value.trim() : kind === "folder" ? el("rule_folder").value : "",
+    connectorId: el("rule_connector").value,
+    payload: el("rule_payload").value,
+    createdAt: Date.now(),
+    updatedAt: Date.now(),
+  };
+  const errors = ruleErrors(rule, ruleConnectors);
+  if (errors.length) {
+    el("rule_status").textContent = errors.join(", ");
+    return;
+  }
+  if (await saveRules({ byId: { ...rules.byId, [rule.id]: rule }, order: [...(rules.order || []), rule.id] })) {
+    el("rule_name").value = "";
+    el("rule_tag").value = "";
+  }
+}
+
+function initRuleForm() {
+  for (const [id, t] of Object.entries(RULE_TRIGGERS)) el("rule_trigger").appendChild(new Option(t.label, id));
+  for (const [id, label] of Object.entries(RULE_PAYLOADS)) el("rule_payload").appendChild(new Option(label, id));
+  el("rule_trigger").addEventListener("change", showRuleValue);
+  el("rule_add").addEventListener("click", () => addRule());
+  showRuleValue();
+}
+
+// ---- Connector body templates --------------------------------------------
+
+const TEMPLATE_SOURCES = {
+  tab: (title) => `Preview with the chat open in your most recent chat tab${title ? ` ("${title}")` : ""}:`,
+  saved: (title) => `No chat tab with a conversation open; preview with the newest saved conversation${title ? ` ("${title}")` : ""}:`,
+  none: () => "No conversation to preview with yet; fields from a chat render empty:",
+};
+
+function renderTemplateHelp() {
+  const row = ([name, what]) => `<div><code>${name}</code> — ${what.replace(/[&<>]/g, (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;" })[ch])}</div>`;
+  el("conn_template_help").innerHTML = `
+    <div style="margin-top:6px">A string that is exactly one placeholder keeps the value's type (lists stay lists). Paths: <code>meta.title</code>, <code>artifacts.tasks[0]</code>, <code>conversation.messages[*].text</code>.</div>
+    <div style="margin-top:6px;font-weight:700">Fields</div>${Object.entries(TEMPLATE_ROOTS).map(row).join("")}
+    <div style="margin-top:6px;font-weight:700">Filters (<code>{{tags | join:", " | upper}}</code>)</div>${Object.entries(TEMPLATE_FILTERS).map(row).join("")}
+  `;
+}
+
+let previewTimer = null;
+let previewSeq = 0;
+
+// validate as you type; a valid template is rendered by the service worker
+async function previewTemplate() {
+  const status = el("conn_template_status");
+  const out = el("conn_template_preview");
+  const template = el("conn_template").value;
+  const check = validateTemplate(template);
+  status.classList.toggle("template-error", !check.ok);
+  if (!check.ok) {
+    status.textContent = check.errors.join(" • ");
+    out.style.display = "none";
+    return;
+  }
+  const seq = ++previewSeq;
+  const res = await send("awt:template_preview", { template });
+  // a newer keystroke already asked again
+  if (seq !== previewSeq) return;
+  if (!res?.ok) {
+    status.classList.add("template-error");
+    status.textContent = res?.errors?.join(" • ") || res?.error || "Preview failed";
+    out.style.display = "none";
+    return;
+  }
+  status.textContent = template.trim()
+    ? TEMPLATE_SOURCES[res.source](res.title)
+    : `No template: the built-in payload is sent. ${TEMPLATE_SOURCES[res.source](res.title)}`;
+  out.textContent = JSON.stringify(res.body, null, 2);
+  out.style.display = "";
+}
+
+function schedulePreview() {
+  clearTimeout(previewTimer);
+  previewTimer = setTimeout(previewTemplate, 400);
+}
+
+// ---- Send queue console -------------------------------------------------------
+
+const JOB_ERRORS = {
+  not_replayable: "Only failed or completed sends can be replayed.",
+  unknown_job: "That send is no longer in the queue.",
+  unknown_connector: "Its connector was deleted.",
+  connector_disabled: "Its connector is disabled.",
+  missing_host_permission: "Grant the connector's domain first.",
+};
+const JOBS_SHOWN = 100;
+
+let jobsConnectors = { byId: {}, order: [] };
+let openJobId = "";
+
+function jobError(res) {
+  return JOB_ERRORS[res?.error] || res?.error || "failed";
+}
+
+function renderJobConnectors(connectors) {
+  jobsConnectors = connectors || { byId: {}, order: [] };
+  const select = el("jobs_connector");
+  const current = select.value;
+  select.innerHTML = `<option value="">All connectors</option>`;
+  for (const id of jobsConnectors.order || []) select.appendChild(new Option(jobsConnectors.byId?.[id]?.name || id, id));
+  if ([...select.options].some((o) => o.value === current)) select.value = current;
+}
+
+function jobName(j) {
+  return j.label || jobsConnectors.byId?.[j.connectorId]?.name || j.connectorId || "";
+}
+
+function jobFilters() {
+  return { status: el("jobs_status").value, connectorId: el("jobs_connector").value };
+}
+
 async function renderJobs() {
   const root = el("jobs");
   if (!root) return;
-  const res = await send("awt:list_jobs", {});
+  const filters = jobFilters();
+  const res = await send("awt:list_jobs", filters);
   const items = res?.items || [];
+  root.innerHTML = "";
   if (!items.length) {
-    root.textContent = "No sends yet.";
+    root.textContent = filters.status || filters.connectorId ? "No sends match." : "No sends yet.";
     return;
   }
+  for (const j of items.slice(0, JOBS_SHOWN)) {
+    const div = document.createElement("div");
+    div.className = `job${j.id === openJobId ? " on" : ""}`;
+    div.innerHTML = `<span class="status"></span><span class="when"></span><span class="grow"></span>`;
+    div.querySelector(".status").textContent = j.status;
+    div.querySelector(".status").classList.add(j.status);
+    div.querySelector(".when").textContent = new Date(j.updatedAt || j.createdAt).toLocaleString();
+    div.querySelector(".grow").textContent = [jobName(j), j.attempts ? `${j.attempts} attempt(s)` : "", j.error || ""].filter(Boolean).join(" • ");
+    div.title = j.id;
+    div.addEventListener("click", () => showJob(j.id));
+    root.appendChild(div);
+  }
+  if (items.length > JOBS_SHOWN) {
+    const more = document.createElement("div");
+    more.textContent = `…and ${items.length - JOBS_SHOWN} older (export the log to see them all).`;
+    root.appendChild(more);
+  }
+}
+
+function closeJob() {
+  openJobId = "";
+  el("job_detail").style.display = "none";
+  el("job_detail").innerHTML = "";
+  for (const row of el("jobs").querySelectorAll(".job.on")) row.classList.remove("on");
+}
+
+// one send: the request as it goes out (credentials masked), its body (editable) and the last response
+async function showJob(id) {
+  const res = await send("awt:get_job", { id });
+  if (!res?.ok) {
+    closeJob();
+    el("jobs_note").textContent = jobError(res);
+    return;
+  }
+  const { job, request } = res;
+  openJobId = id;
+  for (const row of el("jobs").querySelectorAll(".job")) row.classList.toggle("on", row.title === id);
+
+  const box = el("job_detail");
+  box.style.display = "";
+  box.innerHTML = `
+    <div style="font-weight:700" class="jname"></div>
+    <div class="sub jmeta"></div>
+    <div class="sub" style="margin-top:8px">Request</div>
+    <pre class="preview jreq"></pre>
+    <div class="sub" style="margin-top:8px">Body</div>
+    <textarea class="jbody" rows="10" spellcheck="false" style="width:100%;padding:10px;border:1px solid #e5e7eb;border-radius:10px;font-family:ui-monospace,Menlo,Consolas,monospace;font-size:12px"></textarea>
+    <div class="sub" style="margin-top:8px">Last response</div>
+    <pre class="preview jres"></pre>
+    <div class="row" style="gap:10px;flex-wrap:wrap;align-items:center;margin-top:8px">
+      <button class="btn-replay">Replay</button>
+      <button class="btn-replay-edit">Replay with edited body</button>
+      <button class="btn-close">Close</button>
+      <span class="sub jstatus"></span>
+    </div>
+  `;
+  box.querySelector(".jname").textContent = jobName(job);
+  box.querySelector(".jmeta").textContent = [
+    job.status,
+    `${job.attempts || 0} attempt(s)`,
+    `queued ${new Date(job.createdAt).toLocaleString()}`,
+    job.updatedAt !== job.createdAt ? `last change ${new Date(job.updatedAt).toLocaleString()}` : "",
+    job.nextRunAt && job.status === "queued" ? `next try ${new Date(job.nextRunAt).toLocaleString()}` : "",
+    job.error ? `error: ${job.error}` : "",
+    job.replayOf ? `replay of ${job.replayOf}${job.edited ? " (edited)" : ""}` : "",
+    job.replayedBy ? `replayed as ${job.replayedBy}` : "",
+    job.result?.url ? `created ${job.result.url}` : "",
+  ].filter(Boolean).join(" • ");
+  box.querySelector(".jreq").textContent = [`${request.method} ${request.url}`, ...Object.entries(request.headers || {}).map(([k, v]) => `${k}: ${v}`)].join("\n");
+  const body = box.querySelector(".jbody");
+  body.value = typeof request.body === "string" ? request.body : JSON.stringify(request.body ?? null, null, 2);
+  box.querySelector(".jres").textContent = job.lastResponse || (job.result ? `HTTP ${job.result.status}` : "No response yet.");
+
+  const replayable = job.status === "failed" || job.status === "done";
+  const status = box.querySelector(".jstatus");
+  box.querySelector(".btn-replay").disabled = !replayable;
+  box.querySelector(".btn-replay-edit").disabled = !replayable;
+  if (!replayable) status.textContent = "Still in the queue: it can be replayed once it has finished or failed.";
+  box.querySelector(".btn-replay").addEventListener("click", () => replayJob(id));
+  box.querySelector(".btn-replay-edit").addEventListener("click", () => {
+    let edited;
+    try {
+      edited = JSON.parse(body.value);
+    } catch (e) {
+      status.textContent = `The body is not valid JSON: ${String(e?.message || e)}`;
+      return;
+    }
+    replayJob(id, edited);
+  });
+  box.querySelector(".btn-close").addEventListener("click", closeJob);
+}
+
+// a replay is a new send; the original keeps its record
+async function replayJob(id, body) {
+  const res = await send("awt:replay_job", body === undefined ? { id } : { id, body });
+  if (!res?.ok) {
+    el("job_detail").querySelector(".jstatus").textContent = `Replay failed: ${jobError(res)}`;
+    return;
+  }
+  await renderJobs();
+  await showJob(res.job.id);
+  el("jobs_note").textContent = `Replayed ${jobName(res.job)} as a new send.`;
+}
+
+async function clearCompletedJobs() {
+  const res = await send("awt:clear_jobs", { statuses: ["done"] });
+  el("jobs_note").textContent = res?.ok ? `Removed ${res.removed} completed send(s).` : `Could not clear: ${jobError(res)}`;
+  if (openJobId && !(await send("awt:get_job", { id: openJobId }))?.ok) closeJob();
+  await renderJobs();
+}
+
+// every send matching the filters, headers masked as shown here
+async function exportJobLog() {
+  const filters = jobFilters();
+  const res = await send("awt:list_jobs", { ...filters, limit: Number.MAX_SAFE_INTEGER });
+  if (!res?.ok) {
+    el("jobs_note").textContent = `Export failed: ${jobError(res)}`;
+    return;
+  }
+  const log = { type: "awt-jobs", exportedAt: new Date().toISOString(), filters, count: res.items.length, jobs: res.items };
+  // from a Blob here: the service worker's data: URLs are too short for a long log
+  const url = URL.createObjectURL(new Blob([JSON.stringify(log, null, 2)], { type: "application/json" }));
+  try {
+    await chrome.downloads.download({ url, filename: `awt-jobs-${new Date().toISOString().slice(0, 10)}.json`, saveAs: false });
+    el("jobs_note").textContent = `Exported ${res.items.length} send(s).`;
+  } catch (e) {
+    el("jobs_note").textContent = `Export failed: ${String(e?.message || e)}`;
+  } finally {
+    setTimeout(() => URL.revokeObjectURL(url), 60_000);
+  }
+}
+
+function initJobsConsole() {
+  el("jobs_status").addEventListener("change", renderJobs);
+  el("jobs_connector").addEventListener("change", renderJobs);
+  el("jobs_refresh").addEventListener("click", async () => {
+    await renderJobs();
+    if (openJobId) await showJob(openJobId);
+  });
+  el("jobs_clear").addEventListener("click", () => clearCompletedJobs());
+  el("jobs_export").addEventListener("click", () => exportJobLog());
+}
+
+const BACKUP_SECTIONS = {
+  settings: "Settings & script options",
+  connectors: "Connectors",
+  conversations: "Saved conversations",
+  folders: "Folders",
+  notes: "Notes",
+  jobs: "Send queue",
+  prompts: "Prompts, favorites & workflows",
+  memoryGraph: "Memory graph",
+};
+const BACKUP_ERRORS = {
+  not_a_backup: "This is not a backup file.",
+  backup_too_new: "This backup was made by a newer version of the extension.",
+  vault_locked: "Unlock encryption first.",
+};
+const PREVIEW_NAMES = 8;
+
+let pendingBackup = null;
+
+function backupError(res) {
+  return BACKUP_ERRORS[res?.error] || res?.error || "unknown";
+}
+
+async function createBackupFile() {
+  const status = el("backup_status");
+  status.textContent = "Preparing…";
+  const res = await send("awt:backup_create", { includeSecrets: el("backup_secrets").checked });
+  if (!res?.ok) {
+    status.textContent = `Backup failed: ${backupError(res)}`;
+    return;
+  }
+  const blob = new Blob([JSON.stringify(res.backup)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  try {
+    await chrome.downloads.download({ url, filename: `awt-backup-${res.backup.createdAt.slice(0, 10)}.json`, saveAs: false });
+  } catch (e) {
+    status.textContent = `Backup failed: ${String(e?.message || e)}`;
+    return;
+  } finally {
+    setTimeout(() => URL.revokeObjectURL(url), 60_000);
+  }
+  const c = res.counts || {};
+  status.textContent = `Saved ${c.conversations} conversation(s), ${c.connectors} connector(s), ${c.prompts} prompt(s), memory graph from ${c.memoryGraph} site(s).`;
+}
+
+function describeBackupStatus({ config, last, nextAt }) {
+  const parts = [];
+  if (last) {
+    parts.push(last.ok
+      ? `Last backup ${new Date(last.at).toLocaleString()} → ${last.filename}`
+      : `Last attempt ${new Date(last.at).toLocaleString()} failed: ${BACKUP_ERRORS[last.error] || last.error}`);
+  } else {
+    parts.push("No automatic backup yet.");
+  }
+  if (config.schedule !== "off" && nextAt) parts.push(`next ${nextAt <= Date.now() + 60_000 ? "within the hour" : new Date(nextAt).toLocaleString()}`);
+  return parts.join(" • ");
+}
+
+function renderBackupSchedule(res) {
+  if (!res?.ok) return;
+  el("backup_schedule").value = res.config.schedule;
+  el("backup_folder").value = res.config.folder;
+  el("backup_keep").value = String(res.config.keep);
+  el("backup_schedule_status").textContent = describeBackupStatus(res);
+}
+
+async function saveBackupSchedule() {
+  renderBackupSchedule(await send("awt:backup_schedule", {
+    schedule: el("backup_schedule").value,
+    folder: el("backup_folder").value,
+    keep: Number(el("backup_keep").value),
+  }));
+}
+
+function renderBackupPreview(preview, memoryTabs) {
+  const root = el("backup_preview");
   root.innerHTML = "";
-  for (const j of items.slice(0, 12)) {
+  const head = document.createElement("div");
+  head.className = "sub";
+  head.textContent = `Backup from ${preview.createdAt ? new Date(preview.createdAt).toLocaleString() : "an unknown date"} — ${
+    preview.mode === "replace" ? "replacing" : "merging"
+  }:`;
+  root.appendChild(head);
+
+  for (const [name, label] of Object.entries(BACKUP_SECTIONS)) {
+    const diff = preview.sections[name];
+    if (!diff) continue;
     const div = document.createElement("div");
-    div.textContent = `${new Date(j.updatedAt || j.createdAt).toLocaleString()} • ${j.status} • ${j.connectorId || ""} • ${(j.error || "").slice(0,60)}`;
+    div.className = "script";
+    div.innerHTML = `<div class="name"></div><div class="desc"></div>`;
+    div.querySelector(".name").textContent = label;
+    const parts = [
+      diff.add.length ? `${diff.add.length} new` : "",
+      diff.update.length ? `${diff.update.length} updated` : "",
+      diff.remove.length ? `${diff.remove.length} removed${name === "conversations" ? " (to the trash)" : ""}` : "",
+      diff.rejected?.length ? `${diff.rejected.length} rejected` : "",
+    ].filter(Boolean);
+    div.querySelector(".desc").textContent = parts.length ? parts.join(" • ") : "No changes";
+    for (const [kind, names] of [["+", diff.add], ["~", diff.update], ["−", diff.remove], ["✕ not restored:", diff.rejected || []]]) {
+      if (!names.length) continue;
+      const list = document.createElement("div");
+      list.className = "sub";
+      const more = names.length > PREVIEW_NAMES ? ` … and ${names.length - PREVIEW_NAMES} more` : "";
+      list.textContent = `${kind} ${names.slice(0, PREVIEW_NAMES).join(", ")}${more}`;
+      div.appendChild(list);
+    }
     root.appendChild(div);
   }
+  if (preview.sections.memoryGraph) {
+    const note = document.createElement("div");
+    note.className = "sub";
+    note.textContent = memoryTabs.length
+      ? `The memory graph is restored into open chat tabs (${memoryTabs.join(", ")}); sites without one are skipped.`
+      : "Open the chat sites in a tab to restore their memory graph; it is skipped otherwise.";
+    root.appendChild(note);
+  }
+}
+
+async function previewBackupFile() {
+  el("backup_restore").disabled = true;
+  if (!pendingBackup) return;
+  el("backup_preview").textContent = "Comparing…";
+  const res = await send("awt:backup_preview", { backup: pendingBackup, mode: el("backup_mode").value });
+  if (!res?.ok) {
+    el("backup_preview").textContent = `Cannot restore: ${backupError(res)}`;
+    return;
+  }
+  renderBackupPreview(res.preview, res.memoryTabs || []);
+  el("backup_restore").disabled = false;
+}
+
+async function restoreBackupFile() {
+  const mode = el("backup_mode").value;
+  const warning = mode === "replace"
+    ? "Replace your settings, connectors, notes, prompts and saved conversations with the backup?"
+    : "Merge the backup into your current data?";
+  if (!pendingBackup || !confirm(warning)) return;
+  el("backup_restore").disabled = true;
+  el("backup_preview").textContent = "Restoring…";
+  const res = await send("awt:backup_restore", { backup: pendingBackup, mode });
+  if (!res?.ok) {
+    el("backup_preview").textContent = `Restore failed: ${backupError(res)}`;
+    return;
+  }
+  pendingBackup = null;
+  const lines = Object.entries(res.result.sections).map(([name, r]) => {
+    const label = BACKUP_SECTIONS[name] || name;
+    if (name === "memoryGraph") return `${label}: ${r.restored.length} site(s) restored${r.skipped.length ? `, skipped ${r.skipped.join(", ")}` : ""}`;
+    const rejected = r.rejected?.length ? `, ${r.rejected.length} rejected` : "";
+    return `${label}: ${r.added || 0} added, ${r.updated || 0} updated, ${r.removed || 0} removed${rejected}`;
+  });
+  alert(`Restored.\n\n${lines.join("\n")}`);
+  location.reload();
+}
+
+function renderVault(vault) {
+  const on = !!vault?.enabled;
+  el("vault_status").textContent = !on
+    ? "Off — data is stored unencrypted."
+    : vault.unlocked
+      ? `On • unlocked${vault.expiresAt ? ` until ${new Date(vault.expiresAt).toLocaleTimeString()} (extends while you use the popup or Options)` : " until the browser restarts"}`
+      : "On • locked";
+  el("vault_pass2").style.display = on ? "none" : "";
+  el("vault_enable").style.display = on ? "none" : "";
+  el("vault_unlock").style.display = on && !vault.unlocked ? "" : "none";
+  el("vault_lock").style.display = on && vault.unlocked ? "" : "none";
+  el("vault_disable").style.display = on ? "" : "none";
+  el("vault_autolock").value = String(vault?.autoLockMinutes ?? 15);
+}
+
+async function vaultAction(type, payload) {
+  const res = await send(type, payload);
+  el("vault_pass").value = "";
+  el("vault_pass2").value = "";
+  if (!res?.ok) {
+    alert(res?.error === "wrong_passphrase" ? "Wrong passphrase." : `Failed: ${res?.error || "unknown"}`);
+    return;
+  }
+  renderVault(res.vault);
+  await refreshConvs();
+  await refreshTrash();
 }
 
 async function main() {
@@ -272,22 +1299,97 @@ async function main() {
 
   el("theme").value = settings.ui?.theme || "auto";
   el("defaultExportFormat").value = settings.ui?.defaultExportFormat || "md";
+  el("exportBranches").value = settings.ui?.exportBranches || "current";
 
   renderScripts(settings);
 
+  renderVault((await send("awt:vault_status", {}))?.vault);
+  el("vault_enable").addEventListener("click", async () => {
+    const passphrase = el("vault_pass").value;
+    if (passphrase.length < 8) return alert("Use a passphrase of at least 8 characters.");
+    if (passphrase !== el("vault_pass2").value) return alert("The passphrases do not match.");
+    el("vault_status").textContent = "Encrypting…";
+    await vaultAction("awt:vault_enable", { passphrase, autoLockMinutes: Number(el("vault_autolock").value) });
+  });
+  el("vault_unlock").addEventListener("click", () => vaultAction("awt:vault_unlock", { passphrase: el("vault_pass").value }));
+  el("vault_lock").addEventListener("click", () => vaultAction("awt:vault_lock", {}));
+  el("vault_disable").addEventListener("click", async () => {
+    const passphrase = el("vault_pass").value;
+    if (!passphrase) return alert("Enter the passphrase to turn encryption off.");
+    if (!confirm("Decrypt everything and store it unencrypted again?")) return;
+    el("vault_status").textContent = "Decrypting…";
+    await vaultAction("awt:vault_disable", { passphrase });
+  });
+  el("vault_autolock").addEventListener("change", async (e) => {
+    const res = await send("awt:vault_set_auto_lock", { minutes: Number(e.target.value) });
+    if (res?.vault?.enabled) renderVault(res.vault);
+  });
+
   // Connectors
+  renderTemplateHelp();
+  initPresetPicker();
+  fillDelivery();
+  initRuleForm();
+  initJobsConsole();
+  el("conn_template").addEventListener("input", schedulePreview);
   let connectors = (settings.connectors || (await send("awt:get_connectors", {})).connectors) || { byId: {}, order: [] };
   await renderConnectors(connectors);
   await renderJobs();
+  await refreshRules();
 
-  const convs = await send("awt:list_conversations", { query: "" });
-  renderConvs(convs.items || []);
+  await refreshConvs();
+  await refreshTrash();
 
-  el("q").addEventListener("input", async (e) => {
-    const res = await send("awt:list_conversations", { query: e.target.value || "" });
-    renderConvs(res.items || []);
+  el("q").addEventListener("input", refreshConvs);
+  el("f_pinned").addEventListener("change", refreshConvs);
+  el("f_code").addEventListener("change", refreshConvs);
+  el("f_tag").addEventListener("input", refreshConvs);
+  el("folder_add").addEventListener("click", () => addFolder());
+  el("folder_name").addEventListener("keydown", (e) => { if (e.key === "Enter") addFolder(); });
+  el("zip_format").value = ["md", "obsidian", "json", "txt", "html"].includes(settings.ui?.defaultExportFormat) ? settings.ui.defaultExportFormat : "md";
+  el("zip_export").addEventListener("click", () => exportLibraryZip());
+  el("import_file").addEventListener("change", async (e) => {
+    const file = e.target.files?.[0];
+    if (file) await importExportFile(file);
+    e.target.value = "";
   });
 
+  el("trash_retention").addEventListener("change", async (e) => {
+    const res = await send("awt:set_trash_retention", { days: Number(e.target.value) });
+    el("trash_status").textContent = res?.purged ? `Purged ${res.purged} expired` : "";
+    await refreshTrash();
+  });
+  el("trash_empty").addEventListener("click", async () => {
+    if (!confirm("Permanently delete everything in the trash?")) return;
+    const res = await send("awt:purge_trash", {});
+    el("trash_status").textContent = `Deleted ${res?.purged || 0} permanently`;
+    await refreshTrash();
+  });
+
+  el("backup_create").addEventListener("click", () => createBackupFile());
+  renderBackupSchedule(await send("awt:backup_status", {}));
+  for (const id of ["backup_schedule", "backup_folder", "backup_keep"]) el(id).addEventListener("change", saveBackupSchedule);
+  el("backup_run").addEventListener("click", async () => {
+    el("backup_schedule_status").textContent = "Backing up…";
+    await saveBackupSchedule();
+    renderBackupSchedule(await send("awt:backup_run_now", {}));
+  });
+  el("backup_file").addEventListener("change", async (e) => {
+    const file = e.target.files?.[0];
+    pendingBackup = null;
+    if (!file) return;
+    try {
+      pendingBackup = JSON.parse(await file.text());
+    } catch {
+      el("backup_preview").textContent = "Cannot restore: this is not a backup file.";
+      el("backup_restore").disabled = true;
+      return;
+    }
+    await previewBackupFile();
+  });
+  el("backup_mode").addEventListener("change", () => previewBackupFile());
+  el("backup_restore").addEventListener("click", () => restoreBackupFile());
+
 
 // Connector add/update
 if (el("conn_add")) {
@@ -295,25 +1397,44 @@ if (el("conn_add")) {
     const name = el("conn_name").value.trim();
     const url = el("conn_url").value.trim();
     const secret = el("conn_secret").value.trim();
-    const headers = parseHeaders(el("conn_headers").value);
+    const preset = el("conn_preset").value;
+    const spec = CONNECTOR_PRESETS[preset];
+    const headers = spec.headers ? parseHeaders(el("conn_headers").value) : {};
+    const target = presetTarget();
 
     if (!name || !url) {
       alert("Connector name + URL are required.");
       return;
     }
+    const template = spec.template ? el("conn_template").value.trim() : "";
+    const check = validateTemplate(template);
+    if (!check.ok) {
+      alert(`Fix the body template first:\n\n${check.errors.join("\n")}`);
+      return;
+    }
 
     const editing = el("connectors").dataset.editing || "";
+    const problems = connectorErrors({ preset, url, secret, secretEnc: editing && connectors.byId[editing]?.secretEnc, target });
+    if (problems.length) {
+      alert(`Fill in the connector first:\n\n${problems.join("\n")}`);
+      return;
+    }
+    const delivery = deliveryInput();
     const id = editing || `conn_${name.toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "").slice(0, 30)}_${Date.now().toString(36)}`;
 
     const perm = await requestHostPermission(url);
     const enabled = !!perm.ok;
 
+    const keepSealed = !secret && editing && connectors.byId[id]?.secretEnc;
     connectors.byId[id] = {
       id,
       name,
       url,
-      secret,
+      ...(preset !== PRESET_WEBHOOK ? { preset, target } : {}),
+      ...(keepSealed ? { secretEnc: connectors.byId[id].secretEnc } : { secret }),
       headers,
+      ...(template ? { template } : {}),
+      ...(Object.keys(delivery).length ? { delivery } : {}),
       enabled,
       createdAt: connectors.byId[id]?.createdAt || Date.now(),
       updatedAt: Date.now()
@@ -322,8 +1443,11 @@ if (el("conn_add")) {
     connectors.order = (connectors.order || []).filter(x => x !== id);
     connectors.order.unshift(id);
 
-    await send("awt:set_connectors", { connectors });
+    const saved = await send("awt:set_connectors", { connectors });
+    if (!saved?.ok) return alert(`Could not save the connector: ${saved?.errors?.join("\n") || saved?.error || "unknown"}`);
+    connectors = saved.connectors;
     el("connectors").dataset.editing = "";
+    el("conn_secret").placeholder = spec.secretLabel;
     el("conn_add").textContent = "Add / Update";
 
     await renderConnectors(connectors);
@@ -359,6 +1483,10 @@ if (el("conn_test")) {
     await send("awt:set_default_export_format", { format: e.target.value });
   });
 
+  el("exportBranches").addEventListener("change", async (e) => {
+    await send("awt:set_export_branches", { branches: e.target.value });
+  });
+
   const updateGlobalBtn = () => {
     el("toggle-global").textContent = settings.globalEnabled === false ? "Enable extension" : "Disable extension";
   };
@@ -103,15 +103,61 @@ function updateUI(settings, stats) {
   });
 }
 
+function renderVault(vault) {
+  const section = el("vault-section");
+  section.hidden = !vault?.enabled;
+  if (!vault?.enabled) return;
+  el("vault-title").textContent = vault.unlocked ? "🔓 Library unlocked" : "🔒 Library locked";
+  el("vault-unlock").hidden = !!vault.unlocked;
+  el("vault-unlocked").hidden = !vault.unlocked;
+  el("vault-note").textContent = vault.expiresAt
+    ? `Locks after ${vault.autoLockMinutes} min idle`
+    : "Locks when the browser closes";
+}
+
+function renderBackup(res) {
+  const section = el("backup-section");
+  const last = res?.last;
+  section.hidden = !res?.ok || (res.config.schedule === "off" && !last);
+  if (section.hidden) return;
+  section.classList.toggle("backup-error", !!last && !last.ok);
+  const when = last ? new Date(last.at).toLocaleString() : "";
+  el("backup-note").textContent = !last
+    ? `${res.config.schedule === "daily" ? "Daily" : "Weekly"} backups on • none yet`
+    : last.ok
+      ? `Last backup ${when} • ${last.counts?.conversations ?? 0} conversations`
+      : `Last backup failed ${when} • ${last.error === "vault_locked" ? "library locked" : last.error}`;
+}
+
 async function main() {
   const resp = await fetchSettings();
   if (!resp?.ok) return;
   updateUI(resp.settings, resp.stats);
 
+  // vault (encryption at rest): unlock on demand
+  renderVault((await chrome.runtime.sendMessage({ type: "awt:vault_status" }))?.vault);
+  el("vault-unlock").addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const res = await chrome.runtime.sendMessage({ type: "awt:vault_unlock", passphrase: el("vault-pass").value });
+    el("vault-pass").value = "";
+    el("vault-section").classList.toggle("vault-error", !res?.ok);
+    if (res?.ok) {
+      renderVault(res.vault);
+      await sendToActive("awt:run_now");
+    }
+  });
+  el("vault-lock").addEventListener("click", async () => {
+    const res = await chrome.runtime.sendMessage({ type: "awt:vault_lock" });
+    renderVault(res?.vault);
+  });
+
+  renderBackup(await chrome.runtime.sendMessage({ type: "awt:backup_status" }));
+
   // actions
   el("act-export-txt").addEventListener("click", () => sendToActive("awt:export_current", { format: "txt" }));
   el("act-export-md").addEventListener("click", () => sendToActive("awt:export_current", { format: "md" }));
   el("act-export-json").addEventListener("click", () => sendToActive("awt:export_current", { format: "json" }));
+  el("act-export-html").addEventListener("click", () => sendToActive("awt:export_current", { format: "html" }));
   el("act-save").addEventListener("click", () => sendToActive("awt:save_current", { autosave: false }));
   el("act-copy-md").addEventListener("click", () => sendToActive("awt:copy_current", { format: "md" }));
   el("act-run-now").addEventListener("click", () => sendToActive("awt:run_now"));
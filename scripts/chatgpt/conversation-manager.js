@@ -2,7 +2,7 @@
  * ChatGPT Conversation Manager (packaged script)
  * =============================================
  * - Autosave on new messages (debounced + hash check)
- * - Small panel UI: search saved, save now, export/copy
+ * - Small panel UI: search saved (matching snippet highlighted), save now, export/copy
  */
 
 let observer = null;
@@ -27,6 +27,8 @@ function ensureStyles() {
     .awt-item{padding:8px;border-radius:10px;border:1px solid rgba(0,0,0,.08);margin-bottom:8px;cursor:pointer;}
     .awt-item .t{font-weight:700;font-size:12px;margin-bottom:4px;}
     .awt-item .m{font-size:11px;color:#6b7280;white-space:nowrap;overflow:hidden;text-overflow:ellipsis;}
+    .awt-item .m.hit{white-space:normal;display:-webkit-box;-webkit-line-clamp:3;-webkit-box-orient:vertical;}
+    .awt-item mark{background:#fde68a;color:inherit;border-radius:3px;}
   `;
   document.documentElement.appendChild(style);
 }
@@ -49,7 +51,23 @@ async function renderList(api, panel, query) {
     div.title = c.url || "";
     div.innerHTML = `<div class="t"></div><div class="m"></div>`;
     div.querySelector(".t").textContent = c.title || c.id;
-    div.querySelector(".m").textContent = (c.text || "").replace(/\s+/g," ").slice(0,140);
+    const hit = c.matches?.snippets?.[0];
+    if (hit) {
+      // show the part that matched, not the start of the chat
+      const m = div.querySelector(".m");
+      m.classList.add("hit");
+      let pos = 0;
+      if (hit.start > 0) m.append("… ");
+      for (const [a, b] of hit.highlights) {
+        const mark = document.createElement("mark");
+        mark.textContent = hit.text.slice(a, b);
+        m.append(hit.text.slice(pos, a).replace(/\s+/g, " "), mark);
+        pos = b;
+      }
+      m.append(hit.text.slice(pos).replace(/\s+/g, " "));
+    } else {
+      div.querySelector(".m").textContent = (c.text || "").replace(/\s+/g," ").slice(0,140);
+    }
     div.addEventListener("click", () => {
       if (c.url) window.open(c.url, "_blank", "noopener,noreferrer");
     });
@@ -130,11 +148,12 @@ export default async function run({ api, context }) {
   });
 
   panel.querySelector("#awt-export").addEventListener("click", async () => {
-    const conv = api.getConversation();
-    const text = api.format(conv, (context?.settings?.ui?.defaultExportFormat || "md"));
+    const branches = context?.settings?.ui?.exportBranches || "current";
     const fmt = (context?.settings?.ui?.defaultExportFormat || "md");
-    const ext = fmt === "json" ? "json" : fmt === "md" ? "md" : "txt";
-    await api.downloadText(`${conv.id}-${Date.now()}.${ext}`, text, fmt === "json" ? "application/json" : fmt === "md" ? "text/markdown" : "text/plain");
+    let conv = branches === "tree" ? await api.getConversationWithBranches() : api.getConversation();
+    if (fmt === "obsidian") conv = await api.getConversationWithMeta(conv);
+    const text = api.format(conv, fmt, { branches });
+    await api.downloadText(api.fileName(conv, fmt), text, api.fileInfo(fmt).mime);
   });
 
   panel.querySelector("#awt-copy").addEventListener("click", async () => {
@@ -1,18 +1,13 @@
 /**
  * ChatGPT Export Button (packaged script)
  * ======================================
- * Floating button with multi-format export (TXT/MD/JSON).
- * - Click: export default format (from options or script default)
+ * Floating button with multi-format export (TXT/MD/JSON/HTML/Obsidian).
+ * - Click: export default format (from options or script default; "obsidian" adds front matter)
  * - Shift+Click: Markdown
  * - Alt/Option+Click: JSON
+ * - Ctrl/Cmd+Click: HTML (self-contained page)
  */
 
-function extFor(fmt) {
-  if (fmt === "md" || fmt === "markdown") return "md";
-  if (fmt === "json") return "json";
-  return "txt";
-}
-
 export default async function run({ api, context }) {
   const BTN_ID = "awt-chatgpt-export-btn";
   if (!api.ensureOnce(BTN_ID)) return;
@@ -44,16 +39,18 @@ export default async function run({ api, context }) {
     backdropFilter: "blur(6px)",
   });
 
+  const branches = context?.settings?.ui?.exportBranches || "current";
+
   const doExport = async (fmt) => {
-    const conv = api.getConversation();
     const normalized = fmt === "markdown" ? "md" : fmt;
-    const text = api.format(conv, normalized);
-    const ext = extFor(normalized);
-    await api.downloadText(`${conv.id}-${Date.now()}.${ext}`, text, normalized === "json" ? "application/json" : normalized === "md" ? "text/markdown" : "text/plain");
+    let conv = branches === "tree" ? await api.getConversationWithBranches() : api.getConversation();
+    if (normalized === "obsidian") conv = await api.getConversationWithMeta(conv);
+    const text = api.format(conv, normalized, { branches });
+    await api.downloadText(api.fileName(conv, normalized), text, api.fileInfo(normalized).mime);
   };
 
   btn.addEventListener("click", (e) => {
-    const fmt = e.altKey ? "json" : e.shiftKey ? "md" : (opts.defaultFormat || "txt");
+    const fmt = e.ctrlKey || e.metaKey ? "html" : e.altKey ? "json" : e.shiftKey ? "md" : (opts.defaultFormat || "txt");
     doExport(fmt);
   });
 
@@ -69,8 +66,7 @@ export default async function run({ api, context }) {
 export async function onAction({ api, action, payload }) {
   if (action !== "export") return;
   const fmt = payload?.format || "txt";
-  const conv = api.getConversation();
+  const conv = fmt === "obsidian" ? await api.getConversationWithMeta() : api.getConversation();
   const text = api.format(conv, fmt === "markdown" ? "md" : fmt);
-  const ext = extFor(fmt);
-  await api.downloadText(`${conv.id}-${Date.now()}.${ext}`, text, fmt === "json" ? "application/json" : fmt === "md" ? "text/markdown" : "text/plain");
+  await api.downloadText(api.fileName(conv, fmt), text, api.fileInfo(fmt).mime);
 }
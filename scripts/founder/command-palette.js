@@ -4,10 +4,15 @@
  * Cmd/Ctrl+K overlay for:
  * - Save / Export / Copy
  * - Open Power Search
- * - Jump to saved conversations
+ * - Jump to saved conversations (search operators as in Power Search)
  * - Send artifacts to configured connectors
  */
 
+import { listPlatforms, detectPlatform } from "../../shared/platforms.js";
+import { attachQueryAssist } from "./query-assist.js";
+
+const PLATFORM_LABELS = Object.fromEntries(listPlatforms().map((p) => [p.id, p.label]));
+
 function isModKey(e) {
   return navigator.platform.toLowerCase().includes("mac") ? e.metaKey : e.ctrlKey;
 }
@@ -64,6 +69,7 @@ async function ensureUI(api, opts = {}) {
   const overlay = document.getElementById("awt-cp-overlay");
   const qEl = document.getElementById("awt-cp-q");
   const listEl = document.getElementById("awt-cp-list");
+  attachQueryAssist(api, qEl);
 
   const state = { open: false, query: "", items: [], sel: 0, connectors: null };
 
@@ -106,8 +112,8 @@ async function ensureUI(api, opts = {}) {
           kind: "conv",
           id: c.id,
           title: c.title || "(untitled)",
-          sub: (c.text || "").slice(0, 120).replace(/\n/g, " "),
-          right: "Open",
+          sub: `${PLATFORM_LABELS[c.platform || detectPlatform(c.url || "")] || "Chat"} • ${(c.text || "").slice(0, 120).replace(/\n/g, " ")}`,
+          right: c.url ? "Open" : "",
           url: c.url
         });
       }
@@ -195,6 +201,8 @@ async function ensureUI(api, opts = {}) {
       } else if (res?.error === "missing_host_permission") {
         api.notify("Missing domain permission. Open Options → Grant domain.", "warning");
         await api.openOptions();
+      } else if (res?.error === "nothing_to_send") {
+        api.notify("Nothing to send: no tasks found in this conversation", "warning");
       } else {
         api.notify("Send failed", "error");
       }
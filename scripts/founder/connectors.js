@@ -3,9 +3,14 @@
  * =============================
  * Provides script actions for sending artifacts to configured webhooks.
  *
- * Configuration happens in Options → "Automation connectors".
+ * Configuration happens in Options → "Automation connectors". Payload shapes
+ * are built by shared/payloads.js; a connector's body template (if any) is
+ * applied by the service worker when the send is queued.
  */
 
+import { mergeMessageMeta } from "../../shared/message-meta.js";
+import { buildPayload } from "../../shared/payloads.js";
+
 function pickDefaultConnector(connectors, options = {}) {
   const byId = connectors?.byId || {};
   const order = connectors?.order || [];
@@ -18,36 +23,22 @@ function pickDefaultConnector(connectors, options = {}) {
   return null;
 }
 
-function buildPayload(api, payloadType, convo, includeUrl = true) {
-  const c = convo || api.getConversation();
-  const meta = {
-    id: c?.id || "",
-    title: c?.title || "",
-    ts: Date.now(),
-    ...(includeUrl ? { url: c?.url || "" } : {})
-  };
-  const arts = api.extractArtifacts(c);
-
-  switch (payloadType) {
-    case "tasks":
-      return { type: "tasks", meta, tasks: arts.tasks, decisions: arts.decisions, links: arts.links };
-    case "decisions":
-      return { type: "decisions", meta, decisions: arts.decisions, tasks: arts.tasks };
-    case "links":
-      return { type: "links", meta, links: arts.links };
-    case "code":
-      return { type: "code", meta, codeBlocks: arts.codeBlocks.slice(0, 12) };
-    case "md":
-      return { type: "markdown", meta, markdown: api.formatConversation(c, "md") };
-    case "json":
-    default:
-      return { type: "conversation", meta, conversation: c };
-  }
+// Timestamps are tracked by the saved record; overlay them onto the live capture.
+async function withSavedMeta(api, convo) {
+  try {
+    const res = await api.getConversationById(convo.id);
+    const saved = res?.conversation;
+    if (saved?.messages) convo.messages = mergeMessageMeta(saved.messages, convo.messages, Date.now());
+  } catch {}
+  return convo;
 }
 
 async function doSend({ api, payloadType, connectorId, options }) {
-  const convo = api.getConversation();
-  const payload = buildPayload(api, payloadType, convo, options?.includeCurrentUrl !== false);
+  const convo = await withSavedMeta(api, api.getConversation());
+  const payload = buildPayload(payloadType, convo, {
+    markdown: payloadType === "md" ? api.formatConversation(convo, "md") : "",
+    includeUrl: options?.includeCurrentUrl !== false,
+  });
 
   // prefer explicit connectorId, else configured default
   const cRes = await api.getConnectors();
@@ -67,6 +58,9 @@ async function doSend({ api, payloadType, connectorId, options }) {
     if (res?.error === "missing_host_permission") {
       api.notify("Missing domain permission. Open Options → Grant domain.", "warning");
       await api.openOptions();
+    } else if (res?.error === "nothing_to_send") {
+      // issue presets make one issue per extracted task
+      api.notify(`Nothing to send to ${target.name || target.id}: no tasks found in this conversation`, "warning");
     } else {
       api.notify("Send failed", "error");
     }
@@ -90,5 +84,15 @@ export async function onAction({ api, action, payload, context }) {
   if (action === "sendTasks") return await doSend({ api, payloadType: "tasks", connectorId: "", options });
   if (action === "sendMarkdown") return await doSend({ api, payloadType: "md", connectorId: "", options });
   if (action === "options") { await api.openOptions(); return { ok: true }; }
+  // Options' template preview renders against the chat open here
+  if (action === "preview") {
+    const convo = await withSavedMeta(api, api.getConversation());
+    if (!convo?.messages?.length) return { ok: false, error: "no_conversation" };
+    return {
+      ok: true,
+      payload: buildPayload("json", convo, { includeUrl: options.includeCurrentUrl !== false }),
+      markdown: api.formatConversation(convo, "md"),
+    };
+  }
   return { ok: false, error: "unknown_action" };
 }
@@ -2,13 +2,34 @@
  * Founder: Power Search
  * =====================
  * - Cmd/Ctrl+Shift+F opens a robust saved-conversation search modal
- * - Filters: pinned, tags, code, date window
+ * - Filters: pinned, tags, code, platform, date window, as chips or as query
+ *   operators (tag:, -tag:, is:pinned, has:code, lang:, before:/after:,
+ *   platform:, title:"…", "phrases") with tag autocomplete and a syntax popover
  * - Quick tagging/pin for current conversation
+ * - Folders: a folder strip filters the list (subfolders included); drag a
+ *   result onto a folder to file it, onto "Unfiled" to take it out
+ * - Results show why they matched: highlighted title + context snippets, each
+ *   with "jump to message" into the full view
  * - Extract views: tasks/decisions/links/code
+ * - History view: saved revisions timeline, side-by-side diff of any two,
+ *   restore / export a revision
  *
  * Privacy: Local-only. Uses chrome.storage.local via background messages.
  */
 
+import { listPlatforms, detectPlatform } from "../../shared/platforms.js";
+import { attachQueryAssist } from "./query-assist.js";
+import { diffSequence, alignRows, diffWords } from "../../shared/diff.js";
+
+const PLATFORM_LABELS = Object.fromEntries(listPlatforms().map((p) => [p.id, p.label]));
+
+function platformOf(c) {
+  return c?.platform || detectPlatform(c?.url || "");
+}
+
+// dataTransfer type of a dragged result row (its conversation ID)
+const DRAG_TYPE = "application/x-awt-conversation";
+
 function isModKey(e) {
   return navigator.platform.toLowerCase().includes("mac") ? e.metaKey : e.ctrlKey;
 }
@@ -17,6 +38,60 @@ function escapeHtml(s) {
   return String(s).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
 }
 
+// text with [start, end) ranges wrapped in <mark>, escaped
+function markRanges(text, ranges = []) {
+  let out = "";
+  let pos = 0;
+  for (const [a, b] of ranges) {
+    out += `${escapeHtml(text.slice(pos, a))}<mark>${escapeHtml(text.slice(a, b))}</mark>`;
+    pos = b;
+  }
+  return out + escapeHtml(text.slice(pos));
+}
+
+function snippetHtml(c, sn) {
+  const full = sn.messageIndex >= 0 ? String(c.messages?.[sn.messageIndex]?.text || "") : String(c.text || "");
+  return `${sn.start > 0 ? "… " : ""}${markRanges(sn.text, sn.highlights)}${sn.end < full.length ? " …" : ""}`;
+}
+
+function wordDiffHtml(parts) {
+  return parts.map((p) => (p.changed ? `<mark>${escapeHtml(p.text)}</mark>` : escapeHtml(p.text))).join("");
+}
+
+/**
+ * Side-by-side diff of two revisions (from api.getRevision), message by
+ * message; runs of unchanged messages collapse to one line.
+ */
+function revisionDiffHtml(a, b) {
+  const rows = alignRows(diffSequence(a.keys, b.keys));
+  const cell = (m, html, cls = "") => `<div class="awt-ps-dcell ${cls}">${m ? `<div class="awt-ps-meta">${escapeHtml(m.role)}</div>${html}` : ""}</div>`;
+  let out = "";
+  for (let k = 0; k < rows.length; k++) {
+    const r = rows[k];
+    if (r.kind === "same") {
+      let n = 1;
+      while (rows[k + n]?.kind === "same") n++;
+      out += `<div class="awt-ps-dsame">${n} unchanged message${n === 1 ? "" : "s"}</div>`;
+      k += n - 1;
+      continue;
+    }
+    const ma = r.a !== null ? a.messages[r.a] : null;
+    const mb = r.b !== null ? b.messages[r.b] : null;
+    if (r.kind === "change") {
+      const w = diffWords(ma.text, mb.text);
+      out += cell(ma, wordDiffHtml(w.left), "del") + cell(mb, wordDiffHtml(w.right), "add");
+    } else {
+      out += cell(ma, ma ? escapeHtml(ma.text) : "", ma ? "del" : "") + cell(mb, mb ? escapeHtml(mb.text) : "", mb ? "add" : "");
+    }
+  }
+  return `
+    <div class="awt-ps-diff">
+      <div class="awt-ps-dhead">#${a.rev} • ${escapeHtml(fmtDate(a.at))}</div>
+      <div class="awt-ps-dhead">#${b.rev} • ${escapeHtml(fmtDate(b.at))}</div>
+      ${out || `<div class="awt-ps-dsame">Identical transcripts.</div>`}
+    </div>`;
+}
+
 function fmtDate(ts) {
   try { return new Date(ts).toLocaleString(); } catch { return ""; }
 }
@@ -47,19 +122,41 @@ async function ensureUI(api, opts = {}) {
       .awt-ps-meta{opacity:.75;font-size:12px;margin-top:4px}
       .awt-ps-tags{display:flex;flex-wrap:wrap;gap:6px;margin-top:6px}
       .awt-ps-tag{font-size:11px;padding:3px 8px;border-radius:999px;border:1px solid rgba(0,0,0,.16);opacity:.9}
+      .awt-ps-badge{display:inline-block;font-size:10px;font-weight:800;padding:1px 6px;margin-right:6px;border-radius:6px;background:rgba(37,99,235,.12);color:#2563eb;vertical-align:1px}
       .awt-ps-toolbar{display:flex;gap:8px;flex-wrap:wrap;padding:10px 12px;border-bottom:1px solid rgba(0,0,0,.08);position:sticky;top:0;background:inherit}
       .awt-ps-chip{padding:7px 10px;border-radius:999px;border:1px solid rgba(0,0,0,.16);cursor:pointer;font-size:12px}
       .awt-ps-chip.on{background:rgba(37,99,235,.12);border-color:rgba(37,99,235,.6)}
+      .awt-ps-folders{display:flex;gap:6px;flex-wrap:wrap;padding:8px 12px;border-bottom:1px solid rgba(0,0,0,.08)}
+      .awt-ps-folders .awt-ps-chip{padding:5px 9px}
+      .awt-ps-chip.drop{outline:2px dashed #2563eb;outline-offset:1px}
+      .awt-ps-count{opacity:.6;margin-left:4px}
       .awt-ps-section{padding:10px 12px}
       .awt-ps-kv{display:flex;gap:8px;align-items:center;flex-wrap:wrap}
       .awt-ps-kv input{padding:8px 10px;border-radius:10px;border:1px solid rgba(0,0,0,.16);background:transparent;color:inherit}
       .awt-ps-pre{white-space:pre-wrap;word-break:break-word;font-family:ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, "Liberation Mono", "Courier New", monospace;font-size:12px;line-height:1.45;border:1px solid rgba(0,0,0,.12);border-radius:12px;padding:10px;background:rgba(0,0,0,.03)}
       .awt-ps-pill{padding:7px 10px;border-radius:12px;border:1px solid rgba(0,0,0,.16);cursor:pointer;font-weight:800}
       .awt-ps-pill.primary{background:#111827;color:#fff;border-color:#111827}
+      #awt-ps-modal mark{background:#fde68a;color:inherit;border-radius:3px;padding:0 1px}
+      .awt-ps-snip{border-left:3px solid rgba(37,99,235,.45);padding:6px 10px;margin-bottom:10px;font-size:13px;line-height:1.45}
+      .awt-ps-snip .awt-ps-meta{display:flex;justify-content:space-between;gap:8px;margin:0 0 4px}
+      .awt-ps-jump{cursor:pointer;color:#2563eb;font-weight:700}
+      .awt-ps-msg{margin-bottom:10px;border-radius:12px;transition:box-shadow .3s}
+      .awt-ps-msg.flash{box-shadow:0 0 0 2px #2563eb}
+      .awt-ps-rev{display:flex;gap:8px;align-items:center;padding:6px 0;border-bottom:1px solid rgba(0,0,0,.06);font-size:12px}
+      .awt-ps-rev .grow{flex:1}
+      .awt-ps-diff{display:grid;grid-template-columns:1fr 1fr;gap:6px;font-size:12px;line-height:1.45}
+      .awt-ps-dhead{font-weight:800}
+      .awt-ps-dsame{grid-column:1 / -1;text-align:center;opacity:.6;padding:4px;border-top:1px dashed rgba(0,0,0,.14);border-bottom:1px dashed rgba(0,0,0,.14)}
+      .awt-ps-dcell{white-space:pre-wrap;word-break:break-word;padding:6px 8px;border-radius:8px;min-height:1em}
+      .awt-ps-dcell.del{background:rgba(239,68,68,.08)}
+      .awt-ps-dcell.add{background:rgba(16,185,129,.08)}
+      .awt-ps-dcell.del mark{background:rgba(239,68,68,.3)}
+      .awt-ps-dcell.add mark{background:rgba(16,185,129,.3)}
       @media (prefers-color-scheme: dark){
         #awt-ps-head input,.awt-ps-kv input{border-color:rgba(255,255,255,.18)}
         .awt-ps-row:hover{background:rgba(255,255,255,.06)}
         .awt-ps-tag,.awt-ps-chip,.awt-ps-pill{border-color:rgba(255,255,255,.18)}
+        #awt-ps-modal mark{background:#854d0e;color:#fef3c7}
         .awt-ps-pre{border-color:rgba(255,255,255,.14);background:rgba(255,255,255,.05)}
       }
     `;
@@ -72,7 +169,7 @@ async function ensureUI(api, opts = {}) {
     overlay.innerHTML = `
       <div id="awt-ps-modal" role="dialog" aria-modal="true">
         <div id="awt-ps-head">
-          <input id="awt-ps-q" placeholder="Search saved… (title, tags, content)" />
+          <input id="awt-ps-q" placeholder="Search saved… (text, tag:, is:pinned, has:code, &quot;phrase&quot; — ? for syntax)" />
           <button id="awt-ps-close" class="btn">Esc</button>
           <button id="awt-ps-refresh" class="btn primary">Refresh</button>
         </div>
@@ -92,16 +189,18 @@ async function ensureUI(api, opts = {}) {
   const qEl = document.getElementById("awt-ps-q");
   const left = document.getElementById("awt-ps-left");
   const right = document.getElementById("awt-ps-right");
+  attachQueryAssist(api, qEl, { helpButtonClass: "btn" });
 
   const state = {
     query: "",
-    filters: { pinnedOnly: false, hasCode: false, tag: "" },
+    filters: { pinnedOnly: false, hasCode: false, tag: "", platform: "", folderId: "" },
     view: opts.defaultView || "snippets",
     items: [],
+    folders: [],
     selectedId: "",
   };
 
-  const views = ["snippets", "full", "code", "tasks", "decisions", "links"];
+  const views = ["snippets", "full", "code", "tasks", "decisions", "links", "history"];
 
   function headerTools() {
     return `
@@ -109,11 +208,34 @@ async function ensureUI(api, opts = {}) {
         <span class="awt-ps-chip ${state.filters.pinnedOnly ? "on" : ""}" data-chip="pinned">Pinned</span>
         <span class="awt-ps-chip ${state.filters.hasCode ? "on" : ""}" data-chip="code">Has code</span>
         <span class="awt-ps-chip ${state.filters.tag ? "on" : ""}" data-chip="tag">Tag</span>
+        <span class="awt-ps-chip ${state.filters.platform ? "on" : ""}" data-chip="platform">${escapeHtml(PLATFORM_LABELS[state.filters.platform] || "All sites")}</span>
         ${views.map(v => `<span class="awt-ps-chip ${state.view===v ? "on":""}" data-view="${v}">${v}</span>`).join("")}
       </div>
     `;
   }
 
+  // "All", the tree (indented), "Unfiled"; each folder is a drop target
+  function folderStrip() {
+    const chip = (id, label, extra = "") =>
+      `<span class="awt-ps-chip ${state.filters.folderId === id ? "on" : ""}" data-folder="${escapeHtml(id)}" ${extra}>${label}</span>`;
+    return `
+      <div class="awt-ps-folders">
+        ${chip("", "All folders")}
+        ${state.folders.map((f) => chip(
+          f.id,
+          `${"› ".repeat(f.depth)}${escapeHtml(f.name)}<span class="awt-ps-count">${f.total}</span>`,
+          `title="${escapeHtml(f.path)}"`
+        )).join("")}
+        ${chip("none", "Unfiled")}
+        <span class="awt-ps-chip" data-folder-new>+ Folder</span>
+      </div>
+    `;
+  }
+
+  function folderPath(id) {
+    return state.folders.find((f) => f.id === id)?.path || "";
+  }
+
   function currentMetaCard() {
     const c = api.getConversation();
     const id = c?.id || "";
@@ -142,6 +264,10 @@ async function ensureUI(api, opts = {}) {
   }
 
   async function refresh() {
+    const folders = await api.listFolders();
+    state.folders = folders?.ok ? folders.folders : [];
+    // the picked folder was deleted elsewhere
+    if (state.filters.folderId && state.filters.folderId !== "none" && !state.folders.some((f) => f.id === state.filters.folderId)) state.filters.folderId = "";
     const res = await api.listConversations({
       query: state.query,
       limit: opts.maxResults || 80,
@@ -159,21 +285,26 @@ async function ensureUI(api, opts = {}) {
   }
 
   function renderList() {
-    left.innerHTML = headerTools() + state.items.map((c) => {
+    left.innerHTML = headerTools() + folderStrip() + state.items.map((c) => {
       const isSel = c.id === state.selectedId;
-      const t = escapeHtml(c.title || "(untitled)");
-      const meta = `${fmtDate(c.updatedAt || c.ts)}${c.pinned ? " • pinned" : ""}${hasCode(c.text) ? " • code" : ""}`;
+      const t = c.title ? markRanges(c.title, c.matches?.title) : "(untitled)";
+      const folder = folderPath(c.folderId);
+      const meta = `${fmtDate(c.updatedAt || c.ts)}${folder ? ` • ${folder}` : ""}${c.pinned ? " • pinned" : ""}${hasCode(c.text) ? " • code" : ""}`;
       const tags = Array.isArray(c.tags) ? c.tags : [];
-      const snippet = escapeHtml(String(c.text || "").slice(0, 160)).replace(/\n/g, " ");
+      // the first matching window when searching, the start of the chat otherwise
+      const first = c.matches?.snippets?.[0];
+      const snippet = first ? snippetHtml(c, first) : escapeHtml(String(c.text || "").slice(0, 160)).replace(/\n/g, " ");
       return `
-        <div class="awt-ps-row" data-id="${escapeHtml(c.id)}" style="${isSel ? "background:rgba(37,99,235,.10)" : ""}">
-          <div class="awt-ps-title">${t}</div>
+        <div class="awt-ps-row" draggable="true" data-id="${escapeHtml(c.id)}" style="${isSel ? "background:rgba(37,99,235,.10)" : ""}">
+          <div class="awt-ps-title"><span class="awt-ps-badge">${escapeHtml(PLATFORM_LABELS[platformOf(c)] || "Chat")}</span>${t}</div>
           <div class="awt-ps-meta">${escapeHtml(meta)}</div>
           ${snippet ? `<div class="awt-ps-meta">${snippet}</div>` : ""}
           <div class="awt-ps-tags">${tags.slice(0, 6).map(tag => `<span class="awt-ps-tag">${escapeHtml(tag)}</span>`).join("")}</div>
         </div>
       `;
     }).join("");
+    // rows are re-created on every search
+    bindListHandlers();
   }
 
   function select(id) {
@@ -191,7 +322,7 @@ async function ensureUI(api, opts = {}) {
         <div style="display:flex;justify-content:space-between;gap:10px;align-items:flex-start;flex-wrap:wrap">
           <div>
             <div style="font-weight:900">${escapeHtml(c.title || "(untitled)")}</div>
-            <div class="awt-ps-meta">${escapeHtml(shortUrl(c.url || ""))} • ${escapeHtml(fmtDate(c.updatedAt || c.ts))}</div>
+            <div class="awt-ps-meta">${escapeHtml(shortUrl(c.url || ""))} • ${escapeHtml(fmtDate(c.updatedAt || c.ts))}${folderPath(c.folderId) ? ` • ${escapeHtml(folderPath(c.folderId))}` : ""}</div>
           </div>
           <div style="display:flex;gap:8px;flex-wrap:wrap;justify-content:flex-end">
             <span class="awt-ps-pill" data-act="open">Open</span>
@@ -204,8 +335,24 @@ async function ensureUI(api, opts = {}) {
     `;
 
     let body = "";
-    if (state.view === "snippets") {
+    if (state.view === "snippets" && c.matches?.snippets?.length) {
+      body = `<div class="awt-ps-section">${c.matches.snippets.map((sn) => `
+        <div class="awt-ps-snip">
+          <div class="awt-ps-meta">
+            <span>${escapeHtml(sn.role || "transcript")}${sn.messageIndex >= 0 ? ` • message ${sn.messageIndex + 1}` : ""}</span>
+            ${sn.messageIndex >= 0 ? `<span class="awt-ps-jump" data-jump="${sn.messageIndex}">Jump to message →</span>` : ""}
+          </div>
+          <div>${snippetHtml(c, sn)}</div>
+        </div>`).join("")}</div>`;
+    } else if (state.view === "snippets") {
       body = `<div class="awt-ps-section"><div class="awt-ps-pre">${escapeHtml(String(c.text||"").slice(0, 2600))}</div></div>`;
+    } else if (state.view === "full" && c.messages?.length) {
+      // one block per message so snippets can jump to it
+      body = `<div class="awt-ps-section">${c.messages.map((m, i) => `
+        <div class="awt-ps-msg" data-msg="${i}">
+          <div class="awt-ps-meta" style="margin-bottom:4px">${escapeHtml(m.role || "")} • message ${i + 1}</div>
+          <div class="awt-ps-pre">${escapeHtml(String(m.text || ""))}</div>
+        </div>`).join("")}</div>`;
     } else if (state.view === "full") {
       body = `<div class="awt-ps-section"><div class="awt-ps-pre">${escapeHtml(String(c.text||"").slice(0, 12000))}</div></div>`;
     } else if (state.view === "links") {
@@ -219,11 +366,80 @@ async function ensureUI(api, opts = {}) {
         (artifacts.codeBlocks||[]).slice(0, 8).map(cb => `<div style="margin-bottom:10px"><div class="awt-ps-meta">${escapeHtml(cb.lang || "code")}</div><div class="awt-ps-pre">${escapeHtml(cb.code)}</div></div>`).join("")
         || `<div class="awt-ps-meta">No code blocks detected.</div>`
       }</div>`;
+    } else if (state.view === "history") {
+      // filled in by loadHistory()
+      body = `<div class="awt-ps-section" id="awt-ps-history"><div class="awt-ps-meta">Loading revisions…</div></div>`;
     }
 
     return header + body;
   }
 
+  async function loadHistory(c) {
+    const box = right.querySelector("#awt-ps-history");
+    if (!box) return;
+    const res = await api.listRevisions(c.id);
+    const revs = res?.revisions || [];
+    if (!revs.length) {
+      box.innerHTML = `<div class="awt-ps-meta">No revisions saved yet.</div>`;
+      return;
+    }
+    // compare the previous revision with the newest by default
+    const pick = { a: revs[1]?.rev ?? revs[0].rev, b: revs[0].rev };
+    box.innerHTML = `
+      <div class="awt-ps-meta" style="margin-bottom:6px">${revs.length} revision${revs.length === 1 ? "" : "s"} • pick A and B to compare</div>
+      ${revs.map((r) => `
+        <div class="awt-ps-rev">
+          <input type="radio" name="awt-ps-a" value="${r.rev}" title="A" ${r.rev === pick.a ? "checked" : ""} />
+          <input type="radio" name="awt-ps-b" value="${r.rev}" title="B" ${r.rev === pick.b ? "checked" : ""} />
+          <span class="grow"><b>#${r.rev}</b> ${escapeHtml(fmtDate(r.at))} • ${escapeHtml(r.reason || "save")} • ${r.messageCount} msg • +${r.added} −${r.removed}</span>
+          <span class="awt-ps-pill" data-rev-act="restore" data-rev="${r.rev}">Restore</span>
+          <span class="awt-ps-pill" data-rev-act="export" data-rev="${r.rev}">Export</span>
+        </div>`).join("")}
+      <div id="awt-ps-diffbox" style="margin-top:12px"></div>
+    `;
+
+    const cache = new Map();
+    const revision = async (rev) => {
+      if (!cache.has(rev)) cache.set(rev, (await api.getRevision(c.id, rev))?.revision || null);
+      return cache.get(rev);
+    };
+
+    const showDiff = async () => {
+      const diffBox = box.querySelector("#awt-ps-diffbox");
+      const [a, b] = await Promise.all([revision(pick.a), revision(pick.b)]);
+      diffBox.innerHTML = a && b ? revisionDiffHtml(a, b) : `<div class="awt-ps-meta">Revision not found.</div>`;
+    };
+
+    box.querySelectorAll("input[type=radio]").forEach((radio) => {
+      radio.addEventListener("change", () => {
+        pick[radio.name === "awt-ps-a" ? "a" : "b"] = Number(radio.value);
+        showDiff();
+      });
+    });
+
+    box.querySelectorAll("[data-rev-act]").forEach((btn) => {
+      btn.addEventListener("click", async () => {
+        const rev = Number(btn.dataset.rev);
+        if (btn.dataset.revAct === "export") {
+          const r = await revision(rev);
+          if (!r) return;
+          const md = api.formatConversation({ ...c, messages: r.messages }, "md");
+          await api.downloadText(`awt-${c.id}-rev${rev}.md`, md, "text/markdown");
+          return;
+        }
+        if (!confirm(`Replace the saved transcript with revision #${rev}? The current one stays in the history.`)) return;
+        const res = await api.restoreRevision(c.id, rev);
+        api.notify(res?.ok ? `Restored revision #${rev}` : "Restore failed", res?.ok ? "success" : "error");
+        if (!res?.ok) return;
+        await refresh();
+        const updated = state.items.find((x) => x.id === c.id) || res.conversation;
+        renderDetail(updated);
+      });
+    });
+
+    await showDiff();
+  }
+
   function shortUrl(u) {
     try { const x = new URL(u); return x.origin + x.pathname; } catch { return u; }
   }
@@ -231,6 +447,44 @@ async function ensureUI(api, opts = {}) {
   function bindListHandlers() {
     left.querySelectorAll(".awt-ps-row").forEach((row) => {
       row.addEventListener("click", () => select(row.dataset.id));
+      row.addEventListener("dragstart", (e) => {
+        e.dataTransfer.setData(DRAG_TYPE, row.dataset.id);
+        e.dataTransfer.effectAllowed = "move";
+      });
+    });
+    left.querySelectorAll("[data-folder]").forEach((chip) => {
+      const folderId = chip.dataset.folder;
+      chip.addEventListener("click", () => {
+        state.filters.folderId = folderId;
+        refresh();
+      });
+      // "All folders" is a filter only
+      if (!folderId) return;
+      chip.addEventListener("dragover", (e) => {
+        if (!e.dataTransfer.types.includes(DRAG_TYPE)) return;
+        e.preventDefault();
+        chip.classList.add("drop");
+      });
+      chip.addEventListener("dragleave", () => chip.classList.remove("drop"));
+      chip.addEventListener("drop", async (e) => {
+        e.preventDefault();
+        chip.classList.remove("drop");
+        const id = e.dataTransfer.getData(DRAG_TYPE);
+        if (!id) return;
+        const res = await api.moveToFolder([id], folderId === "none" ? "" : folderId);
+        if (!res?.ok) return api.notify("Move failed", "error");
+        api.notify(folderId === "none" ? "Removed from folder" : `Moved to ${folderPath(folderId)}`, "success");
+        await refresh();
+      });
+    });
+    left.querySelector("[data-folder-new]")?.addEventListener("click", async () => {
+      // a new folder goes under the one being viewed
+      const parentId = state.folders.some((f) => f.id === state.filters.folderId) ? state.filters.folderId : "";
+      const name = (prompt(parentId ? `New folder in ${folderPath(parentId)}:` : "New folder:", "") || "").trim();
+      if (!name) return;
+      const res = await api.createFolder(name, parentId);
+      if (!res?.ok) return api.notify("Could not create the folder", "error");
+      await refresh();
     });
     left.querySelectorAll("[data-chip]").forEach((chip) => {
       chip.addEventListener("click", () => {
@@ -241,6 +495,11 @@ async function ensureUI(api, opts = {}) {
           const t = prompt("Filter by tag (exact match). Leave blank to clear.", state.filters.tag || "");
           state.filters.tag = (t || "").trim();
         }
+        if (which === "platform") {
+          // cycle: all sites -> each platform -> all sites
+          const ids = ["", ...Object.keys(PLATFORM_LABELS)];
+          state.filters.platform = ids[(ids.indexOf(state.filters.platform) + 1) % ids.length];
+        }
         refresh();
       });
     });
@@ -252,9 +511,24 @@ async function ensureUI(api, opts = {}) {
     });
   }
 
+  function jumpToMessage(c, index) {
+    state.view = "full";
+    renderList();
+    renderDetail(c);
+    const el = right.querySelector(`[data-msg="${index}"]`);
+    if (!el) return;
+    el.scrollIntoView({ block: "start" });
+    el.classList.add("flash");
+    setTimeout(() => el.classList.remove("flash"), 1200);
+  }
+
   function bindDetailHandlers(c) {
     if (!c) return bindCurrentMeta();
 
+    right.querySelectorAll("[data-jump]").forEach((link) => {
+      link.addEventListener("click", () => jumpToMessage(c, Number(link.dataset.jump)));
+    });
+
     right.querySelectorAll("[data-act]").forEach((btn) => {
       btn.addEventListener("click", async () => {
         const act = btn.getAttribute("data-act");
@@ -301,7 +575,7 @@ function bindCurrentMeta() {
         add.value = "";
         if (!tag || !id) return;
         await ensureSavedCurrent();
-        const existing = (await api.listConversations({ query: id, limit: 1 }))?.items?.[0];
+        const existing = (await api.getConversationById(id))?.conversation;
         const tags = Array.from(new Set([...(existing?.tags || []), tag]));
         await api.updateConversationMeta(id, { tags });
         api.notify(`Tagged: ${tag}`, "success");
@@ -315,7 +589,7 @@ function bindCurrentMeta() {
       pin.addEventListener("click", async () => {
         if (!id) return;
         await ensureSavedCurrent();
-        const existing = (await api.listConversations({ query: id, limit: 1 }))?.items?.[0];
+        const existing = (await api.getConversationById(id))?.conversation;
         await api.updateConversationMeta(id, { pinned: !(existing?.pinned) });
         api.notify((existing?.pinned) ? "Unpinned" : "Pinned", "success");
         await refresh();
@@ -342,7 +616,7 @@ function bindCurrentMeta() {
         const tag = chip.getAttribute("data-quicktag");
         if (!tag || !id) return;
         await ensureSavedCurrent();
-        const existing = (await api.listConversations({ query: id, limit: 1 }))?.items?.[0];
+        const existing = (await api.getConversationById(id))?.conversation;
         const tags = Array.from(new Set([...(existing?.tags || []), tag]));
         await api.updateConversationMeta(id, { tags });
         api.notify(`Tagged: ${tag}`, "success");
@@ -356,6 +630,7 @@ function bindCurrentMeta() {
   function renderDetail(c) {
     right.innerHTML = detailView(c);
     bindDetailHandlers(c);
+    if (c && state.view === "history") loadHistory(c);
   }
 
   function open() {
@@ -389,7 +664,6 @@ function bindCurrentMeta() {
 
   // initial list
   await refresh();
-  bindListHandlers();
 
   // hotkeys
   const hotkeyHandler = (e) => {
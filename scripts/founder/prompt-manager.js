@@ -3013,5 +3013,19 @@ export async function onAction({ api, action, payload }) {
     return { ok: true };
   }
 
+  // Backup archive (service worker): the memory graph is stored per site
+  if (action === "memory_export") {
+    await memoryBridge.init();
+    return { ok: true, graph: JSON.parse(await memoryBridge.export()) };
+  }
+
+  if (action === "memory_import") {
+    if (!payload?.graph) return { ok: false, error: "missing_graph" };
+    await memoryBridge.init();
+    if (!payload.merge) await memoryBridge.clear();
+    await memoryBridge.import(JSON.stringify(payload.graph), true);
+    return { ok: true };
+  }
+
   return { ok: false, error: "unknown_action" };
 }
@@ -0,0 +1,171 @@
+/**
+ * Founder: search box helpers
+ * ===========================
+ * Shared by Power Search and the command palette (not a registry entry):
+ * - autocomplete for operator values (tag: names and folder: paths from the
+ *   library, platform:, is:, has:, lang:) while typing in a search input
+ * - a "?" button with the query syntax (shared/query.js QUERY_HELP)
+ */
+
+import { QUERY_HELP, operatorAt, operatorValues, completeOperator } from "../../shared/query.js";
+import { listPlatforms } from "../../shared/platforms.js";
+
+const MAX_SUGGESTIONS = 8;
+
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+}
+
+function ensureStyle(api) {
+  api.ensureOnce("awt-qa-style", () => {
+    const css = document.createElement("style");
+    css.id = "awt-qa-style";
+    css.textContent = `
+      .awt-qa-pop{position:fixed;z-index:2147483647;display:none;min-width:220px;max-width:min(520px,90vw);background:#fff;color:#111;border:1px solid rgba(0,0,0,.14);border-radius:12px;box-shadow:0 12px 36px rgba(0,0,0,.22);font:13px ui-sans-serif,system-ui;overflow:hidden}
+      .awt-qa-item{padding:7px 10px;cursor:pointer;display:flex;justify-content:space-between;gap:12px}
+      .awt-qa-item.sel,.awt-qa-item:hover{background:rgba(37,99,235,.12)}
+      .awt-qa-count{opacity:.6;font-size:12px}
+      .awt-qa-help{padding:10px 12px}
+      .awt-qa-help table{border-collapse:collapse}
+      .awt-qa-help td{padding:3px 10px 3px 0;vertical-align:top}
+      .awt-qa-help code{font-family:ui-monospace, SFMono-Regular, Menlo, Consolas, monospace;font-size:12px;white-space:nowrap}
+      .awt-qa-btn{padding:9px 12px;border-radius:12px;border:1px solid rgba(0,0,0,.16);background:transparent;color:inherit;cursor:pointer;font-weight:800}
+      @media (prefers-color-scheme: dark){
+        .awt-qa-pop{background:#111827;color:#e5e7eb;border-color:rgba(255,255,255,.14)}
+        .awt-qa-btn{border-color:rgba(255,255,255,.18)}
+      }
+    `;
+    document.documentElement.appendChild(css);
+  });
+}
+
+function placeUnder(pop, target) {
+  const r = target.getBoundingClientRect();
+  pop.style.left = `${Math.max(8, Math.min(r.left, window.innerWidth - pop.offsetWidth - 8))}px`;
+  pop.style.top = `${r.bottom + 6}px`;
+}
+
+/**
+ * Wire autocomplete + a help button to a search input. The button is inserted
+ * right after the input. Accepting a suggestion rewrites the input and fires
+ * an "input" event, so the caller's search runs as if the user typed it.
+ */
+export function attachQueryAssist(api, input, { helpButtonClass = "" } = {}) {
+  if (!input || input.dataset.awtQueryAssist) return;
+  input.dataset.awtQueryAssist = "1";
+  ensureStyle(api);
+
+  const list = document.createElement("div");
+  list.className = "awt-qa-pop";
+  list.setAttribute("role", "listbox");
+  const help = document.createElement("div");
+  help.className = "awt-qa-pop awt-qa-help";
+  help.innerHTML = `
+    <div style="font-weight:800;margin-bottom:6px">Search syntax</div>
+    <table>${QUERY_HELP.map(([syntax, what]) => `<tr><td><code>${escapeHtml(syntax)}</code></td><td>${escapeHtml(what)}</td></tr>`).join("")}</table>
+    <div style="opacity:.7;margin-top:6px">Everything else is searched as text. Operators combine with AND.</div>
+  `;
+  document.body.append(list, help);
+
+  const btn = document.createElement("button");
+  btn.type = "button";
+  btn.className = helpButtonClass || "awt-qa-btn";
+  btn.textContent = "?";
+  btn.title = "Search syntax";
+  input.insertAdjacentElement("afterend", btn);
+
+  const known = { platform: listPlatforms().map((p) => p.id), tag: [], folder: ["none"] };
+  const state = { at: null, items: [], sel: 0, counts: {} };
+
+  async function loadKnown() {
+    try {
+      const res = await api.listTags();
+      if (!res?.ok) return;
+      known.tag = res.tags.map((t) => t.tag);
+      state.counts = Object.fromEntries(res.tags.map((t) => [t.tag, t.count]));
+    } catch {}
+    try {
+      const res = await api.listFolders();
+      if (res?.ok) known.folder = [...res.folders.map((f) => f.path), "none"];
+    } catch {}
+  }
+
+  function hide() {
+    list.style.display = "none";
+    state.items = [];
+  }
+
+  function render() {
+    list.innerHTML = state.items.map((v, i) => `
+      <div class="awt-qa-item ${i === state.sel ? "sel" : ""}" role="option" data-idx="${i}">
+        <span>${escapeHtml(`${state.at.neg ? "-" : ""}${state.at.op}:${v}`)}</span>
+        ${state.at.op === "tag" && state.counts[v] ? `<span class="awt-qa-count">${state.counts[v]}</span>` : ""}
+      </div>`).join("");
+    list.querySelectorAll(".awt-qa-item").forEach((row) => {
+      // mousedown keeps focus in the input
+      row.addEventListener("mousedown", (e) => {
+        e.preventDefault();
+        accept(Number(row.dataset.idx));
+      });
+    });
+  }
+
+  function update() {
+    state.at = operatorAt(input.value, input.selectionStart ?? input.value.length);
+    state.items = state.at ? operatorValues(state.at.op, state.at.partial, known).slice(0, MAX_SUGGESTIONS) : [];
+    state.sel = 0;
+    if (!state.items.length) return hide();
+    render();
+    list.style.display = "block";
+    placeUnder(list, input);
+  }
+
+  function accept(i) {
+    const value = state.items[i];
+    if (value === undefined || !state.at) return;
+    const next = completeOperator(input.value, state.at, value);
+    input.value = next.value;
+    input.setSelectionRange(next.caret, next.caret);
+    hide();
+    input.dispatchEvent(new Event("input", { bubbles: true }));
+  }
+
+  input.addEventListener("focus", () => { loadKnown(); });
+  input.addEventListener("input", update);
+  input.addEventListener("click", update);
+  input.addEventListener("blur", () => setTimeout(hide, 120));
+  input.addEventListener("keydown", (e) => {
+    if (!state.items.length) return;
+    // handled here so the surrounding dialog does not also act on the key
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      state.sel = (state.sel + (e.key === "ArrowDown" ? 1 : -1) + state.items.length) % state.items.length;
+      render();
+    } else if (e.key === "Tab" || e.key === "Enter") {
+      accept(state.sel);
+    } else if (e.key === "Escape") {
+      hide();
+    } else {
+      return;
+    }
+    e.preventDefault();
+    e.stopPropagation();
+  });
+
+  btn.addEventListener("click", () => {
+    const show = help.style.display !== "block";
+    help.style.display = show ? "block" : "none";
+    if (show) placeUnder(help, btn);
+  });
+  const outside = (e) => {
+    if (e.target !== btn && !help.contains(e.target)) help.style.display = "none";
+  };
+  document.addEventListener("mousedown", outside, true);
+
+  api.onCleanup(() => {
+    document.removeEventListener("mousedown", outside, true);
+    list.remove();
+    help.remove();
+    btn.remove();
+    delete input.dataset.awtQueryAssist;
+  });
+}
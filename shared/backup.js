@@ -0,0 +1,367 @@
+/**
+ * Backup archive
+ * ==============
+ * One versioned JSON file with everything the extension keeps, to move a
+ * setup to another machine:
+ *
+ *   { format: "awt-backup", version: 1, createdAt, extensionVersion,
+ *     sections: { settings, connectors, conversations, folders, notes, jobs, prompts, memoryGraph } }
+ *
+ * - settings       awt_settings without the registry and connectors (script
+ *                  toggles, approvals, per-script options, ui, library)
+ * - connectors     { byId, order }; HMAC secrets only when asked for
+ * - conversations  every saved record (not the trash or revision history)
+ * - folders        the folder tree (shared/folders.js); records keep folderId
+ * - notes          the global notes store
+ * - jobs           the connector job queue
+ * - prompts        every awt_prompts_* key (prompts, favorites, recents, workflows)
+ * - memoryGraph    { [origin]: graph JSON }; the graph lives in each chat
+ *                  site's IndexedDB, so the service worker collects it from
+ *                  open tabs and passes it in
+ *
+ * Restore modes (sections missing from a file are left alone):
+ * - "replace"  each section becomes what the file holds; conversations that
+ *              are not in it move to the trash
+ * - "merge"    entries from the file are added and win over same-ID entries,
+ *              nothing is removed. Conversations merge like an import (newer
+ *              transcript wins, saved tags/notes stay); jobs already queued
+ *              here are left alone.
+ *
+ * previewBackup() works out the same result as restoreBackup() without
+ * writing, and lists what would be added, updated and removed per section.
+ * The prompts section only ever writes awt_prompts_* keys; any other key in
+ * it (a hand-edited file naming awt_settings, say) is listed as rejected and
+ * left alone.
+ *
+ * The file itself is not encrypted: with the vault on, a backup needs it
+ * unlocked, and restored data is sealed again on the way in.
+ *
+ * Service worker only.
+ */
+
+import {
+  getSettings,
+  setSettings,
+  getNotesStore,
+  setNotesStore,
+  getJobs,
+  setJobs,
+  exportConversations,
+  importConversations,
+  replaceConversations,
+  getFolders,
+  setFolders,
+  sealConnectorSecrets,
+  connectorSecret,
+} from "./storage.js";
+import { hashConversation } from "./message-meta.js";
+import { folderPath } from "./folders.js";
+
+export const BACKUP_FORMAT = "awt-backup";
+export const BACKUP_VERSION = 1;
+export const BACKUP_SECTIONS = ["settings", "connectors", "conversations", "folders", "notes", "jobs", "prompts", "memoryGraph"];
+
+const PROMPTS_PREFIX = "awt_prompts_";
+// settings that describe this install rather than the user's choices
+const LOCAL_SETTINGS = ["registry", "connectors", "version"];
+
+const isObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+const sameJson = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+async function readPrompts() {
+  const all = await chrome.storage.local.get(null);
+  return Object.fromEntries(Object.entries(all || {}).filter(([k]) => k.startsWith(PROMPTS_PREFIX)));
+}
+
+async function exportConnectors(connectors, includeSecrets) {
+  const byId = {};
+  for (const [id, c] of Object.entries(connectors?.byId || {})) {
+    const { secret: _secret, secretEnc: _sealed, ...rest } = c;
+    const secret = includeSecrets ? await connectorSecret(c) : "";
+    byId[id] = secret ? { ...rest, secret } : rest;
+  }
+  return { byId, order: connectors?.order || [] };
+}
+
+/**
+ * Everything, as one object. `memoryGraph`: { [origin]: graph JSON } from the
+ * open chat tabs. Throws vault_locked while the vault is locked.
+ */
+export async function createBackup({ includeSecrets = false, memoryGraph = {}, extensionVersion = "" } = {}) {
+  const settings = (await getSettings()) || {};
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: new Date().toISOString(),
+    extensionVersion,
+    sections: {
+      settings: Object.fromEntries(Object.entries(settings).filter(([k]) => !LOCAL_SETTINGS.includes(k))),
+      connectors: await exportConnectors(settings.connectors, includeSecrets),
+      conversations: await exportConversations(),
+      folders: await getFolders(),
+      notes: await getNotesStore(),
+      jobs: await getJobs(),
+      prompts: await readPrompts(),
+      memoryGraph,
+    },
+  };
+}
+
+/**
+ * A backup file's contents (JSON text or parsed) -> the backup. Throws
+ * "not_a_backup" / "backup_too_new".
+ */
+export function parseBackup(data) {
+  let backup = data;
+  if (typeof data === "string") {
+    try {
+      backup = JSON.parse(data);
+    } catch {
+      throw new Error("not_a_backup");
+    }
+  }
+  if (backup?.format !== BACKUP_FORMAT || !isObject(backup.sections)) throw new Error("not_a_backup");
+  if (!(Number(backup.version) >= 1)) throw new Error("not_a_backup");
+  if (backup.version > BACKUP_VERSION) throw new Error("backup_too_new");
+  return backup;
+}
+
+// ---- Section plans ------------------------------------------------------
+//
+// Each plan has the current and the restored value plus entries() to list
+// them as id -> { label, value } for the preview.
+
+// arrays of { id } merge by id (the file wins), other arrays are unioned
+function mergeList(local = [], incoming = []) {
+  if (incoming.every((x) => isObject(x) && "id" in x)) {
+    const byId = new Map(local.filter((x) => isObject(x) && "id" in x).map((x) => [x.id, x]));
+    incoming.forEach((x) => byId.set(x.id, x));
+    return [...byId.values()];
+  }
+  return [...new Set([...local, ...incoming])];
+}
+
+function settingsEntries(settings = {}) {
+  const out = new Map();
+  for (const [k, v] of Object.entries(settings)) {
+    if (LOCAL_SETTINGS.includes(k)) continue;
+    if (isObject(v)) Object.entries(v).forEach(([sub, value]) => out.set(`${k}.${sub}`, { label: `${k}.${sub}`, value }));
+    else out.set(k, { label: k, value: v });
+  }
+  return out;
+}
+
+function planSettings(current, incoming, mode) {
+  let next;
+  if (mode === "replace") {
+    next = { ...incoming };
+  } else {
+    next = { ...current };
+    for (const [k, v] of Object.entries(incoming)) next[k] = isObject(v) && isObject(current[k]) ? { ...current[k], ...v } : v;
+  }
+  for (const k of LOCAL_SETTINGS) {
+    if (k in current) next[k] = current[k];
+    else delete next[k];
+  }
+  return { current, next, entries: settingsEntries };
+}
+
+function connectorEntries(connectors) {
+  return new Map(Object.entries(connectors?.byId || {}).map(([id, c]) => [id, { label: c.name || id, value: c }]));
+}
+
+function planConnectors(current = { byId: {}, order: [] }, incoming, mode) {
+  const byId = mode === "replace" ? {} : { ...(current.byId || {}) };
+  for (const [id, c] of Object.entries(incoming?.byId || {})) {
+    // a file without secrets keeps the ones saved here
+    const here = current.byId?.[id];
+    const kept = !c.secret && here ? (here.secretEnc ? { secretEnc: here.secretEnc } : here.secret ? { secret: here.secret } : {}) : {};
+    byId[id] = { ...c, ...kept };
+  }
+  const order = [...(incoming?.order || []), ...(current.order || [])].filter((id, i, all) => byId[id] && all.indexOf(id) === i);
+  Object.keys(byId).forEach((id) => { if (!order.includes(id)) order.push(id); });
+  return { current, next: { ...current, byId, order }, entries: connectorEntries };
+}
+
+function planFolders(current = { byId: {}, order: [] }, incoming, mode) {
+  const byId = { ...(mode === "replace" ? {} : current.byId || {}), ...(incoming?.byId || {}) };
+  const order = [...(current.order || []), ...(incoming?.order || [])].filter((id, i, all) => byId[id] && all.indexOf(id) === i);
+  const entries = (store) => new Map(Object.keys(store?.byId || {}).map((id) => [id, { label: folderPath(store, id, "/"), value: store.byId[id] }]));
+  return { current, next: { byId, order }, entries };
+}
+
+function planNotes(current = {}, incoming = {}, mode) {
+  const next = mode === "replace" ? { ...incoming } : { ...current };
+  if (mode !== "replace") {
+    // notes are per-key { text, updatedAt }: the newer one wins
+    for (const [k, v] of Object.entries(incoming)) {
+      if (!current[k] || (v?.updatedAt || 0) >= (current[k]?.updatedAt || 0)) next[k] = v;
+    }
+  }
+  const entries = (store) => new Map(Object.entries(store || {}).map(([k, v]) => [k, { label: `${k} notes`, value: v }]));
+  return { current, next, entries };
+}
+
+function jobLabel(j) {
+  return `${j.type || "job"} ${j.connectorId || ""} (${j.status || "queued"})`.replace(/\s+/g, " ");
+}
+
+function planJobs(current = { byId: {}, order: [] }, incoming, mode) {
+  const byId = mode === "replace" ? {} : { ...(current.byId || {}) };
+  for (const [id, j] of Object.entries(incoming?.byId || {})) {
+    if (byId[id]) continue;
+    // a send that was in flight when the backup was taken goes again
+    byId[id] = j.status === "running" ? { ...j, status: "queued" } : j;
+  }
+  const order = [...(current.order || []), ...(incoming?.order || [])].filter((id, i, all) => byId[id] && all.indexOf(id) === i);
+  const entries = (jobs) => new Map(Object.entries(jobs?.byId || {}).map(([id, j]) => [id, { label: jobLabel(j), value: j }]));
+  return { current, next: { byId, order }, entries };
+}
+
+function promptEntries(prompts = {}) {
+  const out = new Map();
+  for (const [key, value] of Object.entries(prompts)) {
+    const kind = key.slice(PROMPTS_PREFIX.length).replace(/(^|_)v\d+$/, "") || "prompts";
+    const list = Array.isArray(value) ? value : Array.isArray(value?.prompts) ? value.prompts : null;
+    if (list && list.every((x) => isObject(x) && "id" in x)) {
+      list.forEach((x) => out.set(`${key}:${x.id}`, { label: `${kind}: ${x.name || x.title || x.id}`, value: x }));
+    } else {
+      out.set(key, { label: kind, value });
+    }
+  }
+  return out;
+}
+
+function planPrompts(current = {}, section = {}, mode) {
+  const keys = Object.keys(isObject(section) ? section : {});
+  const incoming = Object.fromEntries(keys.filter((k) => k.startsWith(PROMPTS_PREFIX)).map((k) => [k, section[k]]));
+  const rejected = keys.filter((k) => !k.startsWith(PROMPTS_PREFIX));
+  const next = mode === "replace" ? { ...incoming } : { ...current };
+  if (mode !== "replace") {
+    for (const [key, value] of Object.entries(incoming)) {
+      const here = current[key];
+      if (Array.isArray(value) && Array.isArray(here)) next[key] = mergeList(here, value);
+      else if (Array.isArray(value?.prompts) && Array.isArray(here?.prompts)) next[key] = { ...here, ...value, prompts: mergeList(here.prompts, value.prompts) };
+      else next[key] = value;
+    }
+  }
+  return { current, next, rejected, entries: promptEntries };
+}
+
+// preview only: the graph is merged/replaced by the page that owns it
+function planMemoryGraph(incoming = {}) {
+  const entries = (graphs) =>
+    new Map(Object.entries(graphs || {}).map(([origin, g]) => [origin, { label: `${origin} (${(g?.nodes || []).length} nodes)`, value: g }]));
+  return { current: {}, next: incoming, entries };
+}
+
+function conversationFingerprint(c) {
+  return JSON.stringify([hashConversation(c), c.title || "", c.tags || [], !!c.pinned, c.notes || "", c.folderId || ""]);
+}
+
+// conversations are compared by fingerprint rather than in full
+function planConversations(current, incoming = [], mode) {
+  const local = new Map(current.map((c) => [c.id, c]));
+  const records = incoming.filter((rec) => rec?.id && Array.isArray(rec.messages));
+  const label = (c) => c.title || c.id;
+  const diff = { add: [], update: [], remove: [] };
+  for (const rec of new Map(records.map((rec) => [rec.id, rec])).values()) {
+    const here = local.get(rec.id);
+    if (!here) diff.add.push(label(rec));
+    else if (mode === "replace" ? conversationFingerprint(here) !== conversationFingerprint(rec) : hashConversation(here) !== hashConversation(rec)) diff.update.push(label(rec));
+  }
+  if (mode === "replace") {
+    const keep = new Set(records.map((rec) => rec.id));
+    current.forEach((c) => { if (!keep.has(c.id)) diff.remove.push(label(c)); });
+  }
+  return { records, diff };
+}
+
+function diffEntries({ current, next, entries, rejected }) {
+  const before = entries(current);
+  const after = entries(next);
+  const diff = { add: [], update: [], remove: [] };
+  if (rejected?.length) diff.rejected = rejected;
+  for (const [id, { label, value }] of after) {
+    if (!before.has(id)) diff.add.push(label);
+    else if (!sameJson(before.get(id).value, value)) diff.update.push(label);
+  }
+  for (const [id, { label }] of before) if (!after.has(id)) diff.remove.push(label);
+  return diff;
+}
+
+async function planBackup(backup, mode) {
+  if (mode !== "replace" && mode !== "merge") throw new Error("invalid_mode");
+  const { sections } = parseBackup(backup);
+  const has = (name) => sections[name] !== undefined && sections[name] !== null;
+  const plans = {};
+  if (has("settings")) plans.settings = planSettings((await getSettings()) || {}, sections.settings, mode);
+  if (has("connectors")) plans.connectors = planConnectors((await getSettings())?.connectors, sections.connectors, mode);
+  if (has("folders")) plans.folders = planFolders(await getFolders(), sections.folders, mode);
+  if (has("notes")) plans.notes = planNotes(await getNotesStore(), sections.notes, mode);
+  if (has("jobs")) plans.jobs = planJobs(await getJobs(), sections.jobs, mode);
+  if (has("prompts")) plans.prompts = planPrompts(await readPrompts(), sections.prompts, mode);
+  if (has("memoryGraph")) plans.memoryGraph = planMemoryGraph(sections.memoryGraph);
+  if (Array.isArray(sections.conversations)) plans.conversations = planConversations(await exportConversations(), sections.conversations, mode);
+  return plans;
+}
+
+/**
+ * What restoring `backup` in `mode` would change:
+ * { mode, createdAt, sections: { [name]: { add: [label], update: [label], remove: [label], rejected?: [key] } } }
+ */
+export async function previewBackup(backup, mode) {
+  const plans = await planBackup(backup, mode);
+  const sections = {};
+  for (const name of BACKUP_SECTIONS) {
+    if (!plans[name]) continue;
+    sections[name] = name === "conversations" ? plans[name].diff : diffEntries(plans[name]);
+  }
+  return { mode, createdAt: backup.createdAt || null, sections };
+}
+
+/**
+ * Restore `backup` in `mode`. The memory graph section is returned as
+ * `memoryGraph` for the caller to hand to the chat tabs.
+ * -> { mode, sections: { [name]: counts }, memoryGraph }
+ */
+export async function restoreBackup(backup, mode) {
+  const plans = await planBackup(backup, mode);
+  const sections = {};
+  const count = (name) => {
+    const { add, update, remove, rejected } = diffEntries(plans[name]);
+    sections[name] = { added: add.length, updated: update.length, removed: remove.length };
+    if (rejected) sections[name].rejected = rejected;
+  };
+
+  if (plans.settings || plans.connectors) {
+    const next = { ...(plans.settings?.next || (await getSettings()) || {}) };
+    if (plans.connectors) next.connectors = await sealConnectorSecrets(plans.connectors.next);
+    await setSettings(next);
+    if (plans.settings) count("settings");
+    if (plans.connectors) count("connectors");
+  }
+  if (plans.folders) {
+    await setFolders(plans.folders.next);
+    count("folders");
+  }
+  if (plans.notes) {
+    await setNotesStore(plans.notes.next);
+    count("notes");
+  }
+  if (plans.jobs) {
+    await setJobs(plans.jobs.next);
+    count("jobs");
+  }
+  if (plans.prompts) {
+    const stale = Object.keys(plans.prompts.current).filter((k) => !(k in plans.prompts.next));
+    if (stale.length) await chrome.storage.local.remove(stale);
+    await chrome.storage.local.set(plans.prompts.next);
+    count("prompts");
+  }
+  if (plans.conversations) {
+    const { records } = plans.conversations;
+    sections.conversations = mode === "replace" ? await replaceConversations(records) : await importConversations(records);
+  }
+  return { mode, sections, memoryGraph: plans.memoryGraph?.next || null };
+}
@@ -0,0 +1,427 @@
+/**
+ * Connector presets
+ * =================
+ * A connector is a generic webhook unless it names a `preset` that knows the
+ * request shape of one service:
+ *
+ * - slack   incoming webhook, a Block Kit message (a body template, if set,
+ *           is posted as it is instead)
+ * - notion  one page per conversation (POST /v1/pages), the Markdown as
+ *           Notion blocks
+ * - linear  one issue per extracted task (GraphQL issueCreate)
+ * - github  one issue per extracted task (POST /repos/{owner}/{repo}/issues)
+ *
+ * Connector fields a preset uses:
+ *   { preset, url, secret | secretEnc, target: { ...PRESET.fields } }
+ * For the API presets `url` is the API base (the service's by default; point
+ * it at dev/mock-connector-server.mjs to test) and the secret is the API
+ * token, sealed like HMAC secrets when the vault is on.
+ *
+ * buildRequests() turns one send into requests the job queue stores as they
+ * are (without credentials); authHeaders() adds the token when a job runs and
+ * readResponse() reads what the service answered.
+ *
+ * Pure helpers: used by the service worker and by Options.
+ */
+
+import { templateContext } from "./payloads.js";
+
+export const PRESET_WEBHOOK = "webhook";
+
+const MAX_REQUESTS = 25;
+const NOTION_VERSION = "2022-06-28";
+const NOTION_MAX_BLOCKS = 100;
+const NOTION_MAX_TEXT = 2000;
+const SLACK_MAX_TEXT = 2900;
+const TEST_TASK = "Superpower connector test";
+
+export const CONNECTOR_PRESETS = {
+  webhook: {
+    label: "Webhook (n8n / Zapier / Make)",
+    urlLabel: "Webhook URL (https://...)",
+    secretLabel: "Optional secret (HMAC SHA-256 signing)",
+    headers: true,
+    template: true,
+    fields: [],
+  },
+  slack: {
+    label: "Slack (incoming webhook)",
+    urlLabel: "Slack webhook URL (https://hooks.slack.com/services/...)",
+    secretLabel: "",
+    template: true,
+    fields: [],
+  },
+  notion: {
+    label: "Notion (page per conversation)",
+    apiBase: "https://api.notion.com",
+    urlLabel: "API base",
+    secretLabel: "Integration token (secret_… / ntn_…)",
+    fields: [
+      { key: "parentId", label: "Database or page ID (or its link)", required: true },
+      { key: "parentType", label: "Parent", options: { database: "Database", page: "Page" } },
+      { key: "titleProperty", label: "Title property (databases; default Name)" },
+    ],
+  },
+  linear: {
+    label: "Linear (issue per task)",
+    apiBase: "https://api.linear.app",
+    urlLabel: "API base",
+    secretLabel: "API key (lin_api_…)",
+    fields: [{ key: "teamId", label: "Team ID", required: true }],
+  },
+  github: {
+    label: "GitHub Issues (issue per task)",
+    apiBase: "https://api.github.com",
+    urlLabel: "API base",
+    secretLabel: "Token (fine-grained, Issues: write)",
+    fields: [
+      { key: "repo", label: "Repository (owner/repo)", required: true },
+      { key: "labels", label: "Labels (comma-separated)" },
+    ],
+  },
+};
+
+export function connectorPreset(connector) {
+  return CONNECTOR_PRESETS[connector?.preset] ? connector.preset : PRESET_WEBHOOK;
+}
+
+// does this connector send built requests (rather than its payload to its URL)?
+export function usesRequests(connector) {
+  const preset = connectorPreset(connector);
+  if (preset === PRESET_WEBHOOK) return false;
+  return !(CONNECTOR_PRESETS[preset].template && String(connector?.template || "").trim());
+}
+
+// a Notion ID from an ID or a notion.so link -> dashed UUID, or ""
+function notionId(value) {
+  const hex = String(value || "").replace(/-/g, "").match(/[0-9a-f]{32}(?=[^0-9a-f]*$)/i)?.[0];
+  return hex ? hex.replace(/^(.{8})(.{4})(.{4})(.{4})(.{12})$/, "$1-$2-$3-$4-$5").toLowerCase() : "";
+}
+
+/**
+ * What is missing or malformed in a preset connector -> [text]
+ */
+export function connectorErrors(connector) {
+  const preset = connectorPreset(connector);
+  const spec = CONNECTOR_PRESETS[preset];
+  const target = connector?.target || {};
+  const errors = [];
+  for (const f of spec.fields) if (f.required && !String(target[f.key] || "").trim()) errors.push(`${f.label} is required`);
+  if (spec.apiBase && !connector?.secret && !connector?.secretEnc) errors.push(`${spec.secretLabel} is required`);
+  if (preset === "notion" && target.parentId && !notionId(target.parentId)) errors.push("Notion parent is not a page or database ID");
+  if (preset === "github" && target.repo && !/^[\w.-]+\/[\w.-]+$/.test(String(target.repo).trim())) errors.push("Repository must look like owner/repo");
+  return errors;
+}
+
+/**
+ * Credentials for a request to a preset connector (added when the job runs).
+ */
+export function authHeaders(connector, secret) {
+  if (!secret) return {};
+  switch (connectorPreset(connector)) {
+    case "notion":
+    case "github":
+      return { Authorization: `Bearer ${secret}` };
+    case "linear":
+      // personal API keys go as they are, OAuth tokens as Bearer
+      return { Authorization: secret.startsWith("lin_api_") ? secret : `Bearer ${secret}` };
+    default:
+      return {};
+  }
+}
+
+/**
+ * A service's answer to one request -> { error?, url? } (url: what was created)
+ */
+export function readResponse(preset, { ok, text }) {
+  let json = null;
+  try {
+    json = JSON.parse(text || "");
+  } catch {}
+  if (preset === "linear" && ok) {
+    if (json?.errors?.length) return { error: `linear: ${json.errors[0]?.message || "error"}` };
+    const created = json?.data?.issueCreate;
+    if (created && !created.success) return { error: "linear: issue not created" };
+    return created?.issue?.url ? { url: created.issue.url } : {};
+  }
+  if (preset === "github" && ok && json?.html_url) return { url: json.html_url };
+  if (preset === "notion" && ok && json?.url) return { url: json.url };
+  return {};
+}
+
+// ---- Building requests ---------------------------------------------------
+
+const clip = (s, n) => {
+  const text = String(s ?? "");
+  return text.length > n ? `${text.slice(0, n - 1)}…` : text;
+};
+
+const ARTIFACT_TYPES = new Set(["tasks", "decisions", "links", "code"]);
+
+// one template context per conversation in the send (a folder send has many)
+function sendItems(context) {
+  const payload = context?.payload || {};
+  if (payload.type === "folder") {
+    return (payload.conversations || []).map((c) =>
+      templateContext({ type: "conversation", meta: { id: c.id, title: c.title, url: c.url }, conversation: c }, { folder: c.folder || "" })
+    );
+  }
+  if (payload.type === "awt_test") {
+    return [{ ...context, meta: { title: TEST_TASK }, artifacts: { tasks: [TEST_TASK], decisions: [], links: [], codeBlocks: [] } }];
+  }
+  return [context];
+}
+
+function itemTitle(ctx) {
+  return ctx.meta?.title || ctx.conversation?.title || "Untitled conversation";
+}
+
+function itemUrl(ctx) {
+  return ctx.meta?.url || ctx.conversation?.url || "";
+}
+
+// the extracted artifacts as Markdown, for artifact sends
+function artifactMarkdown(ctx) {
+  const a = ctx.artifacts || {};
+  const type = ctx.payload?.type;
+  const parts = [];
+  if (a.tasks?.length && type !== "links" && type !== "code") parts.push(`## Tasks\n${a.tasks.map((t) => `- [ ] ${t}`).join("\n")}`);
+  if (a.decisions?.length && (type === "tasks" || type === "decisions")) parts.push(`## Decisions\n${a.decisions.map((d) => `- ${d}`).join("\n")}`);
+  if (a.links?.length && (type === "tasks" || type === "links")) parts.push(`## Links\n${a.links.map((l) => `- ${l}`).join("\n")}`);
+  if (a.codeBlocks?.length && type === "code") parts.push(a.codeBlocks.map((b) => `\`\`\`${b.lang}\n${b.code}\n\`\`\``).join("\n\n"));
+  return parts.join("\n\n");
+}
+
+function itemMarkdown(ctx) {
+  if (ARTIFACT_TYPES.has(ctx.payload?.type)) return artifactMarkdown(ctx);
+  return String(ctx.markdown || "").replace(/^# .*\n+/, "");
+}
+
+// "Folder: Work · Tags: a, b" (or "")
+function itemFacts(ctx) {
+  return [ctx.folder ? `Folder: ${ctx.folder}` : "", ctx.tags?.length ? `Tags: ${ctx.tags.join(", ")}` : ""].filter(Boolean).join(" · ");
+}
+
+// -- Slack --
+
+const slackEscape = (s) => String(s ?? "").replace(/[&<>]/g, (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;" })[ch]);
+
+function slackSection(title, items) {
+  if (!items?.length) return null;
+  return { type: "section", text: { type: "mrkdwn", text: clip(`*${title}*\n${items.map((x) => `• ${slackEscape(x)}`).join("\n")}`, SLACK_MAX_TEXT) } };
+}
+
+function slackBlocks(ctx) {
+  const a = ctx.artifacts || {};
+  const type = ctx.payload?.type;
+  const url = itemUrl(ctx);
+  const blocks = [{ type: "header", text: { type: "plain_text", text: clip(itemTitle(ctx), 150) } }];
+  if (ARTIFACT_TYPES.has(type) || type === "awt_test") {
+    if (type !== "links" && type !== "code") blocks.push(slackSection("Tasks", a.tasks));
+    if (type === "tasks" || type === "decisions") blocks.push(slackSection("Decisions", a.decisions));
+    if (type === "tasks" || type === "links") blocks.push(slackSection("Links", a.links));
+    if (type === "code") blocks.push(...(a.codeBlocks || []).slice(0, 5).map((b) => ({ type: "section", text: { type: "mrkdwn", text: clip(`\`\`\`${slackEscape(b.code)}\`\`\``, SLACK_MAX_TEXT) } })));
+  } else {
+    const last = [...(ctx.conversation?.messages || [])].reverse().find((m) => m.role !== "user");
+    if (last?.text) blocks.push({ type: "section", text: { type: "mrkdwn", text: clip(slackEscape(last.text), SLACK_MAX_TEXT) } });
+  }
+  const context = [url ? `<${url}|Open conversation>` : "", slackEscape(itemFacts(ctx))].filter(Boolean).join(" · ");
+  if (context) blocks.push({ type: "context", elements: [{ type: "mrkdwn", text: clip(context, SLACK_MAX_TEXT) }] });
+  return blocks.filter(Boolean);
+}
+
+function slackRequests(connector, items) {
+  const folder = items[0]?.payload?.type === "folder" ? items[0].payload.folder : null;
+  const blocks = folder
+    ? [
+        { type: "header", text: { type: "plain_text", text: clip(`Folder: ${folder.path || folder.name}`, 150) } },
+        slackSection(`${items.length} conversation(s)`, items.map((ctx) => itemTitle(ctx))),
+      ].filter(Boolean)
+    : slackBlocks(items[0] || {});
+  const text = folder ? `Folder: ${folder.path || folder.name}` : itemTitle(items[0] || {});
+  // Slack allows 50 blocks per message
+  return [{ label: `Slack: ${clip(text, 80)}`, method: "POST", url: connector.url, headers: {}, body: { text, blocks: blocks.slice(0, 50) } }];
+}
+
+// -- Notion --
+
+const NOTION_LANGUAGES = new Set([
+  "bash", "c", "c#", "c++", "css", "diff", "docker", "go", "graphql", "html", "java", "javascript", "json", "kotlin",
+  "latex", "lua", "makefile", "markdown", "php", "plain text", "powershell", "python", "r", "ruby", "rust", "scala",
+  "shell", "sql", "swift", "typescript", "xml", "yaml",
+]);
+const NOTION_ALIASES = { js: "javascript", jsx: "javascript", ts: "typescript", tsx: "typescript", py: "python", sh: "shell", zsh: "shell", yml: "yaml", rb: "ruby", rs: "rust", cs: "c#", cpp: "c++", md: "markdown", dockerfile: "docker", text: "plain text", txt: "plain text" };
+
+function notionLanguage(lang) {
+  const l = String(lang || "").toLowerCase();
+  const name = NOTION_ALIASES[l] || l;
+  return NOTION_LANGUAGES.has(name) ? name : "plain text";
+}
+
+// plain text in pieces Notion accepts (2000 characters per rich text object)
+function notionText(content, annotations = null, link = "") {
+  const out = [];
+  const s = String(content ?? "");
+  for (let i = 0; i < s.length; i += NOTION_MAX_TEXT) {
+    out.push({
+      type: "text",
+      text: { content: s.slice(i, i + NOTION_MAX_TEXT), ...(link ? { link: { url: link } } : {}) },
+      ...(annotations ? { annotations } : {}),
+    });
+  }
+  return out;
+}
+
+// **bold**, *italic* / _italic_, `code` and [links](https://…) -> rich text
+const INLINE_RE = /\*\*([^*]+)\*\*|`([^`]+)`|\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)|\*([^*\s][^*]*)\*|\b_([^_\s][^_]*)_\b/g;
+
+function richText(line) {
+  const out = [];
+  let pos = 0;
+  for (const m of String(line || "").matchAll(INLINE_RE)) {
+    if (m.index > pos) out.push(...notionText(line.slice(pos, m.index)));
+    if (m[1] !== undefined) out.push(...notionText(m[1], { bold: true }));
+    else if (m[2] !== undefined) out.push(...notionText(m[2], { code: true }));
+    else if (m[3] !== undefined) out.push(...notionText(m[3], null, m[4]));
+    else out.push(...notionText(m[5] ?? m[6], { italic: true }));
+    pos = m.index + m[0].length;
+  }
+  if (pos < String(line || "").length) out.push(...notionText(line.slice(pos)));
+  // Notion allows 100 rich text objects per block
+  return out.slice(0, 100);
+}
+
+const block = (type, value) => ({ object: "block", type, [type]: value });
+
+/**
+ * Markdown -> Notion blocks: headings, bullet / numbered / to-do lists,
+ * quotes, dividers, fenced code and paragraphs with inline formatting.
+ */
+export function markdownBlocks(markdown) {
+  const blocks = [];
+  const lines = String(markdown || "").replace(/\r\n?/g, "\n").split("\n");
+  let para = [];
+  const flush = () => {
+    if (para.length) blocks.push(block("paragraph", { rich_text: richText(para.join(" ")) }));
+    para = [];
+  };
+  for (let i = 0; i < lines.length; i++) {
+    const ln = lines[i];
+    let m;
+    if ((m = ln.match(/^\s*```\s*([\w#+.-]*)/))) {
+      flush();
+      const code = [];
+      for (i++; i < lines.length && !/^\s*```/.test(lines[i]); i++) code.push(lines[i]);
+      blocks.push(block("code", { rich_text: notionText(code.join("\n")).slice(0, 100), language: notionLanguage(m[1]) }));
+    } else if (!ln.trim()) {
+      flush();
+    } else if ((m = ln.match(/^(#{1,3})\s+(.*)$/))) {
+      flush();
+      blocks.push(block(`heading_${m[1].length}`, { rich_text: richText(m[2]) }));
+    } else if ((m = ln.match(/^\s*[-*]\s+\[([ xX])\]\s+(.*)$/))) {
+      flush();
+      blocks.push(block("to_do", { rich_text: richText(m[2]), checked: m[1] !== " " }));
+    } else if ((m = ln.match(/^\s*[-*+]\s+(.*)$/))) {
+      flush();
+      blocks.push(block("bulleted_list_item", { rich_text: richText(m[1]) }));
+    } else if ((m = ln.match(/^\s*\d+[.)]\s+(.*)$/))) {
+      flush();
+      blocks.push(block("numbered_list_item", { rich_text: richText(m[1]) }));
+    } else if ((m = ln.match(/^\s*>\s?(.*)$/))) {
+      flush();
+      blocks.push(block("quote", { rich_text: richText(m[1]) }));
+    } else if (/^\s*(?:-{3,}|\*{3,})\s*$/.test(ln)) {
+      flush();
+      blocks.push(block("divider", {}));
+    } else {
+      para.push(ln.trim());
+    }
+  }
+  flush();
+  return blocks;
+}
+
+function notionRequests(connector, items, base) {
+  const target = connector.target || {};
+  const parentId = notionId(target.parentId);
+  const isPage = target.parentType === "page";
+  return items.map((ctx) => {
+    const title = itemTitle(ctx);
+    const url = itemUrl(ctx);
+    const facts = itemFacts(ctx);
+    const intro = [url ? `[Open conversation](${url})` : "", facts].filter(Boolean).join(" · ");
+    let children = markdownBlocks([intro, itemMarkdown(ctx)].filter(Boolean).join("\n\n"));
+    if (children.length > NOTION_MAX_BLOCKS) {
+      children = [...children.slice(0, NOTION_MAX_BLOCKS - 1), block("paragraph", { rich_text: notionText("… (truncated: the rest of the conversation is in the link above)", { italic: true }) })];
+    }
+    const titleText = notionText(clip(title, NOTION_MAX_TEXT));
+    return {
+      label: `Notion page: ${clip(title, 80)}`,
+      method: "POST",
+      url: `${base}/v1/pages`,
+      headers: { "Notion-Version": NOTION_VERSION },
+      body: {
+        parent: isPage ? { page_id: parentId } : { database_id: parentId },
+        properties: isPage ? { title: { title: titleText } } : { [target.titleProperty || "Name"]: { title: titleText } },
+        children,
+      },
+    };
+  });
+}
+
+// -- Linear / GitHub: one issue per task --
+
+function issueDescription(ctx) {
+  const url = itemUrl(ctx);
+  const source = url ? `From the conversation [${itemTitle(ctx)}](${url})` : `From the conversation "${itemTitle(ctx)}"`;
+  return [source, itemFacts(ctx)].filter(Boolean).join("\n\n");
+}
+
+function issueTasks(items) {
+  return items.flatMap((ctx) => (ctx.artifacts?.tasks || []).map((task) => ({ ctx, task })));
+}
+
+const LINEAR_MUTATION = "mutation IssueCreate($input: IssueCreateInput!) { issueCreate(input: $input) { success issue { id identifier url } } }";
+
+function linearRequests(connector, items, base) {
+  return issueTasks(items).map(({ ctx, task }) => ({
+    label: `Linear issue: ${clip(task, 80)}`,
+    method: "POST",
+    url: `${base}/graphql`,
+    headers: {},
+    body: {
+      query: LINEAR_MUTATION,
+      variables: { input: { teamId: String(connector.target?.teamId || "").trim(), title: clip(task, 255), description: issueDescription(ctx) } },
+    },
+  }));
+}
+
+function githubRequests(connector, items, base) {
+  const repo = String(connector.target?.repo || "").trim();
+  const labels = String(connector.target?.labels || "").split(",").map((s) => s.trim()).filter(Boolean);
+  return issueTasks(items).map(({ ctx, task }) => ({
+    label: `GitHub issue: ${clip(task, 80)}`,
+    method: "POST",
+    url: `${base}/repos/${repo}/issues`,
+    headers: { Accept: "application/vnd.github+json", "X-GitHub-Api-Version": "2022-11-28" },
+    body: { title: clip(task, 256), body: issueDescription(ctx), ...(labels.length ? { labels } : {}) },
+  }));
+}
+
+const BUILDERS = { slack: slackRequests, notion: notionRequests, linear: linearRequests, github: githubRequests };
+
+/**
+ * The requests one send to a preset connector makes. `context` is the send's
+ * template context (shared/payloads.js templateContext).
+ * -> { requests: [{ label, method, url, headers, body }], skipped }
+ * `skipped` counts requests over the per-send limit; linear/github make none
+ * when no task was extracted.
+ */
+export function buildRequests(connector, context) {
+  const preset = connectorPreset(connector);
+  const build = BUILDERS[preset];
+  if (!build) return { requests: [], skipped: 0 };
+  const base = String(connector.url || CONNECTOR_PRESETS[preset].apiBase || "").replace(/\/+$/, "");
+  const all = build(connector, sendItems(context), base);
+  return { requests: all.slice(0, MAX_REQUESTS), skipped: Math.max(0, all.length - MAX_REQUESTS) };
+}
@@ -0,0 +1,104 @@
+/**
+ * Connector delivery policy
+ * =========================
+ * How the send queue (the service worker's pumpJobs) delivers to one
+ * connector:
+ *
+ * - connector.delivery  { maxPerMinute, concurrency, maxAttempts,
+ *                         backoffSeconds, maxBackoffSeconds, idempotencyKey }
+ *   missing fields take DELIVERY_DEFAULTS
+ *
+ * - at most `maxPerMinute` requests in any 60 s, `concurrency` at a time
+ * - a failed attempt is retried after an exponential backoff with jitter:
+ *   backoffSeconds × 2^(attempt − 1), capped at maxBackoffSeconds, then a
+ *   random 50–100 % of that; a Retry-After answer (seconds or a date) says
+ *   when instead, and a 429 holds the connector's other jobs until then too
+ * - network errors, 408, 425, 429 and 5xx are retried; any other answer fails
+ *   the job at once (it would fail the same way again)
+ * - after `maxAttempts` attempts the job fails (Options → Send queue replays it)
+ * - every attempt of a job carries the same `Idempotency-Key: awt-<job id>`,
+ *   so a receiver can drop a retry of a request it already handled; a replay
+ *   is a new job with a new key
+ *
+ * Pure helpers: used by the service worker and by Options.
+ */
+
+export const DELIVERY_DEFAULTS = {
+  maxPerMinute: 20,
+  concurrency: 1,
+  maxAttempts: 5,
+  backoffSeconds: 60,
+  maxBackoffSeconds: 3600,
+  idempotencyKey: true,
+};
+
+export const DELIVERY_LIMITS = {
+  maxPerMinute: [1, 600],
+  concurrency: [1, 10],
+  maxAttempts: [1, 20],
+  backoffSeconds: [1, 3600],
+  maxBackoffSeconds: [1, 86400],
+};
+
+const WINDOW_MS = 60_000;
+// a Retry-After further out than this is treated as this
+const MAX_RETRY_AFTER_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * A connector's policy with defaults filled in and numbers clamped.
+ */
+export function deliveryPolicy(connector) {
+  const d = connector?.delivery || {};
+  const out = { idempotencyKey: d.idempotencyKey !== false };
+  for (const [k, [min, max]] of Object.entries(DELIVERY_LIMITS)) {
+    const n = Math.round(Number(d[k]));
+    out[k] = Number.isFinite(n) && d[k] !== "" && d[k] !== null ? Math.min(max, Math.max(min, n)) : DELIVERY_DEFAULTS[k];
+  }
+  out.maxBackoffSeconds = Math.max(out.maxBackoffSeconds, out.backoffSeconds);
+  return out;
+}
+
+/**
+ * Milliseconds to wait before the next try after attempt number `attempt` (1-based).
+ */
+export function retryDelay(policy, attempt, random = Math.random) {
+  const full = Math.min(policy.maxBackoffSeconds, policy.backoffSeconds * 2 ** Math.max(0, attempt - 1)) * 1000;
+  return Math.round(full / 2 + random() * (full / 2));
+}
+
+/**
+ * A Retry-After header value -> milliseconds from `now`, or null.
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  const s = String(value ?? "").trim();
+  if (!s) return null;
+  const ms = /^\d+(\.\d+)?$/.test(s) ? Number(s) * 1000 : Date.parse(s) - now;
+  if (!Number.isFinite(ms)) return null;
+  return Math.min(MAX_RETRY_AFTER_MS, Math.max(0, Math.round(ms)));
+}
+
+// is an answer with this status worth trying again? (0: no answer at all)
+export function isRetryable(status) {
+  return !status || status === 408 || status === 425 || status === 429 || status >= 500;
+}
+
+export function idempotencyKey(job) {
+  return `awt-${job.id}`;
+}
+
+/**
+ * How many requests may start now given the start times in `sentAt`, and
+ * when the next one may if none can -> { budget, nextAt }
+ */
+export function rateBudget(policy, sentAt = [], now = Date.now()) {
+  const recent = sentAt.filter((t) => now - t < WINDOW_MS).sort((a, b) => a - b);
+  const budget = Math.max(0, policy.maxPerMinute - recent.length);
+  return { budget, nextAt: budget ? now : recent[recent.length - policy.maxPerMinute] + WINDOW_MS };
+}
+
+/**
+ * The start times still inside the rate window (what the pump keeps).
+ */
+export function recentSends(sentAt = [], now = Date.now()) {
+  return sentAt.filter((t) => now - t < WINDOW_MS);
+}
@@ -0,0 +1,117 @@
+/**
+ * Sequence diff
+ * =============
+ * LCS diff for revision comparisons: message lists (by content hash) and the
+ * words inside a changed message.
+ *
+ * Pure helpers: used by Power Search's history view.
+ */
+
+// DP table cells; beyond this, inputs are treated as fully replaced
+const MAX_CELLS = 4_000_000;
+
+/**
+ * diffSequence(a, b, eq?) -> [{ op: "same", a, b } | { op: "del", a } | { op: "add", b }]
+ * with indexes into a / b, in order.
+ */
+export function diffSequence(a = [], b = [], eq = (x, y) => x === y) {
+  // common prefix / suffix first: revisions mostly differ at the end
+  let start = 0;
+  while (start < a.length && start < b.length && eq(a[start], b[start])) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && eq(a[endA - 1], b[endB - 1])) {
+    endA--;
+    endB--;
+  }
+
+  const ops = [];
+  for (let i = 0; i < start; i++) ops.push({ op: "same", a: i, b: i });
+
+  const n = endA - start;
+  const m = endB - start;
+  if (n * m > MAX_CELLS) {
+    for (let i = start; i < endA; i++) ops.push({ op: "del", a: i });
+    for (let j = start; j < endB; j++) ops.push({ op: "add", b: j });
+  } else {
+    // lcs[i][j] = LCS length of a[start+i..endA) and b[start+j..endB)
+    const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i][j] = eq(a[start + i], b[start + j]) ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && eq(a[start + i], b[start + j])) {
+        ops.push({ op: "same", a: start + i++, b: start + j++ });
+      } else if (j < m && (i === n || lcs[i][j + 1] >= lcs[i + 1][j])) {
+        ops.push({ op: "add", b: start + j++ });
+      } else {
+        ops.push({ op: "del", a: start + i++ });
+      }
+    }
+  }
+
+  for (let k = 0; k < a.length - endA; k++) ops.push({ op: "same", a: endA + k, b: endB + k });
+  return ops;
+}
+
+/**
+ * Side-by-side rows from diffSequence ops: runs of deletions next to runs of
+ * additions are paired up as "change" rows.
+ * -> [{ kind: "same" | "change" | "del" | "add", a: index|null, b: index|null }]
+ */
+export function alignRows(ops) {
+  const rows = [];
+  for (let k = 0; k < ops.length; ) {
+    if (ops[k].op === "same") {
+      rows.push({ kind: "same", a: ops[k].a, b: ops[k].b });
+      k++;
+      continue;
+    }
+    const dels = [];
+    const adds = [];
+    while (k < ops.length && ops[k].op !== "same") {
+      if (ops[k].op === "del") dels.push(ops[k].a);
+      else adds.push(ops[k].b);
+      k++;
+    }
+    for (let x = 0; x < Math.max(dels.length, adds.length); x++) {
+      const a = dels[x] ?? null;
+      const b = adds[x] ?? null;
+      rows.push({ kind: a !== null && b !== null ? "change" : a !== null ? "del" : "add", a, b });
+    }
+  }
+  return rows;
+}
+
+/**
+ * Word-level diff of two texts for a "change" row.
+ * -> { left: [{ text, changed }], right: [{ text, changed }] } (whitespace kept)
+ */
+export function diffWords(aText = "", bText = "") {
+  const a = String(aText).split(/(\s+)/).filter(Boolean);
+  const b = String(bText).split(/(\s+)/).filter(Boolean);
+  const left = [];
+  const right = [];
+  const push = (side, text, changed) => {
+    const last = side[side.length - 1];
+    if (last && last.changed === changed) last.text += text;
+    else side.push({ text, changed });
+  };
+  // any two whitespace runs match, so a changed space never costs a word its match
+  const blank = (w) => /^\s+$/.test(w);
+  for (const o of diffSequence(a, b, (x, y) => x === y || (blank(x) && blank(y)))) {
+    if (o.op === "same") {
+      push(left, a[o.a], false);
+      push(right, b[o.b], false);
+    } else if (o.op === "del") {
+      push(left, a[o.a], !blank(a[o.a]));
+    } else {
+      push(right, b[o.b], !blank(b[o.b]));
+    }
+  }
+  return { left, right };
+}
@@ -0,0 +1,122 @@
+/**
+ * Conversation folders
+ * ====================
+ * Nested folders ("projects") for the saved library:
+ *
+ * - awt_folders  chrome.storage.local
+ *     { byId: { [id]: { id, name, parentId, createdAt } }, order: [ids] }
+ * - a conversation record carries `folderId` ("" or missing: not filed)
+ *
+ * A folder holds its subfolders: filtering by a folder (the `folder:`
+ * operator, listConversations' folderId filter) includes everything below it.
+ * Folder names are not unique across the tree; the `folder:` operator takes a
+ * name or a "/"-separated path and matches every folder it fits.
+ *
+ * Pure helpers: used by the service worker and by the library UIs.
+ */
+
+export const FOLDER_NONE = "none";
+
+const MAX_NAME = 80;
+
+export function emptyFolders() {
+  return { byId: {}, order: [] };
+}
+
+export function folderName(name) {
+  return String(name || "").replace(/[\/\u0000-\u001f]+/g, " ").replace(/\s+/g, " ").trim().slice(0, MAX_NAME);
+}
+
+/**
+ * Drop entries with a missing parent or a cycle (their parent becomes the
+ * root) and keep `order` listing every folder once.
+ */
+export function normalizeFolders(store) {
+  const byId = {};
+  for (const [id, f] of Object.entries(store?.byId || {})) {
+    if (!f || typeof f !== "object") continue;
+    byId[id] = { ...f, id, name: folderName(f.name) || "Untitled", parentId: f.parentId || "" };
+  }
+  for (const f of Object.values(byId)) {
+    if (f.parentId && (!byId[f.parentId] || isInside(byId, f.parentId, f.id))) f.parentId = "";
+  }
+  const order = [...new Set([...(store?.order || []), ...Object.keys(byId)])].filter((id) => byId[id]);
+  return { byId, order };
+}
+
+// is `id` the same as or below `ancestor`?
+export function isInside(byId, id, ancestor) {
+  const seen = new Set();
+  for (let cur = id; cur && !seen.has(cur); cur = byId[cur]?.parentId) {
+    if (cur === ancestor) return true;
+    seen.add(cur);
+  }
+  return false;
+}
+
+/**
+ * "Work / Clients / Acme" style path, or "" for an unknown folder.
+ */
+export function folderPath(store, id, sep = " / ") {
+  const names = [];
+  const seen = new Set();
+  for (let cur = id; cur && store?.byId?.[cur] && !seen.has(cur); cur = store.byId[cur].parentId) {
+    names.unshift(store.byId[cur].name);
+    seen.add(cur);
+  }
+  return names.join(sep);
+}
+
+/**
+ * The folder and every folder below it.
+ */
+export function folderSubtree(store, id) {
+  const out = new Set();
+  if (!store?.byId?.[id]) return out;
+  for (const f of Object.values(store.byId)) if (isInside(store.byId, f.id, id)) out.add(f.id);
+  return out;
+}
+
+/**
+ * Folders as a depth-first list in `order` -> [{ id, name, parentId, depth, path }]
+ */
+export function folderTree(store) {
+  const byId = store?.byId || {};
+  const order = store?.order || [];
+  const children = new Map();
+  for (const id of order) {
+    const f = byId[id];
+    if (!f) continue;
+    const parent = f.parentId && byId[f.parentId] ? f.parentId : "";
+    if (!children.has(parent)) children.set(parent, []);
+    children.get(parent).push(f);
+  }
+  const out = [];
+  const seen = new Set();
+  const walk = (parent, depth) => {
+    for (const f of children.get(parent) || []) {
+      if (seen.has(f.id)) continue;
+      seen.add(f.id);
+      out.push({ ...f, depth, path: folderPath(store, f.id, "/") });
+      walk(f.id, depth + 1);
+    }
+  };
+  walk("", 0);
+  return out;
+}
+
+/**
+ * IDs of the folders a `folder:` value names: a folder name or a path from
+ * the root ("work/clients"), case-insensitive; a path's last segments are
+ * enough ("clients/acme").
+ */
+export function resolveFolderRef(store, ref) {
+  const want = String(ref || "").toLowerCase().split("/").map((s) => s.trim()).filter(Boolean);
+  const out = new Set();
+  if (!want.length) return out;
+  for (const f of Object.values(store?.byId || {})) {
+    const path = folderPath(store, f.id, "/").toLowerCase().split("/");
+    if (path.length >= want.length && want.every((seg, i) => path[path.length - want.length + i] === seg)) out.add(f.id);
+  }
+  return out;
+}
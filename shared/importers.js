@@ -0,0 +1,303 @@
+/**
+ * Data-export importers
+ * =====================
+ * Convert the conversation dumps the chat sites offer (ChatGPT and Claude
+ * "Export data" conversations.json, Gemini via Google Takeout) into our
+ * conversation record shape, with the same stable IDs the platform adapters
+ * derive from URLs, so imports merge with existing autosaves.
+ *
+ * Pure helpers: the Options page parses files, the service worker stores them.
+ */
+
+import { estimateTokens, transcript } from "./message-meta.js";
+
+function isoMs(s) {
+  const t = Date.parse(s || "");
+  return Number.isFinite(t) ? t : null;
+}
+
+function ms(seconds) {
+  const n = Number(seconds);
+  return Number.isFinite(n) && n > 0 ? Math.round(n * 1000) : null;
+}
+
+// ---- ChatGPT (conversations.json) ---------------------------------------
+
+const CHATGPT_CONTENT = new Set(["text", "multimodal_text", "code"]);
+
+function chatgptMessageText(msg) {
+  const c = msg?.content || {};
+  if (c.content_type === "code") return c.text ? `\`\`\`${c.language && c.language !== "unknown" ? c.language : ""}\n${c.text}\n\`\`\`` : "";
+  const parts = Array.isArray(c.parts) ? c.parts : [];
+  return parts
+    .map((p) => (typeof p === "string" ? p : p?.content_type === "image_asset_pointer" ? "[image]" : p?.text || ""))
+    .join("\n")
+    // inline citation markers ("【12†source】") only make sense inside ChatGPT
+    .replace(/【[^】]*】/g, "")
+    .trim();
+}
+
+function isVisibleChatgptNode(node) {
+  const msg = node?.message;
+  if (!msg) return false;
+  const role = msg.author?.role;
+  if (role !== "user" && role !== "assistant") return false;
+  if (msg.recipient && msg.recipient !== "all") return false; // tool calls
+  if (msg.metadata?.is_visually_hidden_from_conversation) return false;
+  if (!CHATGPT_CONTENT.has(msg.content?.content_type)) return false;
+  return !!chatgptMessageText(msg);
+}
+
+export function isChatGPTExport(data) {
+  return Array.isArray(data) && data.some((c) => c && typeof c.mapping === "object" && ("current_node" in c || "conversation_id" in c));
+}
+
+/**
+ * One conversations.json entry -> conversation record (or null when empty).
+ * The mapping tree becomes messageTree (edits + regenerations) and the branch
+ * ending at current_node becomes `messages`. Node IDs are ChatGPT message IDs,
+ * the same values autosave reads from data-message-id.
+ */
+export function convertChatGPTConversation(raw) {
+  const mapping = raw?.mapping || {};
+  const cid = raw.conversation_id || raw.id;
+  if (!cid || !/^[a-zA-Z0-9_-]+$/.test(cid)) return null;
+
+  // nearest visible ancestor (hidden system/tool nodes are skipped)
+  const visibleParent = (id) => {
+    let p = mapping[id]?.parent;
+    while (p && mapping[p] && !isVisibleChatgptNode(mapping[p])) p = mapping[p].parent;
+    return p && mapping[p] ? p : null;
+  };
+
+  const visible = Object.keys(mapping).filter((id) => isVisibleChatgptNode(mapping[id]));
+  const siblings = new Map();
+  for (const id of visible) {
+    const parentId = visibleParent(id);
+    if (!siblings.has(parentId)) siblings.set(parentId, []);
+    siblings.get(parentId).push(id);
+  }
+  const created = (id) => Number(mapping[id]?.message?.create_time) || 0;
+  for (const list of siblings.values()) list.sort((a, b) => created(a) - created(b));
+
+  const nodes = {};
+  const toMessage = {};
+  for (const [parentId, list] of siblings) {
+    list.forEach((id, i) => {
+      const msg = mapping[id].message;
+      const text = chatgptMessageText(msg);
+      const messageId = msg.id || id;
+      nodes[messageId] = {
+        id: messageId,
+        parentId: parentId ? mapping[parentId].message.id || parentId : null,
+        role: msg.author.role,
+        text,
+        markdown: text,
+        version: i + 1,
+        versionCount: list.length,
+      };
+      const at = ms(msg.create_time) || ms(raw.create_time);
+      toMessage[id] = {
+        role: msg.author.role,
+        text,
+        markdown: text,
+        messageId,
+        ...(list.length > 1 ? { version: i + 1, versionCount: list.length } : {}),
+        ...(msg.metadata?.model_slug ? { model: msg.metadata.model_slug } : {}),
+        tokens: estimateTokens(text),
+        firstSeenAt: at,
+        lastChangedAt: ms(msg.update_time) || at,
+      };
+    });
+  }
+
+  // current branch: walk up from current_node (or the newest leaf)
+  let leaf = raw.current_node && mapping[raw.current_node] ? raw.current_node : null;
+  if (!leaf) leaf = visible.filter((id) => !(mapping[id].children || []).length).sort((a, b) => created(b) - created(a))[0] || null;
+  const path = [];
+  for (let id = leaf; id && mapping[id]; id = mapping[id].parent) {
+    if (toMessage[id]) path.unshift(id);
+  }
+  if (!path.length) return null;
+
+  const messages = path.map((id) => toMessage[id]);
+  const ts = ms(raw.update_time) || ms(raw.create_time) || Date.now();
+  const model = raw.default_model_slug || [...messages].reverse().find((m) => m.model)?.model || "";
+
+  return {
+    id: `c_${cid}`,
+    title: String(raw.title || "").trim() || "ChatGPT Conversation",
+    url: `https://chatgpt.com/c/${cid}`,
+    platform: "chatgpt",
+    source: "chatgpt-export",
+    ts: new Date(ts).toISOString(),
+    createdAt: ms(raw.create_time) || ts,
+    updatedAt: ts,
+    model,
+    tokens: messages.reduce((n, m) => n + m.tokens, 0),
+    messages,
+    messageTree: { nodes, currentPath: messages.map((m) => m.messageId) },
+    text: transcript(messages),
+  };
+}
+
+export function convertChatGPTExport(data) {
+  const records = [];
+  let empty = 0;
+  for (const raw of Array.isArray(data) ? data : []) {
+    const rec = convertChatGPTConversation(raw);
+    if (rec) records.push(rec);
+    else empty++;
+  }
+  return { records, empty };
+}
+
+// ---- Claude (conversations.json) ----------------------------------------
+
+export function isClaudeExport(data) {
+  return Array.isArray(data) && data.some((c) => c && Array.isArray(c.chat_messages) && "uuid" in c);
+}
+
+function claudeMessageText(msg) {
+  const parts = Array.isArray(msg?.content)
+    ? msg.content.filter((p) => p?.type === "text" && p.text).map((p) => p.text)
+    : [];
+  let text = (parts.length ? parts.join("\n\n") : String(msg?.text || "")).trim();
+  const files = [...(msg?.attachments || []), ...(msg?.files || [])].map((f) => f?.file_name).filter(Boolean);
+  if (files.length) text += `${text ? "\n\n" : ""}${files.map((n) => `[attachment: ${n}]`).join("\n")}`;
+  return text;
+}
+
+export function convertClaudeConversation(raw) {
+  const uuid = raw?.uuid;
+  if (!uuid || !/^[a-zA-Z0-9_-]+$/.test(uuid)) return null;
+
+  const messages = [];
+  for (const msg of raw.chat_messages || []) {
+    const role = msg?.sender === "human" ? "user" : msg?.sender === "assistant" ? "assistant" : null;
+    const text = claudeMessageText(msg);
+    if (!role || !text) continue;
+    const at = isoMs(msg.created_at) || isoMs(raw.created_at);
+    messages.push({
+      role,
+      text,
+      markdown: text,
+      // no messageId: claude.ai does not expose one in the DOM, so autosaves
+      // match messages by position and an ID here would break that
+      tokens: estimateTokens(text),
+      firstSeenAt: at,
+      lastChangedAt: isoMs(msg.updated_at) || at,
+    });
+  }
+  if (!messages.length) return null;
+
+  const ts = isoMs(raw.updated_at) || isoMs(raw.created_at) || Date.now();
+  return {
+    id: `claude_${uuid}`,
+    title: String(raw.name || "").trim() || "Claude Conversation",
+    url: `https://claude.ai/chat/${uuid}`,
+    platform: "claude",
+    source: "claude-export",
+    ts: new Date(ts).toISOString(),
+    createdAt: isoMs(raw.created_at) || ts,
+    updatedAt: ts,
+    model: raw.model || "",
+    tokens: messages.reduce((n, m) => n + m.tokens, 0),
+    messages,
+    text: transcript(messages),
+  };
+}
+
+// ---- Gemini (Google Takeout → My Activity → Gemini Apps, JSON) ----------
+
+const GEMINI_PRODUCTS = /^(Gemini Apps|Bard)$/i;
+
+export function isGeminiTakeout(data) {
+  return Array.isArray(data) && data.some((e) => e && (GEMINI_PRODUCTS.test(e.header || "") || (e.products || []).some((p) => GEMINI_PRODUCTS.test(p))));
+}
+
+function stripTags(html) {
+  return String(html || "").replace(/<br\s*\/?>/gi, "\n").replace(/<\/p>/gi, "\n\n").replace(/<[^>]+>/g, "").replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, "&").trim();
+}
+
+/**
+ * Takeout only has a flat activity log (one entry per prompt, no conversation
+ * IDs), so prompts are grouped into conversations by time: a gap longer than
+ * `gapMinutes` starts a new one. IDs derive from the first prompt's timestamp,
+ * so re-importing the same Takeout updates instead of duplicating.
+ * `htmlToMarkdown` turns the response HTML into Markdown (DOM-backed, passed in
+ * by the caller); without it tags are stripped.
+ */
+export function convertGeminiTakeout(data, { htmlToMarkdown = stripTags, gapMinutes = 30 } = {}) {
+  const turns = [];
+  let empty = 0;
+  for (const e of Array.isArray(data) ? data : []) {
+    const title = String(e?.title || "");
+    const at = isoMs(e?.time);
+    if (!at || !/^Prompted\s/i.test(title)) {
+      empty++;
+      continue;
+    }
+    const prompt = title.replace(/^Prompted\s+/i, "").trim();
+    const html = (e.safeHtmlItem || []).map((x) => x?.html || "").join("\n");
+    const answer = html ? String(htmlToMarkdown(html) || "").trim() : "";
+    turns.push({ at, prompt, answer });
+  }
+  turns.sort((a, b) => a.at - b.at);
+
+  const groups = [];
+  for (const t of turns) {
+    const last = groups[groups.length - 1];
+    if (last && t.at - last[last.length - 1].at <= gapMinutes * 60_000) last.push(t);
+    else groups.push([t]);
+  }
+
+  const records = groups.map((g) => {
+    const messages = [];
+    for (const t of g) {
+      messages.push({ role: "user", text: t.prompt, markdown: t.prompt, tokens: estimateTokens(t.prompt), firstSeenAt: t.at, lastChangedAt: t.at });
+      if (t.answer) messages.push({ role: "assistant", text: t.answer, markdown: t.answer, tokens: estimateTokens(t.answer), firstSeenAt: t.at, lastChangedAt: t.at });
+    }
+    const first = g[0];
+    const ts = g[g.length - 1].at;
+    const title = first.prompt.split("\n")[0].slice(0, 80) || "Gemini Conversation";
+    return {
+      id: `gemini_takeout_${first.at.toString(36)}`,
+      title,
+      url: "",
+      platform: "gemini",
+      source: "gemini-takeout",
+      ts: new Date(ts).toISOString(),
+      createdAt: first.at,
+      updatedAt: ts,
+      model: "",
+      tokens: messages.reduce((n, m) => n + m.tokens, 0),
+      messages,
+      text: transcript(messages),
+    };
+  });
+  return { records, empty };
+}
+
+export function convertClaudeExport(data) {
+  const records = [];
+  let empty = 0;
+  for (const raw of Array.isArray(data) ? data : []) {
+    const rec = convertClaudeConversation(raw);
+    if (rec) records.push(rec);
+    else empty++;
+  }
+  return { records, empty };
+}
+
+/**
+ * Detect which site a parsed export file came from and convert it.
+ * -> { platform, records, empty } or null when the format is unknown.
+ */
+export function convertExport(data, opts = {}) {
+  if (isChatGPTExport(data)) return { platform: "chatgpt", ...convertChatGPTExport(data) };
+  if (isClaudeExport(data)) return { platform: "claude", ...convertClaudeExport(data) };
+  if (isGeminiTakeout(data)) return { platform: "gemini", ...convertGeminiTakeout(data, opts) };
+  return null;
+}
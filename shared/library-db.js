@@ -0,0 +1,176 @@
+/**
+ * Conversation library (IndexedDB)
+ * ================================
+ * One record per conversation in the extension origin, opened only by the
+ * service worker (content scripts and pages go through runtime messages).
+ *
+ * DB awt_library
+ * - conversations  keyPath id
+ *     indexes: updatedAt, tags (multiEntry over lowercased tags), pinned (0/1)
+ * - urls           keyPath url -> { url, id }   index: id
+ * - meta           keyPath key -> { key, value }
+ * - postings, docstats: full-text index (shared/search-index.js)
+ * - revisions, revmessages: per-conversation history (shared/revisions.js)
+ * - trash          keyPath id -> { id, deletedAt, reason, urls, conversation (the row as stored) }
+ *     index: deletedAt
+ *
+ * With the vault on (shared/vault.js, via shared/storage.js) conversation rows
+ * are { id, updatedAt, pinnedKey, tagKeys: [], sealed }, and revision titles
+ * and message bodies are sealed too.
+ *
+ * IndexedDB cannot index booleans or case-fold, so rows carry two derived
+ * fields (pinnedKey, tagKeys) that toRow() adds and fromRow() strips.
+ */
+
+const DB_NAME = "awt_library";
+const DB_VERSION = 4;
+
+export const STORES = {
+  CONVERSATIONS: "conversations",
+  URLS: "urls",
+  META: "meta",
+  POSTINGS: "postings",
+  DOCSTATS: "docstats",
+  REVISIONS: "revisions",
+  REVMESSAGES: "revmessages",
+  TRASH: "trash",
+};
+
+let dbPromise = null;
+
+export function openLibrary() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => createStores(request.result);
+    request.onsuccess = () => {
+      const db = request.result;
+      // another context upgraded the schema: drop our handle and reopen lazily
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+  return dbPromise;
+}
+
+function createStores(db) {
+  if (!db.objectStoreNames.contains(STORES.CONVERSATIONS)) {
+    const s = db.createObjectStore(STORES.CONVERSATIONS, { keyPath: "id" });
+    s.createIndex("updatedAt", "updatedAt", { unique: false });
+    s.createIndex("tags", "tagKeys", { unique: false, multiEntry: true });
+    s.createIndex("pinned", "pinnedKey", { unique: false });
+  }
+  if (!db.objectStoreNames.contains(STORES.URLS)) {
+    const s = db.createObjectStore(STORES.URLS, { keyPath: "url" });
+    s.createIndex("id", "id", { unique: false });
+  }
+  if (!db.objectStoreNames.contains(STORES.META)) {
+    db.createObjectStore(STORES.META, { keyPath: "key" });
+  }
+  // v2
+  if (!db.objectStoreNames.contains(STORES.POSTINGS)) {
+    const s = db.createObjectStore(STORES.POSTINGS, { keyPath: ["term", "id"] });
+    s.createIndex("id", "id", { unique: false });
+  }
+  if (!db.objectStoreNames.contains(STORES.DOCSTATS)) {
+    db.createObjectStore(STORES.DOCSTATS, { keyPath: "id" });
+  }
+  // v3
+  if (!db.objectStoreNames.contains(STORES.REVISIONS)) {
+    db.createObjectStore(STORES.REVISIONS, { keyPath: ["convId", "rev"] });
+  }
+  if (!db.objectStoreNames.contains(STORES.REVMESSAGES)) {
+    db.createObjectStore(STORES.REVMESSAGES, { keyPath: ["convId", "key"] });
+  }
+  // v4
+  if (!db.objectStoreNames.contains(STORES.TRASH)) {
+    const s = db.createObjectStore(STORES.TRASH, { keyPath: "id" });
+    s.createIndex("deletedAt", "deletedAt", { unique: false });
+  }
+}
+
+// ---- Promise helpers ----------------------------------------------------
+
+export function reqP(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export function txDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("transaction aborted"));
+  });
+}
+
+/**
+ * Run fn(stores, tx) inside one transaction and resolve with its return value
+ * once the transaction has committed. Only await IDB requests inside fn.
+ */
+export async function withStores(names, mode, fn) {
+  const db = await openLibrary();
+  const list = Array.isArray(names) ? names : [names];
+  const tx = db.transaction(list, mode);
+  const done = txDone(tx);
+  const stores = Object.fromEntries(list.map((n) => [n, tx.objectStore(n)]));
+  let result;
+  try {
+    result = await fn(stores, tx);
+  } catch (e) {
+    try { tx.abort(); } catch {}
+    await done.catch(() => {});
+    throw e;
+  }
+  await done;
+  return result;
+}
+
+// ---- Row shape ----------------------------------------------------------
+
+export function toRow(c) {
+  return {
+    ...c,
+    pinnedKey: c.pinned ? 1 : 0,
+    tagKeys: Array.from(new Set((Array.isArray(c.tags) ? c.tags : []).map((t) => String(t).toLowerCase()))),
+  };
+}
+
+export function fromRow(row) {
+  if (!row) return null;
+  const { pinnedKey, tagKeys, ...c } = row;
+  return c;
+}
+
+/**
+ * Walk conversations newest first. visit(conversation) returns false to stop.
+ */
+export async function eachByRecency(visit) {
+  await withStores(STORES.CONVERSATIONS, "readonly", (s) => new Promise((resolve, reject) => {
+    const request = s[STORES.CONVERSATIONS].index("updatedAt").openCursor(null, "prev");
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return resolve();
+      if (visit(fromRow(cursor.value)) === false) return resolve();
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  }));
+}
+
+export async function getMeta(key) {
+  return await withStores(STORES.META, "readonly", async (s) => (await reqP(s[STORES.META].get(key)))?.value);
+}
+
+export async function setMeta(key, value) {
+  await withStores(STORES.META, "readwrite", (s) => reqP(s[STORES.META].put({ key, value })));
+}
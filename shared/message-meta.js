@@ -0,0 +1,84 @@
+/**
+ * Per-message metadata
+ * ====================
+ * - tokens: rough estimate (~4 chars/token, the usual rule of thumb for English)
+ * - firstSeenAt / lastChangedAt: carried across autosaves by matching messages
+ *   on their DOM message ID (or position when the site has none)
+ * - transcript / hashes: the flat `text` every record carries, change detection
+ *
+ * Pure helpers: shared by the content scripts and the service worker.
+ */
+
+// FNV-1a; a second pass with another offset basis makes 64-bit message keys
+function fnv1a(s, h = 2166136261) {
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return (h >>> 0).toString(16).padStart(8, "0");
+}
+
+export function hashConversation(conversation) {
+  const s = (conversation?.messages || []).map((m) => `${m.role}:${m.text}`).join("\n");
+  // unpadded, like the hashes already stored on records
+  return fnv1a(s).replace(/^0+(?=.)/, "");
+}
+
+/**
+ * Content key for one message (role + text + markdown).
+ */
+export function hashMessage(m) {
+  const s = `${m?.role}\n${m?.text || ""}\n${m?.markdown || ""}`;
+  return fnv1a(s) + fnv1a(s, 0x9dc5811c);
+}
+
+/**
+ * The flat `text` of a record: "[ROLE]\n<markdown>\n" per message.
+ */
+export function transcript(messages = []) {
+  return (messages || []).map((m) => `[${String(m.role || "unknown").toUpperCase()}]\n${m.markdown || m.text}\n`).join("\n");
+}
+
+export function estimateTokens(text) {
+  const s = String(text || "");
+  if (!s) return 0;
+  return Math.ceil(s.length / 4);
+}
+
+/**
+ * Copy timestamps from the previously saved messages onto the incoming ones.
+ * New messages are stamped `now`; messages whose text changed keep their
+ * firstSeenAt and get a fresh lastChangedAt.
+ */
+export function mergeMessageMeta(prevMessages = [], nextMessages = [], now = Date.now()) {
+  const prev = Array.isArray(prevMessages) ? prevMessages : [];
+  const byId = new Map(prev.filter((m) => m?.messageId).map((m) => [m.messageId, m]));
+
+  return (nextMessages || []).map((m, i) => {
+    let old = m.messageId ? byId.get(m.messageId) : null;
+    if (!old && !m.messageId && prev[i] && !prev[i].messageId && prev[i].role === m.role) old = prev[i];
+
+    const firstSeenAt = old?.firstSeenAt || m.firstSeenAt || now;
+    const changed = !old || old.text !== m.text;
+    const lastChangedAt = changed
+      ? (old ? now : m.lastChangedAt || firstSeenAt)
+      : old.lastChangedAt || firstSeenAt;
+
+    return { ...m, firstSeenAt, lastChangedAt };
+  });
+}
+
+/**
+ * Per-turn summary without message bodies (for connector payload meta).
+ */
+export function turnSummary(messages = []) {
+  return (messages || []).map((m, index) => ({
+    index,
+    role: m.role,
+    messageId: m.messageId || "",
+    model: m.model || "",
+    tokens: typeof m.tokens === "number" ? m.tokens : estimateTokens(m.text),
+    firstSeenAt: m.firstSeenAt || null,
+    lastChangedAt: m.lastChangedAt || null,
+  }));
+}
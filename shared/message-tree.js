@@ -0,0 +1,125 @@
+/**
+ * Message tree (branched / edited conversations)
+ * ==============================================
+ * ChatGPT keeps every edit and regeneration as a sibling branch, but only one
+ * branch is rendered at a time. We record the visible branch as a path through
+ * a tree and merge it into the saved tree on every save, so earlier branches
+ * survive autosave.
+ *
+ * Shape:
+ * {
+ *   nodes: { [nodeId]: { id, parentId, role, text, markdown, version, versionCount } },
+ *   currentPath: [nodeId...]   // branch visible at the last capture
+ * }
+ *
+ * Pure helpers: shared by the content runner and the service worker.
+ */
+
+function fnv(s) {
+  let h = 2166136261;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return (h >>> 0).toString(16);
+}
+
+/**
+ * Build a single-path tree from the visible messages.
+ * Node IDs come from the DOM message ID when the site exposes one, else they are
+ * positional (parent + role + version) so streaming text does not fork the tree.
+ */
+export function buildMessageTree(messages = []) {
+  const nodes = {};
+  const currentPath = [];
+  let parentId = null;
+  for (const m of messages) {
+    const version = Number(m.version) || 1;
+    const id = m.messageId || `n_${fnv(`${parentId || "root"}|${m.role}|${version}`)}`;
+    nodes[id] = {
+      id,
+      parentId,
+      role: m.role,
+      text: m.text || "",
+      markdown: m.markdown || m.text || "",
+      version,
+      versionCount: Number(m.versionCount) || 1,
+    };
+    currentPath.push(id);
+    parentId = id;
+  }
+  return { nodes, currentPath };
+}
+
+/**
+ * Union of two trees. Nodes from `next` win (text may have streamed since);
+ * the current path always follows `next`.
+ */
+export function mergeMessageTree(prev, next) {
+  if (!next?.nodes) return prev?.nodes ? prev : null;
+  if (!prev?.nodes) return next;
+  return {
+    nodes: { ...prev.nodes, ...next.nodes },
+    currentPath: Array.isArray(next.currentPath) ? next.currentPath : prev.currentPath || [],
+  };
+}
+
+/**
+ * Children of each node (null key = roots), ordered by version.
+ */
+export function childrenByParent(tree) {
+  const out = new Map();
+  for (const n of Object.values(tree?.nodes || {})) {
+    const key = n.parentId || null;
+    if (!out.has(key)) out.set(key, []);
+    out.get(key).push(n);
+  }
+  for (const list of out.values()) list.sort((a, b) => (a.version || 1) - (b.version || 1));
+  return out;
+}
+
+/**
+ * Branches that are not on the current path, as
+ * [{ forkIndex, node, messages: [node...] }] where forkIndex is the position in
+ * the current path the branch replaces and messages follow its first child
+ * at every level (depth-first, lowest version first).
+ */
+export function alternateBranches(tree) {
+  if (!tree?.nodes) return [];
+  const kids = childrenByParent(tree);
+  const onPath = new Set(tree.currentPath || []);
+  const out = [];
+
+  const depthOf = (node) => {
+    let d = 0;
+    let p = node.parentId;
+    while (p && tree.nodes[p]) { d++; p = tree.nodes[p].parentId; }
+    return d;
+  };
+
+  const walk = (node) => {
+    const line = [];
+    let cur = node;
+    while (cur) {
+      line.push(cur);
+      const next = kids.get(cur.id) || [];
+      // deeper forks inside an alternate branch are reported on their own
+      for (const alt of next.slice(1)) out.push({ forkIndex: depthOf(alt), node: alt, messages: [] });
+      cur = next[0] || null;
+    }
+    return line;
+  };
+
+  const path = tree.currentPath || [];
+  for (let i = 0; i <= path.length; i++) {
+    const parentId = i === 0 ? null : path[i - 1];
+    for (const sib of kids.get(parentId) || []) {
+      if (onPath.has(sib.id)) continue;
+      out.push({ forkIndex: i, node: sib, messages: [] });
+    }
+  }
+
+  // Expand lazily so nested forks discovered during the walk are expanded too.
+  for (let i = 0; i < out.length; i++) out[i].messages = walk(out[i].node);
+  return out;
+}
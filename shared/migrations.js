@@ -0,0 +1,146 @@
+/**
+ * Storage schema migrations
+ * =========================
+ * One schema version for everything the extension stores, raised by ordered
+ * migration steps. Each step is idempotent (running it twice changes nothing
+ * the second time), so a run interrupted half-way simply repeats.
+ *
+ * - awt_schema  chrome.storage.local
+ *     { version, applied: [{ id, name, at, result }], lastRunAt, lastError }
+ *
+ * runMigrations() applies the steps above the recorded version, in order, and
+ * records each one as it completes; a failing step stops the run (later steps
+ * may rely on it) and is retried on the next run. With `dryRun`, pending steps
+ * only read and report what they would change: nothing is written or
+ * recorded, and a legacy awt_conversations blob stays put (later steps plan
+ * over its records as if it had moved).
+ *
+ * Adding a step: append it to MIGRATIONS with the next id. Never renumber or
+ * remove a released step. `run({ dryRun })` returns a small summary object.
+ *
+ * Service worker only (install, startup, after unlocking the vault).
+ */
+
+import { getSettings, setSettings, migrateLegacyLibrary, migrateTemporaryIds } from "./storage.js";
+
+const SCHEMA_KEY = "awt_schema";
+const LEGACY_LIBRARY_KEY = "awt_conversations";
+const PROMPTS_KEY = "awt_prompts_v1";
+const PROMPT_LIST_KEYS = ["awt_prompts_recents_v1", "awt_prompts_favorites_v1"];
+const WORKFLOWS_KEY = "awt_prompts_workflows_v1";
+const MAX_APPLIED = 50;
+
+const MIGRATIONS = [
+  {
+    id: 1,
+    name: "library-to-indexeddb",
+    // the pre-IndexedDB awt_conversations blob (storage.js migrateLegacyLibrary)
+    async run({ dryRun }) {
+      if (dryRun) {
+        const legacy = (await chrome.storage.local.get([LEGACY_LIBRARY_KEY]))?.[LEGACY_LIBRARY_KEY];
+        return { migrated: Object.keys(legacy?.byId || {}).length };
+      }
+      return await migrateLegacyLibrary();
+    },
+  },
+  {
+    id: 2,
+    name: "connectors-shape",
+    // settings.connectors as { byId, order } with order listing every connector once
+    async run({ dryRun }) {
+      const settings = await getSettings();
+      if (!settings) return { changed: false };
+      const byId = settings.connectors?.byId && typeof settings.connectors.byId === "object" ? settings.connectors.byId : {};
+      const order = [...new Set([...(settings.connectors?.order || []), ...Object.keys(byId)])].filter((id) => byId[id]);
+      const next = { ...(settings.connectors || {}), byId, order };
+      const changed = JSON.stringify(next) !== JSON.stringify(settings.connectors);
+      if (changed && !dryRun) await setSettings({ ...settings, connectors: next });
+      return { changed };
+    },
+  },
+  {
+    id: 3,
+    name: "prompts-shape",
+    // awt_prompts_v1 as { prompts: [], version }, recents/favorites as unique IDs,
+    // workflows as an array
+    async run({ dryRun }) {
+      const res = await chrome.storage.local.get([PROMPTS_KEY, WORKFLOWS_KEY, ...PROMPT_LIST_KEYS]);
+      const patch = {};
+      const store = res?.[PROMPTS_KEY];
+      if (Array.isArray(store)) patch[PROMPTS_KEY] = { prompts: store, version: 1 };
+      else if (store && !Array.isArray(store.prompts)) patch[PROMPTS_KEY] = { ...store, prompts: [], version: store.version || 1 };
+      for (const key of PROMPT_LIST_KEYS) {
+        const list = res?.[key];
+        if (list === undefined) continue;
+        const ids = Array.isArray(list) ? [...new Set(list.filter((id) => typeof id === "string" && id))] : [];
+        if (!Array.isArray(list) || ids.length !== list.length) patch[key] = ids;
+      }
+      if (res?.[WORKFLOWS_KEY] !== undefined && !Array.isArray(res[WORKFLOWS_KEY])) patch[WORKFLOWS_KEY] = [];
+      if (!dryRun && Object.keys(patch).length) await chrome.storage.local.set(patch);
+      return { fixed: Object.keys(patch) };
+    },
+  },
+  {
+    id: 4,
+    name: "temporary-conversation-ids",
+    // tmp_… records whose URL has a stable ID by now (saveConversation moves them lazily)
+    async run({ dryRun }) {
+      return await migrateTemporaryIds({ dryRun });
+    },
+  },
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].id;
+
+export async function getSchemaRecord() {
+  const res = await chrome.storage.local.get([SCHEMA_KEY]);
+  return res?.[SCHEMA_KEY] || { version: 0, applied: [], lastRunAt: 0, lastError: null };
+}
+
+async function setSchemaRecord(record) {
+  await chrome.storage.local.set({ [SCHEMA_KEY]: record });
+}
+
+let running = null;
+
+/**
+ * Apply pending steps (or report them with `dryRun`).
+ * -> { from, to, target, dryRun, steps: [{ id, name, result } | { id, name, error }] }
+ */
+export function runMigrations({ dryRun = false } = {}) {
+  if (dryRun) return migrate(true);
+  // one real run at a time; callers during a run share it
+  if (!running) running = migrate(false).finally(() => { running = null; });
+  return running;
+}
+
+async function migrate(dryRun) {
+  let record = await getSchemaRecord();
+  const from = record.version || 0;
+  const steps = [];
+  for (const step of MIGRATIONS) {
+    if (step.id <= (record.version || 0)) continue;
+    try {
+      const result = await step.run({ dryRun });
+      steps.push({ id: step.id, name: step.name, result });
+      if (dryRun) continue;
+      record = {
+        ...record,
+        version: step.id,
+        applied: [...(record.applied || []), { id: step.id, name: step.name, at: Date.now(), result }].slice(-MAX_APPLIED),
+        lastError: null,
+      };
+      await setSchemaRecord(record);
+    } catch (e) {
+      const error = String(e?.message || e);
+      steps.push({ id: step.id, name: step.name, error });
+      if (!dryRun) {
+        record = { ...record, lastError: { id: step.id, name: step.name, error, at: Date.now() } };
+        await setSchemaRecord(record);
+      }
+      break;
+    }
+  }
+  if (!dryRun) await setSchemaRecord({ ...record, lastRunAt: Date.now() });
+  return { from, to: dryRun ? from : record.version || 0, target: SCHEMA_VERSION, dryRun, steps };
+}
@@ -0,0 +1,149 @@
+/**
+ * Connector payloads
+ * ==================
+ * The built-in payload shapes a connector send carries (tasks, decisions,
+ * links, code, markdown, conversation), the artifact extraction they share
+ * with exports, and the context a connector's body template is rendered
+ * against (shared/template.js).
+ *
+ * Pure helpers: used by the connectors script, the service worker and the
+ * exporters (content/conversation.js re-exports extractArtifacts).
+ */
+
+import { turnSummary } from "./message-meta.js";
+
+/**
+ * Links, code blocks, tasks and decisions found in a conversation's text.
+ */
+export function extractArtifacts(conversation) {
+  const c = conversation;
+  const text = String(c?.text || "");
+  const lines = text.split(/\r?\n/);
+
+  // links
+  const links = [];
+  const linkRe = /(https?:\/\/[^\s)\]]+)/g;
+  for (const line of lines) {
+    let m;
+    while ((m = linkRe.exec(line)) !== null) {
+      links.push(m[1]);
+    }
+  }
+
+  // code blocks
+  const codeBlocks = [];
+  const fenceRe = /```([a-zA-Z0-9_-]*)\n([\s\S]*?)```/g;
+  let fm;
+  while ((fm = fenceRe.exec(text)) !== null) {
+    codeBlocks.push({ lang: (fm[1] || "").trim(), code: (fm[2] || "").trim() });
+  }
+
+  // tasks / decisions via lightweight heuristics
+  const tasks = [];
+  const decisions = [];
+  const pushBullets = (arr, startIdx) => {
+    for (let i = startIdx; i < lines.length; i++) {
+      const ln = lines[i];
+      if (/^\s*#+\s+/.test(ln)) break; // next header ends section
+      const m = ln.match(/^\s*[-*]\s+(.*)$/);
+      if (m && m[1] && m[1].trim()) arr.push(m[1].trim());
+    }
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const ln = lines[i].trim();
+    if (/^(todo|todos|action items|actions):?$/i.test(ln) || /^#+\s*(todo|action items|actions)\b/i.test(ln)) {
+      pushBullets(tasks, i + 1);
+    }
+    if (/^(decisions?):?$/i.test(ln) || /^#+\s*decisions?\b/i.test(ln)) {
+      pushBullets(decisions, i + 1);
+    }
+    // inline TODO/Decision
+    const t1 = ln.match(/^(?:todo|action):\s*(.+)$/i);
+    if (t1?.[1]) tasks.push(t1[1].trim());
+    const d1 = ln.match(/^decision:\s*(.+)$/i);
+    if (d1?.[1]) decisions.push(d1[1].trim());
+    // checkbox
+    const cb = ln.match(/^[-*]\s*\[\s*\]\s*(.+)$/);
+    if (cb?.[1]) tasks.push(cb[1].trim());
+  }
+
+  // de-dupe
+  const uniq = (a) => Array.from(new Set(a)).slice(0, 200);
+  return {
+    links: uniq(links),
+    codeBlocks,
+    tasks: uniq(tasks),
+    decisions: uniq(decisions),
+  };
+}
+
+/**
+ * Built-in payload for a conversation. `markdown` is the rendered transcript
+ * for the "md" type (the caller's exporter); `includeUrl` false leaves the
+ * chat URL out.
+ */
+export function buildPayload(payloadType, c, { markdown = "", includeUrl = true } = {}) {
+  const meta = {
+    id: c?.id || "",
+    title: c?.title || "",
+    ts: Date.now(),
+    ...(includeUrl ? { url: c?.url || "" } : {}),
+    model: c?.model || "",
+    tokens: c?.tokens || 0,
+    turns: turnSummary(c?.messages)
+  };
+  const arts = extractArtifacts(c);
+
+  switch (payloadType) {
+    case "tasks":
+      return { type: "tasks", meta, tasks: arts.tasks, decisions: arts.decisions, links: arts.links };
+    case "decisions":
+      return { type: "decisions", meta, decisions: arts.decisions, tasks: arts.tasks };
+    case "links":
+      return { type: "links", meta, links: arts.links };
+    case "code":
+      return { type: "code", meta, codeBlocks: arts.codeBlocks.slice(0, 12) };
+    case "md":
+      return { type: "markdown", meta, markdown };
+    case "json":
+    default:
+      return { type: "conversation", meta, conversation: c };
+  }
+}
+
+// plain transcript Markdown for templates when the sender did not render one
+function transcriptMarkdown(c) {
+  let md = `# ${c?.title || c?.id || ""}\n\n`;
+  for (const m of c?.messages || []) md += `## ${m.role === "user" ? "User" : "Assistant"}\n\n${m.markdown || m.text || ""}\n\n`;
+  return md.trim() + "\n";
+}
+
+/**
+ * What a body template sees (shared/template.js TEMPLATE_ROOTS) for a send of
+ * `payload`. `record` is the saved conversation (tags, notes, the full
+ * transcript when the payload only carries meta), `folder` its folder path,
+ * `markdown` the sender's rendering of the transcript if it has one.
+ * Artifact lists the payload carries win over ones extracted from the
+ * transcript (a routing rule sends only the new tasks).
+ */
+export function templateContext(payload = {}, { record = null, folder = "", markdown = "" } = {}) {
+  const conversation = { ...(record || {}), ...(payload?.conversation || {}) };
+  const hasTranscript = !!(conversation.text || conversation.messages?.length);
+  const arts = hasTranscript
+    ? extractArtifacts(conversation.text ? conversation : { ...conversation, text: (conversation.messages || []).map((m) => m.text || "").join("\n") })
+    : { tasks: [], decisions: [], links: [], codeBlocks: [] };
+  for (const k of ["tasks", "decisions", "links", "codeBlocks"]) if (Array.isArray(payload?.[k])) arts[k] = payload[k];
+  const meta = payload?.meta || (record ? buildPayload("tasks", record).meta : {});
+  return {
+    meta,
+    conversation,
+    artifacts: arts,
+    tags: Array.isArray(record?.tags) ? record.tags : Array.isArray(conversation.tags) ? conversation.tags : [],
+    notes: String(record?.notes ?? conversation.notes ?? ""),
+    folder,
+    markdown: markdown || payload?.markdown || (hasTranscript ? transcriptMarkdown(conversation) : ""),
+    payload,
+    now: Date.now(),
+  };
+}
@@ -0,0 +1,199 @@
+/**
+ * Platform adapters
+ * =================
+ * One entry per supported chat site. Each adapter knows:
+ * - which hosts it covers (mirrors manifest content_scripts.matches)
+ * - how to derive a stable conversation ID from the URL
+ * - which DOM nodes hold the turns of a conversation (selector data only)
+ * - optionally, where message IDs, model names and branch version switchers live
+ *
+ * Pure data + URL helpers: safe to import from the service worker.
+ * DOM walking lives in content/conversation.js.
+ */
+
+function pathId(prefix, re) {
+  return (u) => {
+    const m = u.pathname.match(re);
+    return m?.[1] ? `${prefix}${m[1]}` : null;
+  };
+}
+
+function paramId(prefix, name) {
+  return (u) => {
+    const v = u.searchParams.get(name);
+    return v && /^[a-zA-Z0-9_-]+$/.test(v) ? `${prefix}${v}` : null;
+  };
+}
+
+const PLATFORMS = [
+  {
+    id: "chatgpt",
+    label: "ChatGPT",
+    hosts: ["chatgpt.com", "chat.openai.com"],
+    // /c/<id> and /g/<gizmo>/c/<id>
+    idFromUrl: pathId("c_", /\/c\/([a-zA-Z0-9_-]+)/),
+    turns: [{ selector: "[data-message-author-role]", roleAttr: "data-message-author-role" }],
+    content: ["[data-message-content]", ".markdown"],
+    messageIdAttr: "data-message-id",
+    modelAttr: "data-message-model-slug",
+    modelSelector: "[data-testid='model-switcher-dropdown-button']",
+    // "< 2 / 3 >" switcher for edited prompts / regenerated answers, inside the turn
+    versions: { container: "article, [data-testid^='conversation-turn-']" },
+  },
+  {
+    id: "claude",
+    label: "Claude",
+    hosts: ["claude.ai"],
+    idFromUrl: pathId("claude_", /^\/chat\/([a-zA-Z0-9_-]+)/),
+    turns: [
+      { selector: "[data-testid='user-message']", role: "user" },
+      { selector: ".font-claude-response, .font-claude-message", role: "assistant" },
+    ],
+    content: [],
+    modelSelector: "[data-testid='model-selector-dropdown']",
+  },
+  {
+    id: "perplexity",
+    label: "Perplexity",
+    hosts: ["perplexity.ai"],
+    idFromUrl: pathId("pplx_", /^\/search\/([a-zA-Z0-9_.-]+)/),
+    turns: [
+      { selector: "[class*='group/query']", role: "user" },
+      { selector: "[id^='markdown-content-']", role: "assistant" },
+    ],
+    content: [".prose"],
+  },
+  {
+    id: "gemini",
+    label: "Gemini",
+    hosts: ["gemini.google.com"],
+    // /app/<id> and /gem/<gem>/<id>
+    idFromUrl: pathId("gemini_", /^\/(?:app|gem\/[a-zA-Z0-9_-]+)\/([a-zA-Z0-9_-]+)/),
+    turns: [
+      { selector: "user-query", role: "user" },
+      { selector: "model-response", role: "assistant" },
+    ],
+    content: [".query-text", "message-content .markdown", "message-content"],
+  },
+  {
+    id: "poe",
+    label: "Poe",
+    hosts: ["poe.com"],
+    idFromUrl: pathId("poe_", /^\/chat\/([a-zA-Z0-9_-]+)/),
+    turns: [
+      { selector: "[class*='Message_humanMessageBubble']", role: "user" },
+      { selector: "[class*='Message_botMessageBubble']", role: "assistant" },
+    ],
+    content: ["[class*='Markdown_markdownContainer']"],
+  },
+  {
+    id: "copilot",
+    label: "Copilot",
+    hosts: ["copilot.microsoft.com"],
+    idFromUrl: pathId("copilot_", /^\/chats\/([a-zA-Z0-9_-]+)/),
+    turns: [
+      { selector: "[data-content='user-message']", role: "user" },
+      { selector: "[data-content='ai-message']", role: "assistant" },
+    ],
+    content: [],
+  },
+  {
+    id: "bing",
+    label: "Bing Chat",
+    hosts: ["www.bing.com"],
+    paths: ["/chat"],
+    // Bing keeps the conversation out of the URL; only tmp_ keys are possible.
+    idFromUrl: () => null,
+    turns: [
+      { selector: "cib-message[source='user']", role: "user" },
+      { selector: "cib-message[source='bot']", role: "assistant" },
+    ],
+    content: [],
+  },
+  {
+    id: "you",
+    label: "You.com",
+    hosts: ["you.com"],
+    idFromUrl: paramId("you_", "cid"),
+    turns: [
+      { selector: "[data-testid='youchat-question']", role: "user" },
+      { selector: "[data-testid='youchat-answer']", role: "assistant" },
+    ],
+    content: [],
+  },
+  {
+    id: "huggingface",
+    label: "HuggingChat",
+    hosts: ["huggingface.co"],
+    paths: ["/chat"],
+    idFromUrl: pathId("hf_", /^\/chat\/conversation\/([a-zA-Z0-9_-]+)/),
+    turns: [{ selector: "[data-message-role]", roleAttr: "data-message-role" }],
+    content: [".prose"],
+  },
+  {
+    id: "grok",
+    label: "Grok",
+    hosts: ["grok.x.ai", "x.com"],
+    paths: { "x.com": ["/i/grok"] },
+    idFromUrl: (u) => (u.hostname === "x.com" ? paramId("grok_", "conversation")(u) : pathId("grok_", /^\/chat\/([a-zA-Z0-9_-]+)/)(u)),
+    turns: [
+      { selector: ".items-end .message-bubble", role: "user" },
+      { selector: ".items-start .message-bubble", role: "assistant" },
+    ],
+    content: [],
+  },
+];
+
+const GENERIC = {
+  id: "unknown",
+  label: "Chat",
+  hosts: [],
+  idFromUrl: () => null,
+  turns: [{ selector: "[data-message-author-role]", roleAttr: "data-message-author-role" }],
+  content: [".markdown"],
+};
+
+function hostMatches(host, h) {
+  return host === h || host.endsWith(`.${h}`);
+}
+
+function pathMatches(platform, u) {
+  const paths = Array.isArray(platform.paths) ? platform.paths : platform.paths?.[u.hostname];
+  if (!paths) return true;
+  return paths.some((p) => u.pathname.startsWith(p));
+}
+
+/**
+ * Resolve the adapter for a URL (string or URL). Falls back to a generic adapter.
+ */
+export function getPlatform(url) {
+  try {
+    const u = url instanceof URL ? url : new URL(url);
+    const found = PLATFORMS.find((p) => p.hosts.some((h) => hostMatches(u.hostname, h)) && pathMatches(p, u));
+    return found || GENERIC;
+  } catch {
+    return GENERIC;
+  }
+}
+
+export function detectPlatform(url) {
+  return getPlatform(url).id;
+}
+
+export function listPlatforms() {
+  return PLATFORMS.map(({ id, label }) => ({ id, label }));
+}
+
+/**
+ * Stable, platform-prefixed conversation ID for a URL, or null when the URL
+ * does not identify a conversation (new chat, Bing, etc.).
+ * ChatGPT keeps the historic `c_<id>` form so existing libraries stay valid.
+ */
+export function conversationIdFromUrl(url) {
+  try {
+    const u = url instanceof URL ? url : new URL(url);
+    return getPlatform(u).idFromUrl(u) || null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,202 @@
+/**
+ * Search query language
+ * =====================
+ * The search boxes (Power Search, command palette, Options) accept field
+ * operators next to free text:
+ *
+ *   tag:sales  -tag:legal  is:pinned  has:code  lang:python
+ *   before:2026-09-01  after:2026-08  platform:claude  title:"pricing"  "exact phrase"
+ *   folder:work/clients  -folder:archive  folder:none
+ *
+ * parseQuery() turns them into the `filters` structure listConversations
+ * takes; everything else stays free text for the full-text index.
+ *
+ * Pure helpers: used by the service worker and by the search UIs.
+ */
+
+export const QUERY_HELP = [
+  ["tag:sales", "has the tag (repeat to require several)"],
+  ["-tag:legal", "does not have the tag"],
+  ["is:pinned", "pinned only (-is:pinned: not pinned)"],
+  ["has:code", "contains a code block (-has:code: none)"],
+  ["lang:python", "has a code block in that language"],
+  ["platform:claude", "from that site (repeat for either)"],
+  ["after:2026-08-01", "updated on or after the date (YYYY, YYYY-MM or YYYY-MM-DD)"],
+  ["before:2026-09", "updated before the date"],
+  ["folder:work/clients", "in the folder or below it (name or path; folder:none: not filed)"],
+  ["-folder:archive", "not in the folder or below it"],
+  ["title:\"pricing\"", "title contains the text"],
+  ["\"exact phrase\"", "transcript contains the words in this order"],
+];
+
+const LANG_ALIASES = {
+  py: "python", python3: "python", js: "javascript", jsx: "javascript", node: "javascript", ts: "typescript", tsx: "typescript",
+  sh: "bash", shell: "bash", zsh: "bash", console: "bash", yml: "yaml", rb: "ruby", rs: "rust", golang: "go", "c++": "cpp",
+  cs: "csharp", "c#": "csharp", kt: "kotlin", md: "markdown", psql: "sql", postgres: "sql", postgresql: "sql",
+};
+
+export function normalizeLang(lang) {
+  const l = String(lang || "").toLowerCase().trim();
+  return LANG_ALIASES[l] || l;
+}
+
+/**
+ * Languages of the fenced code blocks in a transcript.
+ */
+export function codeLanguages(text) {
+  const out = new Set();
+  for (const m of String(text || "").matchAll(/```([\w+#.-]+)/g)) out.add(normalizeLang(m[1]));
+  return [...out];
+}
+
+// "2026", "2026-09" or "2026-09-01" -> [start, end) in local time, or null
+function dateRange(value) {
+  const m = String(value || "").match(/^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/);
+  if (!m) return null;
+  const [y, mo, d] = [Number(m[1]), m[2] ? Number(m[2]) - 1 : null, m[3] ? Number(m[3]) : null];
+  const start = new Date(y, mo ?? 0, d ?? 1);
+  if (Number.isNaN(start.getTime()) || (mo !== null && start.getMonth() !== mo) || (d !== null && start.getDate() !== d)) return null;
+  const end = d !== null ? new Date(y, mo, d + 1) : mo !== null ? new Date(y, mo + 1, 1) : new Date(y + 1, 0, 1);
+  return [start.getTime(), end.getTime()];
+}
+
+const TOKEN_RE = /(-?)([a-z]+):(?:"([^"]*)"?|(\S*))|"([^"]*)"?|(\S+)/gi;
+
+function push(filters, key, value) {
+  (filters[key] ||= []).push(value);
+}
+
+/**
+ * parseQuery("tag:sales pricing \"annual plan\"") ->
+ *   { text: "pricing annual plan", phrases: ["annual plan"], filters: { tags: ["sales"] } }
+ * Unknown operators and malformed values stay free text (so URLs still search).
+ * A trailing space is kept on `text`: the index only prefix-matches a word the
+ * user is still typing.
+ */
+export function parseQuery(input = "") {
+  const raw = String(input || "");
+  const filters = {};
+  const phrases = [];
+  const text = [];
+
+  for (const m of raw.matchAll(TOKEN_RE)) {
+    const [whole, neg, op, quoted, bare, phrase, word] = m;
+    if (word !== undefined) {
+      text.push(word);
+      continue;
+    }
+    if (phrase !== undefined) {
+      const p = phrase.trim().toLowerCase().replace(/\s+/g, " ");
+      if (p) {
+        phrases.push(p);
+        text.push(p);
+      }
+      continue;
+    }
+
+    const value = (quoted ?? bare ?? "").trim();
+    const v = value.toLowerCase();
+    const not = !!neg;
+    let ok = !!v;
+    switch (op.toLowerCase()) {
+      case "tag":
+        if (ok) push(filters, not ? "excludeTags" : "tags", v);
+        break;
+      case "is":
+        ok = v === "pinned";
+        if (ok) filters[not ? "unpinnedOnly" : "pinnedOnly"] = true;
+        break;
+      case "has":
+        ok = v === "code";
+        if (ok) filters[not ? "noCode" : "hasCode"] = true;
+        break;
+      case "lang":
+        if (ok) push(filters, not ? "excludeLangs" : "langs", normalizeLang(v));
+        break;
+      case "platform":
+      case "site":
+        if (ok) push(filters, not ? "excludePlatforms" : "platforms", v);
+        break;
+      case "folder":
+        // names are resolved against the folder tree by listConversations
+        if (ok) push(filters, not ? "excludeFolders" : "folders", v);
+        break;
+      case "title":
+        ok = ok && !not;
+        if (ok) push(filters, "titleTerms", v);
+        break;
+      case "before":
+      case "after": {
+        const range = !not && dateRange(v);
+        ok = !!range;
+        if (!ok) break;
+        if (op.toLowerCase() === "before") filters.until = Math.min(filters.until ?? Infinity, range[0] - 1);
+        else filters.since = Math.max(filters.since ?? 0, range[0]);
+        break;
+      }
+      default:
+        ok = false;
+    }
+    if (!ok) text.push(whole);
+  }
+
+  return { text: text.join(" ") + (/\s$/.test(raw) ? " " : ""), phrases, filters };
+}
+
+/**
+ * Combine toggle filters (UI chips, Options checkboxes) with parsed ones.
+ * Lists concatenate, flags OR, date bounds take the narrower window.
+ */
+export function mergeFilters(base = {}, extra = {}) {
+  const out = { ...base };
+  for (const [k, v] of Object.entries(extra)) {
+    if (Array.isArray(v)) out[k] = [...(Array.isArray(out[k]) ? out[k] : []), ...v];
+    else if (k === "since") out.since = Math.max(typeof out.since === "number" ? out.since : 0, v);
+    else if (k === "until") out.until = Math.min(typeof out.until === "number" ? out.until : Infinity, v);
+    else out[k] = out[k] || v;
+  }
+  return out;
+}
+
+// ---- Autocomplete -------------------------------------------------------
+
+export const OPERATORS = ["tag", "is", "has", "lang", "platform", "folder", "before", "after", "title"];
+
+const STATIC_VALUES = {
+  is: ["pinned"],
+  has: ["code"],
+  lang: ["python", "javascript", "typescript", "bash", "sql", "json", "yaml", "go", "rust", "java", "html", "css"],
+};
+
+/**
+ * The operator token the caret is in, e.g. "-tag:sa|" ->
+ * { neg: true, op: "tag", partial: "sa", start, end } (end = end of the token).
+ */
+export function operatorAt(value, caret = value.length) {
+  const before = value.slice(0, caret);
+  const start = before.search(/\S*$/);
+  const after = value.slice(caret).match(/^\S*/)[0];
+  const m = (before.slice(start) + after).match(/^(-?)([a-z]+):"?([^"\s]*)$/i);
+  if (!m || !OPERATORS.includes(m[2].toLowerCase())) return null;
+  return { neg: !!m[1], op: m[2].toLowerCase(), partial: m[3].toLowerCase(), start, end: caret + after.length };
+}
+
+/**
+ * Values to offer for an operator. `known` supplies the dynamic lists
+ * ({ tag: [...], platform: [...], folder: [...] }).
+ */
+export function operatorValues(op, partial = "", known = {}) {
+  const values = known[op] || STATIC_VALUES[op] || [];
+  return values.filter((v) => v.toLowerCase().startsWith(partial) && v.toLowerCase() !== partial);
+}
+
+/**
+ * Replace the operator token at `at` with op:value; quotes values with spaces.
+ * -> { value, caret }
+ */
+export function completeOperator(value, at, completion) {
+  const v = /\s/.test(completion) ? `"${completion}"` : completion;
+  const token = `${at.neg ? "-" : ""}${at.op}:${v} `;
+  const rest = value.slice(at.end).replace(/^\s+/, "");
+  return { value: value.slice(0, at.start) + token + rest, caret: at.start + token.length };
+}
@@ -9,14 +9,31 @@
  * - defaultOptions: per-script config stored in settings.scriptOptions[scriptId]
  */
 
+// Every chat site the content script is injected on (keep in sync with manifest.json).
+export const SUPPORTED_MATCHES = [
+  "https://chatgpt.com/*",
+  "https://chat.openai.com/*",
+  "https://claude.ai/*",
+  "https://perplexity.ai/*",
+  "https://www.perplexity.ai/*",
+  "https://gemini.google.com/*",
+  "https://poe.com/*",
+  "https://copilot.microsoft.com/*",
+  "https://www.bing.com/chat*",
+  "https://you.com/*",
+  "https://huggingface.co/chat*",
+  "https://grok.x.ai/*",
+  "https://x.com/i/grok*"
+];
+
 export function getDefaultRegistry() {
   return [
     {
       id: "chatgpt-export-button",
       name: "ChatGPT: Export button",
-      description: "Adds a small floating export button on ChatGPT chats (TXT/MD/JSON).",
+      description: "Adds a small floating export button on supported chats (TXT/MD/JSON/HTML).",
       icon: "⬇️",
-      matches: ["https://chatgpt.com/*", "https://chat.openai.com/*"],
+      matches: SUPPORTED_MATCHES,
       runAt: "document_idle",
       permissions: ["read_dom", "insert_ui", "download"],
       entry: "scripts/chatgpt/export-button.js",
@@ -31,15 +48,14 @@ export function getDefaultRegistry() {
       name: "ChatGPT: Conversation manager",
       description: "Autosave + searchable saved list + export/copy panel.",
       icon: "💾",
-      matches: ["https://chatgpt.com/*", "https://chat.openai.com/*"],
+      matches: SUPPORTED_MATCHES,
       runAt: "document_idle",
       permissions: ["read_dom", "insert_ui", "storage", "clipboard", "download"],
       entry: "scripts/chatgpt/conversation-manager.js",
       defaultEnabled: true,
       defaultOptions: {
         autosave: true,
-        autosaveDebounceMs: 1200,
-        maxSavedConversations: 120
+        autosaveDebounceMs: 1200
       }
     },
 
@@ -121,21 +137,7 @@ export function getDefaultRegistry() {
       name: "Founder: Prompt Manager",
       description: "Cross-platform prompt library with templates, layered builder, workflows, and smart insertion.",
       icon: "📝",
-      matches: [
-        "https://chatgpt.com/*",
-        "https://chat.openai.com/*",
-        "https://claude.ai/*",
-        "https://perplexity.ai/*",
-        "https://www.perplexity.ai/*",
-        "https://gemini.google.com/*",
-        "https://poe.com/*",
-        "https://copilot.microsoft.com/*",
-        "https://www.bing.com/chat*",
-        "https://you.com/*",
-        "https://huggingface.co/chat*",
-        "https://grok.x.ai/*",
-        "https://x.com/i/grok*"
-      ],
+      matches: SUPPORTED_MATCHES,
       runAt: "document_idle",
       permissions: ["read_dom", "insert_ui", "storage", "clipboard"],
       entry: "scripts/founder/prompt-manager.js",
@@ -0,0 +1,209 @@
+/**
+ * Conversation revisions
+ * ======================
+ * A bounded history of every distinct transcript saved for a conversation, so
+ * an edited, re-branched or truncated chat does not lose what was there before.
+ *
+ * - revisions    [convId, rev] -> { convId, rev, hash, at, reason, title, messageCount, refs: [messageKey, ...] }
+ * - revmessages  [convId, key] -> { convId, key, refs, message }
+ *
+ * A revision is the list of its messages' content keys (hashMessage); message
+ * bodies are stored once per conversation and reference-counted, so a save that
+ * adds one message stores one message. `hash` is hashConversation() of the
+ * transcript: saving the same transcript again adds nothing.
+ *
+ * Recording is two-phase because sealing (shared/vault.js) cannot run inside an
+ * IndexedDB transaction: prepareRevision() reads and seals beforehand, then
+ * recordRevision() applies the plan with the stores of the caller's write
+ * transaction (shared/library-db.js). Callers serialize library writes, so
+ * nothing changes in between. With the vault on, titles and message bodies
+ * are sealed; the content hashes stay readable.
+ */
+
+import { STORES, withStores, reqP } from "./library-db.js";
+import { hashConversation, hashMessage } from "./message-meta.js";
+import { seal, unseal } from "./vault.js";
+
+export const MAX_REVISIONS = 30;
+// a save that only extends the latest revision (streamed answer, new turn)
+// replaces it when that revision is younger than this
+const COALESCE_MS = 10 * 60 * 1000;
+
+const { REVISIONS, REVMESSAGES } = STORES;
+const MESSAGE_FIELDS = ["role", "text", "markdown", "messageId", "model", "version", "versionCount", "tokens"];
+
+const forConv = (convId) => IDBKeyRange.bound([convId], [convId, []]);
+
+function pickMessage(m) {
+  return Object.fromEntries(MESSAGE_FIELDS.filter((k) => m?.[k] !== undefined).map((k) => [k, m[k]]));
+}
+
+function addRefs(stores, rows, plan) {
+  const seen = new Set();
+  plan.refs.forEach((key) => {
+    if (seen.has(key)) return;
+    seen.add(key);
+    const row = rows.get(key);
+    if (row) stores[REVMESSAGES].put({ ...row, refs: row.refs + 1 });
+    else stores[REVMESSAGES].put({ convId: plan.convId, key, refs: 1, message: plan.bodies.get(key) });
+  });
+}
+
+async function releaseRefs(stores, convId, refs) {
+  const keys = [...new Set(refs)];
+  const rows = await Promise.all(keys.map((key) => reqP(stores[REVMESSAGES].get([convId, key]))));
+  rows.forEach((row) => {
+    if (!row) return;
+    if (row.refs <= 1) stores[REVMESSAGES].delete([row.convId, row.key]);
+    else stores[REVMESSAGES].put({ ...row, refs: row.refs - 1 });
+  });
+}
+
+// `next` keeps every message of `prev`, except that the last one may have grown
+function extendsRevision(prev, lastBody, nextRefs, messages) {
+  const last = prev.refs.length - 1;
+  if (nextRefs.length < prev.refs.length) return false;
+  for (let i = 0; i < last; i++) if (prev.refs[i] !== nextRefs[i]) return false;
+  if (last < 0 || prev.refs[last] === nextRefs[last]) return true;
+  const after = messages[last];
+  return !!lastBody && lastBody.role === after.role && String(after.text || "").startsWith(String(lastBody.text || ""));
+}
+
+/**
+ * Phase one of recording `conv` (after a save/import/restore) as the newest
+ * revision. -> a plan for recordRevision(), or null when the transcript is
+ * unchanged. `key`: the vault key (null: store in the clear).
+ */
+export async function prepareRevision(conv, { reason = "save", at = Date.now(), key = null } = {}) {
+  const messages = Array.isArray(conv?.messages) ? conv.messages : [];
+  if (!conv?.id || !messages.length) return null;
+
+  const hash = hashConversation(conv);
+  const { latest, lastBody } = await withStores([REVISIONS, REVMESSAGES], "readonly", async (s) => {
+    const keys = await reqP(s[REVISIONS].getAllKeys(forConv(conv.id)));
+    const latest = keys.length ? await reqP(s[REVISIONS].get(keys[keys.length - 1])) : null;
+    const lastRef = latest?.refs[latest.refs.length - 1];
+    const lastBody = lastRef ? (await reqP(s[REVMESSAGES].get([conv.id, lastRef])))?.message : null;
+    return { latest, lastBody };
+  });
+  if (latest?.hash === hash) return null;
+
+  const refs = messages.map(hashMessage);
+  const coalesce = !!latest && at - latest.at < COALESCE_MS && extendsRevision(latest, await unseal(key, lastBody), refs, messages);
+
+  const bodies = new Map();
+  for (let i = 0; i < refs.length; i++) {
+    if (!bodies.has(refs[i])) bodies.set(refs[i], await seal(key, pickMessage(messages[i])));
+  }
+  return {
+    convId: conv.id,
+    rev: coalesce ? latest.rev : (latest?.rev || 0) + 1,
+    replaces: coalesce ? latest.rev : null,
+    hash,
+    at,
+    reason,
+    title: await seal(key, String(conv.title || "")),
+    messageCount: messages.length,
+    refs,
+    bodies,
+  };
+}
+
+/**
+ * Phase two: write a prepareRevision() plan. -> the revision number, or null.
+ * `stores` must include revisions + revmessages.
+ */
+export async function recordRevision(stores, plan) {
+  if (!plan) return null;
+  const { convId, refs, bodies: _bodies, replaces, ...meta } = plan;
+  const keys = await reqP(stores[REVISIONS].getAllKeys(forConv(convId)));
+
+  if (replaces !== null) {
+    const prev = await reqP(stores[REVISIONS].get([convId, replaces]));
+    if (prev) await releaseRefs(stores, convId, prev.refs);
+    const at = keys.findIndex((k) => k[1] === replaces);
+    if (at >= 0) keys.splice(at, 1);
+  }
+
+  const existing = await Promise.all([...new Set(refs)].map((key) => reqP(stores[REVMESSAGES].get([convId, key]))));
+  addRefs(stores, new Map(existing.filter(Boolean).map((row) => [row.key, row])), plan);
+  stores[REVISIONS].put({ convId, ...meta, refs });
+
+  // drop the oldest beyond the cap
+  for (const key of keys.slice(0, Math.max(0, keys.length + 1 - MAX_REVISIONS))) {
+    const old = await reqP(stores[REVISIONS].get(key));
+    stores[REVISIONS].delete(key);
+    if (old) await releaseRefs(stores, convId, old.refs);
+  }
+  return plan.rev;
+}
+
+/**
+ * Delete a conversation's whole history.
+ */
+export function dropRevisions(stores, convId) {
+  stores[REVISIONS].delete(forConv(convId));
+  stores[REVMESSAGES].delete(forConv(convId));
+}
+
+/**
+ * Move history to a new conversation ID (temporary key -> stable key).
+ * Skipped when the target already has history of its own.
+ */
+export async function renameRevisions(stores, fromId, toId) {
+  if (fromId === toId) return;
+  if (await reqP(stores[REVISIONS].count(forConv(toId)))) return dropRevisions(stores, fromId);
+  const [revs, msgs] = await Promise.all([
+    reqP(stores[REVISIONS].getAll(forConv(fromId))),
+    reqP(stores[REVMESSAGES].getAll(forConv(fromId))),
+  ]);
+  for (const r of revs) stores[REVISIONS].put({ ...r, convId: toId });
+  for (const m of msgs) stores[REVMESSAGES].put({ ...m, convId: toId });
+  dropRevisions(stores, fromId);
+}
+
+// ---- Reads --------------------------------------------------------------
+
+/**
+ * Newest first, without message bodies:
+ * [{ rev, hash, at, reason, title, messageCount, added, removed }]
+ * (added/removed: messages not in / no longer in the previous revision).
+ */
+export async function listRevisions(convId, key = null) {
+  const revs = await withStores(REVISIONS, "readonly", (s) => reqP(s[REVISIONS].getAll(forConv(convId))));
+  const out = [];
+  for (let i = 0; i < revs.length; i++) {
+    const prev = new Set(revs[i - 1]?.refs || []);
+    const cur = new Set(revs[i].refs);
+    const { refs, convId: _id, title, ...meta } = revs[i];
+    out.push({
+      ...meta,
+      title: await unseal(key, title),
+      added: i ? refs.filter((k) => !prev.has(k)).length : refs.length,
+      removed: i ? [...prev].filter((k) => !cur.has(k)).length : 0,
+    });
+  }
+  return out.reverse();
+}
+
+/**
+ * One revision with its messages (and their content keys, for diffing), or null.
+ */
+export async function getRevision(convId, rev, key = null) {
+  const found = await withStores([REVISIONS, REVMESSAGES], "readonly", async (s) => {
+    const r = await reqP(s[REVISIONS].get([convId, Number(rev)]));
+    if (!r) return null;
+    const rows = await Promise.all([...new Set(r.refs)].map((k) => reqP(s[REVMESSAGES].get([convId, k]))));
+    return { r, rows: rows.filter(Boolean) };
+  });
+  if (!found) return null;
+  const byKey = new Map();
+  for (const row of found.rows) byKey.set(row.key, await unseal(key, row.message));
+  const { refs, title, ...meta } = found.r;
+  return {
+    ...meta,
+    title: await unseal(key, title),
+    keys: refs,
+    messages: refs.map((k) => byKey.get(k) || { role: "unknown", text: "" }),
+  };
+}
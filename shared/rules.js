@@ -0,0 +1,132 @@
+/**
+ * Connector routing rules
+ * =======================
+ * "When <something happens to a saved conversation> → send <payload> to
+ * <connector>", evaluated by the service worker whenever a conversation is
+ * saved (manual save or autosave) or its tags / pin / folder change:
+ *
+ * - settings.rules  { byId: { [id]: { id, name, enabled, trigger, value,
+ *                     connectorId, payload, createdAt, updatedAt } }, order }
+ *
+ * Triggers compare the record before and after the change, so a rule fires
+ * on the transition only ("gets tag Bugs", not "has tag Bugs"):
+ *   tag       the conversation gets tag `value` (case-insensitive)
+ *   pinned    the conversation is pinned
+ *   folder    the conversation is filed into folder `value` (or below it)
+ *   task      a task is extracted that was not there before
+ *   decision  a decision is extracted that was not there before
+ *
+ * Each firing carries de-duplication keys (rule, conversation and what fired:
+ * the tag, the folder, each task / decision by hash). The service worker
+ * records the keys it sent (storage.js rule ledger) and never sends a key
+ * twice, so removing and re-adding a tag, or an autosave re-extracting the
+ * same decision, sends nothing new.
+ *
+ * Pure helpers: used by the service worker and by Options.
+ */
+
+import { extractArtifacts } from "./payloads.js";
+import { folderSubtree } from "./folders.js";
+
+export const RULE_TRIGGERS = {
+  tag: { label: "gets tag", value: "tag" },
+  pinned: { label: "is pinned" },
+  folder: { label: "is filed into", value: "folder" },
+  task: { label: "has a new task" },
+  decision: { label: "has a new decision" },
+};
+
+export const RULE_PAYLOADS = {
+  tasks: "Tasks",
+  decisions: "Decisions",
+  links: "Links",
+  code: "Code blocks",
+  md: "Markdown",
+  json: "Full conversation (JSON)",
+};
+
+export function emptyRules() {
+  return { byId: {}, order: [] };
+}
+
+/**
+ * What is wrong with a rule -> [text]
+ */
+export function ruleErrors(rule, connectors) {
+  const errors = [];
+  const trigger = RULE_TRIGGERS[rule?.trigger];
+  if (!trigger) errors.push("Pick a trigger");
+  else if (trigger.value && !String(rule.value || "").trim()) errors.push(`Pick a ${trigger.value}`);
+  // a rule whose connector was deleted stays, disabled, until it is edited or removed
+  if (!rule?.connectorId || (rule.enabled && !connectors?.byId?.[rule.connectorId])) errors.push("Pick a connector");
+  if (!RULE_PAYLOADS[rule?.payload]) errors.push("Pick what to send");
+  return errors;
+}
+
+// FNV-1a, for ledger keys that do not spell out a task's text
+function textHash(s) {
+  let h = 2166136261;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return (h >>> 0).toString(36);
+}
+
+const normalize = (s) => String(s || "").trim().toLowerCase().replace(/\s+/g, " ");
+
+function artifactsOf(c) {
+  if (!c?.messages?.length && !c?.text) return { tasks: [], decisions: [] };
+  return extractArtifacts(c.text ? c : { ...c, text: c.messages.map((m) => m.text || "").join("\n") });
+}
+
+/**
+ * The rules a change fires. `prev` is the record before the change (null for
+ * a new conversation), `next` after it; `folders` the folder store (for
+ * folder triggers). Artifacts are only extracted when a rule needs them.
+ * -> [{ rule, keys: [ledger key], items?: [new tasks / decisions] }]
+ */
+export function firedRules(rules, prev, next, { folders = null } = {}) {
+  if (!next?.id) return [];
+  const out = [];
+  let before = null;
+  let after = null;
+  const artifacts = () => {
+    if (!after) {
+      before = artifactsOf(prev);
+      after = artifactsOf(next);
+    }
+  };
+  const base = (rule) => `${rule.id}|${next.id}|`;
+
+  for (const id of rules?.order || []) {
+    const rule = rules.byId?.[id];
+    if (!rule?.enabled) continue;
+    switch (rule.trigger) {
+      case "tag": {
+        const want = normalize(rule.value);
+        const has = (c) => (c?.tags || []).some((t) => normalize(t) === want);
+        if (has(next) && !has(prev)) out.push({ rule, keys: [`${base(rule)}tag:${want}`] });
+        break;
+      }
+      case "pinned":
+        if (next.pinned && !prev?.pinned) out.push({ rule, keys: [`${base(rule)}pinned`] });
+        break;
+      case "folder": {
+        const inside = folderSubtree(folders, rule.value);
+        if (inside.has(next.folderId) && !inside.has(prev?.folderId)) out.push({ rule, keys: [`${base(rule)}folder:${rule.value}`] });
+        break;
+      }
+      case "task":
+      case "decision": {
+        artifacts();
+        const field = rule.trigger === "task" ? "tasks" : "decisions";
+        const seen = new Set(before[field].map(normalize));
+        const fresh = after[field].filter((item) => !seen.has(normalize(item)));
+        if (fresh.length) out.push({ rule, keys: fresh.map((item) => `${base(rule)}${rule.trigger}:${textHash(normalize(item))}`), items: fresh });
+        break;
+      }
+    }
+  }
+  return out;
+}
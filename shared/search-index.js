@@ -0,0 +1,505 @@
+/**
+ * Full-text search index
+ * ======================
+ * Persistent inverted index over the conversation library, kept in the same
+ * IndexedDB as the records (shared/library-db.js) and updated inside the same
+ * transactions, so it never drifts from what is saved.
+ *
+ * - postings  [term, id] -> { term, id, tf }   index: id
+ * - docstats  id -> { id, len, title, updatedAt, pinned, tags, folderId, platform, hasCode, langs }
+ *
+ * Terms are lowercased, accent-folded, stop-word filtered and stemmed. Title
+ * and tag occurrences count extra (TITLE_WEIGHT / TAG_WEIGHT). Queries are
+ * ranked with BM25; the last query word also matches as a prefix so results
+ * keep up while typing. docstats carry the listing filters, so a search only
+ * loads the records it actually returns.
+ *
+ * With the vault on (shared/vault.js) nothing searchable is persisted: the
+ * same index is built in the service worker's memory from the decrypted
+ * records while unlocked (the "memory" functions below) and dropped on lock.
+ */
+
+import { STORES, withStores, reqP, getMeta, setMeta } from "./library-db.js";
+import { detectPlatform } from "./platforms.js";
+import { codeLanguages } from "./query.js";
+
+// bump to rebuild every index on next start (tokenizer / weighting / facet changes)
+const INDEX_VERSION = 3;
+
+const TITLE_WEIGHT = 3;
+const TAG_WEIGHT = 2;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const MIN_PREFIX = 3;
+const MAX_PREFIX_POSTINGS = 20000;
+
+const STOP = new Set([
+  "the", "a", "an", "and", "or", "to", "of", "in", "on", "for", "with", "is", "are", "was", "were", "be", "as", "at", "by", "from",
+  "it", "its", "this", "that", "these", "those", "i", "you", "we", "he", "she", "they", "me", "my", "your", "our", "not", "no",
+  "but", "if", "so", "do", "does", "did", "can", "will", "would", "should", "could", "have", "has", "had", "been", "there", "what",
+]);
+
+// ---- Tokenizer ----------------------------------------------------------
+
+const SUFFIXES = [
+  ["ization", "ize"],
+  ["ational", "ate"],
+  ["iveness", "ive"],
+  ["fulness", "ful"],
+  ["ousness", "ous"],
+  ["ation", "ate"],
+  ["ness", ""],
+  ["ment", ""],
+  ["ly", ""],
+];
+
+const hasVowel = (s) => /[aeiouy]/.test(s);
+
+/**
+ * Light English stemmer (plural, -ing/-ed and common derivational suffixes).
+ * Not linguistically exact; it only has to map word forms to the same key at
+ * index and query time ("deploying", "deployed", "deployments" -> "deploy").
+ */
+export function stem(word) {
+  let w = word;
+  if (w.length < 4 || /[^a-z]/.test(w)) return w;
+
+  if (w.endsWith("sses")) w = w.slice(0, -2);
+  else if (w.endsWith("ies")) w = `${w.slice(0, -3)}y`;
+  else if (w.endsWith("s") && !/(ss|us|is)$/.test(w)) w = w.slice(0, -1);
+
+  const m = w.match(/^(.+?)(ing|ed)$/);
+  if (m && m[1].length >= 2 && hasVowel(m[1])) {
+    w = m[1];
+    if (/([^aeiouylsz])\1$/.test(w)) w = w.slice(0, -1);
+  }
+
+  for (const [suffix, repl] of SUFFIXES) {
+    if (w.endsWith(suffix) && w.length - suffix.length >= 3) {
+      w = w.slice(0, -suffix.length) + repl;
+      break;
+    }
+  }
+
+  if (w.length > 3 && w.endsWith("e")) w = w.slice(0, -1);
+  return w;
+}
+
+function fold(text) {
+  return String(text || "").toLowerCase().normalize("NFKD").replace(/[\u0300-\u036f]/g, "");
+}
+
+// folded text with whitespace runs as one space, and for each of its UTF-16
+// units the [start, end) in `text` it came from
+function foldedWithOffsets(text) {
+  const str = String(text || "");
+  let out = "";
+  const starts = [];
+  const ends = [];
+  let i = 0;
+  for (const ch of str) {
+    const at = i;
+    i += ch.length;
+    if (/\s/.test(ch)) {
+      if (out.endsWith(" ")) {
+        ends[ends.length - 1] = i;
+        continue;
+      }
+      out += " ";
+      starts.push(at);
+      ends.push(i);
+      continue;
+    }
+    const f = fold(ch);
+    // a combining accent belongs to the letter before it
+    if (!f && ends.length) ends[ends.length - 1] = i;
+    out += f;
+    for (let k = 0; k < f.length; k++) {
+      starts.push(at);
+      ends.push(i);
+    }
+  }
+  return { out, starts, ends };
+}
+
+/**
+ * The form quoted phrases are matched in (query and text alike): lowercase,
+ * accent-folded, whitespace runs as one space.
+ */
+export function phraseText(text) {
+  return foldedWithOffsets(text).out;
+}
+
+/**
+ * Text -> lowercase, accent-folded words (stop words kept).
+ */
+export function words(text) {
+  return (fold(text).match(/[\p{L}\p{N}_]+/gu) || []).filter((w) => w.length <= 40);
+}
+
+/**
+ * Text -> index terms.
+ */
+export function tokenize(text) {
+  const out = [];
+  for (const w of words(text)) {
+    if (STOP.has(w) || (w.length < 2 && !/\d/.test(w))) continue;
+    out.push(stem(w));
+  }
+  return out;
+}
+
+// Stored transcripts prefix every message with "[USER]" / "[ASSISTANT]"
+function bodyText(c) {
+  return String(c?.text || "").replace(/^\[(USER|ASSISTANT|SYSTEM|TOOL)\]$/gm, "");
+}
+
+export function hasCode(c) {
+  const t = String(c?.text || "");
+  return t.includes("```") || /\b(stack trace|traceback|exception)\b/i.test(t);
+}
+
+/**
+ * The per-document fields listings filter and rank on, without the text.
+ */
+export function documentFacets(c) {
+  return {
+    id: c.id,
+    title: String(c.title || ""),
+    updatedAt: Number(c.updatedAt || Date.parse(c.ts || "") || 0),
+    pinned: !!c.pinned,
+    tags: (Array.isArray(c.tags) ? c.tags : []).map((t) => String(t).toLowerCase()),
+    folderId: c.folderId || "",
+    // records saved before platform tagging: derive it from the URL
+    platform: c.platform || detectPlatform(c.url),
+    hasCode: hasCode(c),
+    langs: codeLanguages(c.text),
+  };
+}
+
+// ---- Writes (inside library transactions) ------------------------------
+
+function termCounts(c) {
+  const counts = new Map();
+  const add = (terms, weight) => {
+    for (const t of terms) counts.set(t, (counts.get(t) || 0) + weight);
+  };
+  const title = tokenize(c.title);
+  const body = tokenize(bodyText(c));
+  add(title, TITLE_WEIGHT);
+  add(tokenize((c.tags || []).join(" ")), TAG_WEIGHT);
+  add(body, 1);
+  return { counts, len: title.length + body.length };
+}
+
+// Synchronous puts only, so it can run inside a cursor callback.
+function writePostings(stores, c) {
+  const { counts, len } = termCounts(c);
+  for (const [term, tf] of counts) stores[STORES.POSTINGS].put({ term, id: c.id, tf });
+  stores[STORES.DOCSTATS].put({ ...documentFacets(c), len });
+}
+
+/**
+ * Remove a document's postings. `stores` must include postings + docstats.
+ */
+export async function unindexDocument(stores, id) {
+  const keys = await reqP(stores[STORES.POSTINGS].index("id").getAllKeys(id));
+  for (const k of keys) stores[STORES.POSTINGS].delete(k);
+  stores[STORES.DOCSTATS].delete(id);
+}
+
+/**
+ * (Re)index one conversation. `stores` must include postings + docstats.
+ */
+export async function indexDocument(stores, c) {
+  await unindexDocument(stores, c.id);
+  writePostings(stores, c);
+}
+
+export async function rebuildSearchIndex() {
+  const { CONVERSATIONS, POSTINGS, DOCSTATS } = STORES;
+  let docs = 0;
+  await withStores([CONVERSATIONS, POSTINGS, DOCSTATS], "readwrite", (s) => new Promise((resolve, reject) => {
+    s[POSTINGS].clear();
+    s[DOCSTATS].clear();
+    const request = s[CONVERSATIONS].openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return resolve();
+      writePostings(s, cursor.value);
+      docs++;
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  }));
+  await setMeta("searchIndexVersion", INDEX_VERSION);
+  return { docs };
+}
+
+/**
+ * Drop the stored index (vault on). The next ensureSearchIndex() rebuilds it.
+ */
+export async function clearSearchIndex() {
+  await withStores([STORES.POSTINGS, STORES.DOCSTATS], "readwrite", (s) => {
+    s[STORES.POSTINGS].clear();
+    s[STORES.DOCSTATS].clear();
+  });
+  await setMeta("searchIndexVersion", 0);
+  checked = null;
+}
+
+let checked = null;
+
+/**
+ * Build the index when it is missing (first run after the upgrade) or was
+ * written by an older tokenizer. Once per service worker lifetime.
+ */
+export function ensureSearchIndex() {
+  if (!checked) {
+    checked = (async () => {
+      if ((await getMeta("searchIndexVersion")) !== INDEX_VERSION) await rebuildSearchIndex();
+    })().catch((e) => {
+      checked = null;
+      throw e;
+    });
+  }
+  return checked;
+}
+
+// ---- Queries ------------------------------------------------------------
+
+/**
+ * Query words -> [{ term, prefix }], one group per word (same filtering as
+ * tokenize). With `prefix`, the last word also matches index terms starting
+ * with it, unless the query ends in a space.
+ */
+function queryGroups(query, { prefix = true } = {}) {
+  const ws = words(query).filter((w) => !STOP.has(w) && (w.length >= 2 || /\d/.test(w)));
+  const typingLast = prefix && !/\s$/.test(query);
+  return ws.map((w, i) => ({
+    term: stem(w),
+    prefix: typingLast && i === ws.length - 1 && w.length >= MIN_PREFIX ? w : null,
+  }));
+}
+
+async function postingsFor(store, group) {
+  const exact = await reqP(store.getAll(IDBKeyRange.bound([group.term], [group.term, []])));
+  if (!group.prefix) return exact;
+  const expanded = await reqP(store.getAll(IDBKeyRange.bound([group.prefix], [`${group.prefix}\uffff`], false, true), MAX_PREFIX_POSTINGS));
+  // the exact term usually starts with the prefix too
+  return exact.concat(expanded.filter((p) => p.term !== group.term));
+}
+
+async function storedLookup(groups) {
+  await ensureSearchIndex();
+  const { POSTINGS, DOCSTATS } = STORES;
+  return await withStores([POSTINGS, DOCSTATS], "readonly", async (s) => ({
+    postings: await Promise.all(groups.map((g) => postingsFor(s[POSTINGS], g))),
+    stats: await reqP(s[DOCSTATS].getAll()),
+  }));
+}
+
+/**
+ * BM25 search. -> [{ id, score, facets }] for every document matching at
+ * least one query word, best first. Documents matching more of the query
+ * words rank above partial matches. `memory`: search the in-memory index
+ * (vault mode) instead of the stored one.
+ */
+export async function searchIndex(query, opts = {}) {
+  const groups = queryGroups(query, opts);
+  if (!groups.length) return [];
+
+  const { postings, stats } = opts.memory ? memoryLookup(groups) : await storedLookup(groups);
+
+  const byId = new Map(stats.map((d) => [d.id, d]));
+  const n = stats.length || 1;
+  const avgLen = stats.reduce((sum, d) => sum + (d.len || 0), 0) / n || 1;
+
+  const scores = new Map();
+  const matched = new Map();
+  postings.forEach((list) => {
+    // document frequency per term; a word's score is its best-matching term
+    const df = new Map();
+    for (const p of list) df.set(p.term, (df.get(p.term) || 0) + 1);
+    const best = new Map();
+    for (const p of list) {
+      const d = byId.get(p.id);
+      if (!d) continue;
+      const idf = Math.log(1 + (n - df.get(p.term) + 0.5) / (df.get(p.term) + 0.5));
+      const norm = p.tf + BM25_K1 * (1 - BM25_B + (BM25_B * (d.len || 0)) / avgLen);
+      const s = (idf * p.tf * (BM25_K1 + 1)) / norm;
+      if (s > (best.get(p.id) || 0)) best.set(p.id, s);
+    }
+    for (const [id, s] of best) {
+      scores.set(id, (scores.get(id) || 0) + s);
+      matched.set(id, (matched.get(id) || 0) + 1);
+    }
+  });
+
+  return [...scores]
+    .map(([id, score]) => ({ id, score: score * (matched.get(id) / groups.length), facets: byId.get(id) }))
+    .sort((a, b) => b.score - a.score);
+}
+
+// ---- In-memory index (vault mode) --------------------------------------
+
+let memory = null; // { postings: Map(term -> Map(id -> tf)), docs: Map(id -> docstats) }
+
+function memoryAdd(c) {
+  const { counts, len } = termCounts(c);
+  for (const [term, tf] of counts) {
+    if (!memory.postings.has(term)) memory.postings.set(term, new Map());
+    memory.postings.get(term).set(c.id, tf);
+  }
+  memory.docs.set(c.id, { ...documentFacets(c), len, terms: [...counts.keys()] });
+}
+
+export function hasMemoryIndex() {
+  return !!memory;
+}
+
+/**
+ * Build the in-memory index from decrypted conversations (replaces any).
+ */
+export function loadMemoryIndex(conversations) {
+  memory = { postings: new Map(), docs: new Map() };
+  for (const c of conversations) memoryAdd(c);
+}
+
+export function dropMemoryIndex() {
+  memory = null;
+}
+
+export function memoryUnindexDocument(id) {
+  const doc = memory?.docs.get(id);
+  if (!doc) return;
+  for (const term of doc.terms) {
+    const list = memory.postings.get(term);
+    list?.delete(id);
+    if (list && !list.size) memory.postings.delete(term);
+  }
+  memory.docs.delete(id);
+}
+
+/**
+ * Keep a loaded in-memory index current (no-op when none is loaded).
+ */
+export function memoryIndexDocument(c) {
+  if (!memory) return;
+  memoryUnindexDocument(c.id);
+  memoryAdd(c);
+}
+
+/**
+ * Facets (docstats shape) of every document in the in-memory index.
+ */
+export function memoryFacets() {
+  return memory ? [...memory.docs.values()] : [];
+}
+
+function memoryLookup(groups) {
+  const entries = (term) => [...(memory?.postings.get(term) || [])].map(([id, tf]) => ({ term, id, tf }));
+  const postings = groups.map((g) => {
+    const exact = entries(g.term);
+    if (!g.prefix) return exact;
+    const expanded = [];
+    for (const term of memory?.postings.keys() || []) {
+      if (term !== g.term && term.startsWith(g.prefix)) expanded.push(...entries(term));
+    }
+    return exact.concat(expanded);
+  });
+  return { postings, stats: memoryFacets() };
+}
+
+// ---- Match locations ----------------------------------------------------
+
+// [[start, end], ...] of query words and phrases in `text`, sorted, non-overlapping
+function matchRanges(text, groups, phrases) {
+  const terms = new Set(groups.map((g) => g.term));
+  const prefixes = groups.map((g) => g.prefix).filter(Boolean);
+  const ranges = [];
+  for (const m of String(text || "").matchAll(/[\p{L}\p{N}_]+/gu)) {
+    const w = fold(m[0]);
+    if (STOP.has(w)) continue;
+    if (terms.has(stem(w)) || prefixes.some((p) => w.startsWith(p))) ranges.push([m.index, m.index + m[0].length]);
+  }
+  // phrases match in phraseText() form, mapped back to offsets in `text`
+  const flat = phrases.length ? foldedWithOffsets(text) : null;
+  for (const p of phrases.map(phraseText).filter((p) => p.trim())) {
+    for (let i = flat.out.indexOf(p); i >= 0; i = flat.out.indexOf(p, i + p.length)) ranges.push([flat.starts[i], flat.ends[i + p.length - 1]]);
+  }
+  ranges.sort((a, b) => a[0] - b[0] || b[1] - a[1]);
+  const out = [];
+  for (const r of ranges) {
+    const last = out[out.length - 1];
+    if (last && r[0] <= last[1]) last[1] = Math.max(last[1], r[1]);
+    else out.push([...r]);
+  }
+  return out;
+}
+
+/**
+ * Where a query matches inside one conversation, for result snippets.
+ * -> {
+ *   title: [[start, end], ...],
+ *   snippets: [{ messageIndex, role, start, end, text, highlights: [[start, end], ...] }]
+ * }
+ * Snippets are context windows (`radius` characters around the hits) taken
+ * from the messages (messageIndex -1: the flat transcript, for records without
+ * messages); `start`/`end` locate the window in the message text and
+ * `highlights` are relative to `text`. The windows with the most distinct hits
+ * win, returned in conversation order.
+ */
+export function findMatches(c, query, { phrases = [], maxSnippets = 3, radius = 70 } = {}) {
+  const groups = queryGroups(query);
+  if (!groups.length && !phrases.length) return { title: [], snippets: [] };
+
+  const sources = Array.isArray(c?.messages) && c.messages.length
+    ? c.messages.map((m, i) => ({ messageIndex: i, role: m.role || "", text: String(m.text || m.markdown || "") }))
+    : [{ messageIndex: -1, role: "", text: bodyText(c) }];
+
+  const windows = [];
+  for (const src of sources) {
+    const ranges = matchRanges(src.text, groups, phrases);
+    let win = null;
+    for (const r of ranges) {
+      if (win && r[0] - win.hits[win.hits.length - 1][1] <= radius) {
+        win.hits.push(r);
+        continue;
+      }
+      win = { src, hits: [r] };
+      windows.push(win);
+    }
+  }
+
+  const distinct = (w) => new Set(w.hits.map(([a, b]) => fold(w.src.text.slice(a, b)))).size;
+  return {
+    title: matchRanges(c?.title, groups, phrases),
+    snippets: windows
+      .map((w) => ({ w, score: distinct(w) * 10 + w.hits.length }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, maxSnippets)
+      .map(({ w }) => w)
+      .sort((a, b) => a.src.messageIndex - b.src.messageIndex || a.hits[0][0] - b.hits[0][0])
+      .map(({ src, hits }) => {
+        const text = src.text;
+        // widen to word boundaries
+        const first = hits[0][0];
+        const last = hits[hits.length - 1][1];
+        let start = Math.max(0, first - radius);
+        let end = Math.min(text.length, last + radius);
+        const sp = text.indexOf(" ", start);
+        if (start > 0 && sp >= 0 && sp < first) start = sp + 1;
+        const ep = text.lastIndexOf(" ", end);
+        if (end < text.length && ep > last) end = ep;
+        return {
+          messageIndex: src.messageIndex,
+          role: src.role,
+          start,
+          end,
+          text: text.slice(start, end),
+          highlights: hits.map(([a, b]) => [a - start, b - start]),
+        };
+      }),
+  };
+}
@@ -2,12 +2,78 @@
  * Storage helpers (chrome.storage.local)
  * =====================================
  * - Settings: awt_settings
- * - Conversations: awt_conversations
+ * - Conversations: IndexedDB awt_library (shared/library-db.js); the legacy
+ *   awt_conversations blob is migrated once and removed; deleted ones wait
+ *   in the trash store until restored or purged
+ * - Notes: awt_notes
  * - Stats: awt_stats
+ * - Scheduled backup status: awt_backup_status
+ * - Folders: awt_folders (shared/folders.js); records carry folderId
+ *
+ * With the vault on (shared/vault.js), conversations, notes and connector
+ * secrets are encrypted here and decrypted on the way out, so callers (and the
+ * scripts behind the safe API) see the same shapes; while it is locked they
+ * fail with "vault_locked".
  *
  * Privacy-first: local only (no sync).
  */
 
+import { conversationIdFromUrl } from "./platforms.js";
+import { mergeMessageTree } from "./message-tree.js";
+import { mergeMessageMeta, transcript } from "./message-meta.js";
+import { STORES, withStores, reqP, toRow, fromRow, eachByRecency, setMeta } from "./library-db.js";
+import {
+  indexDocument,
+  unindexDocument,
+  ensureSearchIndex,
+  rebuildSearchIndex,
+  clearSearchIndex,
+  searchIndex,
+  documentFacets,
+  findMatches,
+  phraseText,
+  hasMemoryIndex,
+  loadMemoryIndex,
+  dropMemoryIndex,
+  memoryIndexDocument,
+  memoryUnindexDocument,
+  memoryFacets,
+} from "./search-index.js";
+import { parseQuery, mergeFilters } from "./query.js";
+import {
+  FOLDER_NONE,
+  emptyFolders,
+  folderName,
+  normalizeFolders,
+  isInside,
+  folderSubtree,
+  folderTree,
+  resolveFolderRef,
+} from "./folders.js";
+import {
+  prepareRevision,
+  recordRevision,
+  dropRevisions,
+  renameRevisions,
+  listRevisions as readRevisions,
+  getRevision as readRevision,
+} from "./revisions.js";
+import {
+  seal,
+  unseal,
+  isSealed,
+  vaultKey,
+  vaultStatus,
+  createVault,
+  markSealed,
+  unlockVault as openVault,
+  lockVault as closeVault,
+  lockIfIdle,
+  touchVault,
+  setAutoLockMinutes,
+  removeVault,
+} from "./vault.js";
+
 const SETTINGS_KEY = "awt_settings";
 const CONV_KEY = "awt_conversations";
 const STATS_KEY = "awt_stats";
@@ -64,30 +130,17 @@ export async function getEnabledScriptsForUrl(url) {
   return settings.registry.filter((s) => enabledMap[s.id] && urlMatches(url, s.matches || []));
 }
 
-/**
- * Conversation store
- * ------------------
- * Structure:
- * {
- *   byId: { [id]: conversation },
- *   order: [id...],
- *   urlToId: { [normalizedUrl]: id }
- * }
- */
-export async function getConversationStore() {
-  const res = await chrome.storage.local.get([CONV_KEY]);
-  return res?.[CONV_KEY] || { byId: {}, order: [], urlToId: {} };
-}
-
 // ---- Global notes -------------------------------------------------------
 
 export async function getNotesStore() {
   const res = await chrome.storage.local.get([NOTES_KEY]);
-  return res?.[NOTES_KEY] || { global: { text: "", updatedAt: 0 } };
+  const stored = res?.[NOTES_KEY];
+  const store = isSealed(stored) ? await unseal(await vaultKey(), stored) : stored;
+  return store || { global: { text: "", updatedAt: 0 } };
 }
 
 export async function setNotesStore(store) {
-  await chrome.storage.local.set({ [NOTES_KEY]: store });
+  await chrome.storage.local.set({ [NOTES_KEY]: await seal(await vaultKey(), store) });
 }
 
 export async function getGlobalNotes() {
@@ -102,288 +155,1112 @@ export async function setGlobalNotes(text) {
   return ns.global;
 }
 
-// ---- Direct conversation lookup ----------------------------------------
+// ---- Conversation library ----------------------------------------------
 
-export async function getConversationById(id) {
-  const store = await getConversationStore();
-  return store.byId?.[id] || null;
-}
+const { CONVERSATIONS, URLS, POSTINGS, DOCSTATS, REVISIONS, REVMESSAGES, TRASH } = STORES;
+// record writes update the full-text index and the revision log in the same transaction
+const WRITE_STORES = [CONVERSATIONS, URLS, POSTINGS, DOCSTATS, REVISIONS, REVMESSAGES];
 
-export async function getConversationIdForUrl(url) {
-  const store = await getConversationStore();
-  try {
-    const u = new URL(url);
-    const normalized = `${u.origin}${u.pathname}`;
-    return store.urlToId?.[normalized] || null;
-  } catch {
-    return null;
+/**
+ * One-time move of the legacy chrome.storage blob
+ * ({ byId, order, urlToId } under awt_conversations) into IndexedDB.
+ * Runs before the first library access in every service worker lifetime; the
+ * blob is only removed after the IDB transaction committed, so an interrupted
+ * migration simply runs again.
+ */
+let migration = null;
+
+export function migrateLegacyLibrary() {
+  if (!migration) {
+    migration = (async () => {
+      const res = await chrome.storage.local.get([CONV_KEY]);
+      const legacy = res?.[CONV_KEY];
+      if (!legacy?.byId) return { migrated: 0 };
+
+      const order = legacy.order || [];
+      const ids = [...order, ...Object.keys(legacy.byId).filter((id) => !order.includes(id))];
+      let migrated = 0;
+      await withStores([CONVERSATIONS, URLS], "readwrite", async (s) => {
+        ids.forEach((id, i) => {
+          const c = legacy.byId[id];
+          if (!c) return;
+          // keep the old MRU order for records saved before updatedAt existed
+          const updatedAt = c.updatedAt || Date.now() - i;
+          s[CONVERSATIONS].put(toRow({ ...c, id, updatedAt, createdAt: c.createdAt || updatedAt }));
+          migrated++;
+        });
+        for (const [url, id] of Object.entries(legacy.urlToId || {})) {
+          if (legacy.byId[id]) s[URLS].put({ url, id });
+        }
+      });
+      await setMeta("legacyMigratedAt", Date.now());
+      await chrome.storage.local.remove(CONV_KEY);
+      return { migrated };
+    })().catch((e) => {
+      migration = null;
+      throw e;
+    });
   }
+  return migration;
 }
 
-function approxSize(obj) {
+async function ready() {
+  await migrateLegacyLibrary();
+  // with the vault on, search runs on the in-memory index instead
+  if (!(await vaultStatus()).enabled) await ensureSearchIndex();
+}
+
+// ---- Encryption at rest -------------------------------------------------
+//
+// With the vault on (shared/vault.js), a conversation row keeps only id,
+// updatedAt and pinnedKey in the clear (ordering and the pinned index);
+// title, transcript, tags and notes are one sealed box. URL rows (the
+// URL -> ID lookup content scripts need while locked, also copied into trash
+// rows) and revision metadata other than the title stay plaintext; the vault
+// UI and README say so. WebCrypto cannot run
+// inside an IndexedDB transaction (it would commit early), so writers read,
+// decrypt, merge and seal first and then write in one transaction.
+// exclusive() runs library writes one at a time so nothing changes in between.
+
+let writeQueue = Promise.resolve();
+
+function exclusive(fn) {
+  const run = writeQueue.then(fn);
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+// null with the vault off; throws vault_locked while locked
+async function libraryKey() {
   try {
-    return JSON.stringify(obj).length;
-  } catch {
-    return 0;
+    return await vaultKey();
+  } catch (e) {
+    dropMemoryIndex();
+    throw e;
   }
 }
 
+async function sealRow(c, key) {
+  if (!key) return toRow(c);
+  return { id: c.id, updatedAt: c.updatedAt, pinnedKey: c.pinned ? 1 : 0, tagKeys: [], sealed: await seal(key, c) };
+}
+
+async function openRow(row, key) {
+  if (!row?.sealed) return fromRow(row);
+  return { ...(await unseal(key, row.sealed)), id: row.id };
+}
+
+async function loadRecords(ids, key) {
+  const rows = await withStores(CONVERSATIONS, "readonly", (s) => Promise.all(ids.map((id) => reqP(s[CONVERSATIONS].get(id)))));
+  return await Promise.all(rows.map((row) => openRow(row, key)));
+}
+
+// The vault's search index lives in memory, built from every record on the
+// first search after unlocking.
+async function ensureMemoryIndex(key) {
+  if (hasMemoryIndex()) return;
+  await exclusive(async () => {
+    if (hasMemoryIndex()) return;
+    const rows = await withStores(CONVERSATIONS, "readonly", (s) => reqP(s[CONVERSATIONS].getAll()));
+    loadMemoryIndex(await Promise.all(rows.map((row) => openRow(row, key))));
+  });
+}
+
+export async function getConversationById(id) {
+  await ready();
+  if (!id) return null;
+  const [c] = await loadRecords([id], await libraryKey());
+  return c;
+}
+
+export async function getConversationIdForUrl(url) {
+  await ready();
+  const normalized = normalizeUrl(url);
+  if (!normalized) return null;
+  return await withStores(URLS, "readonly", async (s) => (await reqP(s[URLS].get(normalized)))?.id || null);
+}
+
 function normalizeUrl(u) {
   try {
     const url = new URL(u);
     return `${url.origin}${url.pathname}`;
   } catch {
-    return String(u || "");
+    return "";
   }
 }
 
-function stableIdFromUrl(u) {
-  try {
-    const url = new URL(u);
-    const m = url.pathname.match(/\/c\/([a-zA-Z0-9_-]+)/);
-    if (m?.[1]) return `c_${m[1]}`;
-  } catch {}
-  return null;
+async function deleteUrlsFor(urlStore, id) {
+  const keys = await reqP(urlStore.index("id").getAllKeys(id));
+  for (const k of keys) urlStore.delete(k);
 }
 
-export async function saveConversation(conversation, { maxItems = 80, maxBytes = 8_000_000 } = {}) {
-  const store = await getConversationStore();
+export async function saveConversation(conversation) {
+  await ready();
   const normalizedUrl = normalizeUrl(conversation?.url);
 
-  const stable = stableIdFromUrl(conversation?.url);
+  const stable = conversationIdFromUrl(conversation?.url);
   const incomingId = conversation?.id;
   if (!incomingId) throw new Error("Missing conversation.id");
 
   // Canonical ID:
   // - if stable exists, prefer stable
   // - else, prefer incoming
-  let canonicalId = stable || incomingId;
-
-  // If we previously mapped the URL to a temp ID, migrate to stable.
-  const prevForUrl = store.urlToId?.[normalizedUrl];
-  if (prevForUrl && prevForUrl !== canonicalId && stable) {
-    // migrate previous to stable
-    if (store.byId?.[prevForUrl] && !store.byId?.[canonicalId]) {
-      store.byId[canonicalId] = store.byId[prevForUrl];
+  const canonicalId = stable || incomingId;
+
+  return await exclusive(async () => {
+    const key = await libraryKey();
+
+    // Records saved under a temporary key (tmp_…) before the site assigned a
+    // stable URL move to the stable ID (rows move as stored, sealed or not).
+    const prevRow = await withStores(WRITE_STORES, "readwrite", async (s) => {
+      const convs = s[CONVERSATIONS];
+      let prevRow = await reqP(convs.get(canonicalId));
+      const prevForUrl = normalizedUrl ? (await reqP(s[URLS].get(normalizedUrl)))?.id : null;
+      for (const oldId of new Set([stable ? prevForUrl : null, incomingId])) {
+        if (!oldId || oldId === canonicalId) continue;
+        const old = await reqP(convs.get(oldId));
+        if (!old) continue;
+        if (!prevRow) {
+          prevRow = { ...old, id: canonicalId };
+          convs.put(prevRow);
+        }
+        convs.delete(oldId);
+        await deleteUrlsFor(s[URLS], oldId);
+        await unindexDocument(s, oldId);
+        memoryUnindexDocument(oldId);
+        await renameRevisions(s, oldId, canonicalId);
+      }
+      return prevRow;
+    });
+
+    // Merge with previous to preserve metadata (tags/pinned/notes) across autosaves.
+    const prev = (await openRow(prevRow, key)) || {};
+    const now = Date.now();
+
+    const toSave = { ...prev, ...conversation, id: canonicalId };
+
+    // Preserve metadata unless explicitly overwritten
+    if (!Array.isArray(conversation?.tags) && Array.isArray(prev?.tags)) toSave.tags = prev.tags;
+    if (typeof conversation?.pinned === "undefined" && typeof prev?.pinned !== "undefined") toSave.pinned = prev.pinned;
+    if (typeof conversation?.notes === "undefined" && typeof prev?.notes !== "undefined") toSave.notes = prev.notes;
+
+    // Per-message firstSeenAt/lastChangedAt survive autosaves
+    if (Array.isArray(conversation?.messages)) toSave.messages = mergeMessageMeta(prev?.messages, conversation.messages, now);
+
+    // Keep earlier branches: union the saved message tree with the incoming one.
+    const tree = mergeMessageTree(prev?.messageTree, conversation?.messageTree);
+    if (tree) toSave.messageTree = tree;
+
+    // Normalize metadata
+    if (!Array.isArray(toSave.tags)) toSave.tags = [];
+    toSave.pinned = !!toSave.pinned;
+
+    // Timestamps
+    toSave.createdAt = prev.createdAt || conversation.createdAt || now;
+    toSave.updatedAt = now;
+
+    const plan = await prepareRevision(toSave, { reason: conversation.autosave ? "autosave" : "save", at: now, key });
+    const row = await sealRow(toSave, key);
+    await withStores(WRITE_STORES, "readwrite", async (s) => {
+      s[CONVERSATIONS].put(row);
+      if (normalizedUrl) s[URLS].put({ url: normalizedUrl, id: canonicalId });
+      if (!key) await indexDocument(s, toSave);
+      await recordRevision(s, plan);
+    });
+    memoryIndexDocument(toSave);
+    return toSave;
+  });
+}
+
+/**
+ * Move records still saved under a temporary key (tmp_…) to the stable ID
+ * their URL carries by now, as saveConversation() does when such a chat is
+ * saved again. Records whose stable ID is already taken stay where they are.
+ * -> { moved, skipped } (with `dryRun`, what would happen; nothing is written)
+ */
+export async function migrateTemporaryIds({ dryRun = false } = {}) {
+  // a dry run leaves a legacy blob where it is (ready() would move it) and
+  // plans its records as they would land
+  if (!dryRun) await ready();
+  return await exclusive(async () => {
+    const key = await libraryKey();
+    const tmp = IDBKeyRange.bound("tmp_", "tmp_\uffff");
+    const rows = await withStores(CONVERSATIONS, "readonly", (s) => reqP(s[CONVERSATIONS].getAll(tmp)));
+    const records = new Map();
+    for (const row of rows) records.set(row.id, await openRow(row, key));
+    const legacy = dryRun ? (await chrome.storage.local.get([CONV_KEY]))?.[CONV_KEY]?.byId || {} : {};
+    for (const [id, c] of Object.entries(legacy)) if (id.startsWith("tmp_") && c) records.set(id, { ...c, id });
+    const moves = [];
+    for (const [id, c] of records) {
+      const stable = conversationIdFromUrl(c.url);
+      if (stable && stable !== id) moves.push({ from: id, to: stable, c });
     }
-    delete store.byId[prevForUrl];
-    store.order = (store.order || []).filter((x) => x !== prevForUrl);
-  }
 
-  // If incoming ID is tmp_ but stable exists, also migrate that record.
-  if (incomingId !== canonicalId && store.byId?.[incomingId]) {
-    if (!store.byId?.[canonicalId]) store.byId[canonicalId] = store.byId[incomingId];
-    delete store.byId[incomingId];
-    store.order = (store.order || []).filter((x) => x !== incomingId);
-  }
+    const result = { moved: 0, skipped: 0 };
+    const done = [];
+    await withStores(WRITE_STORES, dryRun ? "readonly" : "readwrite", async (s) => {
+      const convs = s[CONVERSATIONS];
+      const taken = new Set();
+      for (const move of moves) {
+        if (taken.has(move.to) || legacy[move.to] || (await reqP(convs.count(move.to)))) {
+          result.skipped++;
+          continue;
+        }
+        taken.add(move.to);
+        result.moved++;
+        if (dryRun) continue;
+        const { from, to, c } = move;
+        // the row moves as stored (sealed or not)
+        convs.put({ ...(await reqP(convs.get(from))), id: to });
+        convs.delete(from);
+        await deleteUrlsFor(s[URLS], from);
+        const normalizedUrl = normalizeUrl(c.url);
+        if (normalizedUrl) s[URLS].put({ url: normalizedUrl, id: to });
+        await unindexDocument(s, from);
+        if (!key) await indexDocument(s, { ...c, id: to });
+        await renameRevisions(s, from, to);
+        done.push(move);
+      }
+    });
+    done.forEach(({ from, to, c }) => {
+      memoryUnindexDocument(from);
+      memoryIndexDocument({ ...c, id: to });
+    });
+    return result;
+  });
+}
 
-  // Save canonical conversation (ensure id is canonical)
-// Merge with previous to preserve metadata (tags/pinned/notes) across autosaves.
-const prev = store.byId?.[canonicalId] || {};
-const now = Date.now();
+export async function listRevisions(id) {
+  return await readRevisions(id, await libraryKey());
+}
 
-const toSave = { ...prev, ...conversation, id: canonicalId };
+export async function getRevision(id, rev) {
+  return await readRevision(id, rev, await libraryKey());
+}
 
-// Preserve metadata unless explicitly overwritten
-if (!Array.isArray(conversation?.tags) && Array.isArray(prev?.tags)) toSave.tags = prev.tags;
-if (typeof conversation?.pinned === "undefined" && typeof prev?.pinned !== "undefined") toSave.pinned = prev.pinned;
-if (typeof conversation?.notes === "undefined" && typeof prev?.notes !== "undefined") toSave.notes = prev.notes;
+/**
+ * Make an earlier revision the saved transcript again (recorded as a new
+ * "restore" revision, so the replaced one stays in the history). Tags, notes
+ * and the branch tree are kept. An open tab of the chat autosaves what the
+ * page shows over it on its next change.
+ */
+export async function restoreRevision(id, rev) {
+  await ready();
+  return await exclusive(async () => {
+    const key = await libraryKey();
+    const revision = await readRevision(id, rev, key);
+    if (!revision) return null;
+    const [c] = await loadRecords([id], key);
+    if (!c) return null;
+    const now = Date.now();
+    const next = {
+      ...c,
+      messages: mergeMessageMeta(c.messages, revision.messages, now),
+      text: transcript(revision.messages),
+      tokens: revision.messages.reduce((n, m) => n + (m.tokens || 0), 0),
+      updatedAt: now,
+    };
+    const plan = await prepareRevision(next, { reason: "restore", at: now, key });
+    const row = await sealRow(next, key);
+    await withStores(WRITE_STORES, "readwrite", async (s) => {
+      s[CONVERSATIONS].put(row);
+      if (!key) await indexDocument(s, next);
+      await recordRevision(s, plan);
+    });
+    memoryIndexDocument(next);
+    return next;
+  });
+}
+
+// `ts` is an ISO string from extraction (numbers in older records)
+function tsOf(c) {
+  const t = typeof c?.ts === "number" ? c.ts : Date.parse(c?.ts || "");
+  return Number.isFinite(t) ? t : 0;
+}
+
+function sameTranscript(a = [], b = []) {
+  return a.length === b.length && a.every((m, i) => m.role === b[i].role && m.text === b[i].text);
+}
+
+/**
+ * Bulk import of converted export records (shared/importers.js).
+ * Records merge into existing entries with the same ID: saved tags/pinned/notes
+ * are kept, message trees are unioned, and the imported transcript replaces the
+ * saved one only when it is at least as recent. One write transaction per
+ * batch (per round when a batch repeats an ID).
+ * -> { added, updated, skipped }
+ */
+export async function importConversations(records = []) {
+  await ready();
+  const result = { added: 0, updated: 0, skipped: 0 };
+
+  let pending = records.filter((rec) => rec?.id && Array.isArray(rec.messages));
+  result.skipped += records.length - pending.length;
+  while (pending.length) {
+    // a repeated ID waits for the next round, so it merges with the first
+    const seen = new Set();
+    const round = [];
+    const later = [];
+    for (const rec of pending) {
+      (seen.has(rec.id) ? later : round).push(rec);
+      seen.add(rec.id);
+    }
+    await exclusive(() => importRound(round, result));
+    pending = later;
+  }
+  return result;
+}
 
-// Normalize metadata
-if (!Array.isArray(toSave.tags)) toSave.tags = [];
-toSave.pinned = !!toSave.pinned;
+async function importRound(records, result) {
+  const key = await libraryKey();
+  const prevs = await loadRecords(records.map((rec) => rec.id), key);
+  const writes = [];
 
-// Timestamps
-toSave.createdAt = prev.createdAt || conversation.createdAt || now;
-toSave.updatedAt = now;
+  for (let i = 0; i < records.length; i++) {
+    const rec = records[i];
+    const prev = prevs[i];
+    const tree = mergeMessageTree(prev?.messageTree, rec.messageTree);
+    const knownNodes = Object.keys(prev?.messageTree?.nodes || {}).length;
 
-store.byId[canonicalId] = toSave;
+    if (prev && sameTranscript(prev.messages, rec.messages) && Object.keys(tree?.nodes || {}).length === knownNodes) {
+      result.skipped++;
+      continue;
+    }
 
-  // URL map
-  if (normalizedUrl) {
-    store.urlToId = store.urlToId || {};
-    store.urlToId[normalizedUrl] = canonicalId;
+    const importedIsNewer = !prev || tsOf(rec) >= tsOf(prev);
+    const toSave = prev
+      ? {
+          ...prev,
+          ...(importedIsNewer ? rec : {}),
+          id: rec.id,
+          tags: Array.isArray(prev.tags) ? prev.tags : [],
+          pinned: !!prev.pinned,
+          ...(typeof prev.notes !== "undefined" ? { notes: prev.notes } : {}),
+          createdAt: Math.min(prev.createdAt || Infinity, rec.createdAt || Infinity),
+          updatedAt: Math.max(prev.updatedAt || 0, rec.updatedAt || 0),
+        }
+      : { ...rec, tags: Array.isArray(rec.tags) ? rec.tags : [], pinned: !!rec.pinned };
+    if (tree) toSave.messageTree = tree;
+    if (!importedIsNewer) {
+      // keep the newer autosaved transcript, but the export knows when messages were really sent
+      const sentAt = new Map(rec.messages.filter((m) => m.messageId && m.firstSeenAt).map((m) => [m.messageId, m.firstSeenAt]));
+      toSave.messages = (prev.messages || []).map((m) =>
+        sentAt.has(m.messageId) && (!m.firstSeenAt || sentAt.get(m.messageId) < m.firstSeenAt) ? { ...m, firstSeenAt: sentAt.get(m.messageId) } : m
+      );
+    }
+    if (!Number.isFinite(toSave.createdAt)) toSave.createdAt = rec.createdAt || Date.now();
+    // imports keep their own recency instead of all landing on top
+    if (!Number.isFinite(toSave.updatedAt) || !toSave.updatedAt) toSave.updatedAt = tsOf(rec) || Date.now();
+
+    writes.push({
+      toSave,
+      row: await sealRow(toSave, key),
+      plan: await prepareRevision(toSave, { reason: "import", key }),
+    });
+    if (prev) result.updated++;
+    else result.added++;
   }
 
-  // move id to front
-  store.order = (store.order || []).filter((x) => x !== canonicalId);
-  store.order.unshift(canonicalId);
+  await withStores(WRITE_STORES, "readwrite", async (s) => {
+    for (const { toSave, row, plan } of writes) {
+      s[CONVERSATIONS].put(row);
+      const normalizedUrl = normalizeUrl(toSave.url);
+      if (normalizedUrl) s[URLS].put({ url: normalizedUrl, id: toSave.id });
+      if (!key) await indexDocument(s, toSave);
+      await recordRevision(s, plan);
+    }
+  });
+  writes.forEach(({ toSave }) => memoryIndexDocument(toSave));
+}
+
+/**
+ * Every saved conversation, decrypted (backups; shared/backup.js).
+ */
+export async function exportConversations() {
+  await ready();
+  const key = await libraryKey();
+  const rows = await withStores(CONVERSATIONS, "readonly", (s) => reqP(s[CONVERSATIONS].getAll()));
+  return await Promise.all(rows.map((row) => openRow(row, key)));
+}
+
+const RESTORE_BATCH = 200;
 
-  // enforce caps by count + bytes
-  while (store.order.length > maxItems) {
-    const drop = store.order.pop();
-    if (drop) delete store.byId[drop];
+/**
+ * Make the library exactly `records` (backup restore, "replace" mode):
+ * records are stored as they are, tags/notes/pinned included, and saved
+ * conversations that are not among them move to the trash.
+ * -> { added, updated, removed, skipped }
+ */
+export async function replaceConversations(records = []) {
+  await ready();
+  const byId = new Map(records.filter((rec) => rec?.id && Array.isArray(rec.messages)).map((rec) => [rec.id, rec]));
+  const result = { added: 0, updated: 0, removed: 0, skipped: records.length - byId.size };
+
+  const existing = new Set(await withStores(CONVERSATIONS, "readonly", (s) => reqP(s[CONVERSATIONS].getAllKeys())));
+  for (const id of existing) {
+    if (byId.has(id)) continue;
+    await deleteConversation(id, { reason: "restore" });
+    result.removed++;
   }
-  while (approxSize(store) > maxBytes && store.order.length > 1) {
-    const drop = store.order.pop();
-    if (drop) delete store.byId[drop];
+
+  const all = [...byId.values()];
+  for (let i = 0; i < all.length; i += RESTORE_BATCH) {
+    await exclusive(() => replaceRound(all.slice(i, i + RESTORE_BATCH), existing, result));
+  }
+  return result;
+}
+
+async function replaceRound(records, existing, result) {
+  const key = await libraryKey();
+  const prevs = await loadRecords(records.map((rec) => rec.id), key);
+  const writes = [];
+  for (let i = 0; i < records.length; i++) {
+    const rec = records[i];
+    const toSave = {
+      ...rec,
+      tags: Array.isArray(rec.tags) ? rec.tags : [],
+      pinned: !!rec.pinned,
+      createdAt: rec.createdAt || tsOf(rec) || Date.now(),
+      updatedAt: rec.updatedAt || tsOf(rec) || Date.now(),
+    };
+    if (prevs[i] && JSON.stringify(prevs[i]) === JSON.stringify(toSave)) {
+      result.skipped++;
+      continue;
+    }
+    writes.push({
+      toSave,
+      row: await sealRow(toSave, key),
+      plan: await prepareRevision(toSave, { reason: "restore", key }),
+    });
+    if (existing.has(rec.id)) result.updated++;
+    else result.added++;
   }
 
-  await chrome.storage.local.set({ [CONV_KEY]: store });
-  return store;
+  await withStores(WRITE_STORES, "readwrite", async (s) => {
+    for (const { toSave, row, plan } of writes) {
+      s[CONVERSATIONS].put(row);
+      await deleteUrlsFor(s[URLS], toSave.id);
+      const normalizedUrl = normalizeUrl(toSave.url);
+      if (normalizedUrl) s[URLS].put({ url: normalizedUrl, id: toSave.id });
+      if (!key) await indexDocument(s, toSave);
+      await recordRevision(s, plan);
+    }
+  });
+  writes.forEach(({ toSave }) => memoryIndexDocument(toSave));
 }
 
-export async function listConversations({ query = "", limit = 200, filters = {}, sort = "relevance" } = {}) {
-  const store = await getConversationStore();
-  const qRaw = (query || "").trim();
-  const q = qRaw.toLowerCase();
+const newestFirst = (a, b) => Number(b.updatedAt || 0) - Number(a.updatedAt || 0);
 
-  const stop = new Set(["the","a","an","and","or","to","of","in","on","for","with","is","are","was","were","be","as","at","by","from"]);
-  const tokens = q.split(/[^a-z0-9_]+/i).filter(Boolean).filter(t => !stop.has(t));
+/**
+ * Records for an unqueried listing, newest first; `keep` takes
+ * documentFacets(). Single-tag and pinned-only filters read their index
+ * instead of walking the whole library; otherwise the walk stops once `limit`
+ * records passed `keep`. With the vault on, the in-memory facets are filtered
+ * and only the results are decrypted. `offset` skips that many matches first.
+ */
+async function candidates({ tag, pinnedOnly, keep, limit, offset = 0, key }) {
+  if (key) {
+    await ensureMemoryIndex(key);
+    const ids = memoryFacets().filter(keep).sort(newestFirst).slice(offset, offset + limit).map((f) => f.id);
+    return (await loadRecords(ids, key)).filter(Boolean);
+  }
+  if (tag || pinnedOnly) {
+    const rows = await withStores(CONVERSATIONS, "readonly", (s) =>
+      reqP(tag ? s[CONVERSATIONS].index("tags").getAll(tag) : s[CONVERSATIONS].index("pinned").getAll(1))
+    );
+    return rows
+      .map(fromRow)
+      .filter((c) => keep(documentFacets(c)))
+      .sort(newestFirst)
+      .slice(offset, offset + limit);
+  }
+  const out = [];
+  let skip = offset;
+  await eachByRecency((c) => {
+    if (keep(documentFacets(c)) && skip-- <= 0) out.push(c);
+    return out.length < limit;
+  });
+  return out;
+}
 
+/**
+ * Folder filters -> a test on a record's folderId, or null without any.
+ * `folderId` (the UI's folder picker), `folders` and `excludeFolders` (the
+ * folder: operator, names or paths) each cover the subfolders too; "none" is
+ * the unfiled records, including ones whose folder was deleted.
+ */
+async function folderFilter(filters) {
+  const refs = [...(filters.folders || []), ...(filters.excludeFolders || [])];
+  if (!filters.folderId && !refs.length) return null;
+  const store = await getFolders();
+  const scope = (ref, resolve) => {
+    if (ref === FOLDER_NONE) return new Set([""]);
+    const out = new Set();
+    for (const id of resolve(ref)) folderSubtree(store, id).forEach((x) => out.add(x));
+    return out;
+  };
+  const byName = (ref) => resolveFolderRef(store, ref);
+  // unknown names and IDs match nothing
+  const want = [
+    ...(filters.folderId ? [scope(filters.folderId, (id) => [id])] : []),
+    ...(filters.folders?.length ? [new Set(filters.folders.flatMap((ref) => [...scope(ref, byName)]))] : []),
+  ];
+  const not = new Set((filters.excludeFolders || []).flatMap((ref) => [...scope(ref, byName)]));
+  return (folderId) => {
+    const id = folderId && store.byId[folderId] ? folderId : "";
+    return want.every((set) => set.has(id)) && !not.has(id);
+  };
+}
+
+/**
+ * `query` may carry operators (shared/query.js); they are merged into
+ * `filters`. Without free text: newest first (pinned on top). With free text:
+ * ranked by the full-text index (shared/search-index.js), or newest first with
+ * sort "recent". Queried results carry `matches` (search-index findMatches):
+ * highlight offsets for the title and context snippets per message.
+ * `offset` pages through the results (newest first, or in ranked order);
+ * within a page pinned records come first.
+ */
+export async function listConversations({ query = "", limit = 200, offset = 0, filters: toggles = {}, sort = "relevance" } = {}) {
+  await ready();
+  const key = await libraryKey();
+  const parsed = parseQuery(query || "");
+  const filters = mergeFilters(toggles, parsed.filters);
+  const qRaw = parsed.text.trim();
+
+  const lower = (list) => (Array.isArray(list) ? list.map(t => String(t).toLowerCase()) : []);
   const wantPinnedOnly = !!filters.pinnedOnly;
   const wantHasCode = !!filters.hasCode;
   const wantTag = (filters.tag || "").toLowerCase().trim();
-  const wantTags = Array.isArray(filters.tags) ? filters.tags.map(t => String(t).toLowerCase()) : null;
+  const wantTags = lower(filters.tags);
+  const notTags = lower(filters.excludeTags);
+  const wantLangs = lower(filters.langs);
+  const notLangs = lower(filters.excludeLangs);
+  const titleTerms = lower(filters.titleTerms);
   const since = typeof filters.since === "number" ? filters.since : null;
-  const until = typeof filters.until === "number" ? filters.until : null;
-
-  function hasCode(c) {
-    const t = String(c?.text || "");
-    return t.includes("```") || /\b(stack trace|traceback|exception)\b/i.test(t);
+  const until = typeof filters.until === "number" && Number.isFinite(filters.until) ? filters.until : null;
+  const wantPlatforms = lower([filters.platform, ...(filters.platforms || [])].filter(Boolean));
+  const notPlatforms = lower(filters.excludePlatforms);
+  const folderScope = await folderFilter(filters);
+
+  // f: documentFacets() shape
+  function keep(f) {
+    if (wantPinnedOnly && !f.pinned) return false;
+    if (filters.unpinnedOnly && f.pinned) return false;
+    if (wantHasCode && !f.hasCode) return false;
+    if (filters.noCode && f.hasCode) return false;
+    if (wantPlatforms.length && !wantPlatforms.includes(f.platform)) return false;
+    if (notPlatforms.includes(f.platform)) return false;
+    if (folderScope && !folderScope(f.folderId)) return false;
+
+    if (since && f.updatedAt && f.updatedAt < since) return false;
+    if (until && f.updatedAt && f.updatedAt > until) return false;
+
+    if (wantTag && !f.tags.includes(wantTag)) return false;
+    if (!wantTags.every(t => f.tags.includes(t))) return false;
+    if (notTags.some(t => f.tags.includes(t))) return false;
+
+    const langs = f.langs || [];
+    if (!wantLangs.every(l => langs.includes(l))) return false;
+    if (notLangs.some(l => langs.includes(l))) return false;
+
+    const title = f.title.toLowerCase();
+    return titleTerms.every(t => title.includes(t));
   }
 
-  function scoreConversation(c) {
-    if (!qRaw) return 0;
+  // quoted phrases need the transcript, so they are checked on loaded records
+  // (in the form findMatches highlights them in)
+  const phrases = parsed.phrases.map(phraseText);
+  const hasPhrases = (c) => {
+    const flat = phraseText(`${c.title}\n${c.text}`);
+    return phrases.every((p) => flat.includes(p));
+  };
 
-    const title = String(c.title || "").toLowerCase();
-    const url = String(c.url || "").toLowerCase();
-    const text = String(c.text || "").toLowerCase();
-    const tags = Array.isArray(c.tags) ? c.tags.map(t => String(t).toLowerCase()) : [];
+  const byRecency = (a, b) => {
+    if ((b.pinned ? 1 : 0) !== (a.pinned ? 1 : 0)) return (b.pinned ? 1 : 0) - (a.pinned ? 1 : 0);
+    return Number(b.updatedAt || 0) - Number(a.updatedAt || 0);
+  };
 
-    let score = 0;
+  if (!qRaw) {
+    // a single tag: operator can use the tags index too
+    const tag = wantTag || (wantTags.length === 1 ? wantTags[0] : "");
+    const items = await candidates({ tag, pinnedOnly: wantPinnedOnly, keep, limit, offset, key });
+    return items.sort(byRecency);
+  }
 
-    // phrase bonus
-    if (q && title.includes(q)) score += 40;
-    if (q && text.includes(q)) score += 10;
+  if (key) await ensureMemoryIndex(key);
+  const twoWeeks = 14 * 24 * 3600 * 1000;
+  const hits = (await searchIndex(parsed.text, { memory: !!key }))
+    .filter((h) => h.facets && keep(h.facets))
+    .map((h) => {
+      // recency boost (last 14 days gets up to +20%), pinned slight boost
+      const ageMs = Date.now() - h.facets.updatedAt;
+      const boost = Math.max(0, Math.min(0.2, (twoWeeks - ageMs) / twoWeeks * 0.2));
+      return { ...h.facets, _score: h.score * (1 + boost) * (h.facets.pinned ? 1.1 : 1) };
+    });
 
-    // token scoring
-    for (const t of tokens) {
-      if (title.includes(t)) score += 18;
-      if (tags.some(x => x.includes(t))) score += 14;
-      if (url.includes(t)) score += 4;
-      if (text.includes(t)) score += 4;
+  if (sort === "recent") hits.sort(byRecency);
+  else hits.sort((a, b) => (b._score - a._score) || byRecency(a, b));
 
-      // prefix/fuzzy-ish (word startswith)
-      if (t.length >= 3) {
-        const reWord = new RegExp(`\\b${t}`, "i");
-        if (reWord.test(title)) score += 6;
-        if (reWord.test(text)) score += 2;
-      }
+  // load in ranked order until `limit` records past `offset` passed the phrase check
+  const out = [];
+  let skip = offset;
+  for (let i = 0; i < hits.length && out.length < limit; i += limit) {
+    const batch = await loadRecords(hits.slice(i, i + limit).map((h) => h.id), key);
+    for (const c of batch) {
+      if (!c || !hasPhrases(c) || out.length >= limit || skip-- > 0) continue;
+      out.push({ ...c, matches: findMatches(c, parsed.text, { phrases: parsed.phrases }) });
     }
+  }
+  return out;
+}
+
+/**
+ * Tags in use, most used first -> [{ tag, count }] (lowercased, as matched).
+ */
+export async function listTags() {
+  await ready();
+  const key = await libraryKey();
+  const counts = new Map();
+  if (key) {
+    await ensureMemoryIndex(key);
+    for (const f of memoryFacets()) for (const t of new Set(f.tags)) counts.set(t, (counts.get(t) || 0) + 1);
+  } else {
+    await withStores(CONVERSATIONS, "readonly", (s) => new Promise((resolve, reject) => {
+      const request = s[CONVERSATIONS].index("tags").openKeyCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return resolve();
+        counts.set(cursor.key, (counts.get(cursor.key) || 0) + 1);
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    }));
+  }
+  return [...counts].map(([tag, count]) => ({ tag, count })).sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+/**
+ * Move a conversation to the trash: it leaves the library and the search
+ * index, but keeps its tags/notes/pinned state, URL mappings and revision
+ * history until restoreFromTrash() or a purge.
+ */
+export async function deleteConversation(id, { reason = "deleted" } = {}) {
+  await ready();
+  await exclusive(() => withStores([...WRITE_STORES, TRASH], "readwrite", async (s) => {
+    // the row moves as stored (sealed with the vault on)
+    const row = await reqP(s[CONVERSATIONS].get(id));
+    if (!row) return;
+    const urls = await reqP(s[URLS].index("id").getAllKeys(id));
+    s[TRASH].put({ id, deletedAt: Date.now(), reason, urls, conversation: row });
+    s[CONVERSATIONS].delete(id);
+    await deleteUrlsFor(s[URLS], id);
+    await unindexDocument(s, id);
+  }));
+  memoryUnindexDocument(id);
+  return { ok: true };
+}
+
+/**
+ * Update metadata for an existing conversation without resaving the full payload.
+ * Useful for tags/pin/notes.
+ */
+export async function updateConversationMeta(id, patch = {}) {
+  await ready();
+  return await exclusive(async () => {
+    const key = await libraryKey();
+    const [c] = await loadRecords([id], key);
+    if (!c) return null;
+
+    const next = { ...c, ...patch, id };
+    if ("tags" in patch) next.tags = Array.isArray(patch.tags) ? patch.tags : [];
+    if ("pinned" in patch) next.pinned = !!patch.pinned;
+    if ("folderId" in patch) next.folderId = patch.folderId || "";
+    // touching a record moves it to the top of "recent"
+    next.updatedAt = Date.now();
+
+    const row = await sealRow(next, key);
+    await withStores([CONVERSATIONS, POSTINGS, DOCSTATS], "readwrite", async (s) => {
+      s[CONVERSATIONS].put(row);
+      // tags are searchable, pinned/updatedAt are listing facets
+      if (!key) await indexDocument(s, next);
+    });
+    memoryIndexDocument(next);
+    return next;
+  });
+}
 
-    // recency boost (last 14 days gets up to +20%)
-    const updatedAt = Number(c.updatedAt || c.ts || 0);
-    const ageMs = Date.now() - updatedAt;
-    const twoWeeks = 14 * 24 * 3600 * 1000;
-    const boost = Math.max(0, Math.min(0.2, (twoWeeks - ageMs) / twoWeeks * 0.2));
-    score = score * (1 + boost);
+// ---- Folders ------------------------------------------------------------
 
-    // pinned slight boost
-    if (c.pinned) score += 5;
+const FOLDERS_KEY = "awt_folders";
+
+export async function getFolders() {
+  const res = await chrome.storage.local.get([FOLDERS_KEY]);
+  return normalizeFolders(res?.[FOLDERS_KEY] || emptyFolders());
+}
 
-    return score;
+export async function setFolders(store) {
+  await chrome.storage.local.set({ [FOLDERS_KEY]: normalizeFolders(store) });
+}
+
+// listing facets of every record (docstats, or the vault's memory index)
+async function allFacets(key) {
+  if (key) {
+    await ensureMemoryIndex(key);
+    return memoryFacets();
   }
+  return await withStores(DOCSTATS, "readonly", (s) => reqP(s[DOCSTATS].getAll()));
+}
 
-  const items = [];
-  for (const id of store.order || []) {
-    const c = store.byId[id];
-    if (!c) continue;
+/**
+ * The folder tree in display order with conversation counts:
+ * [{ id, name, parentId, depth, path, count, total }] (total includes subfolders).
+ */
+export async function listFolders() {
+  await ready();
+  const key = await libraryKey();
+  const store = await getFolders();
+  const counts = new Map();
+  for (const f of await allFacets(key)) if (f.folderId) counts.set(f.folderId, (counts.get(f.folderId) || 0) + 1);
+  return folderTree(store).map((f) => ({
+    ...f,
+    count: counts.get(f.id) || 0,
+    total: [...folderSubtree(store, f.id)].reduce((n, id) => n + (counts.get(id) || 0), 0),
+  }));
+}
 
-    // Filters
-    if (wantPinnedOnly && !c.pinned) continue;
-    if (wantHasCode && !hasCode(c)) continue;
+/**
+ * New folder under `parentId` ("" for the top level). Throws "invalid_name" /
+ * "unknown_folder".
+ */
+export async function createFolder({ name, parentId = "" } = {}) {
+  const store = await getFolders();
+  const clean = folderName(name);
+  if (!clean) throw new Error("invalid_name");
+  if (parentId && !store.byId[parentId]) throw new Error("unknown_folder");
+  const id = `fld_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+  const folder = { id, name: clean, parentId: parentId || "", createdAt: Date.now() };
+  store.byId[id] = folder;
+  store.order.push(id);
+  await setFolders(store);
+  return folder;
+}
+
+/**
+ * Rename and/or move a folder (`parentId` "" moves it to the top level).
+ * Throws "unknown_folder", "invalid_name" or "folder_cycle" (into itself or
+ * one of its subfolders).
+ */
+export async function updateFolder(id, patch = {}) {
+  const store = await getFolders();
+  const folder = store.byId[id];
+  if (!folder) throw new Error("unknown_folder");
+  const next = { ...folder };
+  if ("name" in patch) {
+    next.name = folderName(patch.name);
+    if (!next.name) throw new Error("invalid_name");
+  }
+  if ("parentId" in patch) {
+    const parentId = patch.parentId || "";
+    if (parentId && !store.byId[parentId]) throw new Error("unknown_folder");
+    if (parentId && isInside(store.byId, parentId, id)) throw new Error("folder_cycle");
+    next.parentId = parentId;
+  }
+  store.byId[id] = next;
+  await setFolders(store);
+  return next;
+}
 
-    const updatedAt = Number(c.updatedAt || c.ts || 0);
-    if (since && updatedAt && updatedAt < since) continue;
-    if (until && updatedAt && updatedAt > until) continue;
+/**
+ * Delete a folder: its subfolders and conversations move up to its parent.
+ * -> { moved } (conversations refiled)
+ */
+export async function deleteFolder(id) {
+  const store = await getFolders();
+  const folder = store.byId[id];
+  if (!folder) return { moved: 0 };
+  const key = await libraryKey();
+  const ids = (await allFacets(key)).filter((f) => f.folderId === id).map((f) => f.id);
+  const { moved } = await moveConversations(ids, folder.parentId);
+  for (const f of Object.values(store.byId)) if (f.parentId === id) f.parentId = folder.parentId;
+  delete store.byId[id];
+  await setFolders(store);
+  return { moved };
+}
 
-    const ctags = Array.isArray(c.tags) ? c.tags.map(t => String(t).toLowerCase()) : [];
-    if (wantTag && !ctags.includes(wantTag)) continue;
-    if (wantTags && wantTags.length && !wantTags.every(t => ctags.includes(t))) continue;
+const MOVE_BATCH = 200;
 
-    // Search match
-    if (!qRaw) {
-      items.push({ ...c, _score: 0 });
-      if (items.length >= limit) break;
-      continue;
-    }
+/**
+ * File conversations under `folderId` ("" takes them out of any folder).
+ * Unlike updateConversationMeta() this keeps their place in "recent": filing
+ * is not activity. Throws "unknown_folder". -> { moved }
+ */
+export async function moveConversations(ids = [], folderId = "") {
+  await ready();
+  if (folderId && !(await getFolders()).byId[folderId]) throw new Error("unknown_folder");
+  let moved = 0;
+  const all = [...new Set(ids)].filter(Boolean);
+  for (let i = 0; i < all.length; i += MOVE_BATCH) {
+    await exclusive(async () => {
+      const key = await libraryKey();
+      const writes = [];
+      for (const c of await loadRecords(all.slice(i, i + MOVE_BATCH), key)) {
+        if (!c || (c.folderId || "") === folderId) continue;
+        const next = { ...c, folderId };
+        writes.push({ next, row: await sealRow(next, key) });
+      }
+      await withStores([CONVERSATIONS, POSTINGS, DOCSTATS], "readwrite", async (s) => {
+        for (const { next, row } of writes) {
+          s[CONVERSATIONS].put(row);
+          // folderId is a listing facet
+          if (!key) await indexDocument(s, next);
+        }
+      });
+      writes.forEach(({ next }) => memoryIndexDocument(next));
+      moved += writes.length;
+    });
+  }
+  return { moved };
+}
 
-    const hay = `${c.title || ""}\n${c.url || ""}\n${(c.text || "").slice(0, 8000)}`.toLowerCase();
-    if (!hay.includes(q) && tokens.length) {
-      // require at least one token hit
-      const any = tokens.some(t => hay.includes(t));
-      if (!any) continue;
-    }
+// ---- Trash --------------------------------------------------------------
 
-    const s = scoreConversation(c);
-    items.push({ ...c, _score: s });
+/**
+ * Trashed conversations, most recently deleted first (without transcripts):
+ * [{ id, title, url, platform, tags, pinned, messageCount, deletedAt, reason }]
+ */
+export async function listTrash() {
+  await ready();
+  const key = await libraryKey();
+  const rows = await withStores(TRASH, "readonly", (s) => reqP(s[TRASH].index("deletedAt").getAll()));
+  const out = [];
+  for (const { id, deletedAt, reason, conversation } of rows.reverse()) {
+    const c = await openRow(conversation, key);
+    out.push({
+      id,
+      title: c.title || "",
+      url: c.url || "",
+      platform: c.platform || "",
+      tags: Array.isArray(c.tags) ? c.tags : [],
+      pinned: !!c.pinned,
+      messageCount: Array.isArray(c.messages) ? c.messages.length : 0,
+      deletedAt,
+      reason,
+    });
   }
+  return out;
+}
+
+/**
+ * Put a trashed conversation back under its ID with its tags, notes and
+ * pinned state. If the chat was autosaved again since (same ID), the newer
+ * transcript wins and the metadata is combined.
+ */
+export async function restoreFromTrash(id) {
+  await ready();
+  return await exclusive(async () => {
+    const key = await libraryKey();
+    const row = await withStores(TRASH, "readonly", (s) => reqP(s[TRASH].get(id)));
+    if (!row) return null;
+    const trashed = await openRow(row.conversation, key);
+    const [live] = await loadRecords([id], key);
+
+    let next = { ...trashed, id };
+    if (live) {
+      const newer = (live.updatedAt || 0) > (trashed.updatedAt || 0) ? live : trashed;
+      next = {
+        ...trashed,
+        ...newer,
+        tags: Array.from(new Set([...(trashed.tags || []), ...(live.tags || [])])),
+        pinned: !!(trashed.pinned || live.pinned),
+        notes: live.notes || trashed.notes,
+        messageTree: mergeMessageTree(trashed.messageTree, live.messageTree) || newer.messageTree,
+      };
+      if (!next.notes) delete next.notes;
+      if (!next.messageTree) delete next.messageTree;
+    }
 
-  // Sorting
-  if (!qRaw || sort === "recent") {
-    items.sort((a, b) => {
-      if ((b.pinned ? 1 : 0) !== (a.pinned ? 1 : 0)) return (b.pinned ? 1 : 0) - (a.pinned ? 1 : 0);
-      return Number(b.updatedAt || b.ts || 0) - Number(a.updatedAt || a.ts || 0);
+    const sealed = await sealRow(next, key);
+    await withStores([...WRITE_STORES, TRASH], "readwrite", async (s) => {
+      s[CONVERSATIONS].put(sealed);
+      for (const url of row.urls || []) s[URLS].put({ url, id });
+      if (!key) await indexDocument(s, next);
+      s[TRASH].delete(id);
     });
-  } else {
-    items.sort((a, b) => {
-      const ds = (b._score || 0) - (a._score || 0);
-      if (ds) return ds;
-      if ((b.pinned ? 1 : 0) !== (a.pinned ? 1 : 0)) return (b.pinned ? 1 : 0) - (a.pinned ? 1 : 0);
-      return Number(b.updatedAt || b.ts || 0) - Number(a.updatedAt || a.ts || 0);
+    memoryIndexDocument(next);
+    return next;
+  });
+}
+
+/**
+ * Permanently delete trashed conversations deleted before `olderThan`
+ * (all of them by default) or the given `ids`, with their revision history
+ * unless the chat has been saved again since. -> { purged }
+ */
+export async function purgeTrash({ olderThan = Infinity, ids = null } = {}) {
+  await ready();
+  return await exclusive(() => withStores([CONVERSATIONS, REVISIONS, REVMESSAGES, TRASH], "readwrite", async (s) => {
+    const keys = ids
+      ? ids
+      : await reqP(s[TRASH].index("deletedAt").getAllKeys(olderThan === Infinity ? null : IDBKeyRange.upperBound(olderThan, true)));
+    let purged = 0;
+    for (const id of keys) {
+      if (!(await reqP(s[TRASH].count(id)))) continue;
+      s[TRASH].delete(id);
+      if (!(await reqP(s[CONVERSATIONS].count(id)))) dropRevisions(s, id);
+      purged++;
+    }
+    return { purged };
+  }));
+}
+
+// ---- Vault --------------------------------------------------------------
+
+export { vaultStatus, touchVault };
+
+const RESEAL_BATCH = 200;
+
+// Rewrite every row of a store through `convert`, in batches
+async function resealStore(name, convert) {
+  let after = null;
+  for (;;) {
+    const range = after === null ? null : IDBKeyRange.lowerBound(after, true);
+    const { rows, keys } = await withStores(name, "readonly", async (s) => ({
+      rows: await reqP(s[name].getAll(range, RESEAL_BATCH)),
+      keys: await reqP(s[name].getAllKeys(range, RESEAL_BATCH)),
+    }));
+    if (!rows.length) return;
+    const next = await Promise.all(rows.map(convert));
+    await withStores(name, "readwrite", (s) => {
+      next.forEach((row) => s[name].put(row));
     });
+    after = keys[keys.length - 1];
   }
+}
 
-  // trim + strip _score
-  return items.slice(0, limit).map(({ _score, ...rest }) => rest);
+async function resealConnectors(connectors, from, to) {
+  const byId = {};
+  for (const [id, c] of Object.entries(connectors?.byId || {})) {
+    const { secret: plain, secretEnc, ...rest } = c;
+    const secret = secretEnc ? await unseal(from, secretEnc) : plain;
+    byId[id] = !secret ? rest : to ? { ...rest, secretEnc: await seal(to, secret) } : { ...rest, secret };
+  }
+  return { ...connectors, byId };
 }
 
+// Convert everything the vault covers from `from` to `to` (null: plaintext).
+// Rows already in the target form pass through, so an interrupted run can repeat.
+async function resealAll(from, to) {
+  await resealStore(CONVERSATIONS, async (row) => sealRow(await openRow(row, from), to));
+  await resealStore(TRASH, async (row) => ({ ...row, conversation: await sealRow(await openRow(row.conversation, from), to) }));
+  await resealStore(REVISIONS, async (row) => ({ ...row, title: await seal(to, await unseal(from, row.title)) }));
+  await resealStore(REVMESSAGES, async (row) => ({ ...row, message: await seal(to, await unseal(from, row.message)) }));
 
-export async function deleteConversation(id) {
-  const store = await getConversationStore();
-  if (store.byId?.[id]) delete store.byId[id];
-  store.order = (store.order || []).filter((x) => x !== id);
+  const notes = (await chrome.storage.local.get([NOTES_KEY]))?.[NOTES_KEY];
+  if (notes) await chrome.storage.local.set({ [NOTES_KEY]: await seal(to, await unseal(from, notes)) });
 
-  // clean urlToId
-  if (store.urlToId) {
-    for (const [u, v] of Object.entries(store.urlToId)) {
-      if (v === id) delete store.urlToId[u];
-    }
+  const settings = await getSettings();
+  if (settings?.connectors) {
+    settings.connectors = await resealConnectors(settings.connectors, from, to);
+    await setSettings(settings);
   }
+}
+
+/**
+ * Turn the vault on: encrypt the library (records, trash, revision history),
+ * global notes and connector secrets, and drop the stored search index.
+ * -> vaultStatus()
+ */
+export async function enableVault(passphrase, { autoLockMinutes } = {}) {
+  await ready();
+  return await exclusive(async () => {
+    const key = await createVault(passphrase, { autoLockMinutes });
+    await clearSearchIndex();
+    await resealAll(key, key);
+    await markSealed();
+    return await vaultStatus();
+  });
+}
 
-  await chrome.storage.local.set({ [CONV_KEY]: store });
-  return store;
+/**
+ * Decrypt everything again and forget the vault. Needs the passphrase.
+ */
+export async function disableVault(passphrase) {
+  await ready();
+  const key = await openVault(passphrase);
+  if (!key) return await vaultStatus();
+  return await exclusive(async () => {
+    await resealAll(key, null);
+    dropMemoryIndex();
+    await rebuildSearchIndex();
+    await removeVault();
+    return await vaultStatus();
+  });
 }
 
+export async function unlockVault(passphrase) {
+  const key = await openVault(passphrase);
+  // finish a conversion that an interrupted enableVault() left behind
+  if ((await vaultStatus()).sealing) {
+    await exclusive(async () => {
+      await resealAll(key, key);
+      await markSealed();
+    });
+  }
+  return await vaultStatus();
+}
+
+export async function lockVault() {
+  dropMemoryIndex();
+  await closeVault();
+  return await vaultStatus();
+}
 
 /**
- * Update metadata for an existing conversation without resaving the full payload.
- * Useful for tags/pin/notes.
+ * Alarm tick: lock once the auto-lock time has passed.
  */
-export async function updateConversationMeta(id, patch = {}) {
-  const store = await getConversationStore();
-  const c = store.byId?.[id];
-  if (!c) return null;
+export async function autoLockVault() {
+  if (await lockIfIdle()) dropMemoryIndex();
+}
 
-  const next = { ...c, ...patch };
-  if ("tags" in patch) next.tags = Array.isArray(patch.tags) ? patch.tags : [];
-  if ("pinned" in patch) next.pinned = !!patch.pinned;
-  next.updatedAt = Date.now();
+export async function setVaultAutoLock(minutes) {
+  await setAutoLockMinutes(minutes);
+  return await vaultStatus();
+}
 
-  store.byId[id] = next;
-  // move to front if pinned change or user touched it
-  store.order = (store.order || []).filter((x) => x !== id);
-  store.order.unshift(id);
+/**
+ * Connectors as they should be stored: with the vault on, a plaintext
+ * `secret` from the Options form becomes a sealed `secretEnc`.
+ */
+export async function sealConnectorSecrets(connectors) {
+  const plain = Object.values(connectors?.byId || {}).some((c) => c?.secret);
+  if (!plain || !(await vaultStatus()).enabled) return connectors;
+  const key = await libraryKey();
+  return await resealConnectors(connectors, key, key);
+}
 
-  await chrome.storage.local.set({ [CONV_KEY]: store });
-  return next;
+/**
+ * A connector's HMAC secret ("" for none). Throws vault_locked while locked.
+ */
+export async function connectorSecret(connector) {
+  if (!connector?.secretEnc) return connector?.secret || "";
+  return await unseal(await libraryKey(), connector.secretEnc);
 }
 
 // ---- Connector jobs (reliable sends) ------------------------------------
 
 const JOBS_KEY = "awt_jobs";
 
+// job writes read-modify-write one key and the pump runs several sends at
+// once; they go one at a time so none overwrites another
+let jobsQueue = Promise.resolve();
+
+function jobsExclusive(fn) {
+  const run = jobsQueue.then(fn);
+  jobsQueue = run.catch(() => {});
+  return run;
+}
+
 export async function getJobs() {
   const res = await chrome.storage.local.get([JOBS_KEY]);
   return res?.[JOBS_KEY] || { byId: {}, order: [] };
@@ -393,51 +1270,133 @@ export async function setJobs(jobs) {
   await chrome.storage.local.set({ [JOBS_KEY]: jobs });
 }
 
-export async function enqueueJob(job) {
-  const jobs = await getJobs();
-  const id = job.id || `job_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
-  const now = Date.now();
-  const j = {
-    id,
-    type: job.type || "webhook",
-    createdAt: now,
-    updatedAt: now,
-    attempts: 0,
-    status: "queued", // queued|running|done|failed
-    ...job,
-  };
-  jobs.byId[id] = j;
-  jobs.order = (jobs.order || []).filter((x) => x !== id);
-  jobs.order.unshift(id);
-  await setJobs(jobs);
-  return j;
+export function enqueueJob(job) {
+  return jobsExclusive(async () => {
+    const jobs = await getJobs();
+    const id = job.id || `job_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
+    const now = Date.now();
+    const j = {
+      id,
+      type: job.type || "webhook",
+      createdAt: now,
+      updatedAt: now,
+      attempts: 0,
+      status: "queued", // queued|running|done|failed
+      ...job,
+    };
+    jobs.byId[id] = j;
+    jobs.order = (jobs.order || []).filter((x) => x !== id);
+    jobs.order.unshift(id);
+    await setJobs(jobs);
+    return j;
+  });
 }
 
-export async function updateJob(id, patch = {}) {
-  const jobs = await getJobs();
-  const j = jobs.byId?.[id];
-  if (!j) return null;
-  jobs.byId[id] = { ...j, ...patch, updatedAt: Date.now() };
-  await setJobs(jobs);
-  return jobs.byId[id];
+export function updateJob(id, patch = {}) {
+  return jobsExclusive(async () => {
+    const jobs = await getJobs();
+    const j = jobs.byId?.[id];
+    if (!j) return null;
+    jobs.byId[id] = { ...j, ...patch, updatedAt: Date.now() };
+    await setJobs(jobs);
+    return jobs.byId[id];
+  });
 }
 
-export async function removeJob(id) {
-  const jobs = await getJobs();
-  if (jobs.byId?.[id]) delete jobs.byId[id];
-  jobs.order = (jobs.order || []).filter((x) => x !== id);
-  await setJobs(jobs);
-  return jobs;
+export function removeJob(id) {
+  return jobsExclusive(async () => {
+    const jobs = await getJobs();
+    if (jobs.byId?.[id]) delete jobs.byId[id];
+    jobs.order = (jobs.order || []).filter((x) => x !== id);
+    await setJobs(jobs);
+    return jobs;
+  });
 }
 
-export async function listJobs({ limit = 200 } = {}) {
+export async function listJobs({ limit = 200, status = "", connectorId = "" } = {}) {
   const jobs = await getJobs();
   const out = [];
   for (const id of jobs.order || []) {
     const j = jobs.byId[id];
     if (!j) continue;
+    if (status && j.status !== status) continue;
+    if (connectorId && j.connectorId !== connectorId) continue;
     out.push(j);
     if (out.length >= limit) break;
   }
   return out;
 }
+
+/**
+ * Remove every job in one of `statuses` -> { removed }
+ */
+export function clearJobs({ statuses = ["done"] } = {}) {
+  return jobsExclusive(async () => {
+    const jobs = await getJobs();
+    const drop = new Set(Object.keys(jobs.byId || {}).filter((id) => statuses.includes(jobs.byId[id]?.status)));
+    if (!drop.size) return { removed: 0 };
+    for (const id of drop) delete jobs.byId[id];
+    jobs.order = (jobs.order || []).filter((id) => !drop.has(id));
+    await setJobs(jobs);
+    return { removed: drop.size };
+  });
+}
+
+// Per-connector delivery state of the pump (shared/delivery.js):
+// { [connectorId]: { sentAt: [request start times in the last minute], pausedUntil } }
+const DELIVERY_KEY = "awt_delivery";
+
+export async function getDeliveryState() {
+  const res = await chrome.storage.local.get([DELIVERY_KEY]);
+  return res?.[DELIVERY_KEY] || {};
+}
+
+export async function setDeliveryState(state) {
+  await chrome.storage.local.set({ [DELIVERY_KEY]: state });
+}
+
+// ---- Rule ledger --------------------------------------------------------
+//
+// The de-duplication keys routing rules already sent (shared/rules.js):
+// { [key]: sentAt }, oldest dropped past MAX_RULE_LEDGER.
+
+const RULE_LEDGER_KEY = "awt_rule_ledger";
+const MAX_RULE_LEDGER = 5000;
+
+export async function getRuleLedger() {
+  const res = await chrome.storage.local.get([RULE_LEDGER_KEY]);
+  return res?.[RULE_LEDGER_KEY] || {};
+}
+
+export async function addRuleLedger(keys = []) {
+  const ledger = await getRuleLedger();
+  const now = Date.now();
+  for (const k of keys) ledger[k] = now;
+  const entries = Object.entries(ledger);
+  const next = entries.length > MAX_RULE_LEDGER
+    ? Object.fromEntries(entries.sort((a, b) => b[1] - a[1]).slice(0, MAX_RULE_LEDGER))
+    : ledger;
+  await chrome.storage.local.set({ [RULE_LEDGER_KEY]: next });
+}
+
+// forget what deleted rules sent (keys start with the rule ID)
+export async function pruneRuleLedger(ruleIds = []) {
+  const keep = new Set(ruleIds);
+  const ledger = await getRuleLedger();
+  const next = Object.fromEntries(Object.entries(ledger).filter(([k]) => keep.has(k.split("|")[0])));
+  if (Object.keys(next).length !== Object.keys(ledger).length) await chrome.storage.local.set({ [RULE_LEDGER_KEY]: next });
+}
+
+// ---- Scheduled backups --------------------------------------------------
+
+const BACKUP_STATUS_KEY = "awt_backup_status";
+
+// { lastSuccessAt, last: { at, ok, filename, downloadId?, counts?, error? } }
+export async function getBackupStatus() {
+  const res = await chrome.storage.local.get([BACKUP_STATUS_KEY]);
+  return res?.[BACKUP_STATUS_KEY] || { lastSuccessAt: 0, last: null };
+}
+
+export async function setBackupStatus(status) {
+  await chrome.storage.local.set({ [BACKUP_STATUS_KEY]: status });
+}
@@ -0,0 +1,246 @@
+/**
+ * Connector payload templates
+ * ===========================
+ * A connector may carry a JSON body template; the service worker renders it
+ * instead of sending the built-in payload shape (shared/payloads.js), so a
+ * webhook gets exactly the fields its flow expects:
+ *
+ *   { "text": "{{meta.title}} ({{tags | join:\", \"}})",
+ *     "todo": "{{artifacts.tasks}}",
+ *     "said": "{{conversation.messages[*].text | last | truncate:500}}" }
+ *
+ * - A string that is exactly one placeholder takes the value as it is
+ *   (arrays, objects, numbers); inside other text, values are interpolated
+ *   (arrays joined with ", ", objects as JSON).
+ * - Paths: dotted fields and [index] from a context root (TEMPLATE_ROOTS);
+ *   "$." in front is allowed, [*] maps over an array (JSONPath style).
+ * - Filters after "|", applied left to right (TEMPLATE_FILTERS).
+ * - A missing value renders as null (whole-string) or "" (interpolated);
+ *   `default:…` replaces it.
+ *
+ * Pure helpers: used by the service worker and by Options (validation and
+ * preview).
+ */
+
+export const TEMPLATE_MAX_LENGTH = 20000;
+
+export const TEMPLATE_ROOTS = {
+  meta: "id, title, url, model, tokens, ts, turns",
+  conversation: "the whole record: title, url, platform, messages[{ role, text }], createdAt, updatedAt…",
+  artifacts: "tasks, decisions, links, codeBlocks[{ lang, code }]",
+  tags: "the conversation's tags",
+  notes: "the conversation's notes",
+  folder: "folder path (\"Work/Clients\"), \"\" if not filed",
+  markdown: "the transcript as Markdown",
+  payload: "the built-in payload that would be sent without a template",
+  now: "send time (ms); | date for ISO",
+};
+
+export const TEMPLATE_FILTERS = {
+  json: "JSON text of the value",
+  join: "array to text (join or join:\" | \")",
+  lines: "array to text, one item per line",
+  first: "first item",
+  last: "last item",
+  count: "number of items (or characters)",
+  upper: "upper case",
+  lower: "lower case",
+  trim: "strip surrounding whitespace",
+  truncate: "at most N characters (truncate:280)",
+  default: "value when missing or empty (default:\"none\")",
+  date: "ms or date text to ISO 8601",
+};
+
+const PLACEHOLDER_RE = /\{\{([\s\S]*?)\}\}/g;
+const WHOLE_RE = /^\{\{((?:(?!\{\{|\}\})[\s\S])*)\}\}$/;
+const ARG_RE = /^\s*(?:"((?:[^"\\]|\\.)*)"|'([^']*)'|(.*?))\s*$/;
+
+const isEmpty = (v) => v === undefined || v === null || v === "" || (Array.isArray(v) && !v.length);
+
+function asText(v) {
+  if (v === undefined || v === null) return "";
+  if (Array.isArray(v)) return v.map((x) => (x && typeof x === "object" ? JSON.stringify(x) : String(x ?? ""))).join(", ");
+  if (typeof v === "object") return JSON.stringify(v);
+  return String(v);
+}
+
+const FILTERS = {
+  json: (v) => JSON.stringify(v ?? null),
+  join: (v, sep = ", ") => (Array.isArray(v) ? v.map(asText).join(sep) : asText(v)),
+  lines: (v) => (Array.isArray(v) ? v.map(asText).join("\n") : asText(v)),
+  first: (v) => (Array.isArray(v) ? v[0] : v),
+  last: (v) => (Array.isArray(v) ? v[v.length - 1] : v),
+  count: (v) => (Array.isArray(v) || typeof v === "string" ? v.length : v && typeof v === "object" ? Object.keys(v).length : 0),
+  upper: (v) => asText(v).toUpperCase(),
+  lower: (v) => asText(v).toLowerCase(),
+  trim: (v) => asText(v).trim(),
+  truncate: (v, n) => {
+    const s = asText(v);
+    const max = Number(n);
+    return s.length > max ? `${s.slice(0, Math.max(0, max - 1))}…` : s;
+  },
+  default: (v, fallback = "") => (isEmpty(v) ? fallback : v),
+  date: (v) => {
+    const d = new Date(typeof v === "number" ? v : Date.parse(String(v ?? "")));
+    return Number.isNaN(d.getTime()) ? "" : d.toISOString();
+  },
+};
+
+// ---- Parsing ------------------------------------------------------------
+
+// "artifacts.tasks[0]" / "$.conversation.messages[*].text" -> ["artifacts", "tasks", 0] / [..., "*", "text"]
+function parsePath(text) {
+  const src = text.trim().replace(/^\$\.?/, "");
+  const out = [];
+  const re = /([A-Za-z_][\w-]*)|\[(\d+|\*)\]|\.(?=[A-Za-z_])/gy;
+  let pos = 0;
+  while (pos < src.length) {
+    re.lastIndex = pos;
+    const m = re.exec(src);
+    if (!m || m.index !== pos) return null;
+    if (m[1] !== undefined) out.push(m[1]);
+    else if (m[2] !== undefined) out.push(m[2] === "*" ? "*" : Number(m[2]));
+    pos = re.lastIndex;
+  }
+  return out.length ? out : null;
+}
+
+function parseArg(raw) {
+  if (raw === undefined) return undefined;
+  const m = raw.match(ARG_RE);
+  if (m[1] !== undefined) return m[1].replace(/\\(.)/g, (_, c) => (c === "n" ? "\n" : c));
+  return m[2] ?? m[3];
+}
+
+// "tags | join:\", \" | upper" -> { path, filters: [{ name, arg }] } or { error }
+function parseExpression(expr) {
+  // split on | outside quotes
+  const parts = [];
+  let cur = "";
+  let quote = "";
+  for (let i = 0; i < expr.length; i++) {
+    const ch = expr[i];
+    if (quote) {
+      cur += ch;
+      if (ch === "\\" && quote === '"') cur += expr[++i] ?? "";
+      else if (ch === quote) quote = "";
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+      cur += ch;
+    } else if (ch === "|") {
+      parts.push(cur);
+      cur = "";
+    } else {
+      cur += ch;
+    }
+  }
+  parts.push(cur);
+
+  const path = parsePath(parts[0]);
+  if (!path) return { error: `"${parts[0].trim()}" is not a field path` };
+  if (!(path[0] in TEMPLATE_ROOTS)) return { error: `unknown field "${path[0]}" (use ${Object.keys(TEMPLATE_ROOTS).join(", ")})` };
+  const filters = [];
+  for (const part of parts.slice(1)) {
+    const m = part.match(/^\s*([a-z]+)\s*(?::([\s\S]*))?$/i);
+    if (!m || !FILTERS[m[1]]) return { error: `unknown filter "${part.trim()}"` };
+    const arg = parseArg(m[2]);
+    if (m[1] === "truncate" && !(Number(arg) > 0)) return { error: "truncate needs a length, e.g. truncate:280" };
+    filters.push({ name: m[1], arg });
+  }
+  return { path, filters };
+}
+
+// every string in a parsed JSON value, with its location ("$.a.b[0]")
+function eachString(value, fn, where = "$") {
+  if (typeof value === "string") fn(value, where);
+  else if (Array.isArray(value)) value.forEach((v, i) => eachString(v, fn, `${where}[${i}]`));
+  else if (value && typeof value === "object") {
+    for (const [k, v] of Object.entries(value)) {
+      eachString(k, fn, `${where} (key)`);
+      eachString(v, fn, `${where}.${k}`);
+    }
+  }
+}
+
+function jsonErrorAt(text, e) {
+  const pos = Number(String(e?.message || "").match(/position (\d+)/)?.[1]);
+  if (!Number.isFinite(pos)) return `not valid JSON: ${e?.message || e}`;
+  const before = text.slice(0, pos).split("\n");
+  return `not valid JSON at line ${before.length}, column ${before[before.length - 1].length + 1}`;
+}
+
+/**
+ * Check a template before it is saved.
+ * -> { ok, errors: [text], fields: [placeholder expressions] }
+ * An empty template is valid (the connector sends the built-in payload).
+ */
+export function validateTemplate(text) {
+  const src = String(text ?? "");
+  const errors = [];
+  const fields = [];
+  if (!src.trim()) return { ok: true, errors, fields };
+  if (src.length > TEMPLATE_MAX_LENGTH) return { ok: false, errors: [`longer than ${TEMPLATE_MAX_LENGTH} characters`], fields };
+
+  let parsed;
+  try {
+    parsed = JSON.parse(src);
+  } catch (e) {
+    return { ok: false, errors: [jsonErrorAt(src, e)], fields };
+  }
+  eachString(parsed, (s, where) => {
+    if (s.replace(PLACEHOLDER_RE, "").includes("{{")) errors.push(`${where}: "{{" without "}}"`);
+    for (const m of s.matchAll(PLACEHOLDER_RE)) {
+      const res = parseExpression(m[1]);
+      if (res.error) errors.push(`${where}: ${res.error}`);
+      else fields.push(m[1].trim());
+    }
+  });
+  return { ok: !errors.length, errors, fields: [...new Set(fields)] };
+}
+
+// ---- Rendering ----------------------------------------------------------
+
+function lookup(value, path) {
+  let cur = value;
+  for (let i = 0; i < path.length; i++) {
+    const key = path[i];
+    if (key === "*") return Array.isArray(cur) ? cur.map((item) => lookup(item, path.slice(i + 1))) : undefined;
+    if (cur === null || cur === undefined || typeof cur !== "object") return undefined;
+    cur = cur[key];
+  }
+  return cur;
+}
+
+function evaluate(expr, context) {
+  const { path, filters, error } = parseExpression(expr);
+  if (error) throw new Error(`template_invalid: ${error}`);
+  let value = lookup(context, path);
+  for (const { name, arg } of filters) value = arg === undefined ? FILTERS[name](value) : FILTERS[name](value, arg);
+  return value;
+}
+
+function renderString(s, context) {
+  const whole = s.match(WHOLE_RE);
+  if (whole) return evaluate(whole[1], context) ?? null;
+  return s.replace(PLACEHOLDER_RE, (_, expr) => asText(evaluate(expr, context)));
+}
+
+function renderValue(value, context) {
+  if (typeof value === "string") return renderString(value, context);
+  if (Array.isArray(value)) return value.map((v) => renderValue(v, context));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [asText(renderString(k, context)), renderValue(v, context)]));
+  }
+  return value;
+}
+
+/**
+ * Render a template against a context (see TEMPLATE_ROOTS) -> the JSON value
+ * to send. Throws "template_invalid: …" for a template validateTemplate()
+ * rejects.
+ */
+export function renderTemplate(text, context = {}) {
+  const check = validateTemplate(text);
+  if (!check.ok) throw new Error(`template_invalid: ${check.errors[0]}`);
+  return renderValue(JSON.parse(text), context);
+}
@@ -0,0 +1,236 @@
+/**
+ * Vault (encryption at rest)
+ * ==========================
+ * Optional passphrase protection for saved conversations, notes and connector
+ * secrets. The passphrase derives an AES-GCM-256 key with PBKDF2-SHA-256; the
+ * derivation parameters live with the vault so they can be raised later.
+ *
+ * - awt_vault          chrome.storage.local
+ *     { version, kdf: { name, hash, iterations, salt }, check, autoLockMinutes, createdAt, sealing }
+ * - awt_vault_session  chrome.storage.session, only while unlocked
+ *     { key (raw, base64), expiresAt }
+ *   Session storage is memory-only, cleared with the browser and not readable
+ *   by content scripts, so the key survives service worker restarts but not a
+ *   browser restart. `check` is a sealed constant used to verify a passphrase.
+ *
+ * Sealed values look like { sealed: 1, iv, ct } (base64). seal()/unseal()
+ * pass values through unchanged when `key` is null (vault off) or the value is
+ * not sealed, so readers cope with partly converted data.
+ *
+ * Service worker only (shared/storage.js).
+ */
+
+const VAULT_KEY = "awt_vault";
+const SESSION_KEY = "awt_vault_session";
+const CHECK_TEXT = "awt-vault-check";
+const PBKDF2_ITERATIONS = 600_000;
+export const DEFAULT_AUTO_LOCK_MINUTES = 15;
+
+// error codes (Error.message), returned as `error` by the service worker
+export const VAULT_LOCKED = "vault_locked";
+export const WRONG_PASSPHRASE = "wrong_passphrase";
+
+const enc = new TextEncoder();
+const dec = new TextDecoder();
+
+function toB64(bytes) {
+  let s = "";
+  const arr = new Uint8Array(bytes);
+  for (let i = 0; i < arr.length; i += 0x8000) s += String.fromCharCode(...arr.subarray(i, i + 0x8000));
+  return btoa(s);
+}
+
+function fromB64(s) {
+  return Uint8Array.from(atob(s), (c) => c.charCodeAt(0));
+}
+
+export function isSealed(value) {
+  return !!value && typeof value === "object" && value.sealed === 1 && typeof value.ct === "string";
+}
+
+export async function seal(key, value) {
+  if (!key || value === undefined) return value;
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ct = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, enc.encode(JSON.stringify(value)));
+  return { sealed: 1, iv: toB64(iv), ct: toB64(ct) };
+}
+
+export async function unseal(key, value) {
+  if (!isSealed(value)) return value;
+  if (!key) throw new Error(VAULT_LOCKED);
+  const plain = await crypto.subtle.decrypt({ name: "AES-GCM", iv: fromB64(value.iv) }, key, fromB64(value.ct));
+  return JSON.parse(dec.decode(plain));
+}
+
+async function deriveKey(passphrase, kdf) {
+  const base = await crypto.subtle.importKey("raw", enc.encode(String(passphrase)), "PBKDF2", false, ["deriveKey"]);
+  return await crypto.subtle.deriveKey(
+    { name: "PBKDF2", hash: kdf.hash, iterations: kdf.iterations, salt: fromB64(kdf.salt) },
+    base,
+    { name: "AES-GCM", length: 256 },
+    // exportable so the unlocked key can sit in session storage
+    true,
+    ["encrypt", "decrypt"]
+  );
+}
+
+// ---- State --------------------------------------------------------------
+
+let config;
+let cached = null; // { raw, key } for the current session
+
+async function getConfig() {
+  if (config === undefined) {
+    const res = await chrome.storage.local.get([VAULT_KEY]);
+    config = res?.[VAULT_KEY] || null;
+  }
+  return config;
+}
+
+async function setConfig(next) {
+  config = next;
+  if (next) await chrome.storage.local.set({ [VAULT_KEY]: next });
+  else await chrome.storage.local.remove(VAULT_KEY);
+}
+
+async function getSession() {
+  const res = await chrome.storage.session.get([SESSION_KEY]);
+  return res?.[SESSION_KEY] || null;
+}
+
+function expiryFrom(now, cfg) {
+  const minutes = cfg?.autoLockMinutes ?? DEFAULT_AUTO_LOCK_MINUTES;
+  return minutes > 0 ? now + minutes * 60_000 : 0;
+}
+
+async function startSession(key, cfg) {
+  const raw = toB64(await crypto.subtle.exportKey("raw", key));
+  cached = { raw, key };
+  await chrome.storage.session.set({ [SESSION_KEY]: { key: raw, expiresAt: expiryFrom(Date.now(), cfg) } });
+}
+
+export async function vaultStatus() {
+  const cfg = await getConfig();
+  if (!cfg) return { enabled: false, unlocked: false };
+  const session = await getSession();
+  const unlocked = !!session && (!session.expiresAt || session.expiresAt > Date.now());
+  return {
+    enabled: true,
+    unlocked,
+    autoLockMinutes: cfg.autoLockMinutes ?? DEFAULT_AUTO_LOCK_MINUTES,
+    expiresAt: unlocked ? session.expiresAt : 0,
+    sealing: !!cfg.sealing,
+  };
+}
+
+/**
+ * The key to seal/unseal with: null when the vault is off. Throws
+ * VAULT_LOCKED while locked. Using the key does not push the auto-lock back:
+ * autosaves and alarms run without anyone at the keyboard (see touchVault).
+ */
+export async function vaultKey() {
+  const cfg = await getConfig();
+  if (!cfg) return null;
+  const session = await getSession();
+  const now = Date.now();
+  if (!session || (session.expiresAt && session.expiresAt <= now)) {
+    if (session) await lockVault();
+    throw new Error(VAULT_LOCKED);
+  }
+  if (cached?.raw !== session.key) {
+    const key = await crypto.subtle.importKey("raw", fromB64(session.key), { name: "AES-GCM" }, true, ["encrypt", "decrypt"]);
+    cached = { raw: session.key, key };
+  }
+  return cached.key;
+}
+
+/**
+ * Someone is using the popup or Options: push the auto-lock back (idle
+ * timeout), writing at most once a minute. No-op while locked.
+ */
+export async function touchVault() {
+  const cfg = await getConfig();
+  if (!cfg) return;
+  const session = await getSession();
+  const now = Date.now();
+  if (!session?.expiresAt || session.expiresAt <= now) return;
+  const expiresAt = expiryFrom(now, cfg);
+  if (expiresAt - session.expiresAt > 60_000) {
+    await chrome.storage.session.set({ [SESSION_KEY]: { ...session, expiresAt } });
+  }
+}
+
+/**
+ * Set up a new vault and unlock it. -> the key. The caller converts the data
+ * (`sealing` stays set until markSealed()).
+ */
+export async function createVault(passphrase, { autoLockMinutes = DEFAULT_AUTO_LOCK_MINUTES } = {}) {
+  if (await getConfig()) throw new Error("vault_exists");
+  if (!String(passphrase || "")) throw new Error("missing_passphrase");
+  const kdf = { name: "PBKDF2", hash: "SHA-256", iterations: PBKDF2_ITERATIONS, salt: toB64(crypto.getRandomValues(new Uint8Array(16))) };
+  const key = await deriveKey(passphrase, kdf);
+  const cfg = {
+    version: 1,
+    kdf,
+    check: await seal(key, CHECK_TEXT),
+    autoLockMinutes: Math.max(0, Math.floor(Number(autoLockMinutes) || 0)),
+    createdAt: Date.now(),
+    sealing: true,
+  };
+  await setConfig(cfg);
+  await startSession(key, cfg);
+  return key;
+}
+
+export async function markSealed() {
+  const cfg = await getConfig();
+  if (cfg?.sealing) await setConfig({ ...cfg, sealing: false });
+}
+
+/**
+ * Verify the passphrase and unlock. -> the key. Throws WRONG_PASSPHRASE.
+ */
+export async function unlockVault(passphrase) {
+  const cfg = await getConfig();
+  if (!cfg) return null;
+  const key = await deriveKey(passphrase, cfg.kdf);
+  let ok = false;
+  try {
+    ok = (await unseal(key, cfg.check)) === CHECK_TEXT;
+  } catch {}
+  if (!ok) throw new Error(WRONG_PASSPHRASE);
+  await startSession(key, cfg);
+  return key;
+}
+
+export async function lockVault() {
+  cached = null;
+  await chrome.storage.session.remove(SESSION_KEY);
+}
+
+/**
+ * Lock when the auto-lock time has passed (alarm tick). -> true if it locked.
+ */
+export async function lockIfIdle() {
+  const session = await getSession();
+  if (!session?.expiresAt || session.expiresAt > Date.now()) return false;
+  await lockVault();
+  return true;
+}
+
+export async function setAutoLockMinutes(minutes) {
+  const cfg = await getConfig();
+  if (!cfg) return;
+  const next = { ...cfg, autoLockMinutes: Math.max(0, Math.floor(Number(minutes) || 0)) };
+  await setConfig(next);
+  const session = await getSession();
+  if (session) await chrome.storage.session.set({ [SESSION_KEY]: { ...session, expiresAt: expiryFrom(Date.now(), next) } });
+}
+
+/**
+ * Forget the vault (after the caller has decrypted everything).
+ */
+export async function removeVault() {
+  await lockVault();
+  await setConfig(null);
+}
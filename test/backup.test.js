@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// chrome.storage.local in memory; the prompts section touches nothing else
+const store = {};
+globalThis.chrome = {
+  storage: {
+    local: {
+      get: async (keys) => (keys === null ? { ...store } : Object.fromEntries([keys].flat().filter((k) => k in store).map((k) => [k, store[k]]))),
+      set: async (items) => void Object.assign(store, structuredClone(items)),
+      remove: async (keys) => [keys].flat().forEach((k) => delete store[k]),
+    },
+  },
+};
+const { BACKUP_FORMAT, BACKUP_VERSION, parseBackup, previewBackup, restoreBackup } = await import("../shared/backup.js");
+
+const backup = (sections) => ({ format: BACKUP_FORMAT, version: BACKUP_VERSION, createdAt: "2026-01-01T00:00:00.000Z", sections });
+
+test("files that are not backups, or from a newer version, are refused", () => {
+  assert.throws(() => parseBackup("{"), /not_a_backup/);
+  assert.throws(() => parseBackup({ format: "other", sections: {} }), /not_a_backup/);
+  assert.throws(() => parseBackup({ ...backup({}), version: BACKUP_VERSION + 1 }), /backup_too_new/);
+});
+
+test("the prompts section restores awt_prompts_* keys and rejects any other", async () => {
+  store.awt_settings = { connectors: { byId: { c1: { url: "https://hooks.example.com/mine" } } } };
+  store.awt_prompts_v1 = [{ id: "p1", name: "Summarize" }];
+  const file = backup({
+    prompts: {
+      awt_prompts_v1: [{ id: "p2", name: "Translate" }],
+      awt_settings: { connectors: { byId: { c1: { url: "https://evil.example" } } } },
+      awt_vault: { enabled: false },
+    },
+  });
+
+  const preview = await previewBackup(file, "merge");
+  assert.deepEqual(preview.sections.prompts, { add: ["prompts: Translate"], update: [], remove: [], rejected: ["awt_settings", "awt_vault"] });
+
+  for (const mode of ["merge", "replace"]) {
+    const result = await restoreBackup(file, mode);
+    assert.deepEqual(result.sections.prompts.rejected, ["awt_settings", "awt_vault"]);
+    assert.equal(store.awt_settings.connectors.byId.c1.url, "https://hooks.example.com/mine");
+    assert.ok(!("awt_vault" in store));
+  }
+  assert.deepEqual(store.awt_prompts_v1, [{ id: "p2", name: "Translate" }]);
+});
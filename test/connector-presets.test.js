@@ -0,0 +1,94 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { connectorErrors, usesRequests, authHeaders, readResponse, markdownBlocks, buildRequests } from "../shared/connector-presets.js";
+
+const context = (extra = {}) => ({
+  payload: { type: "tasks" },
+  meta: { id: "c_1", title: "Sprint sync", url: "https://chatgpt.com/c/1" },
+  artifacts: { tasks: ["Fix login", "Write docs"], decisions: ["Ship Friday"], links: [], codeBlocks: [] },
+  tags: ["eng"],
+  folder: "Work",
+  ...extra,
+});
+
+test("validation of preset fields and tokens", () => {
+  assert.deepEqual(connectorErrors({ url: "https://hooks.example.com" }), []);
+  assert.deepEqual(connectorErrors({ preset: "github", target: { repo: "me/app" }, secretEnc: { iv: "x" } }), []);
+  assert.deepEqual(connectorErrors({ preset: "github", target: { repo: "not a repo" }, secret: "t" }), ["Repository must look like owner/repo"]);
+  assert.deepEqual(connectorErrors({ preset: "linear", target: {} }), ["Team ID is required", "API key (lin_api_…) is required"]);
+  assert.deepEqual(connectorErrors({ preset: "notion", secret: "t", target: { parentId: "https://notion.so/Page-0123456789abcdef0123456789abcdef" } }), []);
+  assert.deepEqual(connectorErrors({ preset: "notion", secret: "t", target: { parentId: "nope" } }), ["Notion parent is not a page or database ID"]);
+});
+
+test("a Slack connector with a body template posts the template instead", () => {
+  assert.equal(usesRequests({ preset: "slack" }), true);
+  assert.equal(usesRequests({ preset: "slack", template: '{"text": "hi"}' }), false);
+  assert.equal(usesRequests({ url: "https://x" }), false);
+});
+
+test("credentials per service", () => {
+  assert.deepEqual(authHeaders({ preset: "github" }, "ghp_1"), { Authorization: "Bearer ghp_1" });
+  assert.deepEqual(authHeaders({ preset: "linear" }, "lin_api_1"), { Authorization: "lin_api_1" });
+  assert.deepEqual(authHeaders({ preset: "linear" }, "oauth"), { Authorization: "Bearer oauth" });
+  assert.deepEqual(authHeaders({ preset: "slack" }, "s"), {});
+  assert.deepEqual(authHeaders({ preset: "notion" }, ""), {});
+});
+
+test("reading answers: created URLs, and Linear's errors inside a 200", () => {
+  assert.deepEqual(readResponse("github", { ok: true, text: '{"html_url": "https://gh/1"}' }), { url: "https://gh/1" });
+  assert.deepEqual(readResponse("linear", { ok: true, text: '{"errors": [{"message": "bad team"}]}' }), { error: "linear: bad team" });
+  assert.deepEqual(readResponse("linear", { ok: true, text: '{"data": {"issueCreate": {"success": true, "issue": {"url": "https://l/1"}}}}' }), { url: "https://l/1" });
+  assert.deepEqual(readResponse("notion", { ok: false, text: "not json" }), {});
+});
+
+test("Markdown to Notion blocks", () => {
+  const blocks = markdownBlocks("## Plan\n\nSome **bold** and [a link](https://a.b)\n- [x] done\n1. first\n> quote\n---\n```py\nprint(1)\n```");
+  assert.deepEqual(blocks.map((b) => b.type), ["heading_2", "paragraph", "to_do", "numbered_list_item", "quote", "divider", "code"]);
+  assert.deepEqual(blocks[1].paragraph.rich_text.map((t) => [t.text.content, t.annotations?.bold || false, t.text.link?.url || ""]), [
+    ["Some ", false, ""],
+    ["bold", true, ""],
+    [" and ", false, ""],
+    ["a link", false, "https://a.b"],
+  ]);
+  assert.equal(blocks[2].to_do.checked, true);
+  assert.equal(blocks[6].code.language, "python");
+});
+
+test("GitHub and Linear: one issue per task, against the configured base", () => {
+  const gh = buildRequests({ preset: "github", url: "http://localhost:8787/", target: { repo: "me/app", labels: "bug, ai" } }, context());
+  assert.equal(gh.skipped, 0);
+  assert.deepEqual(gh.requests.map((r) => [r.method, r.url, r.body.title, r.body.labels]), [
+    ["POST", "http://localhost:8787/repos/me/app/issues", "Fix login", ["bug", "ai"]],
+    ["POST", "http://localhost:8787/repos/me/app/issues", "Write docs", ["bug", "ai"]],
+  ]);
+  assert.match(gh.requests[0].body.body, /\[Sprint sync\]\(https:\/\/chatgpt\.com\/c\/1\)/);
+  // no credentials stored with the request
+  assert.ok(!("Authorization" in gh.requests[0].headers));
+
+  const linear = buildRequests({ preset: "linear", target: { teamId: " T1 " } }, context());
+  assert.equal(linear.requests[0].url, "https://api.linear.app/graphql");
+  assert.equal(linear.requests[0].body.variables.input.teamId, "T1");
+
+  const none = buildRequests({ preset: "github", target: { repo: "me/app" } }, context({ artifacts: { tasks: [] } }));
+  assert.deepEqual(none, { requests: [], skipped: 0 });
+});
+
+test("requests past the per-send limit are counted as skipped", () => {
+  const tasks = Array.from({ length: 30 }, (_, i) => `Task ${i + 1}`);
+  const res = buildRequests({ preset: "github", target: { repo: "me/app" } }, context({ artifacts: { tasks } }));
+  assert.equal(res.requests.length, 25);
+  assert.equal(res.skipped, 5);
+});
+
+test("Notion: one page under the parent, Slack: one message", () => {
+  const [page] = buildRequests({ preset: "notion", target: { parentId: "0123456789abcdef0123456789abcdef", parentType: "page" } }, context()).requests;
+  assert.equal(page.url, "https://api.notion.com/v1/pages");
+  assert.deepEqual(page.body.parent, { page_id: "01234567-89ab-cdef-0123-456789abcdef" });
+  assert.equal(page.body.properties.title.title[0].text.content, "Sprint sync");
+  assert.ok(page.body.children.some((b) => b.type === "to_do"));
+
+  const [msg] = buildRequests({ preset: "slack", url: "https://hooks.slack.com/services/x" }, context()).requests;
+  assert.equal(msg.url, "https://hooks.slack.com/services/x");
+  assert.equal(msg.body.text, "Sprint sync");
+  assert.match(JSON.stringify(msg.body.blocks), /Fix login/);
+});
@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DELIVERY_DEFAULTS,
+  deliveryPolicy,
+  retryDelay,
+  parseRetryAfter,
+  isRetryable,
+  idempotencyKey,
+  rateBudget,
+  recentSends,
+} from "../shared/delivery.js";
+
+test("policy: defaults, clamping, backoff bounds in order", () => {
+  assert.deepEqual(deliveryPolicy({}), DELIVERY_DEFAULTS);
+  assert.deepEqual(deliveryPolicy(null), DELIVERY_DEFAULTS);
+  const p = deliveryPolicy({ delivery: { maxPerMinute: "0", concurrency: 99, maxAttempts: "", backoffSeconds: 120, maxBackoffSeconds: 30, idempotencyKey: false } });
+  assert.equal(p.maxPerMinute, 1);
+  assert.equal(p.concurrency, 10);
+  assert.equal(p.maxAttempts, DELIVERY_DEFAULTS.maxAttempts);
+  assert.equal(p.backoffSeconds, 120);
+  assert.equal(p.maxBackoffSeconds, 120);
+  assert.equal(p.idempotencyKey, false);
+});
+
+test("backoff doubles per attempt up to the cap, jittered to 50–100 %", () => {
+  const policy = deliveryPolicy({ delivery: { backoffSeconds: 10, maxBackoffSeconds: 60 } });
+  const low = () => 0;
+  const high = () => 1;
+  assert.deepEqual([1, 2, 3, 4, 5].map((n) => retryDelay(policy, n, high)), [10_000, 20_000, 40_000, 60_000, 60_000]);
+  assert.deepEqual([1, 2, 3].map((n) => retryDelay(policy, n, low)), [5_000, 10_000, 20_000]);
+  for (let i = 0; i < 50; i++) {
+    const d = retryDelay(policy, 2);
+    assert.ok(d >= 10_000 && d <= 20_000, String(d));
+  }
+});
+
+test("Retry-After: seconds or an HTTP date, never negative, capped at a day", () => {
+  const now = Date.parse("2026-01-01T00:00:00Z");
+  assert.equal(parseRetryAfter("30", now), 30_000);
+  assert.equal(parseRetryAfter(" 1.5 ", now), 1_500);
+  assert.equal(parseRetryAfter("Thu, 01 Jan 2026 00:02:00 GMT", now), 120_000);
+  assert.equal(parseRetryAfter("Wed, 31 Dec 2025 23:00:00 GMT", now), 0);
+  assert.equal(parseRetryAfter("999999", now), 24 * 60 * 60 * 1000);
+  assert.equal(parseRetryAfter("", now), null);
+  assert.equal(parseRetryAfter(null, now), null);
+  assert.equal(parseRetryAfter("soon", now), null);
+});
+
+test("retryable: no answer, timeouts, rate limits and server errors only", () => {
+  for (const status of [0, undefined, 408, 425, 429, 500, 502, 503]) assert.equal(isRetryable(status), true, String(status));
+  for (const status of [400, 401, 403, 404, 409, 422]) assert.equal(isRetryable(status), false, String(status));
+});
+
+test("idempotency key is stable per job", () => {
+  assert.equal(idempotencyKey({ id: "job_1_x", attempts: 1 }), idempotencyKey({ id: "job_1_x", attempts: 4 }));
+  assert.notEqual(idempotencyKey({ id: "job_1_x" }), idempotencyKey({ id: "job_2_y" }));
+});
+
+test("rate budget over a sliding minute", () => {
+  const policy = deliveryPolicy({ delivery: { maxPerMinute: 3 } });
+  const now = 1_000_000;
+  assert.deepEqual(rateBudget(policy, [], now), { budget: 3, nextAt: now });
+  assert.deepEqual(rateBudget(policy, [now - 70_000, now - 10_000], now), { budget: 2, nextAt: now });
+  // full: the next slot frees when the oldest send in the window leaves it
+  assert.deepEqual(rateBudget(policy, [now - 5_000, now - 40_000, now - 20_000], now), { budget: 0, nextAt: now - 40_000 + 60_000 });
+  // over the limit (it was lowered): one below it takes the two oldest leaving
+  assert.deepEqual(rateBudget(policy, [now - 50_000, now - 40_000, now - 30_000, now - 1_000], now), { budget: 0, nextAt: now - 40_000 + 60_000 });
+  assert.deepEqual(recentSends([now - 60_000, now - 59_999, now], now), [now - 59_999, now]);
+});
@@ -0,0 +1,57 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { diffSequence, alignRows, diffWords } from "../shared/diff.js";
+
+// both sides rebuilt from the ops, in order
+function sides(ops, a, b) {
+  return {
+    a: ops.filter((o) => o.op !== "add").map((o) => a[o.a]),
+    b: ops.filter((o) => o.op !== "del").map((o) => b[o.b]),
+    same: ops.filter((o) => o.op === "same").length,
+  };
+}
+
+test("ops cover both sequences in order and keep a longest common subsequence", () => {
+  const cases = [
+    [[], []],
+    [["a"], []],
+    [[], ["a"]],
+    [["a", "b", "c"], ["a", "b", "c"]],
+    [["a", "b", "c", "d"], ["a", "x", "c", "d", "e"]],
+    [["x", "a", "b"], ["a", "b", "y"]],
+    ["ABCBDAB".split(""), "BDCABA".split("")],
+  ];
+  const lcs = [0, 0, 0, 3, 3, 2, 4];
+  cases.forEach(([a, b], i) => {
+    const out = sides(diffSequence(a, b), a, b);
+    assert.deepEqual(out.a, a);
+    assert.deepEqual(out.b, b);
+    assert.equal(out.same, lcs[i], `${a.join("")} / ${b.join("")}`);
+  });
+});
+
+test("a custom equality compares by key", () => {
+  const a = [{ k: 1 }, { k: 2 }];
+  const b = [{ k: 1 }, { k: 3 }, { k: 2 }];
+  assert.deepEqual(diffSequence(a, b, (x, y) => x.k === y.k).map((o) => o.op), ["same", "add", "same"]);
+});
+
+test("side-by-side rows pair deletions with additions", () => {
+  const ops = diffSequence(["a", "b", "c", "d"], ["a", "X", "Y", "d"]);
+  assert.deepEqual(alignRows(ops), [
+    { kind: "same", a: 0, b: 0 },
+    { kind: "change", a: 1, b: 1 },
+    { kind: "change", a: 2, b: 2 },
+    { kind: "same", a: 3, b: 3 },
+  ]);
+  assert.deepEqual(alignRows(diffSequence(["a"], ["a", "b", "c"])).map((r) => r.kind), ["same", "add", "add"]);
+  assert.deepEqual(alignRows(diffSequence(["a", "b"], ["a"])).map((r) => r.kind), ["same", "del"]);
+});
+
+test("word diff marks changed words, keeps whitespace", () => {
+  const { left, right } = diffWords("the quick brown fox", "the slow brown  fox jumps");
+  assert.equal(left.map((p) => p.text).join(""), "the quick brown fox");
+  assert.equal(right.map((p) => p.text).join(""), "the slow brown  fox jumps");
+  assert.deepEqual(left.filter((p) => p.changed).map((p) => p.text.trim()), ["quick"]);
+  assert.deepEqual(right.filter((p) => p.changed).map((p) => p.text.trim()), ["slow", "jumps"]);
+});
@@ -0,0 +1,62 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { markdownToHtml, highlightCode, conversationToHtml } from "../content/html-export.js";
+
+test("link targets are escaped exactly once", () => {
+  const html = markdownToHtml("[docs](https://a.com/?a=1&b=2) ![chart](/img?w=1&h=2) https://b.com/?x=1&y=2");
+  assert.match(html, /<a href="https:\/\/a\.com\/\?a=1&amp;b=2">docs<\/a>/);
+  assert.match(html, /<img alt="chart" src="\/img\?w=1&amp;h=2">/);
+  assert.match(html, /<a href="https:\/\/b\.com\/\?x=1&amp;y=2">/);
+  assert.doesNotMatch(html, /&amp;amp;/);
+});
+
+test("script-like link targets are neutralized", () => {
+  const html = markdownToHtml('[x](javascript:alert(1)) [y](https://ok.com/"onmouseover="z)');
+  assert.match(html, /<a href="#">x<\/a>/);
+  assert.doesNotMatch(html, /href="[^"]*"onmouseover/);
+});
+
+test("dollar amounts are text, $…$ hugging its content is math", () => {
+  assert.equal(markdownToHtml("It costs $5 and $10 today."), "<p>It costs $5 and $10 today.</p>");
+  assert.equal(markdownToHtml("From $ 3 to $ 4"), "<p>From $ 3 to $ 4</p>");
+  assert.equal(markdownToHtml("Area $\\pi r^2$ units"), '<p>Area <span class="math">\\pi r^2</span> units</p>');
+  assert.match(markdownToHtml("$$\nx < y\n$$"), /<div class="math block">x &lt; y<\/div>/);
+});
+
+test("inline markup and escaping", () => {
+  assert.equal(
+    markdownToHtml("**bold** *it* ~~gone~~ `a<b>` <script>"),
+    "<p><strong>bold</strong> <em>it</em> <del>gone</del> <code>a&lt;b&gt;</code> &lt;script&gt;</p>"
+  );
+});
+
+test("code fences are highlighted and escaped", () => {
+  const html = markdownToHtml("```js\nconst s = \"<b>\"; // note\n```");
+  assert.match(html, /<span>js<\/span>/);
+  assert.match(html, /<span class="tk-k">const<\/span>/);
+  assert.match(html, /<span class="tk-s">&quot;&lt;b&gt;&quot;<\/span>/);
+  assert.match(html, /<span class="tk-c">\/\/ note<\/span>/);
+  assert.equal(highlightCode("x = 1 # c", "python"), 'x = <span class="tk-n">1</span> <span class="tk-c"># c</span>');
+});
+
+test("tables and lists", () => {
+  const html = markdownToHtml("| a | b |\n|---|---|\n| 1 | x \\| y |\n\n- one\n- two");
+  assert.match(html, /<table>[\s\S]*<th>a<\/th>[\s\S]*<td>x \| y<\/td>[\s\S]*<\/table>/);
+  assert.match(html, /<ul>\s*<li>one<\/li>\s*<li>two<\/li>\s*<\/ul>/);
+});
+
+test("a conversation page is self-contained", () => {
+  const html = conversationToHtml({
+    title: "A <title>",
+    ts: "2024-01-01T00:00:00Z",
+    messages: [
+      { role: "user", text: "Hi", markdown: "Hi" },
+      { role: "assistant", text: "See [docs](https://a.com/?a=1&b=2)", markdown: "See [docs](https://a.com/?a=1&b=2)" },
+    ],
+  });
+  assert.match(html, /^<!doctype html>/i);
+  assert.match(html, /A &lt;title&gt;/);
+  assert.match(html, /href="#m2"/);
+  assert.match(html, /href="https:\/\/a\.com\/\?a=1&amp;b=2"/);
+  assert.doesNotMatch(html, /<(script|link|img)[^>]+(src|href)="https?:/i);
+});
@@ -0,0 +1,145 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { convertExport, convertChatGPTConversation, convertGeminiTakeout } from "../shared/importers.js";
+
+// conversations.json entry: a system root, a prompt that was edited once
+// (two user siblings) and a hidden tool call on the current branch
+function chatgptEntry() {
+  const node = (id, parent, children, message) => ({ id, parent, children, message });
+  const msg = (id, role, text, t, extra = {}) => ({
+    id,
+    author: { role },
+    create_time: t,
+    content: { content_type: "text", parts: [text] },
+    ...extra,
+  });
+  return {
+    conversation_id: "abc-123",
+    title: "  Trip plan ",
+    create_time: 1700000000,
+    update_time: 1700000100,
+    current_node: "a2",
+    mapping: {
+      root: node("root", null, ["u1", "u2"], msg("root", "system", "You are helpful", 1700000000)),
+      u1: node("u1", "root", ["a1"], msg("u1", "user", "Plan a trip", 1700000001)),
+      a1: node("a1", "u1", [], msg("a1", "assistant", "Where to?", 1700000002)),
+      u2: node("u2", "root", ["tool"], msg("u2", "user", "Plan a trip to Rome", 1700000010)),
+      tool: node("tool", "u2", ["a2"], msg("tool", "assistant", "search(rome)", 1700000011, { recipient: "browser" })),
+      a2: node("a2", "tool", [], msg("a2", "assistant", "Day 1: Colosseum【3†source】", 1700000012, { metadata: { model_slug: "gpt-4o" } })),
+    },
+  };
+}
+
+test("ChatGPT export: the current branch becomes messages, edits stay in the tree", () => {
+  const res = convertExport([chatgptEntry()]);
+  assert.equal(res.platform, "chatgpt");
+  assert.equal(res.records.length, 1);
+  const rec = res.records[0];
+  assert.equal(rec.id, "c_abc-123");
+  assert.equal(rec.url, "https://chatgpt.com/c/abc-123");
+  assert.equal(rec.title, "Trip plan");
+  assert.equal(rec.updatedAt, 1700000100000);
+  assert.equal(rec.model, "gpt-4o");
+  assert.deepEqual(rec.messages.map((m) => [m.role, m.text]), [
+    ["user", "Plan a trip to Rome"],
+    ["assistant", "Day 1: Colosseum"],
+  ]);
+  assert.deepEqual([rec.messages[0].version, rec.messages[0].versionCount], [2, 2]);
+  assert.deepEqual(rec.messageTree.currentPath, ["u2", "a2"]);
+  // the tool call is skipped: the answer hangs off the edited prompt
+  assert.equal(rec.messageTree.nodes.a2.parentId, "u2");
+  assert.equal(rec.messageTree.nodes.u1.version, 1);
+  assert.ok(!rec.messageTree.nodes.tool);
+});
+
+test("ChatGPT export: entries without visible messages or with odd IDs are counted as empty", () => {
+  const entry = chatgptEntry();
+  const res = convertExport([
+    entry,
+    { conversation_id: "empty", current_node: null, mapping: {} },
+    { ...entry, conversation_id: "../etc" },
+  ]);
+  assert.equal(res.records.length, 1);
+  assert.equal(res.empty, 2);
+});
+
+test("ChatGPT export: without current_node the newest leaf is the branch", () => {
+  const rec = convertChatGPTConversation({ ...chatgptEntry(), current_node: undefined });
+  assert.deepEqual(rec.messageTree.currentPath, ["u2", "a2"]);
+});
+
+test("ChatGPT export: code content becomes a fenced block", () => {
+  const entry = chatgptEntry();
+  entry.mapping.a2.message.content = { content_type: "code", language: "python", text: "print(1)" };
+  const rec = convertChatGPTConversation(entry);
+  assert.equal(rec.messages[1].text, "```python\nprint(1)\n```");
+});
+
+test("Claude export: text parts and attachments, empty chats skipped", () => {
+  const res = convertExport([
+    {
+      uuid: "9f1e-77",
+      name: "",
+      created_at: "2024-05-01T10:00:00Z",
+      updated_at: "2024-05-01T10:05:00Z",
+      chat_messages: [
+        { sender: "human", text: "Summarize this", attachments: [{ file_name: "notes.pdf" }], created_at: "2024-05-01T10:00:00Z" },
+        { sender: "assistant", content: [{ type: "text", text: "Part one." }, { type: "tool_use" }, { type: "text", text: "Part two." }], created_at: "2024-05-01T10:01:00Z" },
+        { sender: "assistant", text: "   " },
+      ],
+    },
+    { uuid: "empty-1", chat_messages: [] },
+  ]);
+  assert.equal(res.platform, "claude");
+  assert.equal(res.empty, 1);
+  const [rec] = res.records;
+  assert.equal(rec.id, "claude_9f1e-77");
+  assert.equal(rec.url, "https://claude.ai/chat/9f1e-77");
+  assert.equal(rec.title, "Claude Conversation");
+  assert.equal(rec.updatedAt, Date.parse("2024-05-01T10:05:00Z"));
+  assert.deepEqual(rec.messages.map((m) => [m.role, m.text]), [
+    ["user", "Summarize this\n\n[attachment: notes.pdf]"],
+    ["assistant", "Part one.\n\nPart two."],
+  ]);
+  // matched by position on claude.ai, so no message IDs
+  assert.ok(rec.messages.every((m) => !("messageId" in m)));
+});
+
+test("Gemini Takeout: prompts grouped into conversations by time gap", () => {
+  const entry = (time, prompt, html) => ({
+    header: "Gemini Apps",
+    title: `Prompted ${prompt}`,
+    time,
+    ...(html ? { safeHtmlItem: [{ html }] } : {}),
+  });
+  const data = [
+    entry("2024-03-01T09:10:00Z", "and in winter?", "<p>Cold &amp; wet</p>"),
+    entry("2024-03-01T09:00:00Z", "weather in Oslo", "<p>Mild<br>today</p>"),
+    entry("2024-03-01T12:00:00Z", "new topic"),
+    { header: "Gemini Apps", title: "Used an extension", time: "2024-03-01T09:05:00Z" },
+  ];
+  const res = convertExport(data);
+  assert.equal(res.platform, "gemini");
+  assert.equal(res.empty, 1);
+  assert.equal(res.records.length, 2);
+  const [first, second] = res.records;
+  assert.equal(first.title, "weather in Oslo");
+  assert.equal(first.id, `gemini_takeout_${Date.parse("2024-03-01T09:00:00Z").toString(36)}`);
+  assert.deepEqual(first.messages.map((m) => [m.role, m.text]), [
+    ["user", "weather in Oslo"],
+    ["assistant", "Mild\ntoday"],
+    ["user", "and in winter?"],
+    ["assistant", "Cold & wet"],
+  ]);
+  assert.deepEqual(second.messages.map((m) => m.role), ["user"]);
+
+  // a wider gap joins them; the caller's converter replaces the tag stripper
+  const joined = convertGeminiTakeout(data, { gapMinutes: 240, htmlToMarkdown: (html) => `md:${html.length}` });
+  assert.equal(joined.records.length, 1);
+  assert.equal(joined.records[0].messages[1].text, "md:20");
+});
+
+test("an unknown file is not an export", () => {
+  assert.equal(convertExport({ hello: 1 }), null);
+  assert.equal(convertExport([{ foo: "bar" }]), null);
+});
@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import "fake-indexeddb/auto";
+
+const area = () => {
+  const data = {};
+  return {
+    get: async (keys) => (keys === null ? structuredClone(data) : Object.fromEntries([keys].flat().filter((k) => k in data).map((k) => [k, structuredClone(data[k])]))),
+    set: async (items) => void Object.assign(data, structuredClone(items)),
+    remove: async (keys) => [keys].flat().forEach((k) => delete data[k]),
+  };
+};
+globalThis.chrome = { storage: { local: area(), session: area() }, runtime: { id: "test" } };
+const { importConversations, listConversations } = await import("../shared/storage.js");
+
+const records = Array.from({ length: 7 }, (_, i) => ({
+  id: `c_${i}`,
+  title: `Chat ${i}`,
+  platform: "chatgpt",
+  updatedAt: 1_700_000_000_000 + i * 1000,
+  tags: i % 2 ? ["odd"] : [],
+  messages: [{ role: "user", text: `deploy notes ${i}` }],
+  text: `[USER]\ndeploy notes ${i}\n`,
+}));
+
+test("offset pages through a listing without gaps or repeats", async () => {
+  await importConversations(records);
+  const pages = async (args) => {
+    const ids = [];
+    for (let offset = 0; ; offset += 3) {
+      const items = await listConversations({ ...args, limit: 3, offset, sort: "recent" });
+      ids.push(...items.map((c) => c.id));
+      if (items.length < 3) return ids;
+    }
+  };
+  assert.deepEqual(await pages({}), ["c_6", "c_5", "c_4", "c_3", "c_2", "c_1", "c_0"]);
+  assert.deepEqual(await pages({ filters: { tag: "odd" } }), ["c_5", "c_3", "c_1"]);
+  assert.deepEqual((await pages({ query: "deploy" })).sort(), records.map((c) => c.id).sort());
+});
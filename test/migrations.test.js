@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import "fake-indexeddb/auto";
+
+const area = () => {
+  const data = {};
+  return {
+    data,
+    get: async (keys) => (keys === null ? structuredClone(data) : Object.fromEntries([keys].flat().filter((k) => k in data).map((k) => [k, structuredClone(data[k])]))),
+    set: async (items) => void Object.assign(data, structuredClone(items)),
+    remove: async (keys) => [keys].flat().forEach((k) => delete data[k]),
+  };
+};
+globalThis.chrome = { storage: { local: area(), session: area() }, runtime: { id: "test" } };
+const { runMigrations, getSchemaRecord, SCHEMA_VERSION } = await import("../shared/migrations.js");
+const { listConversations } = await import("../shared/storage.js");
+
+const stable = "6b2f1c0e-3d4a-4e8b-9c71-0a5d2e8f4b13";
+
+test("a dry run reports pending steps and leaves storage as it was", async () => {
+  const local = chrome.storage.local.data;
+  local.awt_settings = { connectors: { byId: { c1: { name: "Hook" } } } };
+  local.awt_prompts_v1 = [{ id: "p1", name: "Summarize" }];
+  local.awt_conversations = {
+    byId: { tmp_1: { id: "tmp_1", url: `https://chatgpt.com/c/${stable}`, title: "Draft", messages: [{ role: "user", text: "hi" }] } },
+    order: ["tmp_1"],
+    urlToId: {},
+  };
+  const before = structuredClone(local);
+
+  const report = await runMigrations({ dryRun: true });
+  assert.deepEqual(report.steps.map((s) => [s.name, s.error || s.result]), [
+    ["library-to-indexeddb", { migrated: 1 }],
+    ["connectors-shape", { changed: true }],
+    ["prompts-shape", { fixed: ["awt_prompts_v1"] }],
+    ["temporary-conversation-ids", { moved: 1, skipped: 0 }],
+  ]);
+  assert.deepEqual({ from: report.from, to: report.to, dryRun: report.dryRun }, { from: 0, to: 0, dryRun: true });
+  assert.deepEqual(local, before);
+
+  // the real run then does what the dry run said
+  const real = await runMigrations();
+  assert.equal(real.to, SCHEMA_VERSION);
+  assert.ok(!("awt_conversations" in local));
+  assert.deepEqual(local.awt_prompts_v1, { prompts: [{ id: "p1", name: "Summarize" }], version: 1 });
+  assert.equal((await getSchemaRecord()).version, SCHEMA_VERSION);
+  assert.deepEqual((await listConversations()).map((c) => c.id), [`c_${stable}`]);
+});
@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseQuery, mergeFilters, codeLanguages, normalizeLang, operatorAt, operatorValues, completeOperator } from "../shared/query.js";
+
+test("operators become filters, the rest stays free text", () => {
+  const q = parseQuery('tag:Sales -tag:legal is:pinned has:code lang:py platform:claude pricing "Annual  Plan" title:"q3 deck"');
+  assert.deepEqual(q.filters, {
+    tags: ["sales"],
+    excludeTags: ["legal"],
+    pinnedOnly: true,
+    hasCode: true,
+    langs: ["python"],
+    platforms: ["claude"],
+    titleTerms: ["q3 deck"],
+  });
+  assert.deepEqual(q.phrases, ["annual plan"]);
+  assert.equal(q.text, "pricing annual plan");
+});
+
+test("negations and folders", () => {
+  assert.deepEqual(parseQuery("-is:pinned -has:code -lang:js -platform:gemini folder:work/clients -folder:archive").filters, {
+    unpinnedOnly: true,
+    noCode: true,
+    excludeLangs: ["javascript"],
+    excludePlatforms: ["gemini"],
+    folders: ["work/clients"],
+    excludeFolders: ["archive"],
+  });
+});
+
+test("dates: year, month or day, local time; before is exclusive", () => {
+  assert.equal(parseQuery("after:2026-08").filters.since, new Date(2026, 7, 1).getTime());
+  assert.equal(parseQuery("before:2026-09-15").filters.until, new Date(2026, 8, 15).getTime() - 1);
+  assert.equal(parseQuery("after:2025 after:2026-03").filters.since, new Date(2026, 2, 1).getTime());
+  // not a date: stays text
+  assert.deepEqual(parseQuery("after:2026-02-30 before:soon"), { text: "after:2026-02-30 before:soon", phrases: [], filters: {} });
+});
+
+test("unknown operators, empty values and URLs stay free text", () => {
+  const q = parseQuery("https://example.com/a foo:bar tag: is:open ");
+  assert.deepEqual(q.filters, {});
+  assert.equal(q.text, "https://example.com/a foo:bar tag: is:open ");
+});
+
+test("mergeFilters: lists concatenate, flags OR, dates narrow", () => {
+  assert.deepEqual(mergeFilters({ tags: ["a"], pinnedOnly: false, since: 10, until: 100 }, { tags: ["b"], pinnedOnly: true, since: 20, until: 200 }), {
+    tags: ["a", "b"],
+    pinnedOnly: true,
+    since: 20,
+    until: 100,
+  });
+});
+
+test("code languages of fenced blocks, aliases normalized", () => {
+  assert.deepEqual(codeLanguages("```py\nx\n```\ntext\n```TS\ny\n```\n```python\nz\n```"), ["python", "typescript"]);
+  assert.equal(normalizeLang("C#"), "csharp");
+});
+
+test("autocomplete: the operator under the caret and its completion", () => {
+  const value = "pricing -tag:sa more";
+  const at = operatorAt(value, 15);
+  assert.deepEqual(at, { neg: true, op: "tag", partial: "sa", start: 8, end: 15 });
+  assert.equal(operatorAt("pricing", 7), null);
+  assert.deepEqual(operatorValues("tag", "sa", { tag: ["sales", "sa", "legal", "Saas"] }), ["sales", "Saas"]);
+  assert.deepEqual(operatorValues("is", ""), ["pinned"]);
+  const done = completeOperator(value, at, "sales team");
+  assert.equal(done.value, 'pricing -tag:"sales team" more');
+  assert.equal(done.caret, 'pricing -tag:"sales team" '.length);
+});
@@ -0,0 +1,78 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { firedRules, ruleErrors, emptyRules } from "../shared/rules.js";
+
+function rulesOf(...list) {
+  const rules = emptyRules();
+  for (const r of list) {
+    rules.byId[r.id] = { enabled: true, connectorId: "k", payload: "json", ...r };
+    rules.order.push(r.id);
+  }
+  return rules;
+}
+
+const folders = {
+  byId: {
+    work: { id: "work", name: "Work", parentId: "" },
+    clients: { id: "clients", name: "Clients", parentId: "work" },
+    home: { id: "home", name: "Home", parentId: "" },
+  },
+  order: ["work", "clients", "home"],
+};
+
+const conv = (extra = {}) => ({ id: "c_1", title: "Chat", tags: [], text: "", ...extra });
+const fired = (rules, prev, next) => firedRules(rules, prev, next, { folders }).map((f) => [f.rule.id, f.keys, f.items]);
+
+test("tag: fires when the tag is added, case-insensitively, not while it stays", () => {
+  const rules = rulesOf({ id: "r", trigger: "tag", value: " Bugs " });
+  assert.deepEqual(fired(rules, conv(), conv({ tags: ["bugs"] })), [["r", ["r|c_1|tag:bugs"], undefined]]);
+  assert.deepEqual(fired(rules, conv({ tags: ["BUGS"] }), conv({ tags: ["bugs", "x"] })), []);
+  // a new conversation saved with the tag already on
+  assert.equal(fired(rules, null, conv({ tags: ["Bugs"] })).length, 1);
+});
+
+test("pinned and folder transitions; folder counts its subfolders", () => {
+  const rules = rulesOf({ id: "p", trigger: "pinned" }, { id: "f", trigger: "folder", value: "work" });
+  assert.deepEqual(fired(rules, conv(), conv({ pinned: true })).map(([id]) => id), ["p"]);
+  assert.deepEqual(fired(rules, conv({ pinned: true }), conv({ pinned: true })), []);
+  assert.deepEqual(fired(rules, conv({ folderId: "home" }), conv({ folderId: "clients" })), [["f", ["f|c_1|folder:work"], undefined]]);
+  // moving within the folder is not filing it again
+  assert.deepEqual(fired(rules, conv({ folderId: "work" }), conv({ folderId: "clients" })), []);
+});
+
+test("task / decision: only items that were not there before, each with its own key", () => {
+  const rules = rulesOf({ id: "t", trigger: "task" }, { id: "d", trigger: "decision" });
+  const before = conv({ text: "TODO: write spec" });
+  const after = conv({ text: "TODO: write spec\nTODO: ship it\nDecision: use Postgres" });
+  const out = fired(rules, before, after);
+  assert.deepEqual(out.map(([id, keys, items]) => [id, keys.length, items]), [
+    ["t", 1, ["ship it"]],
+    ["d", 1, ["use Postgres"]],
+  ]);
+  assert.match(out[0][1][0], /^t\|c_1\|task:[0-9a-z]+$/);
+  // the key is the same for the same item (re-extracted, reworded spacing)
+  const again = fired(rules, conv(), conv({ text: "TODO:   ship   it" }));
+  assert.equal(again[0][1][0], out[0][1][0]);
+});
+
+test("messages stand in for text when a record has none", () => {
+  const rules = rulesOf({ id: "t", trigger: "task" });
+  const next = conv({ text: undefined, messages: [{ role: "assistant", text: "- [ ] call Bob" }] });
+  assert.deepEqual(fired(rules, null, next)[0][2], ["call Bob"]);
+});
+
+test("disabled rules and records without an id fire nothing", () => {
+  const rules = rulesOf({ id: "p", trigger: "pinned", enabled: false });
+  assert.deepEqual(fired(rules, conv(), conv({ pinned: true })), []);
+  assert.deepEqual(firedRules(rulesOf({ id: "q", trigger: "pinned" }), null, { pinned: true }), []);
+});
+
+test("rule validation", () => {
+  const connectors = { byId: { k: { id: "k" } } };
+  assert.deepEqual(ruleErrors({ trigger: "tag", value: "x", connectorId: "k", payload: "md", enabled: true }, connectors), []);
+  assert.deepEqual(ruleErrors({ trigger: "tag", value: " ", connectorId: "k", payload: "md" }, connectors), ["Pick a tag"]);
+  assert.deepEqual(ruleErrors({ trigger: "nope", payload: "zip" }, connectors), ["Pick a trigger", "Pick a connector", "Pick what to send"]);
+  // a deleted connector blocks only an enabled rule
+  assert.deepEqual(ruleErrors({ trigger: "pinned", connectorId: "gone", payload: "md", enabled: true }, connectors), ["Pick a connector"]);
+  assert.deepEqual(ruleErrors({ trigger: "pinned", connectorId: "gone", payload: "md", enabled: false }, connectors), []);
+});
@@ -0,0 +1,26 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { findMatches, phraseText } from "../shared/search-index.js";
+import { parseQuery } from "../shared/query.js";
+
+const highlighted = (c, input) => {
+  const q = parseQuery(input);
+  return findMatches(c, q.text, { phrases: q.phrases }).snippets.flatMap((s) => s.highlights.map(([a, b]) => s.text.slice(a, b)));
+};
+
+test("phrases match folded, with whitespace runs as one space", () => {
+  assert.equal(phraseText("  Café\n\tCrème  "), " cafe creme ");
+});
+
+test("a phrase spanning a line break is highlighted over the break", () => {
+  const c = { title: "Plans", messages: [{ role: "user", text: "We picked the annual\nplan, then the annual  plan again." }] };
+  assert.deepEqual(highlighted(c, '"annual plan"'), ["annual\nplan", "annual  plan"]);
+});
+
+test("a phrase that differs only by case or accents is highlighted in the original text", () => {
+  const c = { title: "Menu", messages: [{ role: "assistant", text: "Try the CAFÉ Crème first." }] };
+  assert.deepEqual(highlighted(c, '"cafe creme"'), ["CAFÉ Crème"]);
+  const decomposed = { title: "Menu", messages: [{ role: "user", text: "Cafe\u0301 au lait" }] };
+  assert.deepEqual(highlighted(decomposed, '"café"'), ["Cafe\u0301"]);
+  assert.deepEqual(findMatches({ title: "Café crème notes" }, "cafe creme", { phrases: ["cafe creme"] }).title, [[0, 10]]);
+});
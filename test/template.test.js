@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateTemplate, renderTemplate, TEMPLATE_MAX_LENGTH } from "../shared/template.js";
+
+const context = {
+  meta: { id: "c_1", title: "Launch plan", tokens: 1234 },
+  tags: ["work", "q3"],
+  artifacts: { tasks: ["Draft post", "Ping design"], decisions: [] },
+  conversation: { messages: [{ role: "user", text: "hello" }, { role: "assistant", text: "a long answer here" }] },
+  folder: "",
+  now: Date.parse("2024-06-01T12:00:00Z"),
+};
+
+test("a whole-string placeholder keeps the value's type", () => {
+  const out = renderTemplate('{"todo": "{{artifacts.tasks}}", "n": "{{meta.tokens}}", "none": "{{meta.missing}}"}', context);
+  assert.deepEqual(out, { todo: ["Draft post", "Ping design"], n: 1234, none: null });
+});
+
+test("interpolation, paths with [*] and [index], filters left to right", () => {
+  const out = renderTemplate(JSON.stringify({
+    text: "{{meta.title}} ({{tags | join:\" / \" | upper}})",
+    roles: "{{$.conversation.messages[*].role}}",
+    first: "{{conversation.messages[0].text}}",
+    last: "{{conversation.messages[*].text | last | truncate:7}}",
+    count: "{{artifacts.tasks | count}}",
+    folder: "{{folder | default:\"unfiled\"}}",
+    decisions: "{{artifacts.decisions | default:\"none\"}}",
+    at: "{{now | date}}",
+    lines: "{{artifacts.tasks | lines}}",
+  }), context);
+  assert.deepEqual(out, {
+    text: "Launch plan (WORK / Q3)",
+    roles: ["user", "assistant"],
+    first: "hello",
+    last: "a long…",
+    count: 2,
+    folder: "unfiled",
+    decisions: "none",
+    at: "2024-06-01T12:00:00.000Z",
+    lines: "Draft post\nPing design",
+  });
+});
+
+test("placeholders in keys are rendered too", () => {
+  assert.deepEqual(renderTemplate('{"{{meta.id}}": true}', context), { c_1: true });
+});
+
+test("validation names the problem and where it is", () => {
+  assert.deepEqual(validateTemplate(""), { ok: true, errors: [], fields: [] });
+  assert.deepEqual(validateTemplate('{"a": "{{tags | join}}", "b": ["{{ tags | join }}", "{{meta.id}}"]}').fields, ["tags | join", "meta.id"]);
+  assert.equal(validateTemplate('{"a": 1\n "b": 2}').errors[0], "not valid JSON at line 2, column 2");
+  // V8 gives no position for some errors; its message is passed on
+  assert.match(validateTemplate('{"a": }').errors[0], /^not valid JSON: /);
+  assert.match(validateTemplate('{"a": "{{secret.key}}"}').errors[0], /^\$\.a: unknown field "secret"/);
+  assert.match(validateTemplate('{"a": ["{{tags | shout}}"]}').errors[0], /^\$\.a\[0\]: unknown filter "shout"/);
+  assert.match(validateTemplate('{"a": "{{tags | truncate}}"}').errors[0], /truncate needs a length/);
+  assert.match(validateTemplate('{"a": "{{meta.title"}').errors[0], /"\{\{" without "\}\}"/);
+  assert.match(validateTemplate(`"${"x".repeat(TEMPLATE_MAX_LENGTH)}"`).errors[0], /longer than/);
+});
+
+test("rendering an invalid template throws template_invalid", () => {
+  assert.throws(() => renderTemplate('{"a": "{{nope}}"}', context), /^Error: template_invalid: /);
+});
@@ -0,0 +1,35 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+const area = () => {
+  const data = {};
+  return {
+    data,
+    get: async (keys) => Object.fromEntries([keys].flat().filter((k) => k in data).map((k) => [k, data[k]])),
+    set: async (items) => void Object.assign(data, structuredClone(items)),
+    remove: async (keys) => [keys].flat().forEach((k) => delete data[k]),
+  };
+};
+globalThis.chrome = { storage: { local: area(), session: area() } };
+const { createVault, vaultKey, touchVault, lockIfIdle, VAULT_LOCKED } = await import("../shared/vault.js");
+
+const expiresAt = () => chrome.storage.session.data.awt_vault_session.expiresAt;
+
+test("only touchVault pushes the auto-lock back, not using the key", async (t) => {
+  await createVault("correct horse", { autoLockMinutes: 5 });
+  const first = expiresAt();
+
+  t.mock.timers.enable({ apis: ["Date"], now: Date.now() + 2 * 60_000 });
+  assert.ok(await vaultKey());
+  assert.equal(expiresAt(), first);
+
+  await touchVault();
+  assert.equal(expiresAt(), Date.now() + 5 * 60_000);
+
+  // background use alone lets it lock once the idle time is up
+  t.mock.timers.setTime(Date.now() + 6 * 60_000);
+  await assert.rejects(vaultKey(), new RegExp(VAULT_LOCKED));
+  await touchVault();
+  assert.equal(await lockIfIdle(), false);
+  assert.equal(chrome.storage.session.data.awt_vault_session, undefined);
+});
@@ -0,0 +1,83 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { deflateRawSync } from "node:zlib";
+import { crc32, createZip, zipWriter, isZip, readZip } from "../shared/zip.js";
+
+const enc = new TextEncoder();
+const dec = new TextDecoder();
+
+// a one-entry archive with a deflated entry, as the chat sites' exports have
+function deflatedZip(name, text) {
+  const data = enc.encode(text);
+  const comp = deflateRawSync(data);
+  const nameBytes = enc.encode(name);
+  const local = Buffer.alloc(30);
+  local.writeUInt32LE(0x04034b50, 0);
+  local.writeUInt16LE(20, 4);
+  local.writeUInt16LE(8, 8);
+  local.writeUInt32LE(crc32(data), 14);
+  local.writeUInt32LE(comp.length, 18);
+  local.writeUInt32LE(data.length, 22);
+  local.writeUInt16LE(nameBytes.length, 26);
+  const central = Buffer.alloc(46);
+  central.writeUInt32LE(0x02014b50, 0);
+  central.writeUInt16LE(8, 10);
+  central.writeUInt32LE(crc32(data), 16);
+  central.writeUInt32LE(comp.length, 20);
+  central.writeUInt32LE(data.length, 24);
+  central.writeUInt16LE(nameBytes.length, 28);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(1, 8);
+  eocd.writeUInt16LE(1, 10);
+  eocd.writeUInt32LE(46 + nameBytes.length, 12);
+  eocd.writeUInt32LE(30 + nameBytes.length + comp.length, 16);
+  return new Uint8Array(Buffer.concat([local, nameBytes, comp, central, nameBytes, eocd]));
+}
+
+test("crc32 check value", () => {
+  assert.equal(crc32(enc.encode("123456789")), 0xcbf43926);
+  assert.equal(crc32(new Uint8Array(0)), 0);
+});
+
+test("what createZip writes, readZip reads back", async () => {
+  const bytes = createZip([
+    { name: "manifest.json", data: '{"count":2}' },
+    { name: "conversations/Übersicht – notes.md", data: "# Hi\n\nüñí ✓" },
+    { name: "raw.bin", data: new Uint8Array([0, 255, 7]) },
+  ]);
+  assert.ok(isZip(bytes));
+  const files = await readZip(bytes);
+  assert.deepEqual([...files.keys()], ["manifest.json", "conversations/Übersicht – notes.md", "raw.bin"]);
+  assert.equal(dec.decode(files.get("conversations/Übersicht – notes.md")), "# Hi\n\nüñí ✓");
+  assert.deepEqual([...files.get("raw.bin")], [0, 255, 7]);
+});
+
+test("zipWriter adds entries as they come, into the same archive createZip writes", async () => {
+  const files = [
+    { name: "a.md", data: "first page", date: 1700000000000 },
+    { name: "b.md", data: "second page", date: 1700000000000 },
+    { name: "manifest.json", data: '{"count":2}', date: 1700000000000 },
+  ];
+  const zip = zipWriter();
+  files.forEach((f) => zip.add(f));
+  const bytes = new Uint8Array(await new Blob(zip.finish()).arrayBuffer());
+  assert.deepEqual(bytes, createZip(files));
+  assert.deepEqual([...(await readZip(bytes)).keys()], ["a.md", "b.md", "manifest.json"]);
+});
+
+test("only accepted entries are read", async () => {
+  const files = await readZip(createZip([{ name: "a.json", data: "1" }, { name: "b.html", data: "2" }]), (name) => name.endsWith(".json"));
+  assert.deepEqual([...files.keys()], ["a.json"]);
+});
+
+test("deflated entries are inflated", async () => {
+  const text = "conversations ".repeat(200);
+  const files = await readZip(deflatedZip("conversations.json", text));
+  assert.equal(dec.decode(files.get("conversations.json")), text);
+});
+
+test("not a ZIP", async () => {
+  assert.equal(isZip(enc.encode("[{}]")), false);
+  await assert.rejects(readZip(enc.encode("x".repeat(40))), /Not a ZIP archive/);
+});